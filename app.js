@@ -9,6 +9,10 @@ const moods = require('./routes/moods');
 const notifications = require('./routes/notifications');
 const errorHandler = require('./middleware/errorHandler');
 const SocketHandler = require('./socket/socketHandler');
+const SigningKeyService = require('./services/signingKeyService');
+const AccountDeletionService = require('./services/accountDeletionService');
+const AssistantOutboxService = require('./services/assistantOutboxService');
+const IdempotencyService = require('./services/idempotencyService');
 require('dotenv').config();
 
 // Initialize database connection
@@ -18,14 +22,19 @@ const app = express();
 const server = http.createServer(app);
 
 // Middleware
-app.use(express.json());
+app.use(express.json({
+  // Raw body is kept for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // CORS middleware (mobil uygulama için gerekli)
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, Idempotency-Key');
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
   }
@@ -39,7 +48,11 @@ app.use('/chats', chats);
 app.use('/appointments', appointments);
 app.use('/moods', moods);
 app.use('/notifications', notifications);
+app.use('/sync', require('./routes/sync'));
 app.use('/video-call', require('./routes/videoCall'));
+app.use('/me', require('./routes/me'));
+app.use('/admin', require('./routes/admin'));
+app.use('/.well-known', require('./routes/wellKnown'));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -58,6 +71,19 @@ const io = new Server(server, {
   },
   transports: ['websocket', 'polling']
 });
+new SocketHandler(io);
+
+// JWT signing key refresh & rotation (only for RS256/ES256)
+SigningKeyService.startRotationSchedule();
+
+// Purge accounts whose deletion grace period has ended (hourly)
+AccountDeletionService.startPurgeSchedule();
+
+// Deliver queued user messages to the assistant provider (retries failed deliveries)
+AssistantOutboxService.startWorker();
+
+// Delete expired Idempotency-Key responses (hourly)
+IdempotencyService.startCleanupSchedule();
 
 const PORT = process.env.PORT || 3014;
 server.listen(PORT, "0.0.0.0",() => {
@@ -0,0 +1,83 @@
+/**
+ * Assistant Provider Configuration
+ * Which conversational AI backend answers chats and calls
+ *
+ * ASSISTANT_PROVIDER                 - default provider (n8n, openai, mock). Defaults to mock in test, n8n otherwise
+ * ASSISTANT_CONSULTANT_PROVIDERS     - per consultant override, e.g. "3:openai,7:mock"
+ */
+
+const PROVIDERS = ['n8n', 'openai', 'mock'];
+
+/**
+ * Get default provider for this environment
+ * @returns {string} Provider name
+ */
+function getDefaultProvider() {
+  const provider = (process.env.ASSISTANT_PROVIDER || '').trim().toLowerCase();
+  if (provider) {
+    return provider;
+  }
+  return process.env.NODE_ENV === 'test' ? 'mock' : 'n8n';
+}
+
+/**
+ * Parse per consultant overrides ("3:openai,7:mock")
+ * @returns {Map<number, string>} Consultant ID -> provider name
+ */
+function getConsultantProviders() {
+  const overrides = new Map();
+
+  for (const entry of (process.env.ASSISTANT_CONSULTANT_PROVIDERS || '').split(',')) {
+    const [consultantId, provider] = entry.split(':').map(part => part.trim());
+    if (consultantId && provider) {
+      overrides.set(parseInt(consultantId), provider.toLowerCase());
+    }
+  }
+
+  return overrides;
+}
+
+/**
+ * Get provider name for a consultant
+ * @param {number} consultantId - Consultant ID
+ * @returns {string} Provider name
+ */
+function getProviderForConsultant(consultantId) {
+  return getConsultantProviders().get(parseInt(consultantId)) || getDefaultProvider();
+}
+
+/**
+ * Get n8n webhook settings
+ * @returns {Object} { baseUrl, chatPath, callPath, summaryPath, timeout }
+ */
+function getN8nConfig() {
+  return {
+    baseUrl: (process.env.N8N_BASE_URL || 'http://89.252.179.227:5678').replace(/\/+$/, ''),
+    chatPath: process.env.N8N_CHAT_WEBHOOK_PATH || '/webhook/chat-assistant',
+    callPath: process.env.N8N_CALL_WEBHOOK_PATH || '/webhook/stream-call',
+    summaryPath: process.env.N8N_SUMMARY_WEBHOOK_PATH || '/webhook/chat-summary',
+    timeout: parseInt(process.env.N8N_TIMEOUT_MS) || 30000
+  };
+}
+
+/**
+ * Get OpenAI-compatible chat completions settings
+ * @returns {Object} { baseUrl, apiKey, model, timeout, maxHistory }
+ */
+function getOpenAIConfig() {
+  return {
+    baseUrl: (process.env.ASSISTANT_OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+    apiKey: process.env.ASSISTANT_OPENAI_API_KEY || process.env.OPENAI_API_KEY || '',
+    model: process.env.ASSISTANT_OPENAI_MODEL || 'gpt-4o-mini',
+    timeout: parseInt(process.env.ASSISTANT_OPENAI_TIMEOUT_MS) || 60000,
+    maxHistory: parseInt(process.env.ASSISTANT_OPENAI_MAX_HISTORY) || 20
+  };
+}
+
+module.exports = {
+  PROVIDERS,
+  getDefaultProvider,
+  getProviderForConsultant,
+  getN8nConfig,
+  getOpenAIConfig
+};
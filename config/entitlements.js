@@ -0,0 +1,141 @@
+/**
+ * Entitlements Configuration
+ * Subscription plans (daily quotas and available consultants) and purchase receipt verification
+ *
+ * Günlük kotalar UTC gün başında (00:00 UTC) sıfırlanır. Limit değeri "unlimited" verilirse sınırsızdır.
+ *
+ * PLAN_FREE_DAILY_TEXT_MESSAGES        - text and image messages per day (default: 30)
+ * PLAN_FREE_DAILY_VOICE_MINUTES        - voice message minutes per day (default: 5)
+ * PLAN_FREE_DAILY_REALTIME_MINUTES     - realtime / video call minutes per day (default: 10)
+ * PLAN_FREE_CONSULTANTS                - comma separated consultant IDs, or all (default: all)
+ * PLAN_PREMIUM_*                       - same settings of the premium plan (defaults: 500, 60, 120, all)
+ * RECEIPT_VERIFIER                     - stub or none. Defaults to stub in test, none otherwise
+ *                                        (stub accepts any receipt, never enable it in a real deployment)
+ * RECEIPT_PRODUCTS                     - productId:plan:days list of store products
+ *                                        (default: premium_monthly:premium:30,premium_yearly:premium:365)
+ * VOICE_BYTES_PER_SECOND               - estimates the length of audio files whose duration can't be read
+ *                                        from the file (default: 4000, ~32 kbps, low bitrate = counts generously)
+ */
+
+const PLAN_NAMES = ['free', 'premium'];
+
+const DEFAULT_PLAN = 'free';
+
+const PLAN_DEFAULTS = {
+  free: {
+    dailyTextMessages: 30,
+    dailyVoiceMinutes: 5,
+    dailyRealtimeMinutes: 10
+  },
+  premium: {
+    dailyTextMessages: 500,
+    dailyVoiceMinutes: 60,
+    dailyRealtimeMinutes: 120
+  }
+};
+
+const RECEIPT_VERIFIERS = ['stub', 'none'];
+
+/**
+ * Get plan settings
+ * @param {string} name - Plan name
+ * @returns {Object|null} { name, dailyTextMessages, dailyVoiceMinutes, dailyRealtimeMinutes, consultants }
+ *   (limits are null when unlimited, consultants is 'all' or an array of consultant IDs), null if unknown
+ */
+function getPlan(name) {
+  if (!PLAN_NAMES.includes(name)) {
+    return null;
+  }
+
+  const prefix = `PLAN_${name.toUpperCase()}_`;
+  const defaults = PLAN_DEFAULTS[name];
+
+  return {
+    name: name,
+    dailyTextMessages: getLimit(`${prefix}DAILY_TEXT_MESSAGES`, defaults.dailyTextMessages),
+    dailyVoiceMinutes: getLimit(`${prefix}DAILY_VOICE_MINUTES`, defaults.dailyVoiceMinutes),
+    dailyRealtimeMinutes: getLimit(`${prefix}DAILY_REALTIME_MINUTES`, defaults.dailyRealtimeMinutes),
+    consultants: getConsultants(`${prefix}CONSULTANTS`)
+  };
+}
+
+/**
+ * Get receipt verifier for this environment
+ * @returns {string} Verifier name
+ */
+function getReceiptVerifier() {
+  const verifier = (process.env.RECEIPT_VERIFIER || '').trim().toLowerCase();
+  if (verifier) {
+    return verifier;
+  }
+  return process.env.NODE_ENV === 'test' ? 'stub' : 'none';
+}
+
+/**
+ * Get store products that grant a plan
+ * @returns {Object} productId -> { plan, days }
+ */
+function getReceiptProducts() {
+  const value = process.env.RECEIPT_PRODUCTS || 'premium_monthly:premium:30,premium_yearly:premium:365';
+  const products = {};
+
+  for (const entry of value.split(',')) {
+    const [productId, plan, days] = entry.split(':').map(part => (part || '').trim());
+    if (productId && PLAN_NAMES.includes(plan) && parseInt(days) > 0) {
+      products[productId] = { plan: plan, days: parseInt(days) };
+    }
+  }
+
+  return products;
+}
+
+/**
+ * Get assumed bitrate of audio files with an unreadable duration
+ * @returns {number} Bytes per second
+ */
+function getVoiceBytesPerSecond() {
+  return parseInt(process.env.VOICE_BYTES_PER_SECOND) || 4000;
+}
+
+/**
+ * Read a daily limit
+ * @param {string} key - Environment variable
+ * @param {number} defaultValue - Default limit
+ * @returns {number|null} Limit, null if unlimited
+ */
+function getLimit(key, defaultValue) {
+  const value = (process.env[key] || '').trim().toLowerCase();
+  if (value === 'unlimited') {
+    return null;
+  }
+
+  const limit = parseInt(value);
+  return isNaN(limit) || limit < 0 ? defaultValue : limit;
+}
+
+/**
+ * Read available consultants of a plan
+ * @param {string} key - Environment variable
+ * @returns {string|number[]} 'all' or consultant IDs
+ */
+function getConsultants(key) {
+  const value = (process.env[key] || '').trim().toLowerCase();
+  if (!value || value === 'all') {
+    return 'all';
+  }
+
+  return value
+    .split(',')
+    .map(id => parseInt(id))
+    .filter(id => !isNaN(id) && id > 0);
+}
+
+module.exports = {
+  PLAN_NAMES,
+  DEFAULT_PLAN,
+  RECEIPT_VERIFIERS,
+  getPlan,
+  getReceiptVerifier,
+  getReceiptProducts,
+  getVoiceBytesPerSecond
+};
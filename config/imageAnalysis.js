@@ -0,0 +1,48 @@
+/**
+ * Image Analysis Configuration
+ * Which vision backend describes photos sent in chats (messages.image_content)
+ *
+ * IMAGE_ANALYSIS_PROVIDER        - openai, mock or none. Defaults to mock in test, openai when an OpenAI key is set,
+ *                                  none otherwise (client-provided imageContent is used)
+ * IMAGE_ANALYSIS_OPENAI_MODEL    - vision model (default: gpt-4o-mini)
+ * IMAGE_ANALYSIS_TIMEOUT_MS      - analysis timeout, the assistant waits for it at most this long (default: 30000)
+ */
+
+const { getOpenAIConfig } = require('./assistant');
+
+const PROVIDERS = ['openai', 'mock', 'none'];
+
+/**
+ * Get image analysis provider for this environment
+ * @returns {string} Provider name
+ */
+function getImageAnalysisProvider() {
+  const provider = (process.env.IMAGE_ANALYSIS_PROVIDER || '').trim().toLowerCase();
+  if (provider) {
+    return provider;
+  }
+  if (process.env.NODE_ENV === 'test') {
+    return 'mock';
+  }
+  return getOpenAIConfig().apiKey ? 'openai' : 'none';
+}
+
+/**
+ * Get vision model settings (endpoint and key are shared with the OpenAI assistant provider)
+ * @returns {Object} { baseUrl, apiKey, model, timeout }
+ */
+function getVisionConfig() {
+  const { baseUrl, apiKey } = getOpenAIConfig();
+  return {
+    baseUrl: baseUrl,
+    apiKey: apiKey,
+    model: process.env.IMAGE_ANALYSIS_OPENAI_MODEL || 'gpt-4o-mini',
+    timeout: parseInt(process.env.IMAGE_ANALYSIS_TIMEOUT_MS) || 30000
+  };
+}
+
+module.exports = {
+  PROVIDERS,
+  getImageAnalysisProvider,
+  getVisionConfig
+};
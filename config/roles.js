@@ -0,0 +1,48 @@
+/**
+ * Roles & Permissions Configuration
+ * Role -> permission mapping for role-based access control
+ */
+
+// Every authenticated user implicitly has the 'user' role
+const ROLES = ['user', 'admin', 'support'];
+
+const PERMISSIONS = {
+  NOTIFICATIONS_SEND: 'notifications:send',
+  NOTIFICATIONS_BROADCAST: 'notifications:broadcast',
+  ROLES_MANAGE: 'roles:manage',
+  ASSISTANT_OUTBOX_MANAGE: 'assistant_outbox:manage',
+  SAFETY_EVENTS_READ: 'safety_events:read',
+  FEEDBACK_READ: 'feedback:read',
+  SUBSCRIPTIONS_MANAGE: 'subscriptions:manage'
+};
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  support: [
+    PERMISSIONS.NOTIFICATIONS_SEND,
+    PERMISSIONS.SAFETY_EVENTS_READ
+  ],
+  admin: Object.values(PERMISSIONS)
+};
+
+/**
+ * Get all permissions granted by a set of roles
+ * @param {string[]} roles - Role names
+ * @returns {string[]} Unique permission names
+ */
+function getPermissionsForRoles(roles) {
+  const permissions = new Set();
+  for (const role of roles) {
+    for (const permission of ROLE_PERMISSIONS[role] || []) {
+      permissions.add(permission);
+    }
+  }
+  return Array.from(permissions);
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getPermissionsForRoles
+};
@@ -0,0 +1,112 @@
+/**
+ * Safety Configuration
+ * Crisis / self-harm risk classifiers, crisis protocol and localized hotline resources
+ *
+ * SAFETY_CLASSIFIERS        - classifiers run on user input, e.g. "keyword,openai" (default: keyword)
+ * SAFETY_OPENAI_MODEL       - moderation model for the openai classifier (default: omni-moderation-latest)
+ * SAFETY_MODEL_TIMEOUT_MS   - model classifier timeout, keyword result is used if it fails (default: 5000)
+ */
+
+const CLASSIFIERS = ['keyword', 'openai'];
+
+// Ordered from lowest to highest
+const RISK_LEVELS = ['none', 'medium', 'high'];
+
+// Appended to the assistant instructions when high risk is detected
+const CRISIS_PROTOCOL = [
+  'SAFETY PROTOCOL: The user\'s latest message indicates a risk of suicide or self-harm.',
+  'Respond with warmth and without judgement, acknowledge their feelings and take what they say seriously.',
+  'Ask directly whether they are safe right now and whether they have thoughts or a plan of harming themselves.',
+  'Encourage them to contact the crisis resources listed below or emergency services, and a person they trust.',
+  'Do not give coaching exercises, diagnoses or any information that could be used for self-harm.',
+  'Keep the answer short and stay with the user.'
+].join(' ');
+
+// Appended when risk language is ambiguous (e.g. the word "suicide" without first-person intent)
+const CHECK_IN_PROTOCOL = 'SAFETY NOTE: The user\'s latest message mentions suicide or self-harm. ' +
+  'Gently check how they are doing and whether they are safe before continuing.';
+
+// Crisis resources per language (fallback: en)
+const CRISIS_RESOURCES = {
+  tr: {
+    message: 'Yalnız değilsin. Kendini güvende hissetmiyorsan hemen 112\'yi ara ya da aşağıdaki hatlardan destek al.',
+    contacts: [
+      { name: '112 Acil Çağrı Merkezi', phone: '112', url: null },
+      { name: 'ALO 183 Sosyal Destek Hattı', phone: '183', url: null }
+    ]
+  },
+  en: {
+    message: 'You are not alone. If you are in immediate danger, call your local emergency number now, or reach out to one of these lines.',
+    contacts: [
+      { name: '988 Suicide & Crisis Lifeline (US)', phone: '988', url: 'https://988lifeline.org' },
+      { name: 'Samaritans (UK & Ireland)', phone: '116 123', url: 'https://www.samaritans.org' },
+      { name: 'Find A Helpline (international)', phone: null, url: 'https://findahelpline.com' }
+    ]
+  },
+  de: {
+    message: 'Du bist nicht allein. Wenn du in akuter Gefahr bist, ruf sofort 112 an oder wende dich an eine dieser Stellen.',
+    contacts: [
+      { name: 'Notruf', phone: '112', url: null },
+      { name: 'TelefonSeelsorge', phone: '0800 111 0 111', url: 'https://www.telefonseelsorge.de' }
+    ]
+  },
+  fr: {
+    message: 'Vous n\'êtes pas seul(e). En cas de danger immédiat, appelez le 112, ou contactez l\'une de ces lignes.',
+    contacts: [
+      { name: 'Urgences', phone: '112', url: null },
+      { name: '3114 - Numéro national de prévention du suicide', phone: '3114', url: 'https://3114.fr' }
+    ]
+  },
+  es: {
+    message: 'No estás solo/a. Si estás en peligro inmediato, llama al 112 o contacta con una de estas líneas.',
+    contacts: [
+      { name: 'Emergencias', phone: '112', url: null },
+      { name: 'Línea 024 de atención a la conducta suicida', phone: '024', url: null }
+    ]
+  }
+};
+
+/**
+ * Get enabled classifiers
+ * @returns {Array<string>} Classifier names (keyword is always included)
+ */
+function getClassifiers() {
+  const names = (process.env.SAFETY_CLASSIFIERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  return Array.from(new Set(['keyword', ...names]));
+}
+
+/**
+ * Get moderation model settings (endpoint and key are shared with the OpenAI assistant provider)
+ * @returns {Object} { model, timeout }
+ */
+function getModelConfig() {
+  return {
+    model: process.env.SAFETY_OPENAI_MODEL || 'omni-moderation-latest',
+    timeout: parseInt(process.env.SAFETY_MODEL_TIMEOUT_MS) || 5000
+  };
+}
+
+/**
+ * Get crisis resources for a language
+ * @param {string} language - Language code (e.g. 'tr', 'en-US')
+ * @returns {Object} { language, message, contacts: [{ name, phone, url }] }
+ */
+function getCrisisResources(language) {
+  const code = String(language || '').toLowerCase().split(/[-_]/)[0];
+  const resolved = CRISIS_RESOURCES[code] ? code : 'en';
+  return { language: resolved, ...CRISIS_RESOURCES[resolved] };
+}
+
+module.exports = {
+  CLASSIFIERS,
+  RISK_LEVELS,
+  CRISIS_PROTOCOL,
+  CHECK_IN_PROTOCOL,
+  getClassifiers,
+  getModelConfig,
+  getCrisisResources
+};
@@ -0,0 +1,14 @@
+-- Add refresh token support to user_tokens table
+-- Access token'lar kısa ömürlü, refresh token'lar uzun ömürlüdür
+-- Aynı oturumdan (login) türeyen tüm token'lar aynı family_id'yi paylaşır
+-- Kullanılmış bir refresh token tekrar gönderilirse tüm family revoke edilir (reuse detection)
+
+ALTER TABLE `user_tokens`
+MODIFY COLUMN `token` TEXT DEFAULT NULL COMMENT 'JWT token string (NULL for refresh tokens, only hash is stored)',
+ADD COLUMN `token_type` ENUM('access', 'refresh') NOT NULL DEFAULT 'access' COMMENT 'Token type' AFTER `token_hash`,
+ADD COLUMN `family_id` VARCHAR(64) DEFAULT NULL COMMENT 'Token family (login session) ID' AFTER `token_type`,
+ADD COLUMN `used_at` TIMESTAMP NULL DEFAULT NULL COMMENT 'When the refresh token was rotated' AFTER `revoked_at`;
+
+-- Add indexes for refresh token lookups
+CREATE INDEX `idx_token_type` ON `user_tokens` (`token_type`);
+CREATE INDEX `idx_family_id` ON `user_tokens` (`family_id`);
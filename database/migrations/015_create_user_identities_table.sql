@@ -0,0 +1,32 @@
+-- User Identities table migration
+-- Bir kullanıcıya birden fazla sign-in provider'ı (Google, Apple, Facebook) bağlanabilmesi için
+-- users.credential / users.credential_data artık sadece ilk (primary) provider'ı gösterir
+-- Login lookup'ları bu tablo üzerinden yapılır
+
+CREATE TABLE IF NOT EXISTS `user_identities` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `user_id` INT NOT NULL COMMENT 'User ID',
+  `provider` VARCHAR(50) NOT NULL COMMENT 'google, facebook, apple, guest',
+  `provider_user_id` VARCHAR(255) NOT NULL COMMENT 'Provider-specific user ID',
+  `email` VARCHAR(255) DEFAULT NULL COMMENT 'Email reported by provider (optional)',
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+
+  INDEX `idx_user_id` (`user_id`),
+  -- One provider identity can belong to only one user
+  UNIQUE KEY `unique_provider_identity` (`provider`, `provider_user_id`)
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='User identities table - Sign-in providers linked to a user';
+
+-- Mevcut kullanıcıların credential bilgilerini identity olarak taşı
+INSERT IGNORE INTO `user_identities` (`user_id`, `provider`, `provider_user_id`, `email`)
+SELECT
+  `id`,
+  `credential`,
+  JSON_UNQUOTE(JSON_EXTRACT(`credential_data`, '$.id')),
+  JSON_UNQUOTE(JSON_EXTRACT(`credential_data`, '$.email'))
+FROM `users`
+WHERE JSON_EXTRACT(`credential_data`, '$.id') IS NOT NULL;
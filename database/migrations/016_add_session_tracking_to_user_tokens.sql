@@ -0,0 +1,11 @@
+-- Add session (device) tracking to user_tokens table
+-- Bir session = aynı family_id'ye sahip token'lar (bir cihazdaki login)
+-- last_seen_at authenticate middleware tarafından güncellenir
+
+ALTER TABLE `user_tokens`
+ADD COLUMN `last_seen_at` TIMESTAMP NULL DEFAULT NULL COMMENT 'Last time the token was used' AFTER `created_at`;
+
+-- Refresh token desteğinden önce oluşturulan token'lar kendi session'larıdır
+UPDATE `user_tokens` SET `family_id` = UUID() WHERE `family_id` IS NULL;
+
+CREATE INDEX `idx_user_family` ON `user_tokens` (`user_id`, `family_id`);
@@ -0,0 +1,25 @@
+-- User Roles table migration
+-- Role-based access control: user, admin, support
+-- Her kullanıcı implicit olarak 'user' rolüne sahiptir, bu tabloda sadece ek roller tutulur
+-- Permission'lar role'lere config/roles.js içinde map edilir
+
+CREATE TABLE IF NOT EXISTS `user_roles` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `user_id` INT NOT NULL COMMENT 'User ID',
+  `role` VARCHAR(50) NOT NULL COMMENT 'admin, support',
+  `granted_by` INT DEFAULT NULL COMMENT 'User ID of the admin who granted the role (NULL if granted via script)',
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+
+  INDEX `idx_user_id` (`user_id`),
+  INDEX `idx_role` (`role`),
+  UNIQUE KEY `unique_user_role` (`user_id`, `role`)
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='User roles table - Role-based access control';
+
+-- İlk admin'i atamak için:
+-- node scripts/grant-role.js <userId> admin
+-- veya
+-- INSERT INTO `user_roles` (`user_id`, `role`) VALUES (1, 'admin');
@@ -0,0 +1,21 @@
+-- JWT Signing Keys table migration
+-- RS256/ES256 signing with key rotation (JWT_ALGORITHM=RS256 veya ES256 iken kullanılır)
+-- Yeni key önce JWKS'te yayınlanır, activates_at'ten itibaren imzalamada kullanılır
+-- Eski key, yerine yenisi geçtikten sonra expires_at'e kadar verification için tutulur
+
+CREATE TABLE IF NOT EXISTS `jwt_signing_keys` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `kid` VARCHAR(64) NOT NULL COMMENT 'Key ID (JWT kid header)',
+  `algorithm` ENUM('RS256', 'ES256') NOT NULL COMMENT 'Signing algorithm',
+  `public_key` TEXT NOT NULL COMMENT 'Public key (PEM, SPKI)',
+  `private_key` TEXT NOT NULL COMMENT 'Private key (PEM, PKCS8)',
+  `activates_at` TIMESTAMP NOT NULL COMMENT 'Key is used for signing from this time on',
+  `expires_at` TIMESTAMP NULL DEFAULT NULL COMMENT 'Key is removed from JWKS / verification after this time (NULL = current key)',
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  UNIQUE KEY `unique_kid` (`kid`),
+  INDEX `idx_activates_at` (`activates_at`),
+  INDEX `idx_expires_at` (`expires_at`)
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='JWT signing keys - asymmetric signing with key rotation';
@@ -0,0 +1,23 @@
+-- User Data Exports table migration
+-- Kişisel veri export'u (GDPR/KVKK) - POST /auth/account/export ile başlatılan asenkron job'lar
+-- Archive dosyası sunucuda DATA_EXPORT_DIR altında tutulur, expires_at'ten sonra silinir
+
+CREATE TABLE IF NOT EXISTS `user_data_exports` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `user_id` INT NOT NULL COMMENT 'User ID',
+  `status` ENUM('pending', 'processing', 'completed', 'failed') NOT NULL DEFAULT 'pending' COMMENT 'Export job status',
+  `file_path` VARCHAR(500) DEFAULT NULL COMMENT 'Archive path on server (set when completed)',
+  `file_size` INT DEFAULT NULL COMMENT 'Archive size in bytes',
+  `error_message` VARCHAR(500) DEFAULT NULL COMMENT 'Error message if failed',
+  `expires_at` TIMESTAMP NULL DEFAULT NULL COMMENT 'Archive is deleted after this time',
+  `completed_at` TIMESTAMP NULL DEFAULT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+
+  INDEX `idx_user_id` (`user_id`),
+  INDEX `idx_status` (`status`),
+  INDEX `idx_expires_at` (`expires_at`)
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='User data exports table - GDPR/KVKK personal data export jobs';
@@ -0,0 +1,26 @@
+-- Soft delete for user accounts
+-- DELETE /auth/account kullanıcıyı hemen silmez, pending deletion olarak işaretler
+-- Grace period (ACCOUNT_DELETION_GRACE_DAYS, varsayılan 30 gün) içinde tekrar login olursa hesap geri yüklenir
+-- Süre dolunca purge job tüm satırları ve CDN dosyalarını siler, account_deletion_receipts'e kayıt düşer
+
+ALTER TABLE `users`
+ADD COLUMN `deletion_requested_at` TIMESTAMP NULL DEFAULT NULL COMMENT 'When account deletion was requested (NULL = active)' AFTER `account_created_date`,
+ADD COLUMN `deletion_scheduled_at` TIMESTAMP NULL DEFAULT NULL COMMENT 'Account is purged after this time' AFTER `deletion_requested_at`;
+
+CREATE INDEX `idx_deletion_scheduled_at` ON `users` (`deletion_scheduled_at`);
+
+-- Deletion receipts (kişisel veri içermez, sadece silinen kayıt sayıları)
+CREATE TABLE IF NOT EXISTS `account_deletion_receipts` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `receipt_id` VARCHAR(64) NOT NULL COMMENT 'Public receipt ID (UUID)',
+  `user_id` INT NOT NULL COMMENT 'ID of the purged user (no foreign key, user no longer exists)',
+  `requested_at` TIMESTAMP NULL DEFAULT NULL COMMENT 'When deletion was requested',
+  `purged_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When data was erased',
+  `deleted_rows` JSON NOT NULL COMMENT 'Deleted row counts per table',
+  `cdn_objects_deleted` INT NOT NULL DEFAULT 0 COMMENT 'Number of deleted Bunny CDN objects',
+
+  UNIQUE KEY `unique_receipt_id` (`receipt_id`),
+  INDEX `idx_user_id` (`user_id`)
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Account deletion receipts - audit log of purged accounts';
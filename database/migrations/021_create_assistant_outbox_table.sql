@@ -0,0 +1,26 @@
+-- Assistant Outbox table migration
+-- Kullanıcı mesajı ile aynı transaction'da yazılır, worker assistant provider'a (n8n) teslim eder
+-- Teslim edilemeyen kayıtlar exponential backoff ile tekrar denenir, limit aşılınca 'dead' olur
+
+CREATE TABLE IF NOT EXISTS `assistant_outbox` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `message_id` INT NOT NULL COMMENT 'User message that is delivered to the assistant',
+  `chat_id` INT NOT NULL COMMENT 'Chat ID',
+  `consultant_id` INT NOT NULL COMMENT 'Consultant ID (selects assistant provider)',
+  `payload` JSON NOT NULL COMMENT 'Assistant request payload (n8n chat-assistant contract)',
+  `status` ENUM('pending', 'processing', 'delivered', 'dead') NOT NULL DEFAULT 'pending' COMMENT 'Delivery status',
+  `attempts` INT NOT NULL DEFAULT 0 COMMENT 'Number of delivery attempts',
+  `last_error` VARCHAR(1000) DEFAULT NULL COMMENT 'Error of the last failed attempt',
+  `next_attempt_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT 'Not delivered before this time',
+  `locked_until` TIMESTAMP NULL DEFAULT NULL COMMENT 'Processing lock (crashed worker -> retried after this time)',
+  `last_attempt_at` TIMESTAMP NULL DEFAULT NULL,
+  `delivered_at` TIMESTAMP NULL DEFAULT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (`message_id`) REFERENCES `messages`(`id`) ON DELETE CASCADE,
+
+  INDEX `idx_status_next_attempt` (`status`, `next_attempt_at`),
+  INDEX `idx_message_id` (`message_id`)
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Assistant outbox table - durable assistant deliveries with retries';
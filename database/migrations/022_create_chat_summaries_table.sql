@@ -0,0 +1,16 @@
+-- Chat Summaries table migration
+-- Conversation memory: son N mesaj payload'da aynen gönderilir, daha eski mesajlar
+-- assistant provider tarafından özetlenir ve burada chat başına tek satır olarak saklanır
+
+CREATE TABLE IF NOT EXISTS `chat_summaries` (
+  `chat_id` INT PRIMARY KEY COMMENT 'Chat ID',
+  `summary` TEXT NOT NULL COMMENT 'Rolling summary of messages up to summarized_until_message_id',
+  `summarized_until_message_id` INT NOT NULL COMMENT 'Last message included in the summary',
+  `summarized_message_count` INT NOT NULL DEFAULT 0 COMMENT 'Number of messages included in the summary',
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (`chat_id`) REFERENCES `chats`(`id`) ON DELETE CASCADE
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Chat summaries table - rolling conversation summaries for the assistant';
@@ -0,0 +1,63 @@
+-- Chat Threads table migration
+-- Bir user-consultant chat'i altında birden fazla konuşma (thread/session/topic)
+-- Mevcut her chat için default thread oluşturulur, mesajlar default thread'e taşınır
+-- Conversation summary'ler artık thread başına tutulur (mevcut özetler default thread'e taşınır)
+
+CREATE TABLE IF NOT EXISTS `chat_threads` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `chat_id` INT NOT NULL COMMENT 'Chat (user-consultant pair)',
+  `title` VARCHAR(255) DEFAULT NULL COMMENT 'Thread title (NULL = untitled)',
+  `is_default` TINYINT(1) DEFAULT NULL COMMENT '1 for the default thread of the chat, NULL otherwise',
+  `last_message` TEXT DEFAULT NULL COMMENT 'Last message in the thread',
+  `last_message_date` VARCHAR(50) DEFAULT NULL COMMENT 'Last message date in ISO 8601 format',
+  `archived_at` TIMESTAMP NULL DEFAULT NULL COMMENT 'Archived threads are hidden from lists and read-only',
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (`chat_id`) REFERENCES `chats`(`id`) ON DELETE CASCADE,
+
+  INDEX `idx_chat_id` (`chat_id`),
+  -- One default thread per chat (NULLs are not compared)
+  UNIQUE KEY `unique_chat_default` (`chat_id`, `is_default`)
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Chat threads table - conversations under a user-consultant chat';
+
+-- Default thread for every existing chat
+INSERT INTO `chat_threads` (`chat_id`, `is_default`, `last_message`, `last_message_date`, `created_at`)
+SELECT `id`, 1, `last_message`, `last_message_date`, `created_at` FROM `chats`;
+
+-- Messages belong to a thread
+ALTER TABLE `messages`
+  ADD COLUMN `thread_id` INT DEFAULT NULL COMMENT 'Thread ID' AFTER `chat_id`;
+
+UPDATE `messages` m
+INNER JOIN `chat_threads` t ON t.`chat_id` = m.`chat_id` AND t.`is_default` = 1
+SET m.`thread_id` = t.`id`;
+
+ALTER TABLE `messages`
+  MODIFY COLUMN `thread_id` INT NOT NULL COMMENT 'Thread ID',
+  ADD FOREIGN KEY (`thread_id`) REFERENCES `chat_threads`(`id`) ON DELETE CASCADE,
+  ADD INDEX `idx_thread_id` (`thread_id`, `id`);
+
+-- Conversation summaries per thread
+CREATE TABLE `chat_summaries_new` (
+  `thread_id` INT PRIMARY KEY COMMENT 'Thread ID',
+  `summary` TEXT NOT NULL COMMENT 'Rolling summary of messages up to summarized_until_message_id',
+  `summarized_until_message_id` INT NOT NULL COMMENT 'Last message included in the summary',
+  `summarized_message_count` INT NOT NULL DEFAULT 0 COMMENT 'Number of messages included in the summary',
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (`thread_id`) REFERENCES `chat_threads`(`id`) ON DELETE CASCADE
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Chat summaries table - rolling conversation summaries per thread';
+
+INSERT INTO `chat_summaries_new` (`thread_id`, `summary`, `summarized_until_message_id`, `summarized_message_count`, `created_at`, `updated_at`)
+SELECT t.`id`, s.`summary`, s.`summarized_until_message_id`, s.`summarized_message_count`, s.`created_at`, s.`updated_at`
+FROM `chat_summaries` s
+INNER JOIN `chat_threads` t ON t.`chat_id` = s.`chat_id` AND t.`is_default` = 1;
+
+DROP TABLE `chat_summaries`;
+RENAME TABLE `chat_summaries_new` TO `chat_summaries`;
@@ -0,0 +1,27 @@
+-- Sync Deletions table migration
+-- GET /sync offline-first client'a silinen kayıtları bildirir (tombstone)
+-- Chat silinince thread ve mesajları da client'ta silinmelidir (ayrı tombstone yazılmaz)
+
+CREATE TABLE IF NOT EXISTS `sync_deletions` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `user_id` INT NOT NULL COMMENT 'Owner of the deleted record',
+  `entity_type` VARCHAR(32) NOT NULL COMMENT 'chat, mood',
+  `entity_id` INT NOT NULL COMMENT 'ID of the deleted record',
+  `deleted_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+
+  INDEX `idx_user_deleted` (`user_id`, `deleted_at`, `id`)
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Sync deletions table - tombstones for incremental sync';
+
+-- Incremental sync reads changes by (updated_at, id)
+ALTER TABLE `messages`
+  ADD INDEX `idx_chat_updated` (`chat_id`, `updated_at`, `id`);
+
+ALTER TABLE `moods`
+  ADD INDEX `idx_user_updated` (`user_id`, `updated_at`, `id`);
+
+ALTER TABLE `appointments`
+  ADD INDEX `idx_user_updated` (`user_id`, `updated_at`, `id`);
@@ -0,0 +1,6 @@
+-- Messages full-text search migration
+-- GET /chats/search mesaj metni, ses transkripti ve görsel açıklaması üzerinde arama yapar
+-- Not: InnoDB varsayılan olarak 3 karakterden kısa kelimeleri indexlemez (innodb_ft_min_token_size)
+
+ALTER TABLE `messages`
+  ADD FULLTEXT INDEX `ft_message_content` (`message`, `voice_message_content`, `image_content`);
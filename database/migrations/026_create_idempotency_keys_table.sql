@@ -0,0 +1,24 @@
+-- Idempotency Keys table migration
+-- Idempotency-Key header'ı ile gelen mutating isteklerin sonucu saklanır, aynı key ile tekrar gelen
+-- istek yeniden çalıştırılmadan saklanan response döner (mobil retry'larda duplicate mesaj/upload olmaz)
+
+CREATE TABLE IF NOT EXISTS `idempotency_keys` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `user_id` INT NOT NULL COMMENT 'Keys are scoped per user',
+  `idempotency_key` VARCHAR(255) NOT NULL COMMENT 'Idempotency-Key header value',
+  `request_hash` CHAR(64) NOT NULL COMMENT 'SHA-256 of method, path, body and files (same key + different request = 422)',
+  `status` ENUM('processing', 'completed') NOT NULL DEFAULT 'processing' COMMENT 'Request state',
+  `response_status` INT DEFAULT NULL COMMENT 'Stored HTTP status',
+  `response_body` JSON DEFAULT NULL COMMENT 'Stored JSON response',
+  `locked_until` TIMESTAMP NULL DEFAULT NULL COMMENT 'Processing lock (abandoned requests can be retried after it)',
+  `expires_at` TIMESTAMP NOT NULL COMMENT 'Key can be reused after this time',
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+
+  UNIQUE KEY `unique_user_key` (`user_id`, `idempotency_key`),
+  INDEX `idx_expires_at` (`expires_at`)
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Idempotency keys table - stored responses of idempotent requests';
@@ -0,0 +1,29 @@
+-- Safety Events table migration
+-- Kullanıcı mesajlarında/transcript'lerinde kriz veya kendine zarar verme riski (medium/high) tespit edildiğinde
+-- kayıt tutulur (high risk'te asistan kriz protokolüne geçer). Metnin kendisi saklanmaz, mesaj varsa
+-- message_id ile referans verilir.
+
+CREATE TABLE IF NOT EXISTS `safety_events` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `user_id` INT NOT NULL COMMENT 'User whose input was flagged',
+  `consultant_id` INT DEFAULT NULL COMMENT 'Consultant the user was talking to',
+  `chat_id` INT DEFAULT NULL COMMENT 'Chat (if the input was stored as a message)',
+  `thread_id` INT DEFAULT NULL COMMENT 'Thread (if the input was stored as a message)',
+  `message_id` INT DEFAULT NULL COMMENT 'Flagged message (NULL for call transcripts that are not stored)',
+  `source` ENUM('chat', 'voice', 'stream_call', 'video_call', 'realtime') NOT NULL COMMENT 'Where the input came from',
+  `risk_level` ENUM('medium', 'high') NOT NULL COMMENT 'Classified risk level',
+  `categories` JSON DEFAULT NULL COMMENT 'Risk categories, e.g. ["suicide", "self_harm"]',
+  `classifiers` JSON DEFAULT NULL COMMENT 'Classifier results, e.g. [{"name": "keyword", "riskLevel": "high", "matches": ["en.kill_myself"]}]',
+  `language` VARCHAR(10) DEFAULT NULL COMMENT 'User language used for rules and resources',
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`chat_id`) REFERENCES `chats`(`id`) ON DELETE SET NULL,
+  FOREIGN KEY (`thread_id`) REFERENCES `chat_threads`(`id`) ON DELETE SET NULL,
+  FOREIGN KEY (`message_id`) REFERENCES `messages`(`id`) ON DELETE SET NULL,
+
+  INDEX `idx_user_created` (`user_id`, `created_at`),
+  INDEX `idx_created_at` (`created_at`)
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Safety events table - flagged crisis and self-harm risk in user input';
@@ -0,0 +1,29 @@
+-- Message Feedback table migration
+-- Kullanıcı assistant mesajlarına 👍/👎, opsiyonel sebep kategorisi ve serbest metin ile geri bildirim verir
+-- (mesaj başına tek kayıt, değiştirilebilir). Rapor consultant ve prompt versiyonu bazında toplanır:
+-- prompt_version, cevap kaydedilirken consultant main_prompt'unun SHA-256 hash'inin ilk 12 karakteridir.
+
+ALTER TABLE `messages`
+ADD COLUMN `prompt_version` VARCHAR(64) DEFAULT NULL COMMENT 'Consultant prompt version that produced an assistant message' AFTER `voice_message_content`;
+
+CREATE TABLE IF NOT EXISTS `message_feedback` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `message_id` INT NOT NULL COMMENT 'Rated assistant message',
+  `user_id` INT NOT NULL COMMENT 'User who gave the feedback',
+  `consultant_id` INT NOT NULL COMMENT 'Consultant of the chat (report grouping)',
+  `prompt_version` VARCHAR(64) DEFAULT NULL COMMENT 'Prompt version of the message (report grouping)',
+  `rating` ENUM('up', 'down') NOT NULL COMMENT 'Thumbs up / down',
+  `reason` VARCHAR(50) DEFAULT NULL COMMENT 'Reason category (see services/feedbackService.js)',
+  `comment` TEXT DEFAULT NULL COMMENT 'Free text',
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (`message_id`) REFERENCES `messages`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+
+  UNIQUE KEY `unique_message_feedback` (`message_id`),
+  INDEX `idx_consultant_version` (`consultant_id`, `prompt_version`),
+  INDEX `idx_user_id` (`user_id`)
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Message feedback table - ratings of assistant messages';
@@ -0,0 +1,19 @@
+-- Message editing/deletion and read markers migration
+-- Kullanıcı kendi mesajını MESSAGE_EDIT_WINDOW_MINUTES içinde düzenleyebilir veya silebilir.
+-- Silinen mesaj satırı tombstone olarak kalır (içerik ve medya temizlenir, deleted_at dolar),
+-- asistan geçmişinde geri çekildi olarak görünür. Teslim edilmemiş asistan kaydı 'cancelled' olur.
+-- chats.last_read_message_id: kullanıcının okuduğu son mesaj, GET /chats unreadCount bundan hesaplanır.
+
+ALTER TABLE `messages`
+ADD COLUMN `edited_at` TIMESTAMP NULL DEFAULT NULL COMMENT 'Last edit time (null = never edited)' AFTER `prompt_version`,
+ADD COLUMN `deleted_at` TIMESTAMP NULL DEFAULT NULL COMMENT 'Deletion time (tombstone, content is cleared)' AFTER `edited_at`;
+
+ALTER TABLE `chats`
+ADD COLUMN `last_read_message_id` INT DEFAULT NULL COMMENT 'Last message the user has read' AFTER `last_message_date`;
+
+-- Existing chats start as read (no unread badges for old messages)
+UPDATE `chats` c
+SET c.`last_read_message_id` = (SELECT MAX(m.`id`) FROM `messages` m WHERE m.`chat_id` = c.`id`);
+
+ALTER TABLE `assistant_outbox`
+MODIFY COLUMN `status` ENUM('pending', 'processing', 'delivered', 'dead', 'cancelled') NOT NULL DEFAULT 'pending' COMMENT 'Delivery status (cancelled = message deleted before delivery)';
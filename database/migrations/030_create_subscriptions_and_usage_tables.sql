@@ -0,0 +1,42 @@
+-- Subscriptions and usage counters migration
+-- Her kullanıcının tek bir aktif planı vardır (user_subscriptions, kayıt yoksa veya süresi dolduysa 'free').
+-- Plan admin API'si (source = admin) veya doğrulanmış satın alma makbuzu (source = receipt) ile atanır;
+-- aynı makbuz (provider + external_id) yalnızca bir kullanıcıya plan verebilir.
+-- usage_counters: kullanıcı, UTC gün ve metrik başına sayaç (text_messages adet, voice_seconds ve
+-- realtime_seconds saniye). Plan limitleri config/entitlements.js içindedir.
+
+CREATE TABLE IF NOT EXISTS `user_subscriptions` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `user_id` INT NOT NULL COMMENT 'Subscribed user',
+  `plan` VARCHAR(32) NOT NULL COMMENT 'Plan name (see config/entitlements.js)',
+  `source` ENUM('admin', 'receipt') NOT NULL COMMENT 'How the plan was assigned',
+  `provider` VARCHAR(32) DEFAULT NULL COMMENT 'Receipt verifier (receipt source only)',
+  `product_id` VARCHAR(128) DEFAULT NULL COMMENT 'Store product (receipt source only)',
+  `external_id` VARCHAR(255) DEFAULT NULL COMMENT 'Transaction ID of the receipt (receipt source only)',
+  `granted_by` INT DEFAULT NULL COMMENT 'Admin user who assigned the plan (admin source only)',
+  `expires_at` TIMESTAMP NULL DEFAULT NULL COMMENT 'Plan end (null = no expiration)',
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+
+  UNIQUE KEY `unique_user_subscription` (`user_id`),
+  UNIQUE KEY `unique_receipt` (`provider`, `external_id`)
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='User subscriptions table - current plan of a user';
+
+CREATE TABLE IF NOT EXISTS `usage_counters` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `user_id` INT NOT NULL COMMENT 'User',
+  `usage_date` DATE NOT NULL COMMENT 'UTC day',
+  `metric` ENUM('text_messages', 'voice_seconds', 'realtime_seconds') NOT NULL COMMENT 'Counted resource',
+  `amount` INT NOT NULL DEFAULT 0 COMMENT 'Messages or seconds used on that day',
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+
+  UNIQUE KEY `unique_user_date_metric` (`user_id`, `usage_date`, `metric`)
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Usage counters table - daily usage per user and metric';
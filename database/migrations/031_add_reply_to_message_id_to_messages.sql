@@ -0,0 +1,8 @@
+-- Assistant reply deduplication migration
+-- Asistan cevabı cevapladığı kullanıcı mesajını reply_to_message_id ile tutar. Kullanıcı mesajı başına
+-- tek cevap kaydedilir: n8n webhook'u (POST /chats/webhook/reply) veya outbox aynı cevabı tekrar
+-- gönderirse yeni mesaj oluşmaz, kayıtlı cevap döner. Eski mesajlarda kolon NULL kalır.
+
+ALTER TABLE `messages`
+ADD COLUMN `reply_to_message_id` INT DEFAULT NULL COMMENT 'User message answered by this assistant message' AFTER `prompt_version`,
+ADD UNIQUE KEY `unique_reply_to_message` (`reply_to_message_id`);
@@ -0,0 +1,7 @@
+-- User timezone migration
+-- Uygulama cihazın IANA timezone'unu (örn. Europe/Istanbul) PUT /auth/profile ile kaydeder.
+-- Sohbet dökümü (GET /chats/:chatId/export) zamanları varsayılan olarak bu timezone'da yazar,
+-- kayıt yoksa UTC kullanılır.
+
+ALTER TABLE `users`
+ADD COLUMN `timezone` VARCHAR(64) DEFAULT NULL COMMENT 'IANA timezone of the user device (e.g., Europe/Istanbul)' AFTER `native_lang`;
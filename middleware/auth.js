@@ -1,80 +1,45 @@
 /**
  * Authentication Middleware
- * JWT token verification with Stateful JWT (database check)
+ * HTTP adapter for TokenAuthService (Stateful JWT)
  */
 
-const jwt = require('jsonwebtoken');
-const UserService = require('../services/userService');
-const TokenRepository = require('../repositories/TokenRepository');
+const TokenAuthService = require('../services/tokenAuthService');
 
 /**
  * Verify JWT token and attach user to request
  */
 const authenticate = async (req, res, next) => {
   try {
-    // Get token from header
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        error: 'No token provided. Please provide a valid JWT token in Authorization header.'
-      });
-    }
-
-    const token = authHeader.split(' ')[1];
+    const token = TokenAuthService.extractBearerToken(req.headers.authorization);
 
     if (!token) {
       return res.status(401).json({
         success: false,
-        error: 'Token is required'
+        error: 'No token provided. Please provide a valid JWT token in Authorization header.',
+        code: TokenAuthService.AUTH_ERROR_CODES.TOKEN_MISSING
       });
     }
 
-    // Verify token
-    let decoded;
-    try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
-    } catch (error) {
-      if (error.name === 'TokenExpiredError') {
-        return res.status(401).json({
-          success: false,
-          error: 'Token has expired'
-        });
-      } else if (error.name === 'JsonWebTokenError') {
-        return res.status(401).json({
-          success: false,
-          error: 'Invalid token'
-        });
-      }
-      throw error;
-    }
+    const auth = await TokenAuthService.authenticate(token);
 
-    // Check if token exists in database and is not revoked (Stateful JWT)
-    const tokenValid = await TokenRepository.isValid(token);
-    if (!tokenValid) {
-      return res.status(401).json({
-        success: false,
-        error: 'Token has been revoked or does not exist in database'
-      });
-    }
+    // Attach user to request
+    req.user = auth.user;
+    req.userId = auth.userId;
+    req.token = auth.token;
+    req.tokenFamilyId = auth.familyId;
+    req.roles = auth.roles;
+    req.permissions = auth.permissions;
 
-    // Get user from database
-    const user = await UserService.getUserById(decoded.userId);
-    
-    if (!user) {
+    next();
+  } catch (error) {
+    if (error.name === 'AuthenticationError') {
       return res.status(401).json({
         success: false,
-        error: 'User not found'
+        error: error.message,
+        code: error.code
       });
     }
 
-    // Attach user to request
-    req.user = user;
-    req.userId = decoded.userId;
-    
-    next();
-  } catch (error) {
     console.error('Authentication error:', error);
     return res.status(500).json({
       success: false,
@@ -88,42 +53,27 @@ const authenticate = async (req, res, next) => {
  * Still checks database if token is provided (Stateful JWT)
  */
 const optionalAuthenticate = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      const token = authHeader.split(' ')[1];
-      
-      try {
-        // Verify JWT signature first
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        
-        // Check database (Stateful JWT)
-        const tokenValid = await TokenRepository.isValid(token);
-        if (!tokenValid) {
-          // Token revoked or not in database, skip authentication
-          return next();
-        }
-        
-        const user = await UserService.getUserById(decoded.userId);
-        
-        if (user) {
-          req.user = user;
-          req.userId = decoded.userId;
-        }
-      } catch (error) {
-        // Ignore token errors for optional auth
-      }
+  const token = TokenAuthService.extractBearerToken(req.headers.authorization);
+
+  if (token) {
+    try {
+      const auth = await TokenAuthService.authenticate(token);
+
+      req.user = auth.user;
+      req.userId = auth.userId;
+      req.token = auth.token;
+      req.tokenFamilyId = auth.familyId;
+      req.roles = auth.roles;
+      req.permissions = auth.permissions;
+    } catch (error) {
+      // Ignore token errors for optional auth
     }
-    
-    next();
-  } catch (error) {
-    next();
   }
+
+  next();
 };
 
 module.exports = {
   authenticate,
   optionalAuthenticate
 };
-
@@ -0,0 +1,47 @@
+/**
+ * Authorization Middleware
+ * Role and permission checks - must be used after authenticate
+ */
+
+const { getPermissionsForRoles } = require('../config/roles');
+
+/**
+ * Require at least one of the given roles
+ * @param {...string} roles - Allowed role names
+ * @returns {Function} Express middleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  const userRoles = req.roles || [];
+
+  if (!roles.some(role => userRoles.includes(role))) {
+    return res.status(403).json({
+      success: false,
+      error: 'Access denied. Insufficient role.'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Require all of the given permissions
+ * @param {...string} permissions - Required permission names
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  const userPermissions = req.permissions || getPermissionsForRoles(req.roles || []);
+
+  if (!permissions.every(permission => userPermissions.includes(permission))) {
+    return res.status(403).json({
+      success: false,
+      error: 'Access denied. Insufficient permissions.'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireRole,
+  requirePermission
+};
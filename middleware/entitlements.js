@@ -0,0 +1,163 @@
+/**
+ * Entitlements Middleware
+ * HTTP adapter for EntitlementService (plan consultants and daily quotas)
+ *
+ * İstek plan dışı bir consultant'a giderse 403, günlük kota dolmuşsa 429 döner (Retry-After: kotanın
+ * sıfırlanmasına kalan saniye). Kullanım istek çalışmadan önce ayrılır (eşzamanlı istekler kotayı aşamaz),
+ * response 2xx değilse veya istek yarıda kalırsa iade edilir.
+ * authenticate'ten, multipart isteklerde upload'dan ve idempotent'ten sonra kullanılmalıdır
+ * (tekrar oynatılan istekler tekrar sayılmaz). 403/429 response'ları Idempotency-Key altında saklanmaz,
+ * key serbest bırakılır.
+ */
+
+const EntitlementService = require('../services/entitlementService');
+const BunnyCDNService = require('../services/bunnyCDNService');
+const { getVoiceBytesPerSecond } = require('../config/entitlements');
+const { getAudioDuration } = require('../utils/audioDuration');
+
+/**
+ * Enforce plan entitlements on a route
+ * @param {Function} resolveUsage - async (req) => { consultantId, metric, amount }
+ * @returns {Function} Express middleware
+ */
+const enforceEntitlements = resolveUsage => async (req, res, next) => {
+  try {
+    const { consultantId, metric, amount } = await resolveUsage(req);
+
+    // Invalid consultant IDs are rejected by the route itself
+    if (consultantId) {
+      await EntitlementService.checkConsultant(req.userId, consultantId);
+    }
+    const reservation = await EntitlementService.reserveUsage(req.userId, metric, amount);
+
+    let settled = false;
+    const settle = succeeded => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+
+      if (!succeeded) {
+        EntitlementService.refundUsage(req.userId, reservation).catch(error => {
+          console.error('⚠️ Failed to refund usage:', error.message);
+        });
+      }
+    };
+
+    res.on('finish', () => settle(res.statusCode >= 200 && res.statusCode < 300));
+    res.on('close', () => settle(false));
+
+    next();
+  } catch (error) {
+    if (error.code === 'QUOTA_EXCEEDED' || error.code === 'CONSULTANT_NOT_IN_PLAN') {
+      return sendEntitlementError(res, error);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Usage of POST /chats/send (voice messages count voice minutes, text and image messages count messages)
+ * Voice length is read from the audio file (uploaded file, or the voiceURL file on our CDN)
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { consultantId, metric, amount }
+ * @throws {Error} ValidationError if a voiceURL is not on our CDN or can't be downloaded
+ */
+async function chatMessageUsage(req) {
+  const consultantId = parseInt(req.body.consultantId) || null;
+  const voiceFile = req.files && req.files['voice'] ? req.files['voice'][0] : null;
+
+  if (voiceFile) {
+    return { consultantId, metric: 'voice_seconds', amount: getAudioSeconds(voiceFile.buffer) };
+  }
+
+  // voiceURL is validated by the route
+  if (req.body.isVoiceMessage === true && typeof req.body.voiceURL === 'string' && req.body.voiceURL.trim()) {
+    return { consultantId, metric: 'voice_seconds', amount: getAudioSeconds(await downloadVoice(req.body.voiceURL.trim())) };
+  }
+
+  return { consultantId, metric: 'text_messages', amount: 1 };
+}
+
+/**
+ * Usage of POST /video-call (recording length counts realtime call minutes)
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { consultantId, metric, amount }
+ */
+async function callAudioUsage(req) {
+  return {
+    consultantId: parseInt(req.body.consultantId) || null,
+    metric: 'realtime_seconds',
+    amount: req.file ? getAudioSeconds(req.file.buffer) : 0
+  };
+}
+
+/**
+ * Download a voice message sent by URL
+ * @param {string} voiceURL - Voice file URL
+ * @returns {Promise<Buffer>} Voice file
+ * @throws {Error} ValidationError if the URL is not on our CDN or can't be downloaded
+ */
+async function downloadVoice(voiceURL) {
+  let buffer;
+  try {
+    buffer = await BunnyCDNService.downloadFile(voiceURL);
+  } catch (error) {
+    throw createValidationError('voiceURL could not be downloaded');
+  }
+
+  if (!buffer) {
+    throw createValidationError('voiceURL must point to a file on our CDN (or upload the voice file instead)');
+  }
+  return buffer;
+}
+
+/**
+ * Get length of an audio file
+ * Files whose duration can't be read are estimated from their size (VOICE_BYTES_PER_SECOND)
+ * @param {Buffer} buffer - Audio file
+ * @returns {number} Seconds (at least 1)
+ */
+function getAudioSeconds(buffer) {
+  const duration = getAudioDuration(buffer);
+  const seconds = duration !== null ? duration : buffer.length / getVoiceBytesPerSecond();
+  return Math.max(1, Math.ceil(seconds));
+}
+
+/**
+ * Send 403 / 429 response of an entitlement error
+ * The Idempotency-Key is released, the same key can be retried once the quota or plan allows it
+ * @param {Object} res - Express response
+ * @param {Error} error - Error from EntitlementService
+ */
+function sendEntitlementError(res, error) {
+  if (error.resetsAt) {
+    const seconds = Math.ceil((new Date(error.resetsAt).getTime() - Date.now()) / 1000);
+    res.set('Retry-After', String(Math.max(1, seconds)));
+  }
+  res.locals.releaseIdempotencyKey = true;
+
+  res.status(error.status).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    plan: error.plan,
+    ...(error.metric && { metric: error.metric, resetsAt: error.resetsAt })
+  });
+}
+
+/**
+ * Create validation error (400)
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function createValidationError(message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+}
+
+module.exports = {
+  enforceChatQuota: enforceEntitlements(chatMessageUsage),
+  enforceCallQuota: enforceEntitlements(callAudioUsage)
+};
@@ -18,7 +18,8 @@ const errorHandler = (err, req, res, next) => {
   if (err.name === 'AuthenticationError') {
     return res.status(401).json({
       success: false,
-      error: err.message || 'Authentication failed'
+      error: err.message || 'Authentication failed',
+      code: err.code
     });
   }
 
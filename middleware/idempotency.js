@@ -0,0 +1,134 @@
+/**
+ * Idempotency Middleware
+ * HTTP adapter for IdempotencyService
+ *
+ * Idempotency-Key header'ı gönderilirse (opsiyonel) aynı key ile gelen tekrar istekler handler'ı
+ * yeniden çalıştırmaz, ilk isteğin response'u döner (Idempotent-Replayed: true header'ı ile).
+ * authenticate'ten sonra, multipart isteklerde upload middleware'inden sonra kullanılmalıdır
+ * (dosyalar request fingerprint'ine dahildir). Sonraki bir middleware res.locals.releaseIdempotencyKey = true
+ * ile response'un saklanmasını engelleyebilir (örn. kota reddi: kota açılınca aynı key ile tekrar denenebilir).
+ */
+
+const crypto = require('crypto');
+const IdempotencyService = require('../services/idempotencyService');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Make a mutating route idempotent for requests with an Idempotency-Key header
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  try {
+    const result = await IdempotencyService.begin(req.userId, key, hashRequest(req));
+
+    if (result.state === 'mismatch') {
+      return res.status(422).json({
+        success: false,
+        error: 'Idempotency-Key was already used for a different request'
+      });
+    }
+
+    if (result.state === 'processing') {
+      res.set('Retry-After', '1');
+      return res.status(409).json({
+        success: false,
+        error: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+
+    if (result.state === 'completed') {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(result.status).json(result.body);
+    }
+
+    captureResponse(res, result.id);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Store the JSON response when the request finishes
+ * (5xx, non-JSON, aborted or res.locals.releaseIdempotencyKey requests release the key)
+ * @param {Object} res - Express response
+ * @param {number} id - Key ID
+ */
+function captureResponse(res, id) {
+  const json = res.json.bind(res);
+  let body;
+  let settled = false;
+
+  res.json = data => {
+    body = data;
+    return json(data);
+  };
+
+  const settle = finished => {
+    if (settled) {
+      return;
+    }
+    settled = true;
+
+    const store = finished && body !== undefined && res.statusCode < 500 && !res.locals.releaseIdempotencyKey;
+    const operation = store
+      ? IdempotencyService.complete(id, res.statusCode, body)
+      : IdempotencyService.release(id);
+
+    operation.catch(error => {
+      console.error('⚠️ Failed to record idempotent response:', error.message);
+    });
+  };
+
+  res.on('finish', () => settle(true));
+  res.on('close', () => settle(res.writableFinished));
+}
+
+/**
+ * Fingerprint of a request (method, path, body and uploaded files)
+ * @param {Object} req - Express request
+ * @returns {string} SHA-256 hex digest
+ */
+function hashRequest(req) {
+  const files = [];
+  const addFile = file => {
+    files.push({
+      field: file.fieldname,
+      name: file.originalname,
+      size: file.size,
+      sha256: file.buffer ? crypto.createHash('sha256').update(file.buffer).digest('hex') : null
+    });
+  };
+
+  if (req.file) {
+    addFile(req.file);
+  }
+  if (req.files) {
+    const list = Array.isArray(req.files) ? req.files : Object.values(req.files).flat();
+    list.forEach(addFile);
+  }
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      method: req.method,
+      path: req.baseUrl + req.path,
+      body: req.body || {},
+      files
+    }))
+    .digest('hex');
+}
+
+module.exports = { idempotent };
@@ -3,6 +3,8 @@
  * Profil tamamlama için request validation
  */
 
+const { isValidTimezone } = require('../utils/timezone');
+
 const validateProfileCompletion = (req, res, next) => {
   const { body } = req;
   const errors = [];
@@ -34,6 +36,13 @@ const validateProfileCompletion = (req, res, next) => {
     }
   }
 
+  // Timezone validation (device timezone, used by chat exports)
+  if (body.timezone !== undefined && body.timezone !== null) {
+    if (!isValidTimezone(body.timezone)) {
+      errors.push('Timezone must be an IANA timezone (e.g., Europe/Istanbul)');
+    }
+  }
+
   // AnswerData validation
   if (body.answerData !== undefined && body.answerData !== null) {
     if (typeof body.answerData !== 'object') {
@@ -54,7 +54,25 @@ const validateAuthRequest = (req, res, next) => {
   }
 };
 
+/**
+ * Validate account link request (guest -> provider)
+ * Guest provider'ına link yapılamaz
+ */
+const validateLinkRequest = (req, res, next) => {
+  const { provider } = req.params;
+
+  if (!provider || !['google', 'facebook', 'apple'].includes(provider)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid provider. Must be one of: google, facebook, apple'
+    });
+  }
+
+  return validateAuthRequest(req, res, next);
+};
+
 module.exports = {
   validateAuthRequest,
+  validateLinkRequest,
 };
 
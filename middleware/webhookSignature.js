@@ -0,0 +1,68 @@
+/**
+ * Webhook Signature Middleware
+ * Verifies HMAC-SHA256 signed requests from the n8n assistant workflow
+ *
+ * Headers:
+ *   X-Webhook-Timestamp: Unix time in seconds
+ *   X-Webhook-Signature: sha256=<hex HMAC of "<timestamp>.<raw body>" with ASSISTANT_WEBHOOK_SECRET>
+ */
+
+const crypto = require('crypto');
+
+// Requests older/newer than this are rejected (replay protection)
+const MAX_CLOCK_SKEW_SECONDS = 5 * 60;
+
+/**
+ * Verify webhook signature
+ */
+const verifyWebhookSignature = (req, res, next) => {
+  const secret = process.env.ASSISTANT_WEBHOOK_SECRET;
+
+  if (!secret) {
+    console.error('❌ ASSISTANT_WEBHOOK_SECRET is not configured, rejecting webhook request');
+    return res.status(503).json({
+      success: false,
+      error: 'Webhook is not configured'
+    });
+  }
+
+  const timestamp = parseInt(req.headers['x-webhook-timestamp']);
+  const signatureHeader = req.headers['x-webhook-signature'] || '';
+
+  if (isNaN(timestamp) || !signatureHeader.startsWith('sha256=')) {
+    return res.status(401).json({
+      success: false,
+      error: 'Missing webhook signature'
+    });
+  }
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > MAX_CLOCK_SKEW_SECONDS) {
+    return res.status(401).json({
+      success: false,
+      error: 'Webhook timestamp is too old'
+    });
+  }
+
+  const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+  const received = signatureHeader.slice('sha256='.length);
+
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const receivedBuffer = Buffer.from(received, 'hex');
+
+  if (expectedBuffer.length !== receivedBuffer.length || !crypto.timingSafeEqual(expectedBuffer, receivedBuffer)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid webhook signature'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  verifyWebhookSignature
+};
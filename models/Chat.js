@@ -11,6 +11,9 @@ class Chat {
     this.createdDate = data.createdDate || data.created_date || '';
     this.lastMessage = data.lastMessage || data.last_message || null;
     this.lastMessageDate = data.lastMessageDate || data.last_message_date || null;
+    this.lastReadMessageId = data.lastReadMessageId || data.last_read_message_id || null;
+    // Assistant messages after lastReadMessageId (null when not computed, e.g. sync)
+    this.unreadCount = data.unreadCount !== undefined ? data.unreadCount : (data.unread_count !== undefined ? Number(data.unread_count) : null);
   }
 
   /**
@@ -23,7 +26,9 @@ class Chat {
       userId: this.userId,
       createdDate: this.createdDate,
       lastMessage: this.lastMessage,
-      lastMessageDate: this.lastMessageDate
+      lastMessageDate: this.lastMessageDate,
+      lastReadMessageId: this.lastReadMessageId,
+      unreadCount: this.unreadCount
     };
   }
 
@@ -37,7 +42,9 @@ class Chat {
       userId: this.userId,
       createdDate: this.createdDate,
       lastMessage: this.lastMessage,
-      lastMessageDate: this.lastMessageDate
+      lastMessageDate: this.lastMessageDate,
+      lastReadMessageId: this.lastReadMessageId,
+      unreadCount: this.unreadCount
     };
   }
 }
@@ -0,0 +1,36 @@
+/**
+ * ChatSummary Model
+ * Represents the rolling summary of older messages of a thread (conversation memory)
+ */
+
+class ChatSummary {
+  constructor({
+    threadId = null,
+    summary = '',
+    summarizedUntilMessageId = 0,
+    summarizedMessageCount = 0,
+    updatedAt = null
+  }) {
+    this.threadId = threadId;
+    this.summary = summary;
+    this.summarizedUntilMessageId = summarizedUntilMessageId;
+    this.summarizedMessageCount = summarizedMessageCount;
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * Convert to JSON format (for API responses)
+   * @returns {Object} JSON representation
+   */
+  toJSON() {
+    return {
+      threadId: this.threadId,
+      summary: this.summary,
+      summarizedUntilMessageId: this.summarizedUntilMessageId,
+      summarizedMessageCount: this.summarizedMessageCount,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = ChatSummary;
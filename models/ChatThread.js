@@ -0,0 +1,51 @@
+/**
+ * ChatThread Model
+ * Represents a conversation (thread/session/topic) under a user-consultant chat
+ */
+
+class ChatThread {
+  constructor(data) {
+    this.threadId = data.threadId || data.id;
+    this.chatId = data.chatId || data.chat_id;
+    this.title = data.title || null;
+    this.isDefault = data.isDefault !== undefined ? !!data.isDefault : !!data.is_default;
+    this.lastMessage = data.lastMessage || data.last_message || null;
+    this.lastMessageDate = data.lastMessageDate || data.last_message_date || null;
+    this.archivedAt = data.archivedAt || data.archived_at || null;
+    this.createdDate = data.createdDate || data.created_at || null;
+  }
+
+  /**
+   * Check if thread is archived
+   * @returns {boolean} True if archived
+   */
+  isArchived() {
+    return !!this.archivedAt;
+  }
+
+  /**
+   * Convert to JSON format (for API responses)
+   */
+  toJSON() {
+    return {
+      threadId: this.threadId,
+      chatId: this.chatId,
+      title: this.title,
+      isDefault: this.isDefault,
+      lastMessage: this.lastMessage,
+      lastMessageDate: this.lastMessageDate,
+      archived: this.isArchived(),
+      archivedAt: this.archivedAt,
+      createdDate: this.createdDate
+    };
+  }
+
+  /**
+   * Convert to Flutter ChatThreadModel format
+   */
+  toFlutterFormat() {
+    return this.toJSON();
+  }
+}
+
+module.exports = ChatThread;
@@ -3,6 +3,8 @@
  * Represents a consultant in the system
  */
 
+const crypto = require('crypto');
+
 class Consultant {
   constructor(data) {
     this.id = data.id;
@@ -17,6 +19,17 @@ class Consultant {
     this.job = data.job || '';
   }
 
+  /**
+   * Get version of the main prompt (changes whenever the prompt text changes)
+   * @returns {string|null} First 12 hex characters of the prompt's SHA-256, or null without prompt
+   */
+  getPromptVersion() {
+    if (!this.mainPrompt) {
+      return null;
+    }
+    return crypto.createHash('sha256').update(this.mainPrompt).digest('hex').slice(0, 12);
+  }
+
   /**
    * Convert to JSON format (for API responses)
    */
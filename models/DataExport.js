@@ -0,0 +1,47 @@
+/**
+ * DataExport Model
+ * Represents a personal data export job (GDPR/KVKK)
+ */
+
+class DataExport {
+  constructor({
+    id = null,
+    userId = null,
+    status = 'pending',
+    filePath = null,
+    fileSize = null,
+    errorMessage = null,
+    expiresAt = null,
+    completedAt = null,
+    createdAt = null
+  }) {
+    this.id = id;
+    this.userId = userId;
+    this.status = status; // 'pending', 'processing', 'completed', 'failed'
+    this.filePath = filePath;
+    this.fileSize = fileSize;
+    this.errorMessage = errorMessage;
+    this.expiresAt = expiresAt;
+    this.completedAt = completedAt;
+    this.createdAt = createdAt;
+  }
+
+  /**
+   * Convert to JSON format (for API responses)
+   * filePath is not exposed to clients
+   * @returns {Object} JSON representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      status: this.status,
+      fileSize: this.fileSize,
+      errorMessage: this.errorMessage,
+      expiresAt: this.expiresAt,
+      completedAt: this.completedAt,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = DataExport;
@@ -7,6 +7,7 @@ class Message {
   constructor(data) {
     this.messageId = data.messageId || data.id;
     this.chatId = data.chatId || data.chat_id;
+    this.threadId = data.threadId || data.thread_id || null;
     this.senderId = data.senderId || data.sender_id;
     this.sender = data.sender || 'user'; // "user" or "assistant"
     this.message = data.message || '';
@@ -17,6 +18,18 @@ class Message {
     this.voiceURL = data.voiceURL || data.voice_url || null;
     this.imageContent = data.imageContent || data.image_content || null;
     this.voiceMessageContent = data.voiceMessageContent || data.voice_message_content || null;
+    this.promptVersion = data.promptVersion || data.prompt_version || null; // Assistant messages only
+    this.replyToMessageId = data.replyToMessageId || data.reply_to_message_id || null; // Assistant messages only
+    this.editedAt = data.editedAt || data.edited_at || null;
+    this.deletedAt = data.deletedAt || data.deleted_at || null; // Tombstone: content is cleared
+  }
+
+  /**
+   * Check if message was deleted by the user
+   * @returns {boolean} True if deleted
+   */
+  isDeleted() {
+    return !!this.deletedAt;
   }
 
   /**
@@ -26,6 +39,7 @@ class Message {
     return {
       messageId: this.messageId,
       chatId: this.chatId,
+      threadId: this.threadId,
       senderId: this.senderId,
       sender: this.sender,
       message: this.message,
@@ -35,7 +49,11 @@ class Message {
       isVoiceMessage: this.isVoiceMessage,
       voiceURL: this.voiceURL,
       imageContent: this.imageContent,
-      voiceMessageContent: this.voiceMessageContent
+      voiceMessageContent: this.voiceMessageContent,
+      promptVersion: this.promptVersion,
+      replyToMessageId: this.replyToMessageId,
+      editedAt: this.editedAt,
+      deletedAt: this.deletedAt
     };
   }
 
@@ -46,6 +64,7 @@ class Message {
     return {
       messageId: this.messageId,
       chatId: this.chatId,
+      threadId: this.threadId,
       senderId: this.senderId,
       sender: this.sender,
       message: this.message,
@@ -55,7 +74,9 @@ class Message {
       isVoiceMessage: this.isVoiceMessage,
       voiceURL: this.voiceURL,
       imageContent: this.imageContent,
-      voiceMessageContent: this.voiceMessageContent
+      voiceMessageContent: this.voiceMessageContent,
+      editedAt: this.editedAt,
+      deletedAt: this.deletedAt
     };
   }
 }
@@ -0,0 +1,57 @@
+/**
+ * OutboxEntry Model
+ * Represents a pending/finished assistant delivery (assistant_outbox)
+ */
+
+class OutboxEntry {
+  constructor({
+    id = null,
+    messageId = null,
+    chatId = null,
+    consultantId = null,
+    payload = null,
+    status = 'pending',
+    attempts = 0,
+    lastError = null,
+    nextAttemptAt = null,
+    lastAttemptAt = null,
+    deliveredAt = null,
+    createdAt = null
+  }) {
+    this.id = id;
+    this.messageId = messageId;
+    this.chatId = chatId;
+    this.consultantId = consultantId;
+    this.payload = payload;
+    this.status = status; // 'pending', 'processing', 'delivered', 'dead'
+    this.attempts = attempts;
+    this.lastError = lastError;
+    this.nextAttemptAt = nextAttemptAt;
+    this.lastAttemptAt = lastAttemptAt;
+    this.deliveredAt = deliveredAt;
+    this.createdAt = createdAt;
+  }
+
+  /**
+   * Convert to JSON format (for API responses)
+   * Payload is not included (contains chat history)
+   * @returns {Object} JSON representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      messageId: this.messageId,
+      chatId: this.chatId,
+      consultantId: this.consultantId,
+      status: this.status,
+      attempts: this.attempts,
+      lastError: this.lastError,
+      nextAttemptAt: this.nextAttemptAt,
+      lastAttemptAt: this.lastAttemptAt,
+      deliveredAt: this.deliveredAt,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = OutboxEntry;
@@ -5,6 +5,7 @@ class User {
     this.credentialData = data.credentialData;
     this.username = data.username;
     this.nativeLang = data.nativeLang || null;
+    this.timezone = data.timezone || null; // IANA timezone of the device
     this.gender = data.gender || 'unknown';
     this.answerData = data.answerData || null;
     this.lastPsychologicalProfile = data.lastPsychologicalProfile || null;
@@ -15,6 +16,16 @@ class User {
     this.generalProfile = data.generalProfile || null;
     this.generalPsychologicalProfile = data.generalPsychologicalProfile || null;
     this.profilePhotoUrl = data.profilePhotoUrl || null;
+    this.deletionRequestedAt = data.deletionRequestedAt || null; // Pending deletion (soft delete)
+    this.deletionScheduledAt = data.deletionScheduledAt || null;
+  }
+
+  /**
+   * Check if account deletion was requested and the account is waiting to be purged
+   * @returns {boolean} True if pending deletion
+   */
+  isPendingDeletion() {
+    return this.deletionRequestedAt !== null;
   }
 
   toJSON() {
@@ -24,6 +35,7 @@ class User {
       credentialData: this.credentialData,
       username: this.username,
       nativeLang: this.nativeLang,
+      timezone: this.timezone,
       gender: this.gender,
       answerData: this.answerData,
       lastPsychologicalProfile: this.lastPsychologicalProfile,
@@ -0,0 +1,39 @@
+/**
+ * UserIdentity Model
+ * Represents a sign-in provider identity linked to a user
+ */
+
+class UserIdentity {
+  constructor({
+    id = null,
+    userId = null,
+    provider = null,
+    providerUserId = null,
+    email = null,
+    createdAt = null
+  }) {
+    this.id = id;
+    this.userId = userId;
+    this.provider = provider; // 'google', 'facebook', 'apple', 'guest'
+    this.providerUserId = providerUserId;
+    this.email = email;
+    this.createdAt = createdAt;
+  }
+
+  /**
+   * Convert to JSON format (for API responses)
+   * providerUserId is not exposed to clients
+   * @returns {Object} JSON representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      provider: this.provider,
+      email: this.email,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = UserIdentity;
@@ -153,76 +153,76 @@ class OpenAIRealtimeClient extends EventEmitter {
 
           case 'session.updated':
             console.log(`[OPENAI] 📊 Session updated event received`);
-            this.emit('session_updated', event);
+            this.emit('session_updated', event, ws);
             break;
 
           case 'conversation.item.created':
             console.log(`[OPENAI] 💬 Conversation item created`);
-            this.emit('conversation_item_created', event);
+            this.emit('conversation_item_created', event, ws);
             break;
 
           case 'conversation.item.input_audio_transcript.completed':
             console.log(`[OPENAI] 🎤 Input audio transcript completed`);
-            this.emit('transcript_completed', event);
+            this.emit('transcript_completed', event, ws);
             break;
 
           case 'response.audio_transcript.delta':
             console.log(`[OPENAI] 🎙️ Audio transcript delta received`);
-            this.emit('audio_transcript_delta', event);
+            this.emit('audio_transcript_delta', event, ws);
             break;
 
           case 'response.audio_transcript.done':
             console.log(`[OPENAI] ✅ Audio transcript done`);
-            this.emit('audio_transcript_done', event);
+            this.emit('audio_transcript_done', event, ws);
             break;
 
           case 'response.text.delta':
             // AI is generating text - emit for ElevenLabs TTS
             const delta = event.delta || '';
             console.log(`[OPENAI] 📝 Text delta received: "${delta.substring(0, 50)}${delta.length > 50 ? '...' : ''}"`);
-            this.emit('text_delta', event);
+            this.emit('text_delta', event, ws);
             break;
 
           case 'response.text.done':
             console.log(`[OPENAI] ✅ Text generation done`);
-            this.emit('text_done', event);
+            this.emit('text_done', event, ws);
             break;
 
           case 'response.audio.delta':
             // AI audio output (if using OpenAI TTS, but we use ElevenLabs)
             console.log(`[OPENAI] 🎵 Audio delta received (not used - using ElevenLabs)`);
-            this.emit('audio_delta', event);
+            this.emit('audio_delta', event, ws);
             break;
 
           case 'response.audio.done':
             console.log(`[OPENAI] ✅ Audio done`);
-            this.emit('audio_done', event);
+            this.emit('audio_done', event, ws);
             break;
 
           case 'response.output_item.added':
             console.log(`[OPENAI] ➕ Output item added`);
-            this.emit('output_item_added', event);
+            this.emit('output_item_added', event, ws);
             break;
 
           case 'response.output_item.done':
             console.log(`[OPENAI] ✅ Output item done`);
-            this.emit('output_item_done', event);
+            this.emit('output_item_done', event, ws);
             break;
 
           case 'response.done':
             console.log(`[OPENAI] ✅ Response complete`);
-            this.emit('response_done', event);
+            this.emit('response_done', event, ws);
             break;
 
           case 'response.interrupted':
             // Barge-in occurred
             console.log(`[OPENAI] ⚠️ Response interrupted (barge-in)`);
-            this.emit('response_interrupted', event);
+            this.emit('response_interrupted', event, ws);
             break;
 
           case 'error':
             console.error(`[OPENAI] ❌ API error:`, event);
-            this.emit('error', event);
+            this.emit('error', event, ws);
             break;
 
           default:
@@ -231,20 +231,20 @@ class OpenAIRealtimeClient extends EventEmitter {
         }
       } catch (error) {
         console.error('Error parsing OpenAI message:', error);
-        this.emit('error', error);
+        this.emit('error', error, ws);
       }
     });
 
     // Handle WebSocket errors
     ws.on('error', (error) => {
       console.error('OpenAI Realtime WebSocket error:', error);
-      this.emit('error', error);
+      this.emit('error', error, ws);
     });
 
     // Handle WebSocket close
     ws.on('close', (code, reason) => {
       console.log(`[OPENAI] 🔌 WebSocket closed - Code: ${code}, Reason: ${reason?.toString() || 'No reason'}`);
-      this.emit('close');
+      this.emit('close', ws);
     });
   }
 
@@ -275,7 +275,7 @@ class OpenAIRealtimeClient extends EventEmitter {
       }
     } catch (error) {
       console.error(`[OPENAI] ❌ Error sending audio input:`, error);
-      this.emit('error', error);
+      this.emit('error', error, session);
     }
   }
 
@@ -296,7 +296,7 @@ class OpenAIRealtimeClient extends EventEmitter {
       }));
     } catch (error) {
       console.error(`[OPENAI] ❌ Error signaling audio input done:`, error);
-      this.emit('error', error);
+      this.emit('error', error, session);
     }
   }
 
@@ -318,7 +318,7 @@ class OpenAIRealtimeClient extends EventEmitter {
       console.log(`[OPENAI] ✅ Cancel request sent`);
     } catch (error) {
       console.error(`[OPENAI] ❌ Error canceling response:`, error);
-      this.emit('error', error);
+      this.emit('error', error, session);
     }
   }
 
@@ -344,7 +344,7 @@ class OpenAIRealtimeClient extends EventEmitter {
       console.log(`[OPENAI] 📤 Sent response.create to OpenAI - AI will respond using current session instructions`);
     } catch (error) {
       console.error(`[OPENAI] ❌ Error creating response:`, error);
-      this.emit('error', error);
+      this.emit('error', error, session);
     }
   }
 
@@ -372,7 +372,7 @@ class OpenAIRealtimeClient extends EventEmitter {
       console.log(`[OPENAI] 📝 Updated session instructions: ${instructions.substring(0, 100)}...`);
     } catch (error) {
       console.error(`[OPENAI] ❌ Error updating session instructions:`, error);
-      this.emit('error', error);
+      this.emit('error', error, session);
     }
   }
 
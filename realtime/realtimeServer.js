@@ -10,14 +10,17 @@
  */
 
 const WebSocket = require('ws');
-const jwt = require('jsonwebtoken');
-const UserService = require('../services/userService');
-const TokenRepository = require('../repositories/TokenRepository');
+const TokenAuthService = require('../services/tokenAuthService');
 const ConsultantService = require('../services/consultantService');
 const StateManager = require('./stateManager');
 const AudioProcessor = require('./audioProcessor');
 const OpenAIRealtimeClient = require('./openaiRealtimeClient');
 const ElevenLabsStreamingClient = require('./elevenLabsStreamingClient');
+const SafetyService = require('../services/safetyService');
+const EntitlementService = require('../services/entitlementService');
+
+// Realtime call minutes are recorded and checked against the daily quota this often while a call runs
+const CALL_USAGE_CHECK_SECONDS = 60;
 
 class RealtimeServer {
   constructor(port = 3001) {
@@ -25,6 +28,7 @@ class RealtimeServer {
     this.wss = null;
     this.silenceThreshold = 0.005; // RMS threshold for silence detection
     this.silenceDurationMs = 1000; // 1 second of silence to trigger processing
+    this.callUsage = new Map(); // connectionId -> { userId, startedAt, recordedSeconds, timer } (realtime call minutes)
   }
 
   /**
@@ -95,13 +99,20 @@ class RealtimeServer {
 
       console.log(`[REALTIME] ✅ Consultant found - Voice ID: ${consultant.voiceId}, Name: ${consultant.names?.tr || consultant.names?.en || 'Unknown'}`);
 
+      // Check plan entitlements (consultant in plan, realtime call minutes left today)
+      const remainingSeconds = await this.checkEntitlements(userId, consultantId);
+      if (remainingSeconds === false) {
+        ws.close(1008, 'Realtime call is not available in your plan or daily quota is used up');
+        return;
+      }
+
       // Initialize state
       console.log(`[REALTIME] 📊 Initializing state for connection: ${connectionId}`);
       StateManager.initialize(connectionId, consultantId, userId);
 
       // Initialize OpenAI Realtime session
       console.log(`[REALTIME] 🤖 Creating OpenAI Realtime session...`);
-      const user = await UserService.getUserById(userId);
+      const user = authResult.user;
       const openaiSession = await OpenAIRealtimeClient.createSession({
         instructions: consultant.mainPrompt || 'You are a helpful AI assistant.',
         language: user?.nativeLang || 'en',
@@ -113,7 +124,14 @@ class RealtimeServer {
 
       // Set up OpenAI event handlers
       console.log(`[REALTIME] 🎧 Setting up OpenAI event handlers...`);
-      this.setupOpenAIHandlers(connectionId, openaiSession.session, consultant.voiceId, ws);
+      this.setupOpenAIHandlers(
+        connectionId,
+        openaiSession.session,
+        consultant.voiceId,
+        ws,
+        user?.nativeLang || 'en',
+        consultant.mainPrompt || 'You are a helpful AI assistant.'
+      );
 
       // Send connection success
       const successMessage = {
@@ -125,6 +143,9 @@ class RealtimeServer {
       ws.send(JSON.stringify(successMessage));
       console.log(`[REALTIME] ✅ Connection established - Sent success message to client`);
 
+      // Count call minutes, end the call when the daily quota runs out
+      this.startCallUsage(connectionId, userId, remainingSeconds, ws);
+
       // Send initial greeting from AI
       // Wait a bit for session to be fully ready
       setTimeout(() => {
@@ -200,6 +221,120 @@ class RealtimeServer {
     }
   }
 
+  /**
+   * Check plan entitlements of a realtime call
+   * @param {number} userId - User ID
+   * @param {number} consultantId - Consultant ID
+   * @returns {Promise<number|null|false>} Remaining call seconds (null = unlimited), false if the call is not allowed
+   */
+  async checkEntitlements(userId, consultantId) {
+    try {
+      await EntitlementService.checkConsultant(userId, consultantId);
+      await EntitlementService.checkQuota(userId, 'realtime_seconds', 1);
+      return await EntitlementService.getRemaining(userId, 'realtime_seconds');
+    } catch (error) {
+      if (error.code !== 'QUOTA_EXCEEDED' && error.code !== 'CONSULTANT_NOT_IN_PLAN') {
+        throw error;
+      }
+      console.log(`[REALTIME] ❌ Entitlement check failed (${error.code}): ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Start counting realtime call minutes of a connection
+   * Call time is recorded while the call runs and the shared daily counter is checked again at least every
+   * CALL_USAGE_CHECK_SECONDS, so parallel calls of a user can't each use the full remaining quota
+   * @param {string} connectionId - Connection ID
+   * @param {number} userId - User ID
+   * @param {number|null} remainingSeconds - Remaining call seconds today (null = unlimited)
+   * @param {WebSocket} ws - WebSocket connection
+   */
+  startCallUsage(connectionId, userId, remainingSeconds, ws) {
+    const usage = { userId, startedAt: Date.now(), recordedSeconds: 0, timer: null };
+    this.callUsage.set(connectionId, usage);
+
+    // Unlimited plan: call length is recorded when the call ends
+    if (remainingSeconds === null) {
+      return;
+    }
+
+    const scheduleCheck = seconds => {
+      usage.timer = setTimeout(checkUsage, Math.min(seconds, CALL_USAGE_CHECK_SECONDS) * 1000);
+    };
+
+    const checkUsage = async () => {
+      try {
+        await this.recordCallUsage(connectionId, usage, false);
+        const remaining = await EntitlementService.getRemaining(userId, 'realtime_seconds');
+
+        // Call ended while recording
+        if (this.callUsage.get(connectionId) !== usage) {
+          return;
+        }
+
+        if (remaining !== null && remaining <= 0) {
+          console.log(`[REALTIME] ⏱️ [${connectionId}] Daily realtime call quota used up, ending call`);
+          if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({
+              type: 'quota_exceeded',
+              code: 'QUOTA_EXCEEDED',
+              metric: 'realtimeMinutes'
+            }));
+            ws.close(1008, 'Daily realtime call quota exceeded');
+          }
+          return;
+        }
+
+        scheduleCheck(remaining === null ? CALL_USAGE_CHECK_SECONDS : remaining);
+      } catch (error) {
+        console.error(`[REALTIME] ⚠️ [${connectionId}] Call usage check failed:`, error.message);
+        if (this.callUsage.get(connectionId) === usage) {
+          scheduleCheck(CALL_USAGE_CHECK_SECONDS);
+        }
+      }
+    };
+
+    scheduleCheck(remainingSeconds);
+  }
+
+  /**
+   * Add call time since the last record to the user's daily counter
+   * @param {string} connectionId - Connection ID
+   * @param {Object} usage - Call usage ({ userId, startedAt, recordedSeconds })
+   * @param {boolean} final - Call ended (the rest is rounded to the nearest second)
+   * @returns {Promise<void>}
+   */
+  async recordCallUsage(connectionId, usage, final) {
+    const elapsed = (Date.now() - usage.startedAt) / 1000;
+    const seconds = (final ? Math.round(elapsed) : Math.floor(elapsed)) - usage.recordedSeconds;
+    if (seconds <= 0) {
+      return;
+    }
+
+    usage.recordedSeconds += seconds;
+    await EntitlementService.recordUsage(usage.userId, 'realtime_seconds', seconds);
+  }
+
+  /**
+   * Stop counting call minutes and record the rest of the call (once per connection)
+   * @param {string} connectionId - Connection ID
+   */
+  finishCallUsage(connectionId) {
+    const usage = this.callUsage.get(connectionId);
+    if (!usage) {
+      return;
+    }
+
+    this.callUsage.delete(connectionId);
+    clearTimeout(usage.timer);
+
+    console.log(`[REALTIME] ⏱️ [${connectionId}] Call length: ${Math.ceil((Date.now() - usage.startedAt) / 1000)}s`);
+    this.recordCallUsage(connectionId, usage, true).catch(error => {
+      console.error(`[REALTIME] ⚠️ [${connectionId}] Failed to record call usage:`, error.message);
+    });
+  }
+
   /**
    * Authenticate WebSocket connection
    * @param {Object} req - HTTP request
@@ -211,36 +346,21 @@ class RealtimeServer {
       
       // Get token from query string or headers
       const url = new URL(req.url, `http://${req.headers.host}`);
-      const token = url.searchParams.get('token') || 
-                   req.headers.authorization?.replace('Bearer ', '');
+      const token = url.searchParams.get('token') ||
+                   TokenAuthService.extractBearerToken(req.headers.authorization);
 
-      if (!token) {
-        console.log(`[REALTIME] ❌ Authentication failed: No token provided`);
-        return { success: false, error: 'No token provided' };
-      }
-
-      console.log(`[REALTIME] 🔑 Token found, verifying JWT...`);
-
-      // Verify JWT token
-      let decoded;
+      let auth;
       try {
-        decoded = jwt.verify(token, process.env.JWT_SECRET);
-        console.log(`[REALTIME] ✅ JWT verified - User ID: ${decoded.userId}`);
+        auth = await TokenAuthService.authenticate(token);
+        console.log(`[REALTIME] ✅ Token verified - User ID: ${auth.userId}`);
       } catch (error) {
-        console.log(`[REALTIME] ❌ JWT verification failed:`, error.message);
-        return { success: false, error: 'Invalid token' };
-      }
-
-      // Check if token exists in database (Stateful JWT)
-      console.log(`[REALTIME] 🔍 Checking token validity in database...`);
-      const tokenValid = await TokenRepository.isValid(token);
-      if (!tokenValid) {
-        console.log(`[REALTIME] ❌ Token revoked or expired in database`);
-        return { success: false, error: 'Token has been revoked' };
+        if (error.name !== 'AuthenticationError') {
+          throw error;
+        }
+        console.log(`[REALTIME] ❌ Token verification failed (${error.code}): ${error.message}`);
+        return { success: false, error: error.message, code: error.code };
       }
 
-      console.log(`[REALTIME] ✅ Token valid in database`);
-
       // Get consultant ID from query string
       const consultantIdParam = url.searchParams.get('consultantId');
       if (!consultantIdParam) {
@@ -254,11 +374,12 @@ class RealtimeServer {
         return { success: false, error: 'Consultant ID must be a valid positive number' };
       }
 
-      console.log(`[REALTIME] ✅ Authentication successful - User: ${decoded.userId}, Consultant: ${consultantId}`);
+      console.log(`[REALTIME] ✅ Authentication successful - User: ${auth.userId}, Consultant: ${consultantId}`);
 
       return {
         success: true,
-        userId: decoded.userId,
+        userId: auth.userId,
+        user: auth.user,
         consultantId
       };
     } catch (error) {
@@ -274,8 +395,10 @@ class RealtimeServer {
    * @param {WebSocket} session - OpenAI Realtime WebSocket session
    * @param {string} voiceId - ElevenLabs voice ID
    * @param {WebSocket} ws - Client WebSocket connection
+   * @param {string} language - User's language (safety rules and crisis resources)
+   * @param {string} instructions - Session instructions (crisis protocol is appended on high risk)
    */
-  setupOpenAIHandlers(connectionId, session, voiceId, ws) {
+  setupOpenAIHandlers(connectionId, session, voiceId, ws, language, instructions) {
     const state = StateManager.getState(connectionId);
     if (!state) return;
 
@@ -284,10 +407,6 @@ class RealtimeServer {
 
     // Handle text deltas from OpenAI (AI is generating text)
     const textDeltaHandler = (event) => {
-      // Check if this event is for our connection
-      // Note: OpenAI events don't have session_id, so we handle all events
-      // This is okay since each connection has its own handler set
-      
       const textDelta = event.delta || '';
       if (textDelta && textDelta.trim()) {
         console.log(`[REALTIME] 📝 [${connectionId}] OpenAI text delta received: "${textDelta.substring(0, 100)}${textDelta.length > 100 ? '...' : ''}"`);
@@ -376,21 +495,67 @@ class RealtimeServer {
       console.log(`[REALTIME] 📤 [${connectionId}] Sent error message to client`);
     };
 
-    // Register event handlers
-    OpenAIRealtimeClient.on('text_delta', textDeltaHandler);
-    OpenAIRealtimeClient.on('text_done', textDoneHandler);
-    OpenAIRealtimeClient.on('response_done', responseDoneHandler);
-    OpenAIRealtimeClient.on('response_interrupted', responseInterruptedHandler);
-    OpenAIRealtimeClient.on('error', errorHandler);
+    // Screen user's speech (input transcription) for crisis / self-harm risk
+    // Transcript arrives after server VAD has started the reply, so the crisis protocol applies from the next reply on
+    const transcriptCompletedHandler = async (event) => {
+      try {
+        const state = StateManager.getState(connectionId);
+        if (!state || !event.transcript) return;
+
+        const assessment = await SafetyService.screen(state.userId, event.transcript, language, {
+          source: 'realtime',
+          consultantId: state.consultantId
+        });
+        const safety = SafetyService.getClientResources(assessment);
+        if (!safety) return;
+
+        if (!state._crisisProtocol) {
+          // Keep crisis protocol for the rest of the call (also when greeting instructions are restored)
+          const crisisInstructions = `${instructions}\n\n${SafetyService.getAssistantInstructions(assessment).instructions}`;
+          state._crisisProtocol = true;
+          if (state._restoreInstructionsAfterGreeting) {
+            state._originalInstructions = crisisInstructions;
+          }
+          OpenAIRealtimeClient.updateSessionInstructions(session, crisisInstructions);
+          console.log(`[REALTIME] 🚨 [${connectionId}] Crisis protocol enabled for this call`);
+        }
+
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.send(JSON.stringify({
+            type: 'safety_resources',
+            ...safety
+          }));
+          console.log(`[REALTIME] 📤 [${connectionId}] Sent safety_resources message to client`);
+        }
+      } catch (error) {
+        console.error(`[REALTIME] ❌ [${connectionId}] Safety screening error:`, error);
+      }
+    };
+
+    // OpenAIRealtimeClient is shared by every call: only handle events of this connection's session
+    const forThisSession = handler => (event, eventSession) => {
+      if (eventSession === session) {
+        return handler(event);
+      }
+    };
 
     // Store handlers for cleanup
     state._eventHandlers = {
-      textDelta: textDeltaHandler,
-      textDone: textDoneHandler,
-      responseDone: responseDoneHandler,
-      responseInterrupted: responseInterruptedHandler,
-      error: errorHandler
+      textDelta: forThisSession(textDeltaHandler),
+      textDone: forThisSession(textDoneHandler),
+      responseDone: forThisSession(responseDoneHandler),
+      responseInterrupted: forThisSession(responseInterruptedHandler),
+      error: forThisSession(errorHandler),
+      transcriptCompleted: forThisSession(transcriptCompletedHandler)
     };
+
+    // Register event handlers
+    OpenAIRealtimeClient.on('text_delta', state._eventHandlers.textDelta);
+    OpenAIRealtimeClient.on('text_done', state._eventHandlers.textDone);
+    OpenAIRealtimeClient.on('response_done', state._eventHandlers.responseDone);
+    OpenAIRealtimeClient.on('response_interrupted', state._eventHandlers.responseInterrupted);
+    OpenAIRealtimeClient.on('error', state._eventHandlers.error);
+    OpenAIRealtimeClient.on('transcript_completed', state._eventHandlers.transcriptCompleted);
   }
 
   /**
@@ -768,6 +933,8 @@ Speak in a natural, conversational tone.`;
   async cleanupConnection(connectionId, openaiSession) {
     try {
       console.log(`[REALTIME] 🧹 [${connectionId}] Starting cleanup...`);
+
+      this.finishCallUsage(connectionId);
       
       const state = StateManager.getState(connectionId);
       
@@ -791,6 +958,7 @@ Speak in a natural, conversational tone.`;
           OpenAIRealtimeClient.removeListener('response_done', state._eventHandlers.responseDone);
           OpenAIRealtimeClient.removeListener('response_interrupted', state._eventHandlers.responseInterrupted);
           OpenAIRealtimeClient.removeListener('error', state._eventHandlers.error);
+          OpenAIRealtimeClient.removeListener('transcript_completed', state._eventHandlers.transcriptCompleted);
         } catch (error) {
           console.log(`[REALTIME] ⚠️ [${connectionId}] Error removing OpenAI handlers (may already be removed):`, error.message);
         }
@@ -0,0 +1,373 @@
+/**
+ * Assistant Outbox Repository
+ * Database operations for assistant_outbox
+ */
+
+const pool = require('../config/database');
+const OutboxEntry = require('../models/OutboxEntry');
+
+class AssistantOutboxRepository {
+  /**
+   * Map database row to OutboxEntry model
+   * @param {Object} row - Database row
+   * @returns {OutboxEntry} OutboxEntry instance
+   */
+  static mapRowToEntry(row) {
+    const toISOString = value => (value ? new Date(value).toISOString() : null);
+
+    return new OutboxEntry({
+      id: row.id,
+      messageId: row.message_id,
+      chatId: row.chat_id,
+      consultantId: row.consultant_id,
+      payload: typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload,
+      status: row.status,
+      attempts: row.attempts,
+      lastError: row.last_error,
+      nextAttemptAt: toISOString(row.next_attempt_at),
+      lastAttemptAt: toISOString(row.last_attempt_at),
+      deliveredAt: toISOString(row.delivered_at),
+      createdAt: toISOString(row.created_at)
+    });
+  }
+
+  /**
+   * Create a pending delivery
+   * @param {Object} entry - Entry data
+   * @param {number} entry.messageId - User message ID
+   * @param {number} entry.chatId - Chat ID
+   * @param {number} entry.consultantId - Consultant ID
+   * @param {Object} entry.payload - Assistant request payload
+   * @param {Date} entry.nextAttemptAt - Hold delivery until this time (optional, default: now)
+   * @param {Object} db - Pool or transaction connection (default: pool)
+   * @returns {Promise<number>} Created entry ID
+   */
+  static async create({ messageId, chatId, consultantId, payload, nextAttemptAt = null }, db = pool) {
+    try {
+      const [result] = await db.execute(
+        `INSERT INTO assistant_outbox (message_id, chat_id, consultant_id, payload, next_attempt_at)
+         VALUES (?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))`,
+        [messageId, chatId, consultantId, JSON.stringify(payload), nextAttemptAt]
+      );
+
+      return result.insertId;
+    } catch (error) {
+      console.error('Error creating outbox entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find entry by ID
+   * @param {number} id - Entry ID
+   * @returns {Promise<OutboxEntry|null>} Entry or null
+   */
+  static async findById(id) {
+    try {
+      const [rows] = await pool.execute(
+        'SELECT * FROM assistant_outbox WHERE id = ? LIMIT 1',
+        [id]
+      );
+
+      if (rows.length === 0) {
+        return null;
+      }
+
+      return this.mapRowToEntry(rows[0]);
+    } catch (error) {
+      console.error('Error finding outbox entry by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find entries by status (newest first)
+   * @param {string} status - Status
+   * @param {number} limit - Limit
+   * @param {number} offset - Offset
+   * @returns {Promise<Array<OutboxEntry>>} Entries
+   */
+  static async findByStatus(status, limit = 50, offset = 0) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT * FROM assistant_outbox
+         WHERE status = ?
+         ORDER BY id DESC
+         LIMIT ? OFFSET ?`,
+        [status, limit, offset]
+      );
+
+      return rows.map(row => this.mapRowToEntry(row));
+    } catch (error) {
+      console.error('Error finding outbox entries by status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count entries per status
+   * @returns {Promise<Object>} { pending, processing, delivered, dead, cancelled }
+   */
+  static async countByStatus() {
+    try {
+      const [rows] = await pool.execute(
+        'SELECT status, COUNT(*) AS count FROM assistant_outbox GROUP BY status'
+      );
+
+      const counts = { pending: 0, processing: 0, delivered: 0, dead: 0, cancelled: 0 };
+      for (const row of rows) {
+        counts[row.status] = Number(row.count);
+      }
+      return counts;
+    } catch (error) {
+      console.error('Error counting outbox entries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find IDs of entries that are due for delivery
+   * Includes 'processing' entries whose lock has expired (crashed worker)
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array<number>>} Entry IDs (oldest first)
+   */
+  static async findDueIds(limit = 20) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT id FROM assistant_outbox
+         WHERE (status = 'pending' AND next_attempt_at <= NOW())
+            OR (status = 'processing' AND locked_until < NOW())
+         ORDER BY id ASC
+         LIMIT ?`,
+        [limit]
+      );
+
+      return rows.map(row => row.id);
+    } catch (error) {
+      console.error('Error finding due outbox entries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim an entry for delivery (only one worker wins)
+   * @param {number} id - Entry ID
+   * @param {Date} lockedUntil - Lock expiration
+   * @returns {Promise<boolean>} True if claimed
+   */
+  static async claim(id, lockedUntil) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE assistant_outbox
+         SET status = 'processing', locked_until = ?, attempts = attempts + 1, last_attempt_at = NOW()
+         WHERE id = ?
+           AND ((status = 'pending' AND next_attempt_at <= NOW())
+             OR (status = 'processing' AND locked_until < NOW()))`,
+        [lockedUntil, id]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error claiming outbox entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark entry as delivered
+   * @param {number} id - Entry ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async markDelivered(id) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE assistant_outbox
+         SET status = 'delivered', locked_until = NULL, last_error = NULL, delivered_at = NOW()
+         WHERE id = ?`,
+        [id]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error marking outbox entry as delivered:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Schedule next attempt after a failure
+   * @param {number} id - Entry ID
+   * @param {Date} nextAttemptAt - Next attempt time
+   * @param {string} errorMessage - Error of the failed attempt
+   * @returns {Promise<boolean>} Success status
+   */
+  static async markRetry(id, nextAttemptAt, errorMessage) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE assistant_outbox
+         SET status = 'pending', locked_until = NULL, next_attempt_at = ?, last_error = ?
+         WHERE id = ?`,
+        [nextAttemptAt, errorMessage.substring(0, 1000), id]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error scheduling outbox retry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark entry as permanently failed (dead letter)
+   * @param {number} id - Entry ID
+   * @param {string} errorMessage - Error of the last attempt
+   * @returns {Promise<boolean>} Success status
+   */
+  static async markDead(id, errorMessage) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE assistant_outbox
+         SET status = 'dead', locked_until = NULL, last_error = ?
+         WHERE id = ?`,
+        [errorMessage.substring(0, 1000), id]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error marking outbox entry as dead:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find pending (not yet attempted) entry of a message
+   * @param {number} messageId - User message ID
+   * @returns {Promise<OutboxEntry|null>} Entry or null
+   */
+  static async findPendingByMessageId(messageId) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT * FROM assistant_outbox
+         WHERE message_id = ? AND status = 'pending' AND attempts = 0
+         LIMIT 1`,
+        [messageId]
+      );
+
+      if (rows.length === 0) {
+        return null;
+      }
+
+      return this.mapRowToEntry(rows[0]);
+    } catch (error) {
+      console.error('Error finding outbox entry by message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Release a held entry for delivery now, with an updated payload
+   * @param {number} id - Entry ID
+   * @param {Object} payload - Assistant request payload
+   * @returns {Promise<boolean>} True if the entry was still pending and not attempted
+   */
+  static async release(id, payload) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE assistant_outbox
+         SET payload = ?, next_attempt_at = NOW()
+         WHERE id = ? AND status = 'pending' AND attempts = 0`,
+        [JSON.stringify(payload), id]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error releasing outbox entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace payload of a pending (not yet attempted) entry, keeping its schedule
+   * @param {number} id - Entry ID
+   * @param {Object} payload - Assistant request payload
+   * @returns {Promise<boolean>} True if the entry was still pending and not attempted
+   */
+  static async updatePendingPayload(id, payload) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE assistant_outbox
+         SET payload = ?
+         WHERE id = ? AND status = 'pending' AND attempts = 0`,
+        [JSON.stringify(payload), id]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error updating outbox entry payload:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel undelivered entries of a message (message deleted by the user)
+   * @param {number} messageId - User message ID
+   * @returns {Promise<number>} Number of cancelled entries
+   */
+  static async cancelPendingByMessageId(messageId) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE assistant_outbox
+         SET status = 'cancelled', locked_until = NULL
+         WHERE message_id = ? AND status = 'pending'`,
+        [messageId]
+      );
+
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error cancelling outbox entries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move dead letter back to the queue (attempt counter is reset)
+   * @param {number} id - Entry ID
+   * @returns {Promise<boolean>} True if the entry was dead and is queued again
+   */
+  static async replay(id) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE assistant_outbox
+         SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+         WHERE id = ? AND status = 'dead'`,
+        [id]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error replaying outbox entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move every dead letter back to the queue
+   * @returns {Promise<number>} Number of queued entries
+   */
+  static async replayAllDead() {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE assistant_outbox
+         SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+         WHERE status = 'dead'`
+      );
+
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error replaying dead outbox entries:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = AssistantOutboxRepository;
@@ -19,7 +19,9 @@ class ChatRepository {
       user_id: row.user_id,
       created_date: row.created_date,
       last_message: row.last_message,
-      last_message_date: row.last_message_date
+      last_message_date: row.last_message_date,
+      last_read_message_id: row.last_read_message_id,
+      unread_count: row.unread_count
     });
   }
 
@@ -96,6 +98,8 @@ class ChatRepository {
    * Find all chats for a user
    * @param {number} userId - User ID
    * @param {Object} options - Query options
+   * @param {string} options.orderBy - ORDER BY clause (never client input, routes map orderBy through a whitelist)
+   * @param {boolean} options.withUnreadCount - Count assistant messages after the read marker (unreadCount)
    * @returns {Promise<Array>} Array of chats
    */
   static async findByUserId(userId, options = {}) {
@@ -104,8 +108,15 @@ class ChatRepository {
       const offset = options.offset || 0;
       const orderBy = options.orderBy || 'last_message_date DESC, created_at DESC';
 
+      // Deleted messages and the user's own messages are never unread
+      const unreadCount = options.withUnreadCount
+        ? `, (SELECT COUNT(*) FROM messages m
+             WHERE m.chat_id = chats.id AND m.sender = 'assistant' AND m.deleted_at IS NULL
+               AND m.id > COALESCE(chats.last_read_message_id, 0)) AS unread_count`
+        : '';
+
       const [rows] = await pool.execute(
-        `SELECT * FROM chats 
+        `SELECT chats.*${unreadCount} FROM chats
          WHERE user_id = ?
          ORDER BY ${orderBy}
          LIMIT ? OFFSET ?`,
@@ -142,6 +153,28 @@ class ChatRepository {
     }
   }
 
+  /**
+   * Move read marker of a chat forward (never backwards, devices may report out of order)
+   * @param {number} chatId - Chat ID
+   * @param {number} messageId - Last read message ID
+   * @returns {Promise<boolean>} True if the marker moved
+   */
+  static async updateLastRead(chatId, messageId) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE chats
+         SET last_read_message_id = ?
+         WHERE id = ? AND (last_read_message_id IS NULL OR last_read_message_id < ?)`,
+        [messageId, chatId, messageId]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error updating chat read marker:', error);
+      throw error;
+    }
+  }
+
   /**
    * Delete chat by user and consultant
    * @param {number} userId - User ID
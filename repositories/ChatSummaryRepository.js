@@ -0,0 +1,96 @@
+/**
+ * Chat Summary Repository
+ * Database operations for chat_summaries
+ */
+
+const pool = require('../config/database');
+const ChatSummary = require('../models/ChatSummary');
+
+class ChatSummaryRepository {
+  /**
+   * Map database row to ChatSummary model
+   * @param {Object} row - Database row
+   * @returns {ChatSummary} ChatSummary instance
+   */
+  static mapRowToSummary(row) {
+    return new ChatSummary({
+      threadId: row.thread_id,
+      summary: row.summary,
+      summarizedUntilMessageId: row.summarized_until_message_id,
+      summarizedMessageCount: row.summarized_message_count,
+      updatedAt: row.updated_at ? new Date(row.updated_at).toISOString() : null
+    });
+  }
+
+  /**
+   * Find summary of a thread
+   * @param {number} threadId - Thread ID
+   * @param {Object} db - Pool or transaction connection (default: pool)
+   * @returns {Promise<ChatSummary|null>} Summary or null if the thread has not been summarized yet
+   */
+  static async findByThreadId(threadId, db = pool) {
+    try {
+      const [rows] = await db.execute(
+        'SELECT * FROM chat_summaries WHERE thread_id = ? LIMIT 1',
+        [threadId]
+      );
+
+      if (rows.length === 0) {
+        return null;
+      }
+
+      return this.mapRowToSummary(rows[0]);
+    } catch (error) {
+      console.error('Error finding chat summary:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace summary of a thread
+   * @param {number} threadId - Thread ID
+   * @param {string} summary - Summary text
+   * @param {number} summarizedUntilMessageId - Last message included in the summary
+   * @param {number} summarizedMessageCount - Number of messages included in the summary
+   * @returns {Promise<boolean>} Success status
+   */
+  static async upsert(threadId, summary, summarizedUntilMessageId, summarizedMessageCount) {
+    try {
+      const [result] = await pool.execute(
+        `INSERT INTO chat_summaries (thread_id, summary, summarized_until_message_id, summarized_message_count)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           summary = VALUES(summary),
+           summarized_until_message_id = VALUES(summarized_until_message_id),
+           summarized_message_count = VALUES(summarized_message_count)`,
+        [threadId, summary, summarizedUntilMessageId, summarizedMessageCount]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error saving chat summary:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete summary of a thread (rebuilt from the remaining messages on the next refresh)
+   * @param {number} threadId - Thread ID
+   * @returns {Promise<boolean>} True if a summary existed
+   */
+  static async deleteByThreadId(threadId) {
+    try {
+      const [result] = await pool.execute(
+        'DELETE FROM chat_summaries WHERE thread_id = ?',
+        [threadId]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting chat summary:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ChatSummaryRepository;
@@ -0,0 +1,193 @@
+/**
+ * Chat Thread Repository
+ * Database operations for chat_threads
+ */
+
+const pool = require('../config/database');
+const ChatThread = require('../models/ChatThread');
+
+class ChatThreadRepository {
+  /**
+   * Map database row to ChatThread model
+   * @param {Object} row - Database row
+   * @returns {ChatThread} ChatThread instance
+   */
+  static mapRowToThread(row) {
+    const toISOString = value => (value ? new Date(value).toISOString() : null);
+
+    return new ChatThread({
+      id: row.id,
+      chat_id: row.chat_id,
+      title: row.title,
+      is_default: row.is_default,
+      last_message: row.last_message,
+      last_message_date: row.last_message_date,
+      archived_at: toISOString(row.archived_at),
+      created_at: toISOString(row.created_at)
+    });
+  }
+
+  /**
+   * Create a new thread
+   * @param {number} chatId - Chat ID
+   * @param {string|null} title - Thread title
+   * @returns {Promise<ChatThread>} Created thread
+   */
+  static async create(chatId, title = null) {
+    try {
+      const [result] = await pool.execute(
+        'INSERT INTO chat_threads (chat_id, title) VALUES (?, ?)',
+        [chatId, title]
+      );
+
+      return await this.findById(result.insertId);
+    } catch (error) {
+      console.error('Error creating chat thread:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get default thread of a chat, creating it if it doesn't exist
+   * @param {number} chatId - Chat ID
+   * @returns {Promise<ChatThread>} Default thread
+   */
+  static async findOrCreateDefault(chatId) {
+    try {
+      // unique_chat_default: concurrent requests create only one default thread
+      await pool.execute(
+        `INSERT IGNORE INTO chat_threads (chat_id, is_default)
+         SELECT ?, 1 FROM DUAL
+         WHERE NOT EXISTS (SELECT 1 FROM chat_threads WHERE chat_id = ? AND is_default = 1)`,
+        [chatId, chatId]
+      );
+
+      const [rows] = await pool.execute(
+        'SELECT * FROM chat_threads WHERE chat_id = ? AND is_default = 1 LIMIT 1',
+        [chatId]
+      );
+
+      return this.mapRowToThread(rows[0]);
+    } catch (error) {
+      console.error('Error finding default chat thread:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find thread by ID
+   * @param {number} id - Thread ID
+   * @returns {Promise<ChatThread|null>} Thread or null
+   */
+  static async findById(id) {
+    try {
+      const [rows] = await pool.execute(
+        'SELECT * FROM chat_threads WHERE id = ? LIMIT 1',
+        [id]
+      );
+
+      if (rows.length === 0) {
+        return null;
+      }
+
+      return this.mapRowToThread(rows[0]);
+    } catch (error) {
+      console.error('Error finding chat thread by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find threads of a chat (most recently active first)
+   * @param {number} chatId - Chat ID
+   * @param {Object} options - Query options
+   * @param {boolean} options.includeArchived - Include archived threads (default: false)
+   * @param {number} options.limit - Limit (default: 100)
+   * @param {number} options.offset - Offset (default: 0)
+   * @returns {Promise<Array<ChatThread>>} Threads
+   */
+  static async findByChatId(chatId, options = {}) {
+    try {
+      const limit = options.limit || 100;
+      const offset = options.offset || 0;
+
+      const [rows] = await pool.execute(
+        `SELECT * FROM chat_threads
+         WHERE chat_id = ? ${options.includeArchived ? '' : 'AND archived_at IS NULL'}
+         ORDER BY COALESCE(last_message_date, created_at) DESC, id DESC
+         LIMIT ? OFFSET ?`,
+        [chatId, limit, offset]
+      );
+
+      return rows.map(row => this.mapRowToThread(row));
+    } catch (error) {
+      console.error('Error finding chat threads:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update thread title
+   * @param {number} id - Thread ID
+   * @param {string|null} title - New title
+   * @returns {Promise<boolean>} Success status
+   */
+  static async updateTitle(id, title) {
+    try {
+      const [result] = await pool.execute(
+        'UPDATE chat_threads SET title = ? WHERE id = ?',
+        [title, id]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error updating chat thread title:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Archive or unarchive thread
+   * @param {number} id - Thread ID
+   * @param {boolean} archived - Archive (true) or restore (false)
+   * @returns {Promise<boolean>} Success status
+   */
+  static async setArchived(id, archived) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE chat_threads SET archived_at = ${archived ? 'COALESCE(archived_at, NOW())' : 'NULL'} WHERE id = ?`,
+        [id]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error archiving chat thread:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update thread last message
+   * @param {number} id - Thread ID
+   * @param {string} lastMessage - Last message text
+   * @param {string} lastMessageDate - Last message date (ISO 8601 format)
+   * @returns {Promise<boolean>} Success status
+   */
+  static async updateLastMessage(id, lastMessage, lastMessageDate) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE chat_threads
+         SET last_message = ?, last_message_date = ?
+         WHERE id = ?`,
+        [lastMessage, lastMessageDate, id]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error updating chat thread last message:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ChatThreadRepository;
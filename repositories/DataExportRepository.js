@@ -0,0 +1,216 @@
+/**
+ * Data Export Repository
+ * Database operations for user_data_exports
+ */
+
+const pool = require('../config/database');
+const DataExport = require('../models/DataExport');
+
+class DataExportRepository {
+  /**
+   * Map database row to DataExport model
+   * @param {Object} row - Database row
+   * @returns {DataExport} DataExport instance
+   */
+  static mapRowToExport(row) {
+    const toISOString = value => (value ? new Date(value).toISOString() : null);
+
+    return new DataExport({
+      id: row.id,
+      userId: row.user_id,
+      status: row.status,
+      filePath: row.file_path,
+      fileSize: row.file_size,
+      errorMessage: row.error_message,
+      expiresAt: toISOString(row.expires_at),
+      completedAt: toISOString(row.completed_at),
+      createdAt: toISOString(row.created_at)
+    });
+  }
+
+  /**
+   * Create a new pending export job
+   * @param {number} userId - User ID
+   * @returns {Promise<DataExport>} Created export
+   */
+  static async create(userId) {
+    try {
+      const [result] = await pool.execute(
+        'INSERT INTO user_data_exports (user_id) VALUES (?)',
+        [userId]
+      );
+
+      return await this.findById(result.insertId);
+    } catch (error) {
+      console.error('Error creating data export:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find export by ID
+   * @param {number} id - Export ID
+   * @returns {Promise<DataExport|null>} Export or null
+   */
+  static async findById(id) {
+    try {
+      const [rows] = await pool.execute(
+        'SELECT * FROM user_data_exports WHERE id = ? LIMIT 1',
+        [id]
+      );
+
+      return rows.length > 0 ? this.mapRowToExport(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding data export by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find all exports of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<DataExport>>} Exports, newest first
+   */
+  static async findByUserId(userId) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT * FROM user_data_exports
+         WHERE user_id = ?
+         ORDER BY created_at DESC`,
+        [userId]
+      );
+
+      return rows.map(row => this.mapRowToExport(row));
+    } catch (error) {
+      console.error('Error finding data exports by user ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find unfinished (pending/processing) export of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<DataExport|null>} Export or null
+   */
+  static async findInProgressByUserId(userId) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT * FROM user_data_exports
+         WHERE user_id = ? AND status IN ('pending', 'processing')
+         ORDER BY created_at DESC
+         LIMIT 1`,
+        [userId]
+      );
+
+      return rows.length > 0 ? this.mapRowToExport(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding in-progress data export:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark export as processing
+   * @param {number} id - Export ID
+   * @returns {Promise<boolean>} True if the job was pending and is now processing
+   */
+  static async markProcessing(id) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE user_data_exports SET status = 'processing'
+         WHERE id = ? AND status = 'pending'`,
+        [id]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error marking data export as processing:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark export as completed
+   * @param {number} id - Export ID
+   * @param {string} filePath - Archive path
+   * @param {number} fileSize - Archive size in bytes
+   * @param {Date} expiresAt - Archive expiration date
+   * @returns {Promise<boolean>} Success status
+   */
+  static async markCompleted(id, filePath, fileSize, expiresAt) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE user_data_exports
+         SET status = 'completed', file_path = ?, file_size = ?, expires_at = ?, completed_at = NOW()
+         WHERE id = ?`,
+        [filePath, fileSize, expiresAt, id]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error marking data export as completed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark export as failed
+   * @param {number} id - Export ID
+   * @param {string} errorMessage - Error message
+   * @returns {Promise<boolean>} Success status
+   */
+  static async markFailed(id, errorMessage) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE user_data_exports
+         SET status = 'failed', error_message = ?, completed_at = NOW()
+         WHERE id = ?`,
+        [String(errorMessage).substring(0, 500), id]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error marking data export as failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find completed exports whose archive has expired
+   * @returns {Promise<Array<DataExport>>} Expired exports
+   */
+  static async findExpired() {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT * FROM user_data_exports
+         WHERE status = 'completed' AND file_path IS NOT NULL AND expires_at <= NOW()`
+      );
+
+      return rows.map(row => this.mapRowToExport(row));
+    } catch (error) {
+      console.error('Error finding expired data exports:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Clear archive path after the file has been deleted
+   * @param {number} id - Export ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async clearFile(id) {
+    try {
+      const [result] = await pool.execute(
+        'UPDATE user_data_exports SET file_path = NULL WHERE id = ?',
+        [id]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error clearing data export file:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = DataExportRepository;
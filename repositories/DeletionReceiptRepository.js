@@ -0,0 +1,37 @@
+/**
+ * Deletion Receipt Repository
+ * Database operations for account_deletion_receipts (audit log of purged accounts)
+ */
+
+const pool = require('../config/database');
+
+class DeletionReceiptRepository {
+  /**
+   * Save a deletion receipt
+   * @param {Object} receipt - Receipt data (receiptId, userId, requestedAt, deletedRows, cdnObjectsDeleted)
+   * @returns {Promise<number>} Inserted receipt row ID
+   */
+  static async create(receipt) {
+    try {
+      const [result] = await pool.execute(
+        `INSERT INTO account_deletion_receipts
+         (receipt_id, user_id, requested_at, deleted_rows, cdn_objects_deleted)
+         VALUES (?, ?, ?, ?, ?)`,
+        [
+          receipt.receiptId,
+          receipt.userId,
+          receipt.requestedAt || null,
+          JSON.stringify(receipt.deletedRows),
+          receipt.cdnObjectsDeleted
+        ]
+      );
+
+      return result.insertId;
+    } catch (error) {
+      console.error('Error creating deletion receipt:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = DeletionReceiptRepository;
@@ -0,0 +1,145 @@
+/**
+ * Idempotency Key Repository
+ * Database operations for idempotency_keys
+ */
+
+const pool = require('../config/database');
+
+class IdempotencyKeyRepository {
+  /**
+   * Map database row to idempotency key record
+   * @param {Object} row - Database row
+   * @returns {Object} Idempotency key record
+   */
+  static mapRowToKey(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      key: row.idempotency_key,
+      requestHash: row.request_hash,
+      status: row.status,
+      responseStatus: row.response_status,
+      responseBody: typeof row.response_body === 'string' ? JSON.parse(row.response_body) : row.response_body
+    };
+  }
+
+  /**
+   * Claim a key for a new request
+   * Expired keys and abandoned processing locks are released first
+   * @param {number} userId - User ID
+   * @param {string} key - Idempotency key
+   * @param {string} requestHash - Request fingerprint
+   * @param {number} lockSeconds - Processing lock duration
+   * @param {number} ttlHours - Key lifetime
+   * @returns {Promise<number|null>} Claimed key ID, or null if the key already exists
+   */
+  static async claim(userId, key, requestHash, lockSeconds, ttlHours) {
+    try {
+      await pool.execute(
+        `DELETE FROM idempotency_keys
+         WHERE user_id = ? AND idempotency_key = ?
+           AND (expires_at <= NOW() OR (status = 'processing' AND locked_until <= NOW()))`,
+        [userId, key]
+      );
+
+      const [result] = await pool.execute(
+        `INSERT INTO idempotency_keys (user_id, idempotency_key, request_hash, locked_until, expires_at)
+         VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND), DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+        [userId, key, requestHash, lockSeconds, ttlHours]
+      );
+
+      return result.insertId;
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return null;
+      }
+      console.error('Error claiming idempotency key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find key of a user
+   * @param {number} userId - User ID
+   * @param {string} key - Idempotency key
+   * @returns {Promise<Object|null>} Key record or null
+   */
+  static async findByUserAndKey(userId, key) {
+    try {
+      const [rows] = await pool.execute(
+        'SELECT * FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ? LIMIT 1',
+        [userId, key]
+      );
+
+      if (rows.length === 0) {
+        return null;
+      }
+
+      return this.mapRowToKey(rows[0]);
+    } catch (error) {
+      console.error('Error finding idempotency key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store response of a completed request
+   * @param {number} id - Key ID
+   * @param {number} responseStatus - HTTP status
+   * @param {Object} responseBody - JSON response
+   * @returns {Promise<boolean>} Success status
+   */
+  static async complete(id, responseStatus, responseBody) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE idempotency_keys
+         SET status = 'completed', response_status = ?, response_body = ?, locked_until = NULL
+         WHERE id = ?`,
+        [responseStatus, JSON.stringify(responseBody), id]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error completing idempotency key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a key (request failed, the key can be retried)
+   * @param {number} id - Key ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteById(id) {
+    try {
+      const [result] = await pool.execute(
+        'DELETE FROM idempotency_keys WHERE id = ?',
+        [id]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting idempotency key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete expired keys
+   * @returns {Promise<number>} Number of deleted keys
+   */
+  static async deleteExpired() {
+    try {
+      const [result] = await pool.execute(
+        'DELETE FROM idempotency_keys WHERE expires_at <= NOW()'
+      );
+
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error deleting expired idempotency keys:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = IdempotencyKeyRepository;
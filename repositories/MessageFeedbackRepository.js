@@ -0,0 +1,193 @@
+/**
+ * Message Feedback Repository
+ * Database operations for message_feedback
+ */
+
+const pool = require('../config/database');
+
+class MessageFeedbackRepository {
+  /**
+   * Map database row to feedback
+   * @param {Object} row - Database row
+   * @returns {Object} Feedback
+   */
+  static mapRowToFeedback(row) {
+    return {
+      id: row.id,
+      messageId: row.message_id,
+      userId: row.user_id,
+      consultantId: row.consultant_id,
+      promptVersion: row.prompt_version,
+      rating: row.rating,
+      reason: row.reason,
+      comment: row.comment,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Create or replace feedback of a message (one feedback per message)
+   * @param {Object} data - Feedback data (messageId, userId, consultantId, promptVersion, rating, reason, comment)
+   * @returns {Promise<Object>} Stored feedback
+   */
+  static async upsert(data) {
+    try {
+      await pool.execute(
+        `INSERT INTO message_feedback (message_id, user_id, consultant_id, prompt_version, rating, reason, comment)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           rating = VALUES(rating),
+           reason = VALUES(reason),
+           comment = VALUES(comment),
+           updated_at = CURRENT_TIMESTAMP`,
+        [
+          data.messageId,
+          data.userId,
+          data.consultantId,
+          data.promptVersion || null,
+          data.rating,
+          data.reason || null,
+          data.comment || null
+        ]
+      );
+
+      return await this.findByMessageId(data.messageId);
+    } catch (error) {
+      console.error('Error saving message feedback:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find feedback of a message
+   * @param {number} messageId - Message ID
+   * @returns {Promise<Object|null>} Feedback or null
+   */
+  static async findByMessageId(messageId) {
+    try {
+      const [rows] = await pool.execute(
+        'SELECT * FROM message_feedback WHERE message_id = ? LIMIT 1',
+        [messageId]
+      );
+
+      return rows.length > 0 ? this.mapRowToFeedback(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding message feedback:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete feedback of a message
+   * @param {number} messageId - Message ID
+   * @returns {Promise<boolean>} True if feedback existed
+   */
+  static async deleteByMessageId(messageId) {
+    try {
+      const [result] = await pool.execute(
+        'DELETE FROM message_feedback WHERE message_id = ?',
+        [messageId]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting message feedback:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find feedback given by a user (oldest first)
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Feedback
+   */
+  static async findByUserId(userId) {
+    try {
+      const [rows] = await pool.execute(
+        'SELECT * FROM message_feedback WHERE user_id = ? ORDER BY created_at ASC, id ASC',
+        [userId]
+      );
+
+      return rows.map(row => this.mapRowToFeedback(row));
+    } catch (error) {
+      console.error('Error finding message feedback by user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Aggregate ratings per consultant and prompt version
+   * @param {Object} filters - Filters
+   * @param {number} filters.consultantId - Consultant ID (optional)
+   * @param {Date} filters.from - Feedback updated at or after (optional)
+   * @param {Date} filters.to - Feedback updated before (optional)
+   * @returns {Promise<Object>} { rows: [{ consultantId, promptVersion, total, up, down, firstAt, lastAt }],
+   *   reasons: [{ consultantId, promptVersion, reason, count }] }
+   */
+  static async getReport(filters = {}) {
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (filters.consultantId) {
+        conditions.push('consultant_id = ?');
+        params.push(filters.consultantId);
+      }
+      if (filters.from) {
+        conditions.push('updated_at >= ?');
+        params.push(filters.from);
+      }
+      if (filters.to) {
+        conditions.push('updated_at < ?');
+        params.push(filters.to);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const [rows] = await pool.execute(
+        `SELECT consultant_id, prompt_version,
+                COUNT(*) AS total,
+                SUM(rating = 'up') AS up,
+                SUM(rating = 'down') AS down,
+                MIN(created_at) AS first_at,
+                MAX(created_at) AS last_at
+         FROM message_feedback ${where}
+         GROUP BY consultant_id, prompt_version
+         ORDER BY consultant_id ASC, last_at DESC`,
+        params
+      );
+
+      const [reasonRows] = await pool.execute(
+        `SELECT consultant_id, prompt_version, reason, COUNT(*) AS count
+         FROM message_feedback
+         ${where ? `${where} AND` : 'WHERE'} reason IS NOT NULL
+         GROUP BY consultant_id, prompt_version, reason`,
+        params
+      );
+
+      return {
+        rows: rows.map(row => ({
+          consultantId: row.consultant_id,
+          promptVersion: row.prompt_version,
+          total: Number(row.total),
+          up: Number(row.up),
+          down: Number(row.down),
+          firstAt: row.first_at,
+          lastAt: row.last_at
+        })),
+        reasons: reasonRows.map(row => ({
+          consultantId: row.consultant_id,
+          promptVersion: row.prompt_version,
+          reason: row.reason,
+          count: Number(row.count)
+        }))
+      };
+    } catch (error) {
+      console.error('Error building message feedback report:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = MessageFeedbackRepository;
@@ -5,6 +5,7 @@
 
 const pool = require('../config/database');
 const Message = require('../models/Message');
+const AssistantOutboxRepository = require('./AssistantOutboxRepository');
 
 class MessageRepository {
   /**
@@ -16,6 +17,7 @@ class MessageRepository {
     return new Message({
       id: row.id,
       chat_id: row.chat_id,
+      thread_id: row.thread_id,
       sender_id: row.sender_id,
       sender: row.sender,
       message: row.message,
@@ -25,13 +27,18 @@ class MessageRepository {
       is_voice_message: row.is_voice_message,
       voice_url: row.voice_url,
       image_content: row.image_content,
-      voice_message_content: row.voice_message_content
+      voice_message_content: row.voice_message_content,
+      prompt_version: row.prompt_version,
+      reply_to_message_id: row.reply_to_message_id,
+      edited_at: row.edited_at,
+      deleted_at: row.deleted_at
     });
   }
 
   /**
    * Create a new message
    * @param {number} chatId - Chat ID
+   * @param {number} threadId - Thread ID
    * @param {number} senderId - Sender ID
    * @param {string} sender - Sender type ("user" or "assistant")
    * @param {string} message - Message content
@@ -42,31 +49,91 @@ class MessageRepository {
    * @param {string} voiceURL - Voice message URL if message is a voice message (default: null)
    * @param {string} imageContent - AI-analyzed image content (default: null)
    * @param {string} voiceMessageContent - Transcribed voice message content (default: null)
+   * @param {string} promptVersion - Consultant prompt version of an assistant message (default: null)
+   * @param {number} replyToMessageId - User message answered by an assistant message (default: null, unique)
+   * @param {Object} db - Pool or transaction connection (default: pool)
    * @returns {Promise<Message>} Created message
    */
-  static async create(chatId, senderId, sender, message, sentTime, isFile = false, fileURL = null, isVoiceMessage = false, voiceURL = null, imageContent = null, voiceMessageContent = null) {
+  static async create(chatId, threadId, senderId, sender, message, sentTime, isFile = false, fileURL = null, isVoiceMessage = false, voiceURL = null, imageContent = null, voiceMessageContent = null, promptVersion = null, replyToMessageId = null, db = pool) {
     try {
-      const [result] = await pool.execute(
-        `INSERT INTO messages (chat_id, sender_id, sender, message, sent_time, is_file, file_url, is_voice_message, voice_url, image_content, voice_message_content)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [chatId, senderId, sender, message, sentTime, isFile, fileURL, isVoiceMessage, voiceURL, imageContent, voiceMessageContent]
+      const [result] = await db.execute(
+        `INSERT INTO messages (chat_id, thread_id, sender_id, sender, message, sent_time, is_file, file_url, is_voice_message, voice_url, image_content, voice_message_content, prompt_version, reply_to_message_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [chatId, threadId, senderId, sender, message, sentTime, isFile, fileURL, isVoiceMessage, voiceURL, imageContent, voiceMessageContent, promptVersion, replyToMessageId]
       );
 
-      return await this.findById(result.insertId);
+      return await this.findById(result.insertId, db);
     } catch (error) {
       console.error('Error creating message:', error);
       throw error;
     }
   }
 
+  /**
+   * Create a user message and its assistant outbox entry in one transaction
+   * The message is never stored without a pending assistant delivery
+   * @param {Object} data - Message data (chatId, threadId, senderId, sender, message, sentTime, isFile, fileURL,
+   *   isVoiceMessage, voiceURL, imageContent, voiceMessageContent)
+   * @param {number} consultantId - Consultant ID
+   * @param {Function} buildPayload - async (connection) => assistant request payload
+   *   (reads chat history through the connection, so it includes the new message)
+   * @param {Date} holdUntil - Don't deliver to the assistant before this time (optional, see
+   *   AssistantOutboxService.release)
+   * @returns {Promise<Object>} { message, outboxId }
+   */
+  static async createWithOutbox(data, consultantId, buildPayload, holdUntil = null) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const message = await this.create(
+        data.chatId,
+        data.threadId,
+        data.senderId,
+        data.sender,
+        data.message,
+        data.sentTime,
+        data.isFile,
+        data.fileURL,
+        data.isVoiceMessage,
+        data.voiceURL,
+        data.imageContent,
+        data.voiceMessageContent,
+        null,
+        null,
+        connection
+      );
+
+      const outboxId = await AssistantOutboxRepository.create({
+        messageId: message.messageId,
+        chatId: data.chatId,
+        consultantId: consultantId,
+        payload: await buildPayload(connection),
+        nextAttemptAt: holdUntil
+      }, connection);
+
+      await connection.commit();
+
+      return { message, outboxId };
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error creating message with outbox entry:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
   /**
    * Find message by ID
    * @param {number} id - Message ID
+   * @param {Object} db - Pool or transaction connection (default: pool)
    * @returns {Promise<Message|null>} Message or null
    */
-  static async findById(id) {
+  static async findById(id, db = pool) {
     try {
-      const [rows] = await pool.execute(
+      const [rows] = await db.execute(
         'SELECT * FROM messages WHERE id = ? LIMIT 1',
         [id]
       );
@@ -82,6 +149,91 @@ class MessageRepository {
     }
   }
 
+  /**
+   * Find assistant reply of a user message
+   * @param {number} messageId - User message ID
+   * @returns {Promise<Message|null>} Assistant message or null
+   */
+  static async findByReplyTo(messageId) {
+    try {
+      const [rows] = await pool.execute(
+        'SELECT * FROM messages WHERE reply_to_message_id = ? LIMIT 1',
+        [messageId]
+      );
+
+      if (rows.length === 0) {
+        return null;
+      }
+
+      return this.mapRowToMessage(rows[0]);
+    } catch (error) {
+      console.error('Error finding reply of message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update AI-analyzed image content of a message
+   * @param {number} id - Message ID
+   * @param {string} imageContent - Image description and detected text
+   * @returns {Promise<Message|null>} Updated message, or null if it no longer exists or was deleted
+   */
+  static async updateImageContent(id, imageContent) {
+    try {
+      const [result] = await pool.execute(
+        'UPDATE messages SET image_content = ? WHERE id = ? AND deleted_at IS NULL',
+        [imageContent, id]
+      );
+
+      return result.affectedRows > 0 ? await this.findById(id) : null;
+    } catch (error) {
+      console.error('Error updating message image content:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Edit text of a message
+   * @param {number} id - Message ID
+   * @param {string} message - New message text
+   * @returns {Promise<Message|null>} Updated message, or null if it no longer exists or was deleted
+   */
+  static async updateMessageText(id, message) {
+    try {
+      const [result] = await pool.execute(
+        'UPDATE messages SET message = ?, edited_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL',
+        [message, id]
+      );
+
+      return result.affectedRows > 0 ? await this.findById(id) : null;
+    } catch (error) {
+      console.error('Error editing message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a message, keeping a tombstone in history (content and media references are cleared)
+   * @param {number} id - Message ID
+   * @returns {Promise<Message|null>} Tombstone, or null if it no longer exists or was already deleted
+   */
+  static async markDeleted(id) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE messages
+         SET message = '', file_url = NULL, voice_url = NULL, image_content = NULL, voice_message_content = NULL,
+             deleted_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND deleted_at IS NULL`,
+        [id]
+      );
+
+      return result.affectedRows > 0 ? await this.findById(id) : null;
+    } catch (error) {
+      console.error('Error deleting message:', error);
+      throw error;
+    }
+  }
+
   /**
    * Find all messages for a chat
    * @param {number} chatId - Chat ID
@@ -110,23 +262,202 @@ class MessageRepository {
   }
 
   /**
-   * Get chat history for webhook (last N messages)
+   * Find messages of a thread
+   * @param {number} threadId - Thread ID
+   * @param {Object} options - Query options (limit, offset, orderBy)
+   * @returns {Promise<Array>} Array of messages
+   */
+  static async findByThreadId(threadId, options = {}) {
+    try {
+      const limit = options.limit || 100;
+      const offset = options.offset || 0;
+      const orderBy = options.orderBy || 'sent_time ASC, created_at ASC';
+
+      const [rows] = await pool.execute(
+        `SELECT * FROM messages
+         WHERE thread_id = ?
+         ORDER BY ${orderBy}
+         LIMIT ? OFFSET ?`,
+        [threadId, limit, offset]
+      );
+
+      return rows.map(row => this.mapRowToMessage(row));
+    } catch (error) {
+      console.error('Error finding messages by thread ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a page of thread messages by message ID cursor (stable while new messages arrive)
+   * @param {number} threadId - Thread ID
+   * @param {Object} options - Page options
+   * @param {number|null} options.beforeId - Messages older than this ID (null = newest page)
+   * @param {number|null} options.afterId - Messages newer than this ID (takes precedence over beforeId)
+   * @param {number} options.limit - Page size (default: 50)
+   * @returns {Promise<Array<Message>>} Messages ordered by ID (oldest first)
+   */
+  static async findPageByThreadId(threadId, options = {}) {
+    try {
+      const limit = options.limit || 50;
+
+      if (options.afterId !== undefined && options.afterId !== null) {
+        return await this.findByThreadIdAfterId(threadId, options.afterId, limit);
+      }
+
+      const hasBefore = options.beforeId !== undefined && options.beforeId !== null;
+      const [rows] = await pool.execute(
+        `SELECT * FROM messages
+         WHERE thread_id = ? ${hasBefore ? 'AND id < ?' : ''}
+         ORDER BY id DESC
+         LIMIT ?`,
+        hasBefore ? [threadId, options.beforeId, limit] : [threadId, limit]
+      );
+
+      return rows.reverse().map(row => this.mapRowToMessage(row));
+    } catch (error) {
+      console.error('Error finding message page:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find messages of all chats of a user with ID greater than the given one
+   * @param {number} userId - User ID
+   * @param {number} afterId - Message ID (exclusive)
+   * @param {number} limit - Maximum number of messages
+   * @returns {Promise<Array<Message>>} Messages ordered by ID (oldest first)
+   */
+  static async findByUserIdAfterId(userId, afterId, limit = 200) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT m.* FROM messages m
+         INNER JOIN chats c ON c.id = m.chat_id
+         WHERE c.user_id = ? AND m.id > ?
+         ORDER BY m.id ASC
+         LIMIT ?`,
+        [userId, afterId, limit]
+      );
+
+      return rows.map(row => this.mapRowToMessage(row));
+    } catch (error) {
+      console.error('Error finding messages after ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Full-text search in messages of all chats of a user (text, voice transcript, image description)
+   * @param {number} userId - User ID
+   * @param {string} booleanQuery - MySQL boolean mode query (already sanitized)
+   * @param {number|null} beforeId - Only messages with ID lower than this (cursor, null = newest)
+   * @param {number} limit - Maximum number of messages
+   * @returns {Promise<Array<Message>>} Matching messages, newest first
+   */
+  static async searchByUserId(userId, booleanQuery, beforeId = null, limit = 20) {
+    try {
+      const hasBefore = beforeId !== null && beforeId !== undefined;
+      const [rows] = await pool.execute(
+        `SELECT m.* FROM messages m
+         INNER JOIN chats c ON c.id = m.chat_id
+         WHERE c.user_id = ?
+           AND MATCH(m.message, m.voice_message_content, m.image_content) AGAINST (? IN BOOLEAN MODE)
+           ${hasBefore ? 'AND m.id < ?' : ''}
+         ORDER BY m.id DESC
+         LIMIT ?`,
+        hasBefore ? [userId, booleanQuery, beforeId, limit] : [userId, booleanQuery, limit]
+      );
+
+      return rows.map(row => this.mapRowToMessage(row));
+    } catch (error) {
+      console.error('Error searching messages:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find ID of the newest message of a chat
    * @param {number} chatId - Chat ID
+   * @returns {Promise<number|null>} Message ID or null if chat has no messages
+   */
+  static async findLastIdByChatId(chatId) {
+    try {
+      const [rows] = await pool.execute(
+        'SELECT MAX(id) AS id FROM messages WHERE chat_id = ?',
+        [chatId]
+      );
+
+      return rows[0].id || null;
+    } catch (error) {
+      console.error('Error finding last message ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count messages of a thread with ID greater than the given one
+   * @param {number} threadId - Thread ID
+   * @param {number} afterId - Message ID (exclusive)
+   * @returns {Promise<number>} Number of messages
+   */
+  static async countByThreadIdAfterId(threadId, afterId) {
+    try {
+      const [rows] = await pool.execute(
+        'SELECT COUNT(*) AS count FROM messages WHERE thread_id = ? AND id > ?',
+        [threadId, afterId]
+      );
+
+      return Number(rows[0].count);
+    } catch (error) {
+      console.error('Error counting messages after ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find messages of a thread with ID greater than the given one
+   * @param {number} threadId - Thread ID
+   * @param {number} afterId - Message ID (exclusive)
+   * @param {number} limit - Maximum number of messages
+   * @returns {Promise<Array<Message>>} Messages ordered by ID (oldest first)
+   */
+  static async findByThreadIdAfterId(threadId, afterId, limit = 100) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT * FROM messages
+         WHERE thread_id = ? AND id > ?
+         ORDER BY id ASC
+         LIMIT ?`,
+        [threadId, afterId, limit]
+      );
+
+      return rows.map(row => this.mapRowToMessage(row));
+    } catch (error) {
+      console.error('Error finding thread messages after ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get thread history for webhook (most recent N messages, oldest first)
+   * @param {number} threadId - Thread ID
    * @param {number} limit - Number of messages to retrieve
+   * @param {Object} db - Pool or transaction connection (default: pool)
+   * @param {number} afterId - Only messages with ID greater than this (already summarized ones are skipped)
    * @returns {Promise<Array>} Array of messages (formatted for webhook)
    */
-  static async getChatHistory(chatId, limit = 50) {
+  static async getThreadHistory(threadId, limit = 50, db = pool, afterId = 0) {
     try {
-      const [rows] = await pool.execute(
+      const [rows] = await db.execute(
         `SELECT * FROM messages 
-         WHERE chat_id = ?
-         ORDER BY sent_time ASC, created_at ASC
+         WHERE thread_id = ? AND id > ?
+         ORDER BY sent_time DESC, created_at DESC
          LIMIT ?`,
-        [chatId, limit]
+        [threadId, afterId, limit]
       );
 
-      // Already in chronological order (oldest to newest)
-      return rows.map(row => {
+      // Newest N messages, returned in chronological order (oldest to newest)
+      return rows.reverse().map(row => {
         // Parse date to DD/MM/YYYY format
         let formattedDate = '';
         if (row.sent_time) {
@@ -154,6 +485,16 @@ class MessageRepository {
           messageType: messageType
         };
 
+        // Deleted by the user: the assistant only learns that something was retracted
+        if (row.deleted_at) {
+          messageData.retracted = true;
+          return messageData;
+        }
+
+        if (row.edited_at) {
+          messageData.edited = true;
+        }
+
         // Add imageContent if message is an image
         if (row.is_file && row.image_content) {
           messageData.imageContent = row.image_content;
@@ -167,7 +508,7 @@ class MessageRepository {
         return messageData;
       });
     } catch (error) {
-      console.error('Error getting chat history:', error);
+      console.error('Error getting thread history:', error);
       throw error;
     }
   }
@@ -190,6 +531,32 @@ class MessageRepository {
       throw error;
     }
   }
+
+  /**
+   * Find media (image/voice) URLs of all messages in a user's chats
+   * @param {number} userId - User ID
+   * @returns {Promise<string[]>} Unique media URLs
+   */
+  static async findMediaUrlsByUserId(userId) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT m.file_url, m.voice_url FROM messages m
+         INNER JOIN chats c ON c.id = m.chat_id
+         WHERE c.user_id = ? AND (m.file_url IS NOT NULL OR m.voice_url IS NOT NULL)`,
+        [userId]
+      );
+
+      const urls = new Set();
+      for (const row of rows) {
+        if (row.file_url) urls.add(row.file_url);
+        if (row.voice_url) urls.add(row.voice_url);
+      }
+      return Array.from(urls);
+    } catch (error) {
+      console.error('Error finding media URLs by user ID:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = MessageRepository;
@@ -0,0 +1,124 @@
+/**
+ * Safety Event Repository
+ * Database operations for safety_events
+ */
+
+const pool = require('../config/database');
+
+class SafetyEventRepository {
+  /**
+   * Map database row to safety event
+   * @param {Object} row - Database row
+   * @returns {Object} Safety event
+   */
+  static mapRowToEvent(row) {
+    const parse = value => (typeof value === 'string' ? JSON.parse(value) : value);
+
+    return {
+      id: row.id,
+      userId: row.user_id,
+      consultantId: row.consultant_id,
+      chatId: row.chat_id,
+      threadId: row.thread_id,
+      messageId: row.message_id,
+      source: row.source,
+      riskLevel: row.risk_level,
+      categories: parse(row.categories) || [],
+      classifiers: parse(row.classifiers) || [],
+      language: row.language,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Create safety event
+   * @param {Object} data - Event data (userId, consultantId, chatId, threadId, messageId, source, riskLevel,
+   *   categories, classifiers, language)
+   * @returns {Promise<number>} Event ID
+   */
+  static async create(data) {
+    try {
+      const [result] = await pool.execute(
+        `INSERT INTO safety_events
+         (user_id, consultant_id, chat_id, thread_id, message_id, source, risk_level, categories, classifiers, language)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          data.userId,
+          data.consultantId || null,
+          data.chatId || null,
+          data.threadId || null,
+          data.messageId || null,
+          data.source,
+          data.riskLevel,
+          JSON.stringify(data.categories || []),
+          JSON.stringify(data.classifiers || []),
+          data.language || null
+        ]
+      );
+
+      return result.insertId;
+    } catch (error) {
+      console.error('Error creating safety event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List safety events (newest first)
+   * @param {Object} filters - Filters
+   * @param {number} filters.userId - User ID (optional)
+   * @param {string} filters.riskLevel - 'medium' or 'high' (optional)
+   * @param {number} limit - Limit
+   * @param {number} offset - Offset
+   * @returns {Promise<Array>} Safety events
+   */
+  static async findAll(filters = {}, limit = 50, offset = 0) {
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (filters.userId) {
+        conditions.push('user_id = ?');
+        params.push(filters.userId);
+      }
+      if (filters.riskLevel) {
+        conditions.push('risk_level = ?');
+        params.push(filters.riskLevel);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const [rows] = await pool.execute(
+        `SELECT * FROM safety_events ${where}
+         ORDER BY created_at DESC, id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      return rows.map(row => this.mapRowToEvent(row));
+    } catch (error) {
+      console.error('Error finding safety events:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find safety events of a user (oldest first)
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Safety events
+   */
+  static async findByUserId(userId) {
+    try {
+      const [rows] = await pool.execute(
+        'SELECT * FROM safety_events WHERE user_id = ? ORDER BY created_at ASC, id ASC',
+        [userId]
+      );
+
+      return rows.map(row => this.mapRowToEvent(row));
+    } catch (error) {
+      console.error('Error finding safety events by user:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SafetyEventRepository;
@@ -0,0 +1,110 @@
+/**
+ * Signing Key Repository
+ * Database operations for jwt_signing_keys
+ */
+
+const pool = require('../config/database');
+
+// Named MySQL lock held while keys are created (shared by every instance using the database)
+const ROTATION_LOCK_NAME = 'jwt_signing_key_rotation';
+const ROTATION_LOCK_TIMEOUT_SECONDS = 10;
+
+class SigningKeyRepository {
+  /**
+   * Find keys that can still verify tokens (not expired), newest first
+   * @returns {Promise<Array>} Array of key rows
+   */
+  static async findUsable() {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT * FROM jwt_signing_keys
+         WHERE expires_at IS NULL OR expires_at > NOW()
+         ORDER BY activates_at DESC, id DESC`
+      );
+
+      return rows;
+    } catch (error) {
+      console.error('Error finding signing keys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a new signing key
+   * @param {Object} keyData - Key data (kid, algorithm, publicKey, privateKey, activatesAt)
+   *   privateKey is stored as given (encrypted by SigningKeyService)
+   * @returns {Promise<number>} Inserted key ID
+   */
+  static async create(keyData) {
+    try {
+      const [result] = await pool.execute(
+        `INSERT INTO jwt_signing_keys (kid, algorithm, public_key, private_key, activates_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [keyData.kid, keyData.algorithm, keyData.publicKey, keyData.privateKey, keyData.activatesAt]
+      );
+
+      return result.insertId;
+    } catch (error) {
+      console.error('Error creating signing key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Schedule expiry of keys activated before a new key
+   * Keys that already have an expiry keep it
+   * @param {string} kid - Key ID of the new key
+   * @param {Date} activatesAt - Activation date of the new key
+   * @param {Date} expiresAt - Expiry date for older keys
+   * @returns {Promise<number>} Number of updated keys
+   */
+  static async expireOlderThan(kid, activatesAt, expiresAt) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE jwt_signing_keys
+         SET expires_at = ?
+         WHERE kid != ? AND expires_at IS NULL AND activates_at <= ?`,
+        [expiresAt, kid, activatesAt]
+      );
+
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error expiring signing keys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a callback while holding the key rotation lock (GET_LOCK)
+   * Instances booting or rotating at the same time create keys one after another
+   * @param {Function} callback - async () => result
+   * @returns {Promise<*>} Result of the callback
+   * @throws {Error} If the lock can't be acquired within ROTATION_LOCK_TIMEOUT_SECONDS
+   */
+  static async withRotationLock(callback) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.query(
+        'SELECT GET_LOCK(?, ?) AS acquired',
+        [ROTATION_LOCK_NAME, ROTATION_LOCK_TIMEOUT_SECONDS]
+      );
+      if (rows[0].acquired !== 1) {
+        throw new Error('Timed out waiting for the signing key rotation lock');
+      }
+
+      try {
+        return await callback();
+      } finally {
+        await connection.query('SELECT RELEASE_LOCK(?)', [ROTATION_LOCK_NAME]);
+      }
+    } catch (error) {
+      console.error('Error in signing key rotation lock:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+module.exports = SigningKeyRepository;
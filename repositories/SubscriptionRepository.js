@@ -0,0 +1,127 @@
+/**
+ * Subscription Repository
+ * Database operations for user_subscriptions
+ */
+
+const pool = require('../config/database');
+
+class SubscriptionRepository {
+  /**
+   * Map database row to subscription
+   * @param {Object} row - Database row
+   * @returns {Object} Subscription
+   */
+  static mapRowToSubscription(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      plan: row.plan,
+      source: row.source,
+      provider: row.provider,
+      productId: row.product_id,
+      externalId: row.external_id,
+      grantedBy: row.granted_by,
+      expiresAt: row.expires_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Find subscription of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} Subscription or null
+   */
+  static async findByUserId(userId) {
+    try {
+      const [rows] = await pool.execute(
+        'SELECT * FROM user_subscriptions WHERE user_id = ? LIMIT 1',
+        [userId]
+      );
+
+      return rows.length > 0 ? this.mapRowToSubscription(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding subscription:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find subscription granted by a receipt
+   * @param {string} provider - Receipt verifier
+   * @param {string} externalId - Transaction ID
+   * @returns {Promise<Object|null>} Subscription or null
+   */
+  static async findByExternalId(provider, externalId) {
+    try {
+      const [rows] = await pool.execute(
+        'SELECT * FROM user_subscriptions WHERE provider = ? AND external_id = ? LIMIT 1',
+        [provider, externalId]
+      );
+
+      return rows.length > 0 ? this.mapRowToSubscription(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding subscription by receipt:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace subscription of a user (one subscription per user)
+   * @param {Object} data - Subscription data (userId, plan, source, provider, productId, externalId, grantedBy, expiresAt)
+   * @returns {Promise<Object>} Stored subscription
+   */
+  static async upsert(data) {
+    try {
+      await pool.execute(
+        `INSERT INTO user_subscriptions (user_id, plan, source, provider, product_id, external_id, granted_by, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           plan = VALUES(plan),
+           source = VALUES(source),
+           provider = VALUES(provider),
+           product_id = VALUES(product_id),
+           external_id = VALUES(external_id),
+           granted_by = VALUES(granted_by),
+           expires_at = VALUES(expires_at),
+           updated_at = CURRENT_TIMESTAMP`,
+        [
+          data.userId,
+          data.plan,
+          data.source,
+          data.provider || null,
+          data.productId || null,
+          data.externalId || null,
+          data.grantedBy || null,
+          data.expiresAt || null
+        ]
+      );
+
+      return await this.findByUserId(data.userId);
+    } catch (error) {
+      console.error('Error saving subscription:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete subscription of a user (user falls back to the default plan)
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>} True if a subscription existed
+   */
+  static async deleteByUserId(userId) {
+    try {
+      const [result] = await pool.execute(
+        'DELETE FROM user_subscriptions WHERE user_id = ?',
+        [userId]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting subscription:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SubscriptionRepository;
@@ -0,0 +1,196 @@
+/**
+ * Sync Repository
+ * Database operations for incremental sync (changed rows of a user + sync_deletions tombstones)
+ */
+
+const pool = require('../config/database');
+const ChatRepository = require('./ChatRepository');
+const ChatThreadRepository = require('./ChatThreadRepository');
+const MessageRepository = require('./MessageRepository');
+const MoodRepository = require('./MoodRepository');
+const AppointmentRepository = require('./AppointmentRepository');
+const NotificationRepository = require('./NotificationRepository');
+
+/**
+ * Changed rows of a user per entity
+ * from: rows of the user (alias x), time: change timestamp column, map: row -> model
+ * Notifications are never updated, so their sent time is used
+ */
+const ENTITIES = {
+  chats: {
+    from: 'chats x WHERE x.user_id = ?',
+    time: 'x.updated_at',
+    map: row => ChatRepository.mapRowToChat(row)
+  },
+  threads: {
+    from: 'chat_threads x INNER JOIN chats c ON c.id = x.chat_id WHERE c.user_id = ?',
+    time: 'x.updated_at',
+    map: row => ChatThreadRepository.mapRowToThread(row)
+  },
+  messages: {
+    from: 'messages x INNER JOIN chats c ON c.id = x.chat_id WHERE c.user_id = ?',
+    time: 'x.updated_at',
+    map: row => MessageRepository.mapRowToMessage(row)
+  },
+  moods: {
+    from: 'moods x WHERE x.user_id = ?',
+    time: 'x.updated_at',
+    map: row => MoodRepository.mapRowToMood(row)
+  },
+  appointments: {
+    from: 'appointments x WHERE x.user_id = ?',
+    time: 'x.updated_at',
+    map: row => AppointmentRepository.mapRowToAppointment(row)
+  },
+  notifications: {
+    from: 'notifications x WHERE x.user_id = ?',
+    time: 'x.sentTime',
+    map: row => NotificationRepository.mapRowToNotification(row)
+  },
+  deletions: {
+    from: 'sync_deletions x WHERE x.user_id = ?',
+    time: 'x.deleted_at',
+    map: row => ({
+      type: row.entity_type,
+      id: row.entity_id,
+      deletedAt: row.deleted_at ? new Date(row.deleted_at).toISOString() : null
+    })
+  }
+};
+
+class SyncRepository {
+  /**
+   * Get names of synced entities
+   * @returns {Array<string>} Entity names
+   */
+  static getEntityNames() {
+    return Object.keys(ENTITIES);
+  }
+
+  /**
+   * Get current database time (cursors never depend on the app server clock)
+   * @returns {Promise<Date>} Database time
+   */
+  static async getServerTime() {
+    try {
+      const [rows] = await pool.execute('SELECT NOW() AS now');
+      return new Date(rows[0].now);
+    } catch (error) {
+      console.error('Error getting database time:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find rows of a user changed after a position, ordered by (change time, id)
+   * @param {string} entity - Entity name (see getEntityNames)
+   * @param {number} userId - User ID
+   * @param {Object|null} position - { time: Date, id: number } exclusive, null = from the beginning
+   * @param {number} limit - Maximum number of rows
+   * @returns {Promise<Array<Object>>} Array of { item, time, id }
+   */
+  static async findChanges(entity, userId, position, limit) {
+    const config = ENTITIES[entity];
+    if (!config) {
+      throw new Error(`Unknown sync entity: ${entity}`);
+    }
+
+    try {
+      const params = [userId];
+      let where = '';
+      if (position) {
+        where = `AND (${config.time} > ? OR (${config.time} = ? AND x.id > ?))`;
+        params.push(position.time, position.time, position.id);
+      }
+      params.push(limit);
+
+      const [rows] = await pool.execute(
+        `SELECT x.*, ${config.time} AS sync_time FROM ${config.from} ${where}
+         ORDER BY ${config.time} ASC, x.id ASC
+         LIMIT ?`,
+        params
+      );
+
+      return rows.map(row => ({
+        item: config.map(row),
+        time: new Date(row.sync_time),
+        id: row.id
+      }));
+    } catch (error) {
+      console.error(`Error finding changed ${entity}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a deleted record for sync clients
+   * @param {number} userId - Owner user ID
+   * @param {string} entityType - Entity type ('chat', 'mood')
+   * @param {number} entityId - Deleted record ID
+   * @returns {Promise<number>} Tombstone ID
+   */
+  static async recordDeletion(userId, entityType, entityId) {
+    try {
+      const [result] = await pool.execute(
+        'INSERT INTO sync_deletions (user_id, entity_type, entity_id) VALUES (?, ?, ?)',
+        [userId, entityType, entityId]
+      );
+
+      return result.insertId;
+    } catch (error) {
+      console.error('Error recording sync deletion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find tombstones of a user recorded after a tombstone ID (socket catch-up)
+   * @param {number} userId - User ID
+   * @param {string} entityType - Entity type ('chat', 'mood')
+   * @param {number} afterId - Last tombstone ID the client has seen (exclusive)
+   * @param {number} limit - Maximum number of tombstones
+   * @returns {Promise<Array<Object>>} Array of { id, entityId, deletedAt }, oldest first
+   */
+  static async findDeletionsAfterId(userId, entityType, afterId, limit) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT * FROM sync_deletions
+         WHERE user_id = ? AND entity_type = ? AND id > ?
+         ORDER BY id ASC
+         LIMIT ?`,
+        [userId, entityType, afterId, limit]
+      );
+
+      return rows.map(row => ({
+        id: row.id,
+        entityId: row.entity_id,
+        deletedAt: row.deleted_at ? new Date(row.deleted_at).toISOString() : null
+      }));
+    } catch (error) {
+      console.error('Error finding sync deletions after ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get ID of the newest tombstone of a user
+   * @param {number} userId - User ID
+   * @param {string} entityType - Entity type ('chat', 'mood')
+   * @returns {Promise<number>} Tombstone ID, 0 if there is none
+   */
+  static async findLastDeletionId(userId, entityType) {
+    try {
+      const [rows] = await pool.execute(
+        'SELECT MAX(id) AS last_id FROM sync_deletions WHERE user_id = ? AND entity_type = ?',
+        [userId, entityType]
+      );
+
+      return rows[0].last_id || 0;
+    } catch (error) {
+      console.error('Error finding last sync deletion:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SyncRepository;
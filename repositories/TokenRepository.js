@@ -5,6 +5,7 @@
 
 const pool = require('../config/database');
 const crypto = require('crypto');
+const { getCached, setCached, invalidate } = require('../utils/cache');
 
 class TokenRepository {
   /**
@@ -21,7 +22,7 @@ class TokenRepository {
    * @param {number} userId - User ID
    * @param {string} token - JWT token
    * @param {Date} expiresAt - Token expiration date
-   * @param {Object} options - Additional options (deviceInfo, ipAddress)
+   * @param {Object} options - Additional options (deviceInfo, ipAddress, familyId)
    * @returns {Promise<Object>} Created token record
    */
   static async create(userId, token, expiresAt, options = {}) {
@@ -30,12 +31,13 @@ class TokenRepository {
       
       const [result] = await pool.execute(
         `INSERT INTO user_tokens (
-          user_id, token, token_hash, expires_at, device_info, ip_address
-        ) VALUES (?, ?, ?, ?, ?, ?)`,
+          user_id, token, token_hash, token_type, family_id, expires_at, device_info, ip_address
+        ) VALUES (?, ?, ?, 'access', ?, ?, ?, ?)`,
         [
           userId,
           token,
           tokenHash,
+          options.familyId || null,
           expiresAt,
           options.deviceInfo || null,
           options.ipAddress || null
@@ -49,6 +51,87 @@ class TokenRepository {
     }
   }
 
+  /**
+   * Save refresh token to database
+   * Only the hash is stored, the raw refresh token is never persisted
+   * @param {number} userId - User ID
+   * @param {string} refreshToken - Opaque refresh token
+   * @param {Date} expiresAt - Refresh token expiration date
+   * @param {Object} options - Additional options (familyId, deviceInfo, ipAddress)
+   * @returns {Promise<Object>} Created token record
+   */
+  static async createRefreshToken(userId, refreshToken, expiresAt, options = {}) {
+    try {
+      const tokenHash = this.hashToken(refreshToken);
+
+      const [result] = await pool.execute(
+        `INSERT INTO user_tokens (
+          user_id, token, token_hash, token_type, family_id, expires_at, device_info, ip_address
+        ) VALUES (?, NULL, ?, 'refresh', ?, ?, ?, ?)`,
+        [
+          userId,
+          tokenHash,
+          options.familyId,
+          expiresAt,
+          options.deviceInfo || null,
+          options.ipAddress || null
+        ]
+      );
+
+      return await this.findById(result.insertId);
+    } catch (error) {
+      console.error('Error creating refresh token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find refresh token record by token (regardless of revoked/used/expired state)
+   * Reuse detection needs to see already rotated tokens as well
+   * @param {string} refreshToken - Opaque refresh token
+   * @returns {Promise<Object|null>} Token record or null
+   */
+  static async findRefreshToken(refreshToken) {
+    try {
+      const tokenHash = this.hashToken(refreshToken);
+
+      const [rows] = await pool.execute(
+        `SELECT * FROM user_tokens 
+         WHERE token_hash = ? 
+         AND token_type = 'refresh'
+         LIMIT 1`,
+        [tokenHash]
+      );
+
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error finding refresh token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark refresh token as used (rotated)
+   * Only succeeds once per token, so concurrent refresh requests can't both rotate it
+   * @param {number} id - Token ID
+   * @returns {Promise<boolean>} True if the token was marked by this call
+   */
+  static async markRefreshTokenUsed(id) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE user_tokens 
+         SET used_at = NOW(), is_revoked = TRUE, revoked_at = NOW()
+         WHERE id = ? AND token_type = 'refresh' AND used_at IS NULL AND is_revoked = FALSE`,
+        [id]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error marking refresh token as used:', error);
+      throw error;
+    }
+  }
+
   /**
    * Find token by token hash
    * @param {string} token - JWT token
@@ -61,6 +144,7 @@ class TokenRepository {
       const [rows] = await pool.execute(
         `SELECT * FROM user_tokens 
          WHERE token_hash = ? 
+         AND token_type = 'access'
          AND is_revoked = FALSE
          AND expires_at > NOW()
          LIMIT 1`,
@@ -116,6 +200,30 @@ class TokenRepository {
     }
   }
 
+  /**
+   * Find every token record of a user, including revoked and expired ones (data export)
+   * Token strings and hashes are not selected
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Array of token records
+   */
+  static async findHistoryByUserId(userId) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT id, token_type, family_id, device_info, ip_address,
+                created_at, last_seen_at, expires_at, is_revoked, revoked_at, used_at
+         FROM user_tokens
+         WHERE user_id = ?
+         ORDER BY created_at DESC`,
+        [userId]
+      );
+
+      return rows;
+    } catch (error) {
+      console.error('Error finding token history by user ID:', error);
+      throw error;
+    }
+  }
+
   /**
    * Revoke token (logout)
    * @param {string} token - JWT token
@@ -131,6 +239,8 @@ class TokenRepository {
          WHERE token_hash = ? AND is_revoked = FALSE`,
         [tokenHash]
       );
+
+      await invalidate(getTokenCacheKey(tokenHash));
       
       return result.affectedRows > 0;
     } catch (error) {
@@ -146,12 +256,16 @@ class TokenRepository {
    */
   static async revokeAll(userId) {
     try {
+      const cacheKeys = await findActiveTokenCacheKeys('user_id = ?', [userId]);
+
       const [result] = await pool.execute(
         `UPDATE user_tokens 
          SET is_revoked = TRUE, revoked_at = NOW()
          WHERE user_id = ? AND is_revoked = FALSE`,
         [userId]
       );
+
+      await invalidate(cacheKeys);
       
       return result.affectedRows;
     } catch (error) {
@@ -160,6 +274,83 @@ class TokenRepository {
     }
   }
 
+  /**
+   * Revoke every access and refresh token in a token family
+   * Used on logout and when refresh token reuse is detected
+   * @param {string} familyId - Token family ID
+   * @returns {Promise<number>} Number of revoked tokens
+   */
+  static async revokeFamily(familyId) {
+    try {
+      const cacheKeys = await findActiveTokenCacheKeys('family_id = ?', [familyId]);
+
+      const [result] = await pool.execute(
+        `UPDATE user_tokens 
+         SET is_revoked = TRUE, revoked_at = NOW()
+         WHERE family_id = ? AND is_revoked = FALSE`,
+        [familyId]
+      );
+
+      await invalidate(cacheKeys);
+
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error revoking token family:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every token in a token family, only if it belongs to the user
+   * @param {number} userId - User ID
+   * @param {string} familyId - Token family ID
+   * @returns {Promise<number>} Number of revoked tokens
+   */
+  static async revokeFamilyForUser(userId, familyId) {
+    try {
+      const cacheKeys = await findActiveTokenCacheKeys('user_id = ? AND family_id = ?', [userId, familyId]);
+
+      const [result] = await pool.execute(
+        `UPDATE user_tokens 
+         SET is_revoked = TRUE, revoked_at = NOW()
+         WHERE user_id = ? AND family_id = ? AND is_revoked = FALSE`,
+        [userId, familyId]
+      );
+
+      await invalidate(cacheKeys);
+
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error revoking token family for user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update last seen time of a token
+   * Throttled to once a minute per token to avoid a write on every request
+   * @param {string} token - JWT token
+   * @returns {Promise<boolean>} True if updated
+   */
+  static async touch(token) {
+    try {
+      const tokenHash = this.hashToken(token);
+
+      const [result] = await pool.execute(
+        `UPDATE user_tokens 
+         SET last_seen_at = NOW()
+         WHERE token_hash = ?
+         AND (last_seen_at IS NULL OR last_seen_at < NOW() - INTERVAL 1 MINUTE)`,
+        [tokenHash]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error updating token last seen:', error);
+      throw error;
+    }
+  }
+
   /**
    * Delete expired tokens (cleanup)
    * @returns {Promise<number>} Number of deleted tokens
@@ -185,8 +376,21 @@ class TokenRepository {
    */
   static async isValid(token) {
     try {
+      const tokenHash = this.hashToken(token);
+      const cacheKey = getTokenCacheKey(tokenHash);
+
+      if (await getCached(cacheKey)) {
+        return true;
+      }
+
       const tokenRecord = await this.findByToken(token);
-      return tokenRecord !== null;
+      if (!tokenRecord) {
+        return false;
+      }
+
+      // Only valid tokens are cached, never longer than the token itself lives
+      await setCached(cacheKey, true, new Date(tokenRecord.expires_at).getTime() - Date.now());
+      return true;
     } catch (error) {
       console.error('Error checking token validity:', error);
       return false;
@@ -194,5 +398,31 @@ class TokenRepository {
   }
 }
 
+/**
+ * Get cache key of a token validity entry
+ * @param {string} tokenHash - Token hash
+ * @returns {string} Cache key
+ */
+function getTokenCacheKey(tokenHash) {
+  return `token:${tokenHash}`;
+}
+
+/**
+ * Find cache keys of active access tokens matching a condition
+ * Must run before the tokens are revoked (revoked tokens are no longer selected)
+ * @param {string} where - SQL condition
+ * @param {Array} params - Condition parameters
+ * @returns {Promise<string[]>} Cache keys to invalidate after revoking
+ */
+async function findActiveTokenCacheKeys(where, params) {
+  const [rows] = await pool.execute(
+    `SELECT token_hash FROM user_tokens
+     WHERE ${where} AND token_type = 'access' AND is_revoked = FALSE`,
+    params
+  );
+
+  return rows.map(row => getTokenCacheKey(row.token_hash));
+}
+
 module.exports = TokenRepository;
 
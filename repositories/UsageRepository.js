@@ -0,0 +1,134 @@
+/**
+ * Usage Repository
+ * Database operations for usage_counters
+ */
+
+const pool = require('../config/database');
+
+class UsageRepository {
+  /**
+   * Add to a daily usage counter
+   * @param {number} userId - User ID
+   * @param {string} usageDate - UTC day (YYYY-MM-DD)
+   * @param {string} metric - text_messages, voice_seconds or realtime_seconds
+   * @param {number} amount - Amount to add
+   * @returns {Promise<void>}
+   */
+  static async increment(userId, usageDate, metric, amount) {
+    try {
+      await pool.execute(
+        `INSERT INTO usage_counters (user_id, usage_date, metric, amount)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE amount = amount + VALUES(amount)`,
+        [userId, usageDate, metric, amount]
+      );
+    } catch (error) {
+      console.error('Error incrementing usage counter:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add to a daily usage counter if the new total stays within a limit
+   * The counter row is created first, the guarded UPDATE is atomic so parallel requests can't overshoot the limit
+   * @param {number} userId - User ID
+   * @param {string} usageDate - UTC day (YYYY-MM-DD)
+   * @param {string} metric - text_messages, voice_seconds or realtime_seconds
+   * @param {number} amount - Amount to add
+   * @param {number} limit - Maximum total of the day
+   * @returns {Promise<boolean>} True if added, false if the limit would be exceeded
+   */
+  static async reserve(userId, usageDate, metric, amount, limit) {
+    try {
+      await pool.execute(
+        `INSERT INTO usage_counters (user_id, usage_date, metric, amount)
+         VALUES (?, ?, ?, 0)
+         ON DUPLICATE KEY UPDATE amount = amount`,
+        [userId, usageDate, metric]
+      );
+
+      const [result] = await pool.execute(
+        `UPDATE usage_counters SET amount = amount + ?
+         WHERE user_id = ? AND usage_date = ? AND metric = ? AND amount + ? <= ?`,
+        [amount, userId, usageDate, metric, amount, limit]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error reserving usage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Subtract from a daily usage counter (never below 0)
+   * @param {number} userId - User ID
+   * @param {string} usageDate - UTC day (YYYY-MM-DD)
+   * @param {string} metric - text_messages, voice_seconds or realtime_seconds
+   * @param {number} amount - Amount to subtract
+   * @returns {Promise<void>}
+   */
+  static async decrement(userId, usageDate, metric, amount) {
+    try {
+      await pool.execute(
+        `UPDATE usage_counters SET amount = GREATEST(amount - ?, 0)
+         WHERE user_id = ? AND usage_date = ? AND metric = ?`,
+        [amount, userId, usageDate, metric]
+      );
+    } catch (error) {
+      console.error('Error decrementing usage counter:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get usage of a user on a day
+   * @param {number} userId - User ID
+   * @param {string} usageDate - UTC day (YYYY-MM-DD)
+   * @returns {Promise<Object>} metric -> amount (missing metrics are not included)
+   */
+  static async findByUserAndDate(userId, usageDate) {
+    try {
+      const [rows] = await pool.execute(
+        'SELECT metric, amount FROM usage_counters WHERE user_id = ? AND usage_date = ?',
+        [userId, usageDate]
+      );
+
+      const usage = {};
+      for (const row of rows) {
+        usage[row.metric] = Number(row.amount);
+      }
+      return usage;
+    } catch (error) {
+      console.error('Error finding usage counters:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find every usage counter of a user (oldest first)
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} [{ usageDate, metric, amount }]
+   */
+  static async findByUserId(userId) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT DATE_FORMAT(usage_date, '%Y-%m-%d') AS usage_date, metric, amount
+         FROM usage_counters WHERE user_id = ?
+         ORDER BY usage_date ASC, metric ASC`,
+        [userId]
+      );
+
+      return rows.map(row => ({
+        usageDate: row.usage_date,
+        metric: row.metric,
+        amount: Number(row.amount)
+      }));
+    } catch (error) {
+      console.error('Error finding usage counters by user:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = UsageRepository;
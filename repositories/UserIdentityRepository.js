@@ -0,0 +1,179 @@
+/**
+ * User Identity Repository
+ * Database operations for user_identities (sign-in providers linked to a user)
+ */
+
+const pool = require('../config/database');
+const UserIdentity = require('../models/UserIdentity');
+
+class UserIdentityRepository {
+  /**
+   * Map database row to UserIdentity model
+   * @param {Object} row - Database row
+   * @returns {UserIdentity} UserIdentity instance
+   */
+  static mapRowToIdentity(row) {
+    return new UserIdentity({
+      id: row.id,
+      userId: row.user_id,
+      provider: row.provider,
+      providerUserId: row.provider_user_id,
+      email: row.email,
+      createdAt: row.created_at ? new Date(row.created_at).toISOString() : null
+    });
+  }
+
+  /**
+   * Create a new identity for a user
+   * @param {number} userId - User ID
+   * @param {string} provider - Provider name ('google', 'facebook', 'apple', 'guest')
+   * @param {string} providerUserId - Provider-specific user ID
+   * @param {string} email - Email reported by provider (optional)
+   * @param {Object} db - Pool or transaction connection (default: pool)
+   * @returns {Promise<UserIdentity>} Created identity
+   */
+  static async create(userId, provider, providerUserId, email = null, db = pool) {
+    try {
+      const [result] = await db.execute(
+        `INSERT INTO user_identities (user_id, provider, provider_user_id, email)
+         VALUES (?, ?, ?, ?)`,
+        [userId, provider, providerUserId, email || null]
+      );
+
+      return await this.findById(result.insertId, db);
+    } catch (error) {
+      console.error('Error creating user identity:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find identity by ID
+   * @param {number} id - Identity ID
+   * @param {Object} db - Pool or transaction connection (default: pool)
+   * @returns {Promise<UserIdentity|null>} Identity or null
+   */
+  static async findById(id, db = pool) {
+    try {
+      const [rows] = await db.execute(
+        'SELECT * FROM user_identities WHERE id = ? LIMIT 1',
+        [id]
+      );
+
+      return rows.length > 0 ? this.mapRowToIdentity(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding user identity by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find identity by provider and provider user ID
+   * @param {string} provider - Provider name
+   * @param {string} providerUserId - Provider-specific user ID
+   * @returns {Promise<UserIdentity|null>} Identity or null
+   */
+  static async findByProvider(provider, providerUserId) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT * FROM user_identities
+         WHERE provider = ? AND provider_user_id = ?
+         LIMIT 1`,
+        [provider, providerUserId]
+      );
+
+      return rows.length > 0 ? this.mapRowToIdentity(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding user identity by provider:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find all identities for a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<UserIdentity>>} Array of identities
+   */
+  static async findByUserId(userId) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT * FROM user_identities
+         WHERE user_id = ?
+         ORDER BY created_at ASC`,
+        [userId]
+      );
+
+      return rows.map(row => this.mapRowToIdentity(row));
+    } catch (error) {
+      console.error('Error finding user identities by user ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete identity unless it is the user's last one
+   * Count check and delete run in one transaction so two parallel unlinks can't remove both
+   * @param {number} id - Identity ID
+   * @param {number} userId - User ID (owner)
+   * @returns {Promise<string>} 'deleted', 'not_found' or 'last_identity'
+   */
+  static async deleteIfNotLast(id, userId) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.execute(
+        'SELECT id FROM user_identities WHERE user_id = ? FOR UPDATE',
+        [userId]
+      );
+
+      if (!rows.some(row => row.id === id)) {
+        await connection.rollback();
+        return 'not_found';
+      }
+
+      if (rows.length <= 1) {
+        await connection.rollback();
+        return 'last_identity';
+      }
+
+      await connection.execute(
+        'DELETE FROM user_identities WHERE id = ? AND user_id = ?',
+        [id, userId]
+      );
+
+      await connection.commit();
+      return 'deleted';
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error deleting user identity:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Delete all identities of a provider type for a user
+   * @param {number} userId - User ID
+   * @param {string} provider - Provider name
+   * @param {Object} db - Pool or transaction connection (default: pool)
+   * @returns {Promise<number>} Number of deleted identities
+   */
+  static async deleteByUserAndProvider(userId, provider, db = pool) {
+    try {
+      const [result] = await db.execute(
+        'DELETE FROM user_identities WHERE user_id = ? AND provider = ?',
+        [userId, provider]
+      );
+
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error deleting user identities by provider:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = UserIdentityRepository;
@@ -4,20 +4,33 @@
  */
 
 const pool = require('../config/database');
+const UserIdentityRepository = require('./UserIdentityRepository');
+const { invalidate } = require('../utils/cache');
 
 class UserRepository {
+  /**
+   * Get cache key of a cached user (see UserService.getUserById)
+   * @param {number} id - User ID
+   * @returns {string} Cache key
+   */
+  static getCacheKey(id) {
+    return `user:${id}`;
+  }
+
   /**
    * Find user by credential and provider ID
-   * @param {string} credential - 'google', 'facebook', or 'apple'
+   * Lookup goes through user_identities, so any linked provider finds the user
+   * @param {string} credential - 'google', 'facebook', 'apple', or 'guest'
    * @param {string} providerId - Provider-specific user ID
    * @returns {Promise<Object|null>} User object or null
    */
   static async findByCredential(credential, providerId) {
     try {
       const [rows] = await pool.execute(
-        `SELECT * FROM users 
-         WHERE credential = ? 
-         AND JSON_EXTRACT(credential_data, '$.id') = ? 
+        `SELECT u.* FROM users u
+         INNER JOIN user_identities i ON i.user_id = u.id
+         WHERE i.provider = ? 
+         AND i.provider_user_id = ? 
          LIMIT 1`,
         [credential, providerId]
       );
@@ -69,10 +82,13 @@ class UserRepository {
 
   /**
    * Create new user
+   * User row and sign-in identity are inserted in one transaction (no user without its identity)
    * @param {Object} userData - User data
    * @returns {Promise<Object>} Created user object
    */
   static async create(userData) {
+    const connection = await pool.getConnection();
+
     try {
       const {
         credential,
@@ -91,7 +107,9 @@ class UserRepository {
         profilePhotoUrl
       } = userData;
 
-      const [result] = await pool.execute(
+      await connection.beginTransaction();
+
+      const [result] = await connection.execute(
         `INSERT INTO users (
           credential, credential_data, username, native_lang, gender,
           answer_data, last_psychological_profile, user_agent_notes,
@@ -117,11 +135,27 @@ class UserRepository {
         ]
       );
 
+      // Register sign-in identity for the new user
+      if (credentialData && credentialData.id) {
+        await UserIdentityRepository.create(
+          result.insertId,
+          credential,
+          credentialData.id,
+          credentialData.email || null,
+          connection
+        );
+      }
+
+      await connection.commit();
+
       // Return created user
       return await this.findById(result.insertId);
     } catch (error) {
+      await connection.rollback();
       console.error('Error creating user:', error);
       throw error;
+    } finally {
+      connection.release();
     }
   }
 
@@ -133,73 +167,7 @@ class UserRepository {
    */
   static async update(id, userData) {
     try {
-      const updateFields = [];
-      const updateValues = [];
-
-      // Build dynamic update query
-      if (userData.credential !== undefined) {
-        updateFields.push('credential = ?');
-        updateValues.push(userData.credential);
-      }
-      if (userData.credentialData !== undefined) {
-        updateFields.push('credential_data = ?');
-        updateValues.push(JSON.stringify(userData.credentialData));
-      }
-      if (userData.username !== undefined) {
-        updateFields.push('username = ?');
-        updateValues.push(userData.username);
-      }
-      if (userData.nativeLang !== undefined) {
-        updateFields.push('native_lang = ?');
-        updateValues.push(userData.nativeLang);
-      }
-      if (userData.gender !== undefined) {
-        updateFields.push('gender = ?');
-        updateValues.push(userData.gender);
-      }
-      if (userData.answerData !== undefined) {
-        updateFields.push('answer_data = ?');
-        // answerData null değilse JSON stringify et, null ise null olarak kaydet
-        if (userData.answerData !== null && typeof userData.answerData === 'object') {
-          updateValues.push(JSON.stringify(userData.answerData));
-          console.log('✅ answerData JSON stringified:', JSON.stringify(userData.answerData));
-        } else if (userData.answerData === null) {
-          updateValues.push(null);
-          console.log('⚠️ answerData is null, setting to null');
-        } else {
-          // Eğer string ise direkt kullan (zaten stringified olabilir)
-          updateValues.push(userData.answerData);
-          console.log('⚠️ answerData is not object, using as is:', userData.answerData);
-        }
-      }
-      if (userData.lastPsychologicalProfile !== undefined) {
-        updateFields.push('last_psychological_profile = ?');
-        updateValues.push(userData.lastPsychologicalProfile);
-      }
-      if (userData.userAgentNotes !== undefined) {
-        updateFields.push('user_agent_notes = ?');
-        updateValues.push(userData.userAgentNotes ? JSON.stringify(userData.userAgentNotes) : null);
-      }
-      if (userData.leastSessions !== undefined) {
-        updateFields.push('least_sessions = ?');
-        updateValues.push(userData.leastSessions ? JSON.stringify(userData.leastSessions) : null);
-      }
-      if (userData.psychologicalProfileBasedOnMessages !== undefined) {
-        updateFields.push('psychological_profile_based_on_messages = ?');
-        updateValues.push(userData.psychologicalProfileBasedOnMessages);
-      }
-      if (userData.generalProfile !== undefined) {
-        updateFields.push('general_profile = ?');
-        updateValues.push(userData.generalProfile);
-      }
-      if (userData.generalPsychologicalProfile !== undefined) {
-        updateFields.push('general_psychological_profile = ?');
-        updateValues.push(userData.generalPsychologicalProfile);
-      }
-      if (userData.profilePhotoUrl !== undefined) {
-        updateFields.push('profile_photo_url = ?');
-        updateValues.push(userData.profilePhotoUrl);
-      }
+      const { updateFields, updateValues } = buildUpdateFields(userData);
 
       if (updateFields.length === 0) {
         return await this.findById(id);
@@ -212,6 +180,8 @@ class UserRepository {
         updateValues
       );
 
+      await invalidate(this.getCacheKey(id));
+
       return await this.findById(id);
     } catch (error) {
       console.error('Error updating user:', error);
@@ -219,6 +189,55 @@ class UserRepository {
     }
   }
 
+  /**
+   * Convert a guest user to a provider account in place (single transaction)
+   * Updates the user row, adds the provider identity and removes the guest identity
+   * @param {number} id - Guest user ID
+   * @param {Object} userData - Updated user data (credential, credentialData, username, profilePhotoUrl)
+   * @param {Object} identity - Provider identity { provider, providerUserId, email }
+   * @returns {Promise<Object|null>} Updated user object, null if the user is not (or no longer) a guest
+   * @throws {Error} ER_DUP_ENTRY if the provider identity already belongs to another user
+   */
+  static async upgradeGuest(id, userData, identity) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      // Concurrent upgrades of the same guest wait here, the later one sees a converted user
+      const [rows] = await connection.execute(
+        'SELECT credential FROM users WHERE id = ? FOR UPDATE',
+        [id]
+      );
+
+      if (rows.length === 0 || rows[0].credential !== 'guest') {
+        await connection.rollback();
+        return null;
+      }
+
+      const { updateFields, updateValues } = buildUpdateFields(userData);
+      await connection.execute(
+        `UPDATE users SET ${updateFields.join(', ')} WHERE id = ?`,
+        [...updateValues, id]
+      );
+
+      await UserIdentityRepository.create(id, identity.provider, identity.providerUserId, identity.email || null, connection);
+      await UserIdentityRepository.deleteByUserAndProvider(id, 'guest', connection);
+
+      await connection.commit();
+
+      await invalidate(this.getCacheKey(id));
+
+      return await this.findById(id);
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error upgrading guest user:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
   /**
    * Delete user (soft delete - set deleted flag if needed)
    * @param {number} id - User ID
@@ -230,6 +249,8 @@ class UserRepository {
         'DELETE FROM users WHERE id = ?',
         [id]
       );
+
+      await invalidate(this.getCacheKey(id));
       
       return result.affectedRows > 0;
     } catch (error) {
@@ -238,6 +259,290 @@ class UserRepository {
     }
   }
 
+  /**
+   * Mark user as pending deletion (soft delete)
+   * @param {number} id - User ID
+   * @param {Date} scheduledAt - When the account will be purged
+   * @returns {Promise<boolean>} True if marked
+   */
+  static async markPendingDeletion(id, scheduledAt) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE users SET deletion_requested_at = NOW(), deletion_scheduled_at = ?
+         WHERE id = ? AND deletion_requested_at IS NULL`,
+        [scheduledAt, id]
+      );
+
+      await invalidate(this.getCacheKey(id));
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error marking user as pending deletion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a user pending deletion (only within grace period)
+   * @param {number} id - User ID
+   * @returns {Promise<boolean>} True if restored
+   */
+  static async restore(id) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE users SET deletion_requested_at = NULL, deletion_scheduled_at = NULL
+         WHERE id = ? AND deletion_requested_at IS NOT NULL AND deletion_scheduled_at > NOW()`,
+        [id]
+      );
+
+      await invalidate(this.getCacheKey(id));
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error restoring user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find users whose grace period has ended
+   * @param {number} limit - Maximum number of users
+   * @returns {Promise<Array>} Array of user rows
+   */
+  static async findDueForPurge(limit = 100) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT * FROM users
+         WHERE deletion_scheduled_at IS NOT NULL AND deletion_scheduled_at <= NOW()
+         ORDER BY deletion_scheduled_at ASC
+         LIMIT ?`,
+        [limit]
+      );
+
+      return rows;
+    } catch (error) {
+      console.error('Error finding users due for purge:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Erase user and every row that belongs to them (single transaction)
+   * @param {number} id - User ID
+   * @returns {Promise<Object>} Deleted row counts per table
+   */
+  static async purge(id) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const counts = {};
+      const deleteRows = async (table, sql, params) => {
+        const [result] = await connection.execute(sql, params);
+        counts[table] = result.affectedRows;
+      };
+
+      await deleteRows('message_feedback', 'DELETE FROM message_feedback WHERE user_id = ?', [id]);
+      await deleteRows('messages',
+        'DELETE m FROM messages m INNER JOIN chats c ON c.id = m.chat_id WHERE c.user_id = ?', [id]);
+      await deleteRows('chats', 'DELETE FROM chats WHERE user_id = ?', [id]);
+      await deleteRows('appointments', 'DELETE FROM appointments WHERE user_id = ?', [id]);
+      await deleteRows('moods', 'DELETE FROM moods WHERE user_id = ?', [id]);
+      await deleteRows('notifications', 'DELETE FROM notifications WHERE user_id = ?', [id]);
+      await deleteRows('user_tokens', 'DELETE FROM user_tokens WHERE user_id = ?', [id]);
+      await deleteRows('user_identities', 'DELETE FROM user_identities WHERE user_id = ?', [id]);
+      await deleteRows('user_roles', 'DELETE FROM user_roles WHERE user_id = ?', [id]);
+      await deleteRows('user_data_exports', 'DELETE FROM user_data_exports WHERE user_id = ?', [id]);
+      await deleteRows('user_subscriptions', 'DELETE FROM user_subscriptions WHERE user_id = ?', [id]);
+      await deleteRows('usage_counters', 'DELETE FROM usage_counters WHERE user_id = ?', [id]);
+      await deleteRows('users', 'DELETE FROM users WHERE id = ?', [id]);
+
+      await connection.commit();
+
+      await invalidate(this.getCacheKey(id));
+
+      return counts;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error purging user:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Merge source user's data into target user (single transaction)
+   * Moves chats, messages, moods, appointments, notifications and identities, then deletes source user
+   * - Same consultant chat on both sides: source threads and messages are moved into target chat
+   * - Same mood date on both sides: target user's mood is kept
+   * @param {number} sourceUserId - User ID to merge from (deleted afterwards)
+   * @param {number} targetUserId - User ID to merge into
+   * @returns {Promise<Object>} Moved row counts { chats, messages (user and assistant), moods, appointments, notifications }
+   * @throws {Error} 404 if target user not found, 409 if target account is pending deletion
+   */
+  static async mergeInto(sourceUserId, targetUserId) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      // Data must not be merged into an account that is waiting to be purged (restore it first)
+      const [targetRows] = await connection.execute(
+        'SELECT deletion_requested_at FROM users WHERE id = ? FOR UPDATE',
+        [targetUserId]
+      );
+      if (targetRows.length === 0 || targetRows[0].deletion_requested_at) {
+        const error = new Error(targetRows.length === 0 ? 'User not found' : 'Target account is pending deletion');
+        error.status = targetRows.length === 0 ? 404 : 409;
+        throw error;
+      }
+
+      const counts = { chats: 0, messages: 0, moods: 0, appointments: 0, notifications: 0 };
+
+      // 1. Chats and messages
+      const [sourceChats] = await connection.execute(
+        'SELECT * FROM chats WHERE user_id = ? FOR UPDATE',
+        [sourceUserId]
+      );
+
+      for (const sourceChat of sourceChats) {
+        // Every message of the chat moves to the target user (with the chat or into the target's chat)
+        const [messageRows] = await connection.execute(
+          'SELECT COUNT(*) AS count FROM messages WHERE chat_id = ?',
+          [sourceChat.id]
+        );
+        counts.messages += Number(messageRows[0].count);
+
+        // User messages carry user ID as sender_id
+        await connection.execute(
+          `UPDATE messages SET sender_id = ?
+           WHERE chat_id = ? AND sender = 'user'`,
+          [targetUserId, sourceChat.id]
+        );
+
+        const [targetChats] = await connection.execute(
+          'SELECT * FROM chats WHERE user_id = ? AND consultant_id = ? LIMIT 1 FOR UPDATE',
+          [targetUserId, sourceChat.consultant_id]
+        );
+
+        if (targetChats.length === 0) {
+          // No conflict, move the chat itself
+          await connection.execute(
+            'UPDATE chats SET user_id = ? WHERE id = ?',
+            [targetUserId, sourceChat.id]
+          );
+          counts.chats++;
+          continue;
+        }
+
+        // Conflict (unique_user_consultant): move threads and messages into target chat
+        // (source default thread becomes a regular thread, target keeps its default thread)
+        const targetChat = targetChats[0];
+        await connection.execute(
+          'UPDATE chat_threads SET chat_id = ?, is_default = NULL WHERE chat_id = ?',
+          [targetChat.id, sourceChat.id]
+        );
+        await connection.execute(
+          'UPDATE messages SET chat_id = ? WHERE chat_id = ?',
+          [targetChat.id, sourceChat.id]
+        );
+        await connection.execute(
+          'UPDATE assistant_outbox SET chat_id = ? WHERE chat_id = ?',
+          [targetChat.id, sourceChat.id]
+        );
+        await connection.execute(
+          'UPDATE safety_events SET chat_id = ? WHERE chat_id = ?',
+          [targetChat.id, sourceChat.id]
+        );
+
+        // Keep the most recent last message
+        const sourceDate = sourceChat.last_message_date ? new Date(sourceChat.last_message_date) : null;
+        const targetDate = targetChat.last_message_date ? new Date(targetChat.last_message_date) : null;
+        if (sourceDate && (!targetDate || sourceDate > targetDate)) {
+          await connection.execute(
+            'UPDATE chats SET last_message = ?, last_message_date = ? WHERE id = ?',
+            [sourceChat.last_message, sourceChat.last_message_date, targetChat.id]
+          );
+        }
+
+        await connection.execute('DELETE FROM chats WHERE id = ?', [sourceChat.id]);
+        counts.chats++;
+      }
+
+      // 2. Moods (unique_user_date) - conflicting rows are skipped, target's mood wins
+      const [moodResult] = await connection.execute(
+        'UPDATE IGNORE moods SET user_id = ? WHERE user_id = ?',
+        [targetUserId, sourceUserId]
+      );
+      counts.moods = moodResult.affectedRows;
+      await connection.execute('DELETE FROM moods WHERE user_id = ?', [sourceUserId]);
+
+      // 3. Appointments
+      const [appointmentResult] = await connection.execute(
+        'UPDATE appointments SET user_id = ? WHERE user_id = ?',
+        [targetUserId, sourceUserId]
+      );
+      counts.appointments = appointmentResult.affectedRows;
+
+      // 4. Notifications
+      const [notificationResult] = await connection.execute(
+        'UPDATE notifications SET user_id = ? WHERE user_id = ?',
+        [targetUserId, sourceUserId]
+      );
+      counts.notifications = notificationResult.affectedRows;
+
+      // 5. Safety events
+      await connection.execute(
+        'UPDATE safety_events SET user_id = ? WHERE user_id = ?',
+        [targetUserId, sourceUserId]
+      );
+
+      // 6. Message feedback
+      await connection.execute(
+        'UPDATE message_feedback SET user_id = ? WHERE user_id = ?',
+        [targetUserId, sourceUserId]
+      );
+
+      // 7. Subscription (target's subscription wins) and usage counters (same day and metric are added up)
+      await connection.execute(
+        'UPDATE IGNORE user_subscriptions SET user_id = ? WHERE user_id = ?',
+        [targetUserId, sourceUserId]
+      );
+      await connection.execute(
+        `INSERT INTO usage_counters (user_id, usage_date, metric, amount)
+         SELECT ?, source.usage_date, source.metric, source.amount
+         FROM (SELECT usage_date, metric, amount FROM usage_counters WHERE user_id = ?) AS source
+         ON DUPLICATE KEY UPDATE amount = usage_counters.amount + source.amount`,
+        [targetUserId, sourceUserId]
+      );
+      await connection.execute('DELETE FROM usage_counters WHERE user_id = ?', [sourceUserId]);
+
+      // 8. Provider identities (guest identity is dropped with the source user)
+      await connection.execute(
+        `UPDATE IGNORE user_identities SET user_id = ?
+         WHERE user_id = ? AND provider <> 'guest'`,
+        [targetUserId, sourceUserId]
+      );
+
+      // 9. Delete source user (user_tokens, remaining identities and subscription are removed via CASCADE)
+      await connection.execute('DELETE FROM users WHERE id = ?', [sourceUserId]);
+
+      await connection.commit();
+
+      await invalidate([this.getCacheKey(sourceUserId), this.getCacheKey(targetUserId)]);
+
+      return counts;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error merging users:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
   /**
    * Convert database row to User model format
    * @param {Object} row - Database row
@@ -252,6 +557,7 @@ class UserRepository {
         : row.credential_data,
       username: row.username,
       nativeLang: row.native_lang,
+      timezone: row.timezone || null,
       gender: row.gender,
       answerData: row.answer_data 
         ? (typeof row.answer_data === 'string' ? JSON.parse(row.answer_data) : row.answer_data)
@@ -267,10 +573,93 @@ class UserRepository {
       accountCreatedDate: row.account_created_date ? new Date(row.account_created_date).toISOString() : null,
       generalProfile: row.general_profile,
       generalPsychologicalProfile: row.general_psychological_profile,
-      profilePhotoUrl: row.profile_photo_url
+      profilePhotoUrl: row.profile_photo_url,
+      deletionRequestedAt: row.deletion_requested_at ? new Date(row.deletion_requested_at).toISOString() : null,
+      deletionScheduledAt: row.deletion_scheduled_at ? new Date(row.deletion_scheduled_at).toISOString() : null
     };
   }
 }
 
+/**
+ * Build SET clause of a user update
+ * @param {Object} userData - Updated user data (undefined fields are not changed)
+ * @returns {Object} { updateFields: ['column = ?'], updateValues }
+ */
+function buildUpdateFields(userData) {
+  const updateFields = [];
+  const updateValues = [];
+
+  // Build dynamic update query
+  if (userData.credential !== undefined) {
+    updateFields.push('credential = ?');
+    updateValues.push(userData.credential);
+  }
+  if (userData.credentialData !== undefined) {
+    updateFields.push('credential_data = ?');
+    updateValues.push(JSON.stringify(userData.credentialData));
+  }
+  if (userData.username !== undefined) {
+    updateFields.push('username = ?');
+    updateValues.push(userData.username);
+  }
+  if (userData.nativeLang !== undefined) {
+    updateFields.push('native_lang = ?');
+    updateValues.push(userData.nativeLang);
+  }
+  if (userData.timezone !== undefined) {
+    updateFields.push('timezone = ?');
+    updateValues.push(userData.timezone);
+  }
+  if (userData.gender !== undefined) {
+    updateFields.push('gender = ?');
+    updateValues.push(userData.gender);
+  }
+  if (userData.answerData !== undefined) {
+    updateFields.push('answer_data = ?');
+    // answerData null değilse JSON stringify et, null ise null olarak kaydet
+    if (userData.answerData !== null && typeof userData.answerData === 'object') {
+      updateValues.push(JSON.stringify(userData.answerData));
+      console.log('✅ answerData JSON stringified:', JSON.stringify(userData.answerData));
+    } else if (userData.answerData === null) {
+      updateValues.push(null);
+      console.log('⚠️ answerData is null, setting to null');
+    } else {
+      // Eğer string ise direkt kullan (zaten stringified olabilir)
+      updateValues.push(userData.answerData);
+      console.log('⚠️ answerData is not object, using as is:', userData.answerData);
+    }
+  }
+  if (userData.lastPsychologicalProfile !== undefined) {
+    updateFields.push('last_psychological_profile = ?');
+    updateValues.push(userData.lastPsychologicalProfile);
+  }
+  if (userData.userAgentNotes !== undefined) {
+    updateFields.push('user_agent_notes = ?');
+    updateValues.push(userData.userAgentNotes ? JSON.stringify(userData.userAgentNotes) : null);
+  }
+  if (userData.leastSessions !== undefined) {
+    updateFields.push('least_sessions = ?');
+    updateValues.push(userData.leastSessions ? JSON.stringify(userData.leastSessions) : null);
+  }
+  if (userData.psychologicalProfileBasedOnMessages !== undefined) {
+    updateFields.push('psychological_profile_based_on_messages = ?');
+    updateValues.push(userData.psychologicalProfileBasedOnMessages);
+  }
+  if (userData.generalProfile !== undefined) {
+    updateFields.push('general_profile = ?');
+    updateValues.push(userData.generalProfile);
+  }
+  if (userData.generalPsychologicalProfile !== undefined) {
+    updateFields.push('general_psychological_profile = ?');
+    updateValues.push(userData.generalPsychologicalProfile);
+  }
+  if (userData.profilePhotoUrl !== undefined) {
+    updateFields.push('profile_photo_url = ?');
+    updateValues.push(userData.profilePhotoUrl);
+  }
+
+  return { updateFields, updateValues };
+}
+
 module.exports = UserRepository;
 
@@ -0,0 +1,85 @@
+/**
+ * User Role Repository
+ * Database operations for user_roles
+ */
+
+const pool = require('../config/database');
+const { invalidate } = require('../utils/cache');
+
+class UserRoleRepository {
+  /**
+   * Get cache key of cached roles (see RoleService.getUserRoles)
+   * @param {number} userId - User ID
+   * @returns {string} Cache key
+   */
+  static getCacheKey(userId) {
+    return `roles:${userId}`;
+  }
+
+  /**
+   * Find role names for a user (without the implicit 'user' role)
+   * @param {number} userId - User ID
+   * @returns {Promise<string[]>} Role names
+   */
+  static async findRolesByUserId(userId) {
+    try {
+      const [rows] = await pool.execute(
+        'SELECT role FROM user_roles WHERE user_id = ? ORDER BY role ASC',
+        [userId]
+      );
+
+      return rows.map(row => row.role);
+    } catch (error) {
+      console.error('Error finding roles by user ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Grant role to user (no-op if already granted)
+   * @param {number} userId - User ID
+   * @param {string} role - Role name
+   * @param {number|null} grantedBy - Admin user ID (optional)
+   * @returns {Promise<boolean>} True if role was newly granted
+   */
+  static async grant(userId, role, grantedBy = null) {
+    try {
+      const [result] = await pool.execute(
+        `INSERT IGNORE INTO user_roles (user_id, role, granted_by)
+         VALUES (?, ?, ?)`,
+        [userId, role, grantedBy]
+      );
+
+      await invalidate(this.getCacheKey(userId));
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error granting role:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke role from user
+   * @param {number} userId - User ID
+   * @param {string} role - Role name
+   * @returns {Promise<boolean>} True if role was revoked
+   */
+  static async revoke(userId, role) {
+    try {
+      const [result] = await pool.execute(
+        'DELETE FROM user_roles WHERE user_id = ? AND role = ?',
+        [userId, role]
+      );
+
+      await invalidate(this.getCacheKey(userId));
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error revoking role:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = UserRoleRepository;
@@ -0,0 +1,405 @@
+/**
+ * Admin Routes
+ * Administrative endpoints (role management, subscription plans, assistant outbox, safety events, feedback report)
+ */
+
+const router = require('express').Router();
+const RoleService = require('../services/roleService');
+const AssistantOutboxService = require('../services/assistantOutboxService');
+const SafetyService = require('../services/safetyService');
+const FeedbackService = require('../services/feedbackService');
+const EntitlementService = require('../services/entitlementService');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorization');
+const { PERMISSIONS } = require('../config/roles');
+
+/**
+ * @route GET /admin/users/:userId/roles
+ * @desc Get roles of a user
+ * @header Authorization: Bearer <token>
+ * @permission roles:manage (admin)
+ * @param {number} userId - User ID
+ */
+router.get('/users/:userId/roles', authenticate, requirePermission(PERMISSIONS.ROLES_MANAGE), async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.userId);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    const roles = await RoleService.getUserRoles(userId);
+
+    res.json({
+      success: true,
+      data: {
+        userId: userId,
+        roles: roles
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /admin/users/:userId/roles
+ * @desc Grant role to a user
+ * @header Authorization: Bearer <token>
+ * @permission roles:manage (admin)
+ * @param {number} userId - User ID
+ * @body {string} role - Role name ('admin' or 'support')
+ */
+router.post('/users/:userId/roles', authenticate, requirePermission(PERMISSIONS.ROLES_MANAGE), async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const { role } = req.body;
+
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        error: 'role is required'
+      });
+    }
+
+    const roles = await RoleService.grantRole(userId, role, req.userId);
+
+    res.json({
+      success: true,
+      data: {
+        userId: userId,
+        roles: roles
+      },
+      message: `Role '${role}' granted successfully`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /admin/users/:userId/roles/:role
+ * @desc Revoke role from a user
+ * @header Authorization: Bearer <token>
+ * @permission roles:manage (admin)
+ * @param {number} userId - User ID
+ * @param {string} role - Role name
+ */
+router.delete('/users/:userId/roles/:role', authenticate, requirePermission(PERMISSIONS.ROLES_MANAGE), async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.userId);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    const roles = await RoleService.revokeRole(userId, req.params.role, req.userId);
+
+    res.json({
+      success: true,
+      data: {
+        userId: userId,
+        roles: roles
+      },
+      message: `Role '${req.params.role}' revoked successfully`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /admin/users/:userId/usage
+ * @desc Get plan, subscription and today's usage of a user
+ * @header Authorization: Bearer <token>
+ * @permission subscriptions:manage (admin)
+ * @param {number} userId - User ID
+ */
+router.get('/users/:userId/usage', authenticate, requirePermission(PERMISSIONS.SUBSCRIPTIONS_MANAGE), async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.userId);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    const usage = await EntitlementService.getUsage(userId);
+
+    res.json({
+      success: true,
+      data: {
+        userId: userId,
+        ...usage
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /admin/users/:userId/plan
+ * @desc Assign a subscription plan to a user (replaces the current subscription)
+ * @header Authorization: Bearer <token>
+ * @permission subscriptions:manage (admin)
+ * @param {number} userId - User ID
+ * @body {string} plan - Plan name ('free' or 'premium')
+ * @body {string} expiresAt - Plan end, ISO 8601 (optional, default: no expiration)
+ */
+router.put('/users/:userId/plan', authenticate, requirePermission(PERMISSIONS.SUBSCRIPTIONS_MANAGE), async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : null;
+
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    if (expiresAt && isNaN(expiresAt.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'expiresAt must be a valid ISO 8601 date'
+      });
+    }
+
+    const subscription = await EntitlementService.assignPlan(userId, req.body.plan, {
+      expiresAt: expiresAt,
+      grantedBy: req.userId
+    });
+
+    res.json({
+      success: true,
+      data: {
+        userId: userId,
+        subscription: subscription
+      },
+      message: `Plan '${subscription.plan}' assigned successfully`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /admin/users/:userId/plan
+ * @desc Remove subscription of a user (the user falls back to the free plan)
+ * @header Authorization: Bearer <token>
+ * @permission subscriptions:manage (admin)
+ * @param {number} userId - User ID
+ */
+router.delete('/users/:userId/plan', authenticate, requirePermission(PERMISSIONS.SUBSCRIPTIONS_MANAGE), async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.userId);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    const removed = await EntitlementService.removePlan(userId);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subscription not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Subscription removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /admin/assistant-outbox
+ * @desc List assistant outbox entries (dead letters by default) with counts per status
+ * @header Authorization: Bearer <token>
+ * @permission assistant_outbox:manage (admin)
+ * @query {string} status - pending, processing, delivered, dead or cancelled (default: dead)
+ * @query {number} limit - Limit (default: 50, max: 200)
+ * @query {number} offset - Offset (default: 0)
+ */
+router.get('/assistant-outbox', authenticate, requirePermission(PERMISSIONS.ASSISTANT_OUTBOX_MANAGE), async (req, res, next) => {
+  try {
+    const status = req.query.status || 'dead';
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const entries = await AssistantOutboxService.listEntries(status, limit, offset);
+    const counts = await AssistantOutboxService.getStats();
+
+    res.json({
+      success: true,
+      data: {
+        counts: counts,
+        entries: entries.map(entry => entry.toJSON())
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /admin/assistant-outbox/replay
+ * @desc Queue every dead letter again
+ * @header Authorization: Bearer <token>
+ * @permission assistant_outbox:manage (admin)
+ */
+router.post('/assistant-outbox/replay', authenticate, requirePermission(PERMISSIONS.ASSISTANT_OUTBOX_MANAGE), async (req, res, next) => {
+  try {
+    const count = await AssistantOutboxService.replayAllDead();
+
+    res.json({
+      success: true,
+      data: {
+        replayed: count
+      },
+      message: `${count} dead letter(s) queued for delivery`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /admin/assistant-outbox/:id/replay
+ * @desc Queue a dead letter again (attempt counter is reset)
+ * @header Authorization: Bearer <token>
+ * @permission assistant_outbox:manage (admin)
+ * @param {number} id - Outbox entry ID
+ */
+router.post('/assistant-outbox/:id/replay', authenticate, requirePermission(PERMISSIONS.ASSISTANT_OUTBOX_MANAGE), async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid outbox entry ID'
+      });
+    }
+
+    const entry = await AssistantOutboxService.replay(id);
+
+    res.json({
+      success: true,
+      data: entry.toJSON(),
+      message: 'Outbox entry queued for delivery'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /admin/safety-events
+ * @desc List flagged crisis / self-harm risk events (newest first)
+ * @header Authorization: Bearer <token>
+ * @permission safety_events:read (admin, support)
+ * @query {number} userId - Filter by user (optional)
+ * @query {string} riskLevel - medium or high (optional)
+ * @query {number} limit - Limit (default: 50, max: 200)
+ * @query {number} offset - Offset (default: 0)
+ */
+router.get('/safety-events', authenticate, requirePermission(PERMISSIONS.SAFETY_EVENTS_READ), async (req, res, next) => {
+  try {
+    const userId = req.query.userId !== undefined ? parseInt(req.query.userId) : null;
+    const riskLevel = req.query.riskLevel || null;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    if (Number.isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    if (riskLevel && !['medium', 'high'].includes(riskLevel)) {
+      return res.status(400).json({
+        success: false,
+        error: 'riskLevel must be medium or high'
+      });
+    }
+
+    const events = await SafetyService.listEvents({ userId, riskLevel }, limit, offset);
+
+    res.json({
+      success: true,
+      data: {
+        events: events
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /admin/feedback/report
+ * @desc Aggregated assistant message ratings per consultant and prompt version
+ * @header Authorization: Bearer <token>
+ * @permission feedback:read (admin)
+ * @query {number} consultantId - Filter by consultant (optional)
+ * @query {string} from - Feedback given at or after this date, ISO 8601 (optional)
+ * @query {string} to - Feedback given before this date, ISO 8601 (optional)
+ */
+router.get('/feedback/report', authenticate, requirePermission(PERMISSIONS.FEEDBACK_READ), async (req, res, next) => {
+  try {
+    const consultantId = req.query.consultantId !== undefined ? parseInt(req.query.consultantId) : null;
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+
+    if (Number.isNaN(consultantId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid consultant ID'
+      });
+    }
+
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid ISO 8601 dates'
+      });
+    }
+
+    const consultants = await FeedbackService.getReport({ consultantId, from, to });
+
+    res.json({
+      success: true,
+      data: {
+        consultants: consultants
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
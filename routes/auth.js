@@ -1,10 +1,13 @@
 const router = require("express").Router();
-const { validateAuthRequest } = require("../middleware/validation");
+const { validateAuthRequest, validateLinkRequest } = require("../middleware/validation");
 const AuthService = require("../services/authService");
 const UserService = require("../services/userService");
-const { generateToken, decodeToken } = require("../utils/jwt");
 const TokenRepository = require("../repositories/TokenRepository");
+const TokenService = require("../services/tokenService");
+const IdentityService = require("../services/identityService");
+const DataExportService = require("../services/dataExportService");
 const upload = require("../middleware/upload");
+const { idempotent } = require("../middleware/idempotency");
 const BunnyCDNService = require("../services/bunnyCDNService");
 const OneSignalService = require("../services/oneSignalService");
 const NotificationRepository = require("../repositories/NotificationRepository");
@@ -59,7 +62,7 @@ async function sendWelcomeNotification(userId, username) {
 
 /**
  * @route POST /auth/logout
- * @desc Logout user - Revoke current token
+ * @desc Logout user - Revoke current token and its refresh token (whole session)
  * @header Authorization: Bearer <token>
  */
 router.post("/logout", require("../middleware/auth").authenticate, async (req, res, next) => {
@@ -67,8 +70,8 @@ router.post("/logout", require("../middleware/auth").authenticate, async (req, r
     const token = req.headers.authorization?.split(' ')[1];
     
     if (token) {
-      // Revoke token in database
-      await TokenRepository.revoke(token);
+      // Revoke session tokens in database
+      await TokenService.revokeSession(token);
     }
 
     res.status(200).json({
@@ -103,6 +106,63 @@ router.post("/logout-all", require("../middleware/auth").authenticate, async (re
   }
 });
 
+/**
+ * @route GET /auth/sessions
+ * @desc List active sessions (devices) of current user
+ * @header Authorization: Bearer <token>
+ */
+router.get("/sessions", require("../middleware/auth").authenticate, async (req, res, next) => {
+  try {
+    let currentFamilyId = req.tokenFamilyId;
+
+    // Tokens issued before refresh support don't carry family ID in payload
+    if (!currentFamilyId) {
+      const tokenRecord = await TokenRepository.findByToken(req.token);
+      currentFamilyId = tokenRecord?.family_id || null;
+    }
+
+    const sessions = await TokenService.getSessions(req.userId, currentFamilyId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions,
+        count: sessions.length
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /auth/sessions/:id
+ * @desc Revoke a single session (device) - e.g. a lost phone
+ * @header Authorization: Bearer <token>
+ * @param {string} id - Session ID (from GET /auth/sessions)
+ */
+router.delete("/sessions/:id", require("../middleware/auth").authenticate, async (req, res, next) => {
+  try {
+    const revoked = await TokenService.revokeSessionById(req.userId, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: "Session not found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Session revoked successfully"
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    next(error);
+  }
+});
+
 /**
  * @route POST /auth/guest
  * @desc Create guest user account (anonymous login)
@@ -132,17 +192,8 @@ router.post("/guest", async (req, res, next) => {
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(user.id, {
-      expiresIn: '7d'
-    });
-
-    // Decode token to get expiration date
-    const decoded = decodeToken(token);
-    const expiresAt = new Date(decoded.exp * 1000);
-
-    // Save token to database (Stateful JWT)
-    await TokenRepository.create(user.id, token, expiresAt, {
+    // Generate access + refresh tokens (Stateful JWT)
+    const tokens = await TokenService.issueTokenPair(user.id, {
       deviceInfo: req.headers['user-agent'] || null,
       ipAddress: req.ip || req.connection.remoteAddress || null
     });
@@ -158,7 +209,7 @@ router.post("/guest", async (req, res, next) => {
       success: true,
       data: {
         user: user.toJSON(),
-        token: token
+        ...tokens
       },
       message: "Guest user created and authenticated successfully"
     });
@@ -168,6 +219,204 @@ router.post("/guest", async (req, res, next) => {
   }
 });
 
+/**
+ * @route POST /auth/refresh
+ * @desc Rotate refresh token - returns a new access token and a new refresh token
+ * @body {string} refreshToken - Refresh token received at login or previous refresh
+ *
+ * Reusing an already rotated refresh token revokes the whole session (token family).
+ */
+router.post("/refresh", async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: "refreshToken is required"
+      });
+    }
+
+    const tokens = await TokenService.rotateRefreshToken(refreshToken, {
+      deviceInfo: req.headers['user-agent'] || null,
+      ipAddress: req.ip || req.connection.remoteAddress || null
+    });
+
+    const user = await UserService.getUserById(tokens.userId);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: "User not found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token: tokens.token,
+        tokenExpiresAt: tokens.tokenExpiresAt,
+        refreshToken: tokens.refreshToken,
+        refreshTokenExpiresAt: tokens.refreshTokenExpiresAt
+      },
+      message: "Token refreshed successfully"
+    });
+  } catch (error) {
+    if (error.name !== 'AuthenticationError') {
+      console.error('Token refresh error:', error);
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route POST /auth/link/:provider
+ * @desc Upgrade current guest account to a Google, Facebook or Apple account
+ * @header Authorization: Bearer <token> (guest user token)
+ * @param {string} provider - 'google', 'facebook' or 'apple'
+ * @body Same body as POST /auth/:provider
+ *
+ * If the provider identity has no user yet, the guest user is converted in place
+ * and the current tokens stay valid. If it already belongs to a user, guest data
+ * (chats, messages, moods, appointments, notifications) is merged into that user,
+ * the guest user is deleted and a new token pair for the merged user is returned.
+ */
+router.post("/link/:provider",
+  require("../middleware/auth").authenticate,
+  validateLinkRequest,
+  async (req, res, next) => {
+    try {
+      const { provider } = req.params;
+
+      const providerData = await AuthService.verifyProviderToken(provider, req.body);
+
+      if (!providerData || !providerData.id) {
+        return res.status(401).json({
+          success: false,
+          error: "Failed to verify authentication token"
+        });
+      }
+
+      const result = await UserService.upgradeGuestUser(req.userId, providerData, provider);
+
+      let tokens = {};
+      if (result.merged) {
+        // Guest user (and its tokens) no longer exists, sign in as merged user
+        tokens = await TokenService.issueTokenPair(result.user.id, {
+          deviceInfo: req.headers['user-agent'] || null,
+          ipAddress: req.ip || req.connection.remoteAddress || null
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          user: result.user.toJSON(),
+          merged: result.merged,
+          mergedCounts: result.mergedCounts,
+          ...tokens
+        },
+        message: result.merged
+          ? "Guest account merged into existing account successfully"
+          : "Guest account upgraded successfully"
+      });
+    } catch (error) {
+      console.error('Account link error:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route GET /auth/identities
+ * @desc List sign-in providers linked to current user
+ * @header Authorization: Bearer <token>
+ */
+router.get("/identities", require("../middleware/auth").authenticate, async (req, res, next) => {
+  try {
+    const identities = await IdentityService.getIdentities(req.userId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        identities: identities.map(i => i.toJSON()),
+        count: identities.length
+      }
+    });
+  } catch (error) {
+    console.error('Get identities error:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /auth/identities/:provider
+ * @desc Link another sign-in provider to current (non-guest) user
+ * @header Authorization: Bearer <token>
+ * @param {string} provider - 'google', 'facebook' or 'apple'
+ * @body Same body as POST /auth/:provider
+ */
+router.post("/identities/:provider",
+  require("../middleware/auth").authenticate,
+  validateLinkRequest,
+  async (req, res, next) => {
+    try {
+      const { provider } = req.params;
+
+      const providerData = await AuthService.verifyProviderToken(provider, req.body);
+
+      if (!providerData || !providerData.id) {
+        return res.status(401).json({
+          success: false,
+          error: "Failed to verify authentication token"
+        });
+      }
+
+      const result = await IdentityService.linkIdentity(req.userId, providerData, provider);
+
+      res.status(result.created ? 201 : 200).json({
+        success: true,
+        data: {
+          identity: result.identity.toJSON()
+        },
+        message: result.created ? "Identity linked successfully" : "Identity is already linked"
+      });
+    } catch (error) {
+      console.error('Link identity error:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route DELETE /auth/identities/:id
+ * @desc Unlink a sign-in provider from current user (last one can't be unlinked)
+ * @header Authorization: Bearer <token>
+ * @param {number} id - Identity ID
+ */
+router.delete("/identities/:id", require("../middleware/auth").authenticate, async (req, res, next) => {
+  try {
+    const identityId = parseInt(req.params.id);
+
+    if (isNaN(identityId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid identity ID"
+      });
+    }
+
+    await IdentityService.unlinkIdentity(req.userId, identityId);
+
+    res.status(200).json({
+      success: true,
+      message: "Identity unlinked successfully"
+    });
+  } catch (error) {
+    console.error('Unlink identity error:', error);
+    next(error);
+  }
+});
+
 /**
  * @route POST /auth/:provider
  * @desc Authenticate user with Google, Facebook, Apple, or Guest
@@ -257,17 +506,8 @@ router.post("/:provider", validateAuthRequest, async (req, res, next) => {
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(user.id, {
-      expiresIn: '7d'
-    });
-
-    // Decode token to get expiration date
-    const decoded = decodeToken(token);
-    const expiresAt = new Date(decoded.exp * 1000); // Convert to Date
-
-    // Save token to database (Stateful JWT - required)
-    await TokenRepository.create(user.id, token, expiresAt, {
+    // Generate access + refresh tokens (Stateful JWT)
+    const tokens = await TokenService.issueTokenPair(user.id, {
       deviceInfo: req.headers['user-agent'] || null,
       ipAddress: req.ip || req.connection.remoteAddress || null
     });
@@ -284,7 +524,7 @@ router.post("/:provider", validateAuthRequest, async (req, res, next) => {
       success: true,
       data: {
         user: user.toJSON(),
-        token: token
+        ...tokens
       },
       message: user.accountCreatedDate === new Date(user.accountCreatedDate).toISOString() 
         ? "User authenticated successfully" 
@@ -301,69 +541,12 @@ router.post("/:provider", validateAuthRequest, async (req, res, next) => {
  * @desc Verify authentication token (JWT) - Stateful JWT with database check
  * @header Authorization: Bearer <token>
  */
-router.get("/verify", async (req, res, next) => {
+router.get("/verify", require("../middleware/auth").authenticate, async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        error: 'No token provided. Please provide a valid JWT token in Authorization header.'
-      });
-    }
-
-    const token = authHeader.split(' ')[1];
-    
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        error: 'Token is required'
-      });
-    }
-
-    // Verify JWT signature
-    const jwt = require('jsonwebtoken');
-    let decoded;
-    try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
-    } catch (error) {
-      if (error.name === 'TokenExpiredError') {
-        return res.status(401).json({
-          success: false,
-          error: 'Token has expired'
-        });
-      } else if (error.name === 'JsonWebTokenError') {
-        return res.status(401).json({
-          success: false,
-          error: 'Invalid token'
-        });
-      }
-      throw error;
-    }
-
-    // Check if token exists in database and is not revoked (Stateful JWT)
-    const tokenValid = await TokenRepository.isValid(token);
-    if (!tokenValid) {
-      return res.status(401).json({
-        success: false,
-        error: 'Token has been revoked or does not exist in database'
-      });
-    }
-
-    // Get user from database
-    const user = await UserService.getUserById(decoded.userId);
-
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        error: 'User not found'
-      });
-    }
-
     res.status(200).json({
       success: true,
       data: {
-        user: user.toJSON(),
+        user: req.user.toJSON(),
         valid: true
       },
       message: "Token is valid"
@@ -399,6 +582,7 @@ router.get("/me", require("../middleware/auth").authenticate, async (req, res, n
  * @header Authorization: Bearer <token>
  * @body {string} username - Username (required for first time)
  * @body {string} nativeLang - Native language code (optional)
+ * @body {string} timezone - IANA timezone of the device, e.g. Europe/Istanbul (optional, null clears it)
  * @body {string} gender - Gender: male, female, unknown (optional)
  * @body {string} profilePhotoUrl - Profile photo URL (optional)
  * @body {Object} answerData - QuestionAnswers object (optional)
@@ -413,12 +597,13 @@ router.put("/profile",
   async (req, res, next) => {
     try {
       const userId = req.userId;
-      const { username, nativeLang, gender, answerData, profilePhotoUrl } = req.body;
+      const { username, nativeLang, timezone, gender, answerData, profilePhotoUrl } = req.body;
 
       console.log('📝 Profile update request:', {
         userId,
         username,
         nativeLang,
+        timezone,
         gender,
         profilePhotoUrl,
         answerData: answerData ? JSON.stringify(answerData) : (answerData === null ? 'null' : 'undefined'),
@@ -436,6 +621,9 @@ router.put("/profile",
       if (nativeLang !== undefined) {
         updateData.nativeLang = nativeLang;
       }
+      if (timezone !== undefined) {
+        updateData.timezone = timezone;
+      }
       if (gender !== undefined) {
         updateData.gender = gender;
       }
@@ -491,11 +679,13 @@ router.put("/profile",
  * @route POST /auth/profile/photo
  * @desc Upload profile photo to CDN and update user profile
  * @header Authorization: Bearer <token>
+ * @header Idempotency-Key: unique key per upload (optional, retries return the original response)
  * @body multipart/form-data with 'photo' field (image file)
  */
 router.post("/profile/photo", 
   require("../middleware/auth").authenticate,
   upload.single('photo'),
+  idempotent,
   async (req, res, next) => {
     try {
       const userId = req.userId;
@@ -534,29 +724,94 @@ router.post("/profile/photo",
   }
 );
 
+/**
+ * @route POST /auth/account/export
+ * @desc Start personal data export (GDPR/KVKK) - archive is generated in background
+ * @header Authorization: Bearer <token>
+ * @returns {Object} Export job (poll GET /auth/account/export/:id until status is 'completed')
+ */
+router.post("/account/export", require("../middleware/auth").authenticate, async (req, res, next) => {
+  try {
+    const dataExport = await DataExportService.requestExport(req.userId);
+
+    res.status(202).json({
+      success: true,
+      data: {
+        export: dataExport.toJSON()
+      },
+      message: "Data export started"
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /auth/account/export/:id
+ * @desc Get data export status, or download the archive (.zip) when completed
+ * @header Authorization: Bearer <token>
+ * @param {number} id - Export ID
+ */
+router.get("/account/export/:id", require("../middleware/auth").authenticate, async (req, res, next) => {
+  try {
+    const exportId = parseInt(req.params.id);
+
+    if (isNaN(exportId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid export ID"
+      });
+    }
+
+    const dataExport = await DataExportService.getExport(req.userId, exportId);
+
+    if (DataExportService.isDownloadable(dataExport)) {
+      return res.download(dataExport.filePath, `mindcoach-data-export-${dataExport.id}.zip`, (error) => {
+        if (error && !res.headersSent) {
+          next(error);
+        }
+      });
+    }
+
+    if (dataExport.status === 'completed') {
+      return res.status(410).json({
+        success: false,
+        error: "Export has expired. Please request a new export."
+      });
+    }
+
+    res.status(dataExport.status === 'failed' ? 200 : 202).json({
+      success: true,
+      data: {
+        export: dataExport.toJSON()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route DELETE /auth/account
- * @desc Delete user account permanently
+ * @desc Delete user account (soft delete with grace period)
  * @header Authorization: Bearer <token>
  * 
  * This endpoint:
- * - Deletes all user data (messages, chats, appointments, moods, etc.)
+ * - Marks the account as pending deletion
  * - Revokes all tokens
- * - Soft deletes the user account
+ * - Signing in again before scheduledDeletionAt restores the account
+ * - After the grace period all user data (rows and uploaded files) is erased permanently
  */
 router.delete("/account", require("../middleware/auth").authenticate, async (req, res, next) => {
   try {
-    const userId = req.userId;
-    
-    // Delete all user data
-    await UserService.deleteUserAccount(userId);
-    
-    // Revoke all tokens for user
-    await TokenRepository.revokeAll(userId);
+    const scheduledDeletionAt = await UserService.deleteUserAccount(req.userId);
     
     res.status(200).json({
       success: true,
-      message: "Account deleted successfully"
+      data: {
+        scheduledDeletionAt: scheduledDeletionAt
+      },
+      message: "Account scheduled for deletion. Sign in again before the scheduled date to restore it."
     });
   } catch (error) {
     console.error('Delete account error:', error);
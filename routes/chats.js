@@ -5,34 +5,132 @@
 
 const router = require('express').Router();
 const ChatService = require('../services/chatService');
+const ChatThreadService = require('../services/chatThreadService');
+const MessageSearchService = require('../services/messageSearchService');
+const FeedbackService = require('../services/feedbackService');
+const ChatExportService = require('../services/chatExportService');
 const BunnyCDNService = require('../services/bunnyCDNService');
 const SpeechToTextService = require('../services/speechToTextService');
 const { authenticate } = require('../middleware/auth');
+const { verifyWebhookSignature } = require('../middleware/webhookSignature');
+const { idempotent } = require('../middleware/idempotency');
+const { enforceChatQuota } = require('../middleware/entitlements');
 const upload = require('../middleware/upload');
+const { encodeMessageCursor } = require('../utils/cursor');
+
+// Allowed message list orders (orderBy query -> ORDER BY clause)
+const MESSAGE_ORDERS = {
+  asc: 'sent_time ASC, created_at ASC',
+  desc: 'sent_time DESC, created_at DESC'
+};
+
+// Allowed chat list orders (orderBy query -> ORDER BY clause)
+const CHAT_ORDERS = {
+  asc: 'last_message_date ASC, created_at ASC',
+  desc: 'last_message_date DESC, created_at DESC'
+};
+
+/**
+ * @route POST /chats/webhook/reply
+ * @desc Receive assistant reply from the n8n workflow and store it in the chat
+ * @header X-Webhook-Timestamp: Unix time (seconds)
+ * @header X-Webhook-Signature: sha256=<HMAC-SHA256 of "<timestamp>.<body>" with ASSISTANT_WEBHOOK_SECRET>
+ * Idempotent: one reply is saved per user message, retries get the saved reply back (200, duplicate: true)
+ * @body {number} chatId - Chat ID
+ * @body {number} messageId - Answered user message ID (messageId of the assistant request payload)
+ * @body {number} threadId - Thread ID (optional, default thread of the answered message)
+ * @body {string} message - Reply text
+ * @body {string} voiceURL - Voice reply URL (optional)
+ * @body {string} voiceMessageContent - Voice reply transcript (optional)
+ */
+router.post('/webhook/reply', verifyWebhookSignature, async (req, res, next) => {
+  try {
+    const chatId = parseInt(req.body.chatId);
+    const replyTo = parseInt(req.body.messageId);
+    const threadId = parseOptionalId(req.body.threadId);
+    const { message, voiceURL, voiceMessageContent } = req.body;
+
+    if (isNaN(chatId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'chatId is required'
+      });
+    }
+
+    if (isNaN(replyTo)) {
+      return res.status(400).json({
+        success: false,
+        error: 'messageId is required'
+      });
+    }
+
+    if (Number.isNaN(threadId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'threadId must be a number'
+      });
+    }
+
+    if (!message && !voiceURL) {
+      return res.status(400).json({
+        success: false,
+        error: 'message or voiceURL is required'
+      });
+    }
+
+    const result = await ChatService.saveAssistantReply(chatId, {
+      message,
+      voiceURL,
+      voiceMessageContent,
+      threadId,
+      replyTo
+    });
+
+    res.status(result.duplicate ? 200 : 201).json({
+      success: true,
+      data: {
+        chat: result.chat.toJSON(),
+        message: result.message.toJSON(),
+        deliveredVia: result.deliveredVia,
+        duplicate: result.duplicate
+      },
+      message: result.duplicate ? 'Reply was already saved' : 'Reply saved successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
 /**
  * @route POST /chats/send
  * @desc Send a message to a consultant
  * Supports both JSON (normal messages) and multipart/form-data (file/voice messages)
  * @header Authorization: Bearer <token>
+ * @header Idempotency-Key: unique key per message (optional, retries return the original response)
+ * Plan entitlements: 403 if the consultant is not in the user's plan, 429 if the daily quota is used up
+ * (text and image messages count messages, voice messages count voice minutes)
  * 
  * For normal messages (JSON):
  * @body {number} consultantId - Consultant ID
  * @body {string} message - Message content
+ * @body {number} threadId - Thread ID (optional, default thread of the chat)
  * 
  * For file/voice messages (multipart/form-data):
  * @body {number} consultantId - Consultant ID
+ * @body {number} threadId - Thread ID (optional, default thread of the chat)
  * @body {string} message - Optional message/description
- * @body {File} file - Image file (for image messages)
+ * @body {File} file - Image file (for image messages, analyzed on the server: image_content is filled
+ *   asynchronously and 'message_updated' is emitted)
  * @body {File} voice - Audio file (for voice messages)
  */
 router.post('/send', authenticate, upload.fields([
   { name: 'file', maxCount: 1 },
   { name: 'voice', maxCount: 1 }
-]), async (req, res, next) => {
+]), idempotent, enforceChatQuota, async (req, res, next) => {
   try {
     const userId = req.userId;
     let consultantId, message, fileURL = null, voiceURL = null;
+    let uploadedImage = null;
     let isFileMessage = false;
     let isVoiceMsg = false;
 
@@ -85,6 +183,8 @@ router.post('/send', authenticate, upload.fields([
           'image'
         );
         isFileMessage = true;
+        // Analyzed on the server after the message is stored (ImageAnalysisService)
+        uploadedImage = { buffer: imageFile.buffer, mimeType: imageFile.mimetype };
       }
 
       // Handle voice file
@@ -184,7 +284,16 @@ router.post('/send', authenticate, upload.fields([
       }
     }
 
+    const threadId = parseOptionalId(req.body.threadId);
+    if (Number.isNaN(threadId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'threadId must be a number'
+      });
+    }
+
     // Get content fields from request body (for AI-analyzed content)
+    // imageContent is ignored for uploaded photos when server-side image analysis is enabled
     const imageContent = req.body.imageContent || null;
     let voiceMessageContent = req.body.voiceMessageContent || null;
     
@@ -205,14 +314,19 @@ router.post('/send', authenticate, upload.fields([
       isVoiceMsg,
       isVoiceMsg ? voiceURL : null,
       imageContent,
-      voiceMessageContent
+      voiceMessageContent,
+      threadId,
+      uploadedImage
     );
 
     res.status(200).json({
       success: true,
       data: {
         chat: result.chat.toFlutterFormat(),
-        message: result.message.toFlutterFormat()
+        thread: result.thread.toFlutterFormat(),
+        message: result.message.toFlutterFormat(),
+        // Crisis hotline resources in the user's language (high risk only, otherwise null)
+        safety: result.safety
       },
       message: 'Message sent successfully'
     });
@@ -224,23 +338,31 @@ router.post('/send', authenticate, upload.fields([
 
 /**
  * @route GET /chats
- * @desc Get all chats for the authenticated user
+ * @desc Get all chats for the authenticated user (with unreadCount: assistant messages after lastReadMessageId)
  * @header Authorization: Bearer <token>
  * @query {number} limit - Limit number of results (default: 100)
  * @query {number} offset - Offset for pagination (default: 0)
- * @query {string} orderBy - Order by field (default: last_message_date DESC)
+ * @query {string} orderBy - asc or desc by last message date (default: desc)
  */
 router.get('/', authenticate, async (req, res, next) => {
   try {
     const userId = req.userId;
     const limit = parseInt(req.query.limit) || 100;
     const offset = parseInt(req.query.offset) || 0;
-    const orderBy = req.query.orderBy || 'last_message_date DESC, created_at DESC';
+    const orderBy = parseChatOrder(req.query.orderBy);
+
+    if (!orderBy) {
+      return res.status(400).json({
+        success: false,
+        error: `orderBy must be one of: ${Object.keys(CHAT_ORDERS).join(', ')}`
+      });
+    }
 
     const chats = await ChatService.getUserChats(userId, {
       limit,
       offset,
-      orderBy
+      orderBy,
+      withUnreadCount: true
     });
 
     res.status(200).json({
@@ -256,6 +378,54 @@ router.get('/', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * @route GET /chats/search
+ * @desc Full-text search in message text, voice transcripts and image descriptions of all chats of the user
+ * Results are newest first. highlights are { start, length } ranges of matched words in snippet.
+ * @header Authorization: Bearer <token>
+ * @query {string} q - Search text (words of 3+ characters, every word must match, prefix match)
+ * @query {string} before - Cursor of the next page (data.paging.before)
+ * @query {number} limit - Limit number of results (default: 20, max: 50)
+ */
+router.get('/search', authenticate, async (req, res, next) => {
+  try {
+    const { q, before, limit } = req.query;
+
+    if (!q || typeof q !== 'string' || q.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'q is required'
+      });
+    }
+
+    const result = await MessageSearchService.search(req.userId, q, { before, limit });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        results: result.results.map(r => ({
+          message: r.message.toFlutterFormat(),
+          chat: r.chat.toFlutterFormat(),
+          consultant: r.consultant ? {
+            id: r.consultant.id,
+            names: r.consultant.names,
+            photoURL: r.consultant.photoURL,
+            job: r.consultant.job
+          } : null,
+          field: r.field,
+          snippet: r.snippet,
+          highlights: r.highlights
+        })),
+        count: result.results.length,
+        paging: result.paging
+      }
+    });
+  } catch (error) {
+    console.error('Error searching messages:', error);
+    next(error);
+  }
+});
+
 /**
  * @route GET /chats/:chatId
  * @desc Get chat by ID
@@ -301,22 +471,79 @@ router.get('/:chatId', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * @route GET /chats/:chatId/export
+ * @desc Download conversation transcript (consultant name in the user's language, voice transcripts,
+ * image descriptions and URLs). PDF is rendered on the server.
+ * @header Authorization: Bearer <token>
+ * @param {number} chatId - Chat ID
+ * @query {string} format - pdf, md or json (default: pdf)
+ * @query {number} threadId - Only this thread (optional, default: every thread of the chat)
+ * @query {string} timezone - IANA timezone of the timestamps, e.g. Europe/Istanbul (optional, default: timezone
+ *   saved with PUT /auth/profile, or UTC)
+ */
+router.get('/:chatId/export', authenticate, async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { chatId } = req.params;
+    const threadId = req.query.threadId !== undefined ? parseInt(req.query.threadId) : null;
+
+    if (!chatId || isNaN(chatId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid chat ID'
+      });
+    }
+
+    if (Number.isNaN(threadId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid thread ID'
+      });
+    }
+
+    const result = await ChatExportService.exportChat(userId, parseInt(chatId), {
+      format: req.query.format,
+      threadId: threadId,
+      timezone: req.query.timezone
+    });
+
+    res.set('Content-Type', result.contentType);
+    res.set('Content-Disposition', `attachment; filename="${result.fileName}"`);
+    res.status(200).send(result.content);
+  } catch (error) {
+    console.error('Error exporting chat:', error);
+    next(error);
+  }
+});
+
 /**
  * @route GET /chats/consultant/:consultantId/messages
  * @desc Get messages for a consultant (by consultant ID)
  * @header Authorization: Bearer <token>
  * @param {number} consultantId - Consultant ID
+ * @query {number} threadId - Thread ID (optional, default thread of the chat)
+ * @query {string} before - Cursor: messages older than it (empty = newest page), see data.paging
+ * @query {string} after - Cursor: messages newer than it (empty = oldest page), see data.paging
  * @query {number} limit - Limit number of results (default: 100)
- * @query {number} offset - Offset for pagination (default: 0)
- * @query {string} orderBy - Order by field (default: sent_time ASC)
+ * @query {number} offset - Offset for pagination (default: 0, ignored with before/after)
+ * @query {string} orderBy - asc or desc by sent time (default: asc, ignored with before/after)
  */
 router.get('/consultant/:consultantId/messages', authenticate, async (req, res, next) => {
   try {
     const userId = req.userId;
     const { consultantId } = req.params;
+    const threadId = parseOptionalId(req.query.threadId);
     const limit = parseInt(req.query.limit) || 100;
     const offset = parseInt(req.query.offset) || 0;
-    const orderBy = req.query.orderBy || 'sent_time ASC, created_at ASC';
+    const orderBy = parseMessageOrder(req.query.orderBy);
+
+    if (!orderBy) {
+      return res.status(400).json({
+        success: false,
+        error: `orderBy must be one of: ${Object.keys(MESSAGE_ORDERS).join(', ')}`
+      });
+    }
 
     if (!consultantId || isNaN(consultantId)) {
       return res.status(400).json({
@@ -325,7 +552,17 @@ router.get('/consultant/:consultantId/messages', authenticate, async (req, res,
       });
     }
 
+    if (Number.isNaN(threadId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid thread ID'
+      });
+    }
+
     const messages = await ChatService.getMessagesByConsultant(parseInt(consultantId), userId, {
+      threadId,
+      before: req.query.before,
+      after: req.query.after,
       limit,
       offset,
       orderBy
@@ -336,7 +573,8 @@ router.get('/consultant/:consultantId/messages', authenticate, async (req, res,
       data: {
         messages: messages.map(m => m.toFlutterFormat()),
         count: messages.length,
-        consultantId: parseInt(consultantId)
+        consultantId: parseInt(consultantId),
+        ...buildMessagePaging(messages, req.query, limit)
       }
     });
   } catch (error) {
@@ -350,17 +588,28 @@ router.get('/consultant/:consultantId/messages', authenticate, async (req, res,
  * @desc Get messages for a chat
  * @header Authorization: Bearer <token>
  * @param {number} chatId - Chat ID
+ * @query {number} threadId - Thread ID (optional, default thread of the chat)
+ * @query {string} before - Cursor: messages older than it (empty = newest page), see data.paging
+ * @query {string} after - Cursor: messages newer than it (empty = oldest page), see data.paging
  * @query {number} limit - Limit number of results (default: 100)
- * @query {number} offset - Offset for pagination (default: 0)
- * @query {string} orderBy - Order by field (default: sent_time ASC)
+ * @query {number} offset - Offset for pagination (default: 0, ignored with before/after)
+ * @query {string} orderBy - asc or desc by sent time (default: asc, ignored with before/after)
  */
 router.get('/:chatId/messages', authenticate, async (req, res, next) => {
   try {
     const userId = req.userId;
     const { chatId } = req.params;
+    const threadId = parseOptionalId(req.query.threadId);
     const limit = parseInt(req.query.limit) || 100;
     const offset = parseInt(req.query.offset) || 0;
-    const orderBy = req.query.orderBy || 'sent_time ASC, created_at ASC';
+    const orderBy = parseMessageOrder(req.query.orderBy);
+
+    if (!orderBy) {
+      return res.status(400).json({
+        success: false,
+        error: `orderBy must be one of: ${Object.keys(MESSAGE_ORDERS).join(', ')}`
+      });
+    }
 
     if (!chatId || isNaN(chatId)) {
       return res.status(400).json({
@@ -369,7 +618,17 @@ router.get('/:chatId/messages', authenticate, async (req, res, next) => {
       });
     }
 
+    if (Number.isNaN(threadId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid thread ID'
+      });
+    }
+
     const messages = await ChatService.getChatMessages(parseInt(chatId), userId, {
+      threadId,
+      before: req.query.before,
+      after: req.query.after,
       limit,
       offset,
       orderBy
@@ -380,7 +639,8 @@ router.get('/:chatId/messages', authenticate, async (req, res, next) => {
       data: {
         messages: messages.map(m => m.toFlutterFormat()),
         count: messages.length,
-        chatId: parseInt(chatId)
+        chatId: parseInt(chatId),
+        ...buildMessagePaging(messages, req.query, limit)
       }
     });
   } catch (error) {
@@ -395,6 +655,382 @@ router.get('/:chatId/messages', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * @route GET /chats/consultant/:consultantId/threads
+ * @desc List conversation threads with a consultant (most recently active first)
+ * @header Authorization: Bearer <token>
+ * @param {number} consultantId - Consultant ID
+ * @query {boolean} includeArchived - Include archived threads (default: false)
+ * @query {number} limit - Limit number of results (default: 100)
+ * @query {number} offset - Offset for pagination (default: 0)
+ */
+router.get('/consultant/:consultantId/threads', authenticate, async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { consultantId } = req.params;
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = parseInt(req.query.offset) || 0;
+
+    if (!consultantId || isNaN(consultantId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid consultant ID'
+      });
+    }
+
+    const threads = await ChatThreadService.listThreads(userId, parseInt(consultantId), {
+      includeArchived: req.query.includeArchived === 'true',
+      limit,
+      offset
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        threads: threads.map(t => t.toFlutterFormat()),
+        count: threads.length,
+        consultantId: parseInt(consultantId)
+      }
+    });
+  } catch (error) {
+    console.error('Error getting chat threads:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /chats/consultant/:consultantId/threads
+ * @desc Start a new conversation thread with a consultant
+ * @header Authorization: Bearer <token>
+ * @param {number} consultantId - Consultant ID
+ * @body {string} title - Thread title (optional)
+ */
+router.post('/consultant/:consultantId/threads', authenticate, async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { consultantId } = req.params;
+
+    if (!consultantId || isNaN(consultantId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid consultant ID'
+      });
+    }
+
+    const result = await ChatThreadService.createThread(userId, parseInt(consultantId), req.body.title);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        chat: result.chat.toFlutterFormat(),
+        thread: result.thread.toFlutterFormat()
+      },
+      message: 'Thread created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating chat thread:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route PATCH /chats/threads/:threadId
+ * @desc Rename, archive or restore a conversation thread
+ * @header Authorization: Bearer <token>
+ * @param {number} threadId - Thread ID
+ * @body {string} title - New title (optional, null/empty = untitled)
+ * @body {boolean} archived - Archive (true) or restore (false) (optional, default thread can't be archived)
+ */
+router.patch('/threads/:threadId', authenticate, async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { threadId } = req.params;
+    const { title, archived } = req.body;
+
+    if (!threadId || isNaN(threadId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid thread ID'
+      });
+    }
+
+    if (title === undefined && archived === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'title or archived is required'
+      });
+    }
+
+    if (archived !== undefined && typeof archived !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'archived must be a boolean'
+      });
+    }
+
+    const thread = await ChatThreadService.updateThread(userId, parseInt(threadId), { title, archived });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        thread: thread.toFlutterFormat()
+      },
+      message: 'Thread updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating chat thread:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /chats/threads/:threadId/messages
+ * @desc Get messages of a conversation thread
+ * @header Authorization: Bearer <token>
+ * @param {number} threadId - Thread ID
+ * @query {string} before - Cursor: messages older than it (empty = newest page), see data.paging
+ * @query {string} after - Cursor: messages newer than it (empty = oldest page), see data.paging
+ * @query {number} limit - Limit number of results (default: 100)
+ * @query {number} offset - Offset for pagination (default: 0, ignored with before/after)
+ * @query {string} orderBy - asc or desc by sent time (default: asc, ignored with before/after)
+ */
+router.get('/threads/:threadId/messages', authenticate, async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { threadId } = req.params;
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = parseInt(req.query.offset) || 0;
+    const orderBy = parseMessageOrder(req.query.orderBy);
+
+    if (!orderBy) {
+      return res.status(400).json({
+        success: false,
+        error: `orderBy must be one of: ${Object.keys(MESSAGE_ORDERS).join(', ')}`
+      });
+    }
+
+    if (!threadId || isNaN(threadId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid thread ID'
+      });
+    }
+
+    const { chat, thread } = await ChatThreadService.getUserThread(userId, parseInt(threadId));
+    const messages = await ChatService.getChatMessages(chat.chatId, userId, {
+      threadId: thread.threadId,
+      before: req.query.before,
+      after: req.query.after,
+      limit,
+      offset,
+      orderBy
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        messages: messages.map(m => m.toFlutterFormat()),
+        count: messages.length,
+        chatId: chat.chatId,
+        threadId: thread.threadId,
+        ...buildMessagePaging(messages, req.query, limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error getting thread messages:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route PATCH /chats/messages/:messageId
+ * @desc Edit the user's own message (within MESSAGE_EDIT_WINDOW_MINUTES of sending, not voice messages)
+ * @header Authorization: Bearer <token>
+ * @param {number} messageId - Message ID
+ * @body {string} message - New message text (caption for images, may be empty)
+ */
+router.patch('/messages/:messageId', authenticate, async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { messageId } = req.params;
+
+    if (!messageId || isNaN(messageId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid message ID'
+      });
+    }
+
+    const result = await ChatService.editMessage(userId, parseInt(messageId), req.body.message);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        chat: result.chat.toFlutterFormat(),
+        message: result.message.toFlutterFormat(),
+        // Crisis hotline resources in the user's language (high risk only, otherwise null)
+        safety: result.safety
+      },
+      message: 'Message edited successfully'
+    });
+  } catch (error) {
+    console.error('Error editing message:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /chats/messages/:messageId
+ * @desc Delete the user's own message (within MESSAGE_EDIT_WINDOW_MINUTES of sending)
+ * A tombstone (deletedAt set, content cleared) stays in history
+ * @header Authorization: Bearer <token>
+ * @param {number} messageId - Message ID
+ */
+router.delete('/messages/:messageId', authenticate, async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { messageId } = req.params;
+
+    if (!messageId || isNaN(messageId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid message ID'
+      });
+    }
+
+    const result = await ChatService.deleteMessage(userId, parseInt(messageId));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        chat: result.chat.toFlutterFormat(),
+        message: result.message.toFlutterFormat()
+      },
+      message: 'Message deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting message:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /chats/:chatId/read
+ * @desc Mark chat as read up to a message (read marker never moves backwards)
+ * @header Authorization: Bearer <token>
+ * @param {number} chatId - Chat ID
+ * @body {number} messageId - Last read message ID (optional, default: newest message of the chat)
+ */
+router.post('/:chatId/read', authenticate, async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { chatId } = req.params;
+    const messageId = req.body.messageId !== undefined && req.body.messageId !== null ? parseInt(req.body.messageId) : null;
+
+    if (!chatId || isNaN(chatId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid chat ID'
+      });
+    }
+
+    if (Number.isNaN(messageId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid message ID'
+      });
+    }
+
+    const result = await ChatService.markChatRead(userId, parseInt(chatId), messageId);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error marking chat as read:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /chats/messages/:messageId/feedback
+ * @desc Submit or change feedback of an assistant message
+ * @header Authorization: Bearer <token>
+ * @param {number} messageId - Message ID
+ * @body {string} rating - up or down
+ * @body {string} reason - Reason category (optional): not_helpful, incorrect, inappropriate, too_long,
+ *   too_short, off_topic, wrong_language, other
+ * @body {string} comment - Free text (optional, max 1000 characters)
+ */
+router.put('/messages/:messageId/feedback', authenticate, async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { messageId } = req.params;
+
+    if (!messageId || isNaN(messageId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid message ID'
+      });
+    }
+
+    const feedback = await FeedbackService.submitFeedback(userId, parseInt(messageId), {
+      rating: req.body.rating,
+      reason: req.body.reason,
+      comment: req.body.comment
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        feedback: feedback
+      },
+      message: 'Feedback saved'
+    });
+  } catch (error) {
+    console.error('Error saving message feedback:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /chats/messages/:messageId/feedback
+ * @desc Remove feedback of a message
+ * @header Authorization: Bearer <token>
+ * @param {number} messageId - Message ID
+ */
+router.delete('/messages/:messageId/feedback', authenticate, async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { messageId } = req.params;
+
+    if (!messageId || isNaN(messageId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid message ID'
+      });
+    }
+
+    const deleted = await FeedbackService.deleteFeedback(userId, parseInt(messageId));
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Feedback not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Feedback deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting message feedback:', error);
+    next(error);
+  }
+});
+
 /**
  * @route DELETE /chats/consultant/:consultantId
  * @desc Delete chat by consultant ID
@@ -432,5 +1068,67 @@ router.delete('/consultant/:consultantId', authenticate, async (req, res, next)
   }
 });
 
+/**
+ * Build cursor paging info of a message page (only in cursor mode)
+ * @param {Array<Message>} messages - Page (oldest first)
+ * @param {Object} query - Request query (before, after)
+ * @param {number} limit - Page size
+ * @returns {Object} { paging: { before, after, hasMore } } or empty object
+ */
+function buildMessagePaging(messages, query, limit) {
+  if (query.before === undefined && query.after === undefined) {
+    return {};
+  }
+
+  const first = messages[0];
+  const last = messages[messages.length - 1];
+
+  return {
+    paging: {
+      // Older page: ?before=<paging.before>, newer messages: ?after=<paging.after>
+      before: first ? encodeMessageCursor(first.messageId) : (query.before !== undefined ? query.before : null),
+      after: last ? encodeMessageCursor(last.messageId) : (query.after !== undefined ? query.after : null),
+      // More messages in the requested direction
+      hasMore: messages.length >= limit
+    }
+  };
+}
+
+/**
+ * Parse orderBy query of a message list
+ * @param {string} value - Raw value (asc or desc, default: asc)
+ * @returns {string|null} ORDER BY clause, null if not allowed
+ */
+function parseMessageOrder(value) {
+  if (value === undefined || value === '') {
+    return MESSAGE_ORDERS.asc;
+  }
+  return MESSAGE_ORDERS[String(value).toLowerCase()] || null;
+}
+
+/**
+ * Parse orderBy query of the chat list
+ * @param {string} value - Raw value (asc or desc, default: desc)
+ * @returns {string|null} ORDER BY clause, null if not allowed
+ */
+function parseChatOrder(value) {
+  if (value === undefined || value === '') {
+    return CHAT_ORDERS.desc;
+  }
+  return CHAT_ORDERS[String(value).toLowerCase()] || null;
+}
+
+/**
+ * Parse an optional ID from body/query
+ * @param {*} value - Raw value
+ * @returns {number|null} ID, null if not given, NaN if invalid
+ */
+function parseOptionalId(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  return parseInt(value);
+}
+
 module.exports = router;
 
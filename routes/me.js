@@ -0,0 +1,58 @@
+/**
+ * Me Routes
+ * Plan, usage quotas and purchases of the authenticated user
+ */
+
+const router = require('express').Router();
+const EntitlementService = require('../services/entitlementService');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * @route GET /me/usage
+ * @desc Get current plan, available consultants and today's usage (quotas reset at 00:00 UTC)
+ * @header Authorization: Bearer <token>
+ * @returns data.usage - { textMessages, voiceMinutes, realtimeMinutes } each { used, limit, remaining }
+ *   (limit and remaining are null when unlimited), data.consultants - 'all' or consultant IDs
+ */
+router.get('/usage', authenticate, async (req, res, next) => {
+  try {
+    const usage = await EntitlementService.getUsage(req.userId);
+
+    res.status(200).json({
+      success: true,
+      data: usage
+    });
+  } catch (error) {
+    console.error('Error getting usage:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /me/subscription/receipt
+ * @desc Verify a store purchase receipt and activate the purchased plan (RECEIPT_VERIFIER)
+ * @header Authorization: Bearer <token>
+ * @body {string} receipt - Purchase receipt from the store
+ * @body {string} productId - Purchased product (see RECEIPT_PRODUCTS)
+ * @returns 400 if the receipt is rejected, 409 if it was used by another account, 503 if verification is disabled
+ */
+router.post('/subscription/receipt', authenticate, async (req, res, next) => {
+  try {
+    const subscription = await EntitlementService.verifyReceipt(req.userId, {
+      receipt: req.body.receipt,
+      productId: req.body.productId
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        subscription: subscription
+      },
+      message: 'Purchase verified successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
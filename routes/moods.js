@@ -6,15 +6,17 @@
 const router = require('express').Router();
 const MoodService = require('../services/moodService');
 const { authenticate } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 
 /**
  * @route POST /moods
  * @desc Create or update mood entry
  * @header Authorization: Bearer <token>
+ * @header Idempotency-Key: unique key per request (optional, retries return the original response)
  * @body {string} date - Date (YYYY-MM-DD or ISO format)
  * @body {number} mood - Mood value (integer)
  */
-router.post('/', authenticate, async (req, res) => {
+router.post('/', authenticate, idempotent, async (req, res) => {
   try {
     const userId = req.userId;
     const { date, mood } = req.body;
@@ -5,6 +5,8 @@
 
 const router = require('express').Router();
 const authenticate = require('../middleware/auth').authenticate;
+const { requirePermission } = require('../middleware/authorization');
+const { PERMISSIONS } = require('../config/roles');
 const OneSignalService = require('../services/oneSignalService');
 const NotificationRepository = require('../repositories/NotificationRepository');
 const UserService = require('../services/userService');
@@ -12,6 +14,7 @@ const UserService = require('../services/userService');
 /**
  * @route POST /notifications/send
  * @desc Send notification to specific user(s) via OneSignal and save to database
+ * @permission notifications:send (admin, support)
  * @header Authorization: Bearer <token>
  * @body {number|number[]} userIds - User ID(s) to send notification to
  * @body {string} title - Notification title
@@ -19,7 +22,7 @@ const UserService = require('../services/userService');
  * @body {string} type - Notification type: 'system_notification' or 'announcement' (optional, default: 'system_notification')
  * @body {Object} metadata - Additional metadata (optional, default: {})
  */
-router.post('/send', authenticate, async (req, res, next) => {
+router.post('/send', authenticate, requirePermission(PERMISSIONS.NOTIFICATIONS_SEND), async (req, res, next) => {
   try {
     const { userIds, title, subtitle, type = 'system_notification', metadata = {} } = req.body;
 
@@ -105,13 +108,14 @@ router.post('/send', authenticate, async (req, res, next) => {
 /**
  * @route POST /notifications/broadcast
  * @desc Send broadcast notification to all users via OneSignal
+ * @permission notifications:broadcast (admin)
  * @header Authorization: Bearer <token>
  * @body {string} title - Notification title
  * @body {string} subtitle - Notification subtitle/body
  * @body {string} type - Notification type: 'system_notification' or 'announcement' (optional, default: 'announcement')
  * @body {Object} metadata - Additional metadata (optional, default: {})
  */
-router.post('/broadcast', authenticate, async (req, res, next) => {
+router.post('/broadcast', authenticate, requirePermission(PERMISSIONS.NOTIFICATIONS_BROADCAST), async (req, res, next) => {
   try {
     const { title, subtitle, type = 'announcement', metadata = {} } = req.body;
 
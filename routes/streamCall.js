@@ -8,7 +8,11 @@ const { authenticate } = require('../middleware/auth');
 const upload = require('../middleware/upload');
 const BunnyCDNService = require('../services/bunnyCDNService');
 const ChatService = require('../services/chatService');
+const AssistantService = require('../services/assistantService');
 const UserService = require('../services/userService');
+const ConversationMemoryService = require('../services/conversationMemoryService');
+const ChatThreadService = require('../services/chatThreadService');
+const SafetyService = require('../services/safetyService');
 
 /**
  * @route POST /stream-call
@@ -16,6 +20,7 @@ const UserService = require('../services/userService');
  * @header Authorization: Bearer <token>
  * 
  * @body {number} consultantId - Consultant ID
+ * @body {number} threadId - Thread ID (optional, default thread of the chat)
  * @body {File} audio - Audio file (multipart/form-data)
  * 
  * Process:
@@ -86,6 +91,7 @@ router.post('/', authenticate, upload.single('audio'), async (req, res, next) =>
 
     // 2. Get or create chat
     const chat = await ChatService.getOrCreateChat(userId, consultantId);
+    const thread = await ChatThreadService.resolveThread(chat, parseInt(req.body.threadId) || null);
 
     // 3. Get user info for webhook
     const user = await UserService.getUserById(userId);
@@ -96,14 +102,15 @@ router.post('/', authenticate, upload.single('audio'), async (req, res, next) =>
       });
     }
 
-    // 4. Get chat history for webhook
-    const chatHistory = await require('../repositories/MessageRepository').getChatHistory(chat.chatId, 50);
+    // 4. Get conversation memory for webhook (summary of older messages + recent messages)
+    const { conversationSummary, chatHistory } = await ConversationMemoryService.getContext(thread.threadId);
 
     // 5. Prepare webhook data
     // Note: Audio transcription will be added later if available
     const webhookData = {
       id: consultantId,
       chatId: chat.chatId,
+      threadId: thread.threadId,
       nativeLang: user.nativeLang || 'en',
       message: '[Stream Call Audio]', // Placeholder, will be replaced with transcription if available
       messageType: 'voice',
@@ -111,6 +118,7 @@ router.post('/', authenticate, upload.single('audio'), async (req, res, next) =>
       userInfo: {
         username: user.username,
         phycoProfile: user.psychologicalProfileBasedOnMessages || user.generalPsychologicalProfile || 'genel_profil',
+        conversationSummary: conversationSummary,
         chatHistory: chatHistory.map(msg => ({
           sender: msg.sender,
           message: msg.message,
@@ -123,19 +131,15 @@ router.post('/', authenticate, upload.single('audio'), async (req, res, next) =>
       }
     };
 
-    // 6. Send to webhook
-    // Webhook URL: /webhook/stream-call
+    // 6. Send to assistant provider (n8n: /webhook/stream-call, see config/assistant.js)
     // Basit yapı: Direkt webhook'a gönder, hata olsa bile audio CDN'e yüklendiği için response döndür
-    const webhookBaseURL = 'http://89.252.179.227:5678';
-    const webhookEndpoint = `${webhookBaseURL}/webhook/stream-call`;
-
-    console.log(`[STREAM-CALL] 📤 Webhook'a gönderiliyor: ${webhookEndpoint}`);
+    console.log(`[STREAM-CALL] 📤 Assistant provider'a gönderiliyor`);
 
     let webhookResponse = null;
     let webhookSuccess = false;
     
     try {
-      webhookResponse = await ChatService.sendToWebhook(webhookData, webhookEndpoint);
+      webhookResponse = await AssistantService.sendCallAudio(consultantId, webhookData);
       console.log(`[STREAM-CALL] ✅ Webhook'a başarıyla gönderildi`);
       console.log(`[STREAM-CALL] 📥 Webhook response:`, JSON.stringify(webhookResponse, null, 2));
       webhookSuccess = true;
@@ -159,12 +163,14 @@ router.post('/', authenticate, upload.single('audio'), async (req, res, next) =>
     }
 
     // 8. Create message in database (optional - for chat history)
+    let messageId = null;
     try {
       const sentTime = new Date().toISOString();
       const messageText = transcription || '[Stream Call Audio]';
       
-      await require('../repositories/MessageRepository').create(
+      const callMessage = await require('../repositories/MessageRepository').create(
         chat.chatId,
+        thread.threadId,
         userId,
         'user',
         messageText,
@@ -176,6 +182,7 @@ router.post('/', authenticate, upload.single('audio'), async (req, res, next) =>
         null, // imageContent
         transcription // voiceMessageContent (transcription from webhook)
       );
+      messageId = callMessage.messageId;
 
       // Update chat last message
       await require('../repositories/ChatRepository').updateLastMessage(
@@ -183,11 +190,27 @@ router.post('/', authenticate, upload.single('audio'), async (req, res, next) =>
         messageText,
         sentTime
       );
+      await require('../repositories/ChatThreadRepository').updateLastMessage(
+        thread.threadId,
+        messageText,
+        sentTime
+      );
     } catch (dbError) {
       console.error(`[STREAM-CALL] ⚠️ Database kayıt hatası (non-critical):`, dbError);
     }
 
-    // 9. Return response
+    // 9. Screen transcription for crisis / self-harm risk
+    // Transcription assistant cevabıyla birlikte geldiği için kriz protokolü bu cevaba uygulanamaz;
+    // olay kaydedilir ve client'a kriz hattı bilgileri döner
+    const assessment = await SafetyService.screen(userId, transcription, user.nativeLang || 'en', {
+      source: 'stream_call',
+      consultantId: parseInt(consultantId),
+      chatId: chat.chatId,
+      threadId: thread.threadId,
+      messageId: messageId
+    });
+
+    // 10. Return response
     // Note: Webhook hatası olsa bile audio CDN'e yüklendiği için success response döndürülür
     const responseMessage = webhookSuccess 
       ? 'Audio uploaded and sent to webhook successfully'
@@ -198,11 +221,13 @@ router.post('/', authenticate, upload.single('audio'), async (req, res, next) =>
       data: {
         audioURL: audioURL,
         chatId: chat.chatId,
+        threadId: thread.threadId,
         message: responseMessage,
         transcription: transcription, // Transcription from webhook (if available)
         audioContent: audioContent, // Additional audio content from webhook (if available)
         webhookResponse: webhookResponse, // Full webhook response (if available)
-        webhookSuccess: webhookSuccess // Whether webhook was successful
+        webhookSuccess: webhookSuccess, // Whether webhook was successful
+        safety: SafetyService.getClientResources(assessment) // Crisis hotline resources (high risk only, otherwise null)
       }
     });
 
@@ -0,0 +1,45 @@
+/**
+ * Sync Routes
+ * Incremental sync endpoint for the offline-first Flutter app
+ */
+
+const router = require('express').Router();
+const SyncService = require('../services/syncService');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * @route GET /sync
+ * @desc Get every chat, thread, message, mood, appointment and notification of the user changed since a cursor
+ * Records are upserted by id on the client (the same record may be returned again).
+ * deletions: [{ type: 'chat' | 'mood', id, deletedAt }] - a deleted chat removes its threads and messages too
+ * @header Authorization: Bearer <token>
+ * @query {string} since - Cursor from the previous response (omit for a full sync)
+ * @returns data.cursor - Cursor for the next sync, data.hasMore - request again immediately with data.cursor
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const changes = await SyncService.getChanges(req.userId, req.query.since || null);
+    const format = items => items.map(item => (typeof item.toFlutterFormat === 'function' ? item.toFlutterFormat() : item));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        chats: format(changes.chats),
+        threads: format(changes.threads),
+        messages: format(changes.messages),
+        moods: format(changes.moods),
+        appointments: format(changes.appointments),
+        notifications: changes.notifications,
+        deletions: changes.deletions,
+        cursor: changes.cursor,
+        hasMore: changes.hasMore,
+        serverTime: changes.serverTime
+      }
+    });
+  } catch (error) {
+    console.error('Error getting sync changes:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -7,11 +7,14 @@
 const router = require('express').Router();
 const { authenticate } = require('../middleware/auth');
 const upload = require('../middleware/upload');
+const { enforceCallQuota } = require('../middleware/entitlements');
 const BunnyCDNService = require('../services/bunnyCDNService');
 const ChatService = require('../services/chatService');
+const AssistantService = require('../services/assistantService');
 const UserService = require('../services/userService');
 const ConsultantService = require('../services/consultantService');
 const SpeechToTextService = require('../services/speechToTextService');
+const SafetyService = require('../services/safetyService');
 
 /**
  * @route POST /video-call
@@ -21,13 +24,16 @@ const SpeechToTextService = require('../services/speechToTextService');
  * @body {number} consultantId - Consultant ID
  * @body {File} audio - Audio file (multipart/form-data)
  * 
+ * Plan entitlements: 403 if the consultant is not in the user's plan, 429 if the daily realtime call
+ * minutes are used up (recording length is counted)
+ * 
  * Process:
  * 1. Upload audio to CDN
  * 2. Get user and consultant info
  * 3. Send to webhook with audio URL, user info, consultant info
  * 4. Return webhook response directly (audioURL, transcription, audioContent)
  */
-router.post('/', authenticate, upload.single('audio'), async (req, res, next) => {
+router.post('/', authenticate, upload.single('audio'), enforceCallQuota, async (req, res, next) => {
   try {
     const userId = req.userId;
     const consultantId = req.body.consultantId;
@@ -122,7 +128,14 @@ router.post('/', authenticate, upload.single('audio'), async (req, res, next) =>
       });
     }
 
-    // 4. Prepare webhook data (koç bilgileri, kullanıcı bilgileri ve genel profil)
+    // 4. Screen transcription for crisis / self-harm risk (high risk: crisis protocol + hotline resources)
+    const assessment = await SafetyService.screen(userId, transcription, user.nativeLang || 'tr', {
+      source: 'video_call',
+      consultantId: consultant.id
+    });
+    const safety = SafetyService.getAssistantInstructions(assessment);
+
+    // 5. Prepare webhook data (koç bilgileri, kullanıcı bilgileri ve genel profil)
     const webhookData = {
       voiceText: transcription || '', // Transcription (mesaj içeriği)
       conversationId: null, // Video call için conversation ID yok
@@ -142,22 +155,20 @@ router.post('/', authenticate, upload.single('audio'), async (req, res, next) =>
         photoURL: consultant.photoURL,
         voiceId: consultant.voiceId,
         url3d: consultant.url3d,
-      }
+      },
+      ...(safety && { safety: safety })
     };
 
-    // 5. Send to webhook (koç bilgileri, kullanıcı bilgileri ve genel profil ile)
-    // /webhook/stream-call endpoint'ine gönder
-    const webhookBaseURL = 'http://89.252.179.227:5678';
-    const webhookEndpoint = `${webhookBaseURL}/webhook/stream-call`;
-
-    console.log(`[VIDEO-CALL] 📤 Webhook'a gönderiliyor: ${webhookEndpoint}`);
+    // 6. Send to assistant provider (koç bilgileri, kullanıcı bilgileri ve genel profil ile)
+    // n8n: /webhook/stream-call endpoint'ine gönder (config/assistant.js)
+    console.log(`[VIDEO-CALL] 📤 Assistant provider'a gönderiliyor`);
     console.log(`[VIDEO-CALL] 📤 Webhook data:`, JSON.stringify(webhookData, null, 2));
 
     let webhookResponse = null;
     let webhookSuccess = false;
     
     try {
-      webhookResponse = await ChatService.sendToWebhook(webhookData, webhookEndpoint);
+      webhookResponse = await AssistantService.sendCallAudio(consultantId, webhookData);
       console.log(`[VIDEO-CALL] ✅ Webhook'a başarıyla gönderildi`);
       console.log(`[VIDEO-CALL] 📥 Webhook response:`, JSON.stringify(webhookResponse, null, 2));
       webhookSuccess = true;
@@ -166,7 +177,7 @@ router.post('/', authenticate, upload.single('audio'), async (req, res, next) =>
       console.warn(`[VIDEO-CALL] ⚠️ Webhook gönderilemedi, ancak audio CDN'e yüklendi. Response döndürülüyor.`);
     }
 
-    // 6. Extract data from webhook response
+    // 7. Extract data from webhook response
     // Webhook response format:
     // {
     //   audioContent: "AI'ın verdiği cevap (text)",
@@ -193,7 +204,7 @@ router.post('/', authenticate, upload.single('audio'), async (req, res, next) =>
       }
     }
 
-    // 7. Return response
+    // 8. Return response
     res.status(200).json({
       success: true,
       transcribedText: transcription || '', // Transcription (ElevenLabs'den)
@@ -202,7 +213,8 @@ router.post('/', authenticate, upload.single('audio'), async (req, res, next) =>
       aiVoiceURL: aiVoiceURL, // Webhook'tan gelen AI'ın sesli mesaj URL'si
       userAudioContent: userAudioContent, // Webhook'tan gelen kullanıcı sesli mesaj içeriği
       webhookResponse: webhookResponse, // Full webhook response
-      webhookSuccess: webhookSuccess
+      webhookSuccess: webhookSuccess,
+      safety: SafetyService.getClientResources(assessment) // Kriz hattı bilgileri (sadece high risk, aksi halde null)
     });
 
   } catch (error) {
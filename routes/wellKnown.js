@@ -0,0 +1,25 @@
+/**
+ * Well-Known Routes
+ * Public metadata endpoints for other services (e.g. JWT verification keys)
+ */
+
+const router = require('express').Router();
+const SigningKeyService = require('../services/signingKeyService');
+
+/**
+ * @route GET /.well-known/jwks.json
+ * @desc Public keys to verify access tokens (RS256/ES256), matched by the token's kid header
+ * @returns {Object} JSON Web Key Set ({ keys: [...] }), empty when JWT_ALGORITHM=HS256
+ */
+router.get('/jwks.json', async (req, res, next) => {
+  try {
+    const jwks = await SigningKeyService.getJwks();
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(jwks);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
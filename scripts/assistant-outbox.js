@@ -0,0 +1,77 @@
+/**
+ * Assistant Outbox Script
+ * Teslim edilemeyen (dead) assistant mesajlarını listeler ve tekrar kuyruğa alır
+ * Kuyruğa alınan kayıtları server'daki worker teslim eder
+ *
+ * Kullanım: node scripts/assistant-outbox.js list [status]     (varsayılan: dead)
+ *           node scripts/assistant-outbox.js replay <id|all>
+ */
+
+require('dotenv').config();
+
+const pool = require('../config/database');
+const AssistantOutboxRepository = require('../repositories/AssistantOutboxRepository');
+
+const command = process.argv[2];
+const argument = process.argv[3];
+
+/**
+ * Print entries with counts per status
+ * @param {string} status - Status
+ */
+async function list(status) {
+  const counts = await AssistantOutboxRepository.countByStatus();
+  const entries = await AssistantOutboxRepository.findByStatus(status, 100, 0);
+
+  console.log(`\nPending: ${counts.pending}, processing: ${counts.processing}, delivered: ${counts.delivered}, dead: ${counts.dead}\n`);
+
+  for (const entry of entries) {
+    console.log(`#${entry.id} message ${entry.messageId} chat ${entry.chatId} consultant ${entry.consultantId} - ${entry.attempts} attempt(s), last ${entry.lastAttemptAt || '-'}`);
+    if (entry.lastError) {
+      console.log(`    ${entry.lastError}`);
+    }
+  }
+  console.log('');
+}
+
+/**
+ * Queue dead letters again
+ * @param {string} target - Entry ID or 'all'
+ */
+async function replay(target) {
+  if (target === 'all') {
+    const count = await AssistantOutboxRepository.replayAllDead();
+    console.log(`\n✅ ${count} kayıt tekrar kuyruğa alındı\n`);
+    return;
+  }
+
+  const id = parseInt(target);
+  if (isNaN(id)) {
+    throw new Error('Geçersiz id');
+  }
+
+  if (!(await AssistantOutboxRepository.replay(id))) {
+    throw new Error(`#${id} bulunamadı veya dead değil`);
+  }
+  console.log(`\n✅ #${id} tekrar kuyruğa alındı\n`);
+}
+
+let run;
+if (command === 'list') {
+  run = list(argument || 'dead');
+} else if (command === 'replay' && argument) {
+  run = replay(argument);
+} else {
+  console.log('\nKullanım: node scripts/assistant-outbox.js list [status] | replay <id|all>\n');
+  process.exit(1);
+}
+
+run
+  .then(() => {
+    process.exitCode = 0;
+  })
+  .catch(error => {
+    console.error(`\n❌ ${error.message}\n`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -19,5 +19,9 @@ console.log('\n⚠️  ÖNEMLİ: Bu key\'i güvenli bir yerde saklayın ve asla
 const secretBase64 = crypto.randomBytes(32).toString('base64');
 console.log('Alternatif (Base64 formatında):');
 console.log('JWT_SECRET=' + secretBase64);
+
+// RS256/ES256 private key'lerinin veritabanında şifrelenmesi için ayrı bir secret
+console.log('\nRS256/ES256 kullanıyorsanız (signing key şifreleme):');
+console.log('JWT_KEY_ENCRYPTION_SECRET=' + crypto.randomBytes(32).toString('hex'));
 console.log('\n');
 
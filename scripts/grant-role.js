@@ -0,0 +1,31 @@
+/**
+ * Role Grant Script
+ * Bu script bir kullanıcıya rol atar (ilk admin'i oluşturmak için)
+ *
+ * Kullanım: node scripts/grant-role.js <userId> <role>
+ * Örnek:    node scripts/grant-role.js 1 admin
+ */
+
+require('dotenv').config();
+
+const pool = require('../config/database');
+const RoleService = require('../services/roleService');
+
+const userId = parseInt(process.argv[2]);
+const role = process.argv[3];
+
+if (isNaN(userId) || !role) {
+  console.log('\nKullanım: node scripts/grant-role.js <userId> <role>\n');
+  process.exit(1);
+}
+
+RoleService.grantRole(userId, role)
+  .then(roles => {
+    console.log(`\n✅ Kullanıcı ${userId} rolleri: ${roles.join(', ')}\n`);
+    process.exitCode = 0;
+  })
+  .catch(error => {
+    console.error(`\n❌ Rol atanamadı: ${error.message}\n`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,23 @@
+/**
+ * Account Purge Script
+ * Grace period'u dolmuş (pending deletion) hesapları kalıcı olarak siler
+ * Server zaten saatlik çalıştırır, bu script manuel tetiklemek içindir
+ *
+ * Kullanım: node scripts/purge-deleted-accounts.js
+ */
+
+require('dotenv').config();
+
+const pool = require('../config/database');
+const AccountDeletionService = require('../services/accountDeletionService');
+
+AccountDeletionService.purgeDueAccounts()
+  .then(count => {
+    console.log(`\n✅ ${count} hesap kalıcı olarak silindi\n`);
+    process.exitCode = 0;
+  })
+  .catch(error => {
+    console.error(`\n❌ Purge başarısız: ${error.message}\n`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,26 @@
+/**
+ * JWT Signing Key Rotation Script
+ * Bu script yeni bir RS256/ES256 signing key oluşturur (JWT_ALGORITHM .env'de ayarlı olmalı)
+ *
+ * Kullanım: node scripts/rotate-jwt-key.js            (key JWT_KEY_PUBLISH_HOURS sonra aktif olur)
+ *           node scripts/rotate-jwt-key.js --immediate (key hemen aktif olur, örn. key sızdıysa)
+ */
+
+require('dotenv').config();
+
+const pool = require('../config/database');
+const SigningKeyService = require('../services/signingKeyService');
+
+const immediate = process.argv.includes('--immediate');
+
+SigningKeyService.rotateKeys({ immediate })
+  .then(key => {
+    console.log(`\n✅ Yeni ${key.algorithm} key oluşturuldu: ${key.kid}`);
+    console.log(`   İmzalamada kullanılmaya başlama zamanı: ${key.activatesAt}\n`);
+    process.exitCode = 0;
+  })
+  .catch(error => {
+    console.error(`\n❌ Key rotation başarısız: ${error.message}\n`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,172 @@
+/**
+ * Account Deletion Service
+ * Soft delete with grace period, restore on re-login and purge of expired accounts
+ *
+ * DELETE /auth/account -> pending deletion + token revoke
+ * Grace period içinde login -> hesap geri yüklenir
+ * Grace period sonunda purge -> tüm satırlar ve Bunny CDN dosyaları silinir, receipt kaydedilir
+ */
+
+const crypto = require('crypto');
+const UserRepository = require('../repositories/UserRepository');
+const MessageRepository = require('../repositories/MessageRepository');
+const TokenRepository = require('../repositories/TokenRepository');
+const DeletionReceiptRepository = require('../repositories/DeletionReceiptRepository');
+const BunnyCDNService = require('./bunnyCDNService');
+const DataExportService = require('./dataExportService');
+
+// How often the purge job runs
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+let purgeTimer = null;
+
+class AccountDeletionService {
+  /**
+   * Get grace period in days
+   * @returns {number} Grace period in days
+   */
+  static getGracePeriodDays() {
+    const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS);
+    return isNaN(days) || days < 0 ? 30 : days;
+  }
+
+  /**
+   * Mark account as pending deletion and revoke all tokens
+   * @param {number} userId - User ID
+   * @returns {Promise<string>} Scheduled purge date (ISO 8601)
+   */
+  static async requestDeletion(userId) {
+    try {
+      const scheduledAt = new Date(Date.now() + this.getGracePeriodDays() * 24 * 60 * 60 * 1000);
+
+      await UserRepository.markPendingDeletion(userId, scheduledAt);
+      await TokenRepository.revokeAll(userId);
+
+      console.log(`🗑️ Account deletion requested for user ${userId}, purge scheduled at ${scheduledAt.toISOString()}`);
+
+      return scheduledAt.toISOString();
+    } catch (error) {
+      console.error('Error requesting account deletion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore an account pending deletion (re-login within grace period)
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>} True if restored, false if grace period has ended
+   */
+  static async restore(userId) {
+    try {
+      const restored = await UserRepository.restore(userId);
+
+      if (restored) {
+        console.log(`♻️ Account of user ${userId} restored (re-login within grace period)`);
+      }
+
+      return restored;
+    } catch (error) {
+      console.error('Error restoring account:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Erase all data of a user: CDN objects, export archives, database rows
+   * CDN objects are deleted first - if that fails the user stays pending and is retried on the next run
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} Deletion receipt
+   */
+  static async purgeUser(userId) {
+    try {
+      const userRow = await UserRepository.findById(userId);
+      if (!userRow) {
+        const error = new Error('User not found');
+        error.status = 404;
+        throw error;
+      }
+
+      // 1. Uploaded voice notes / images and profile photo on Bunny CDN
+      const mediaUrls = await MessageRepository.findMediaUrlsByUserId(userId);
+      if (userRow.profile_photo_url) {
+        mediaUrls.push(userRow.profile_photo_url);
+      }
+
+      let cdnObjectsDeleted = 0;
+      for (const url of mediaUrls) {
+        if (await BunnyCDNService.deleteFile(url)) {
+          cdnObjectsDeleted++;
+        }
+      }
+
+      // 2. Personal data export archives
+      await DataExportService.deleteUserArchives(userId);
+
+      // 3. Database rows
+      const deletedRows = await UserRepository.purge(userId);
+
+      // 4. Auditable receipt (no personal data, only counts)
+      const receipt = {
+        receiptId: crypto.randomUUID(),
+        userId: userId,
+        requestedAt: userRow.deletion_requested_at || null,
+        purgedAt: new Date().toISOString(),
+        deletedRows: deletedRows,
+        cdnObjectsDeleted: cdnObjectsDeleted
+      };
+      await DeletionReceiptRepository.create(receipt);
+
+      console.log(`🧾 Account deletion receipt ${receipt.receiptId}: user ${userId} purged`, JSON.stringify({
+        deletedRows: receipt.deletedRows,
+        cdnObjectsDeleted: receipt.cdnObjectsDeleted
+      }));
+
+      return receipt;
+    } catch (error) {
+      console.error(`Error purging user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Purge every account whose grace period has ended
+   * @returns {Promise<number>} Number of purged accounts
+   */
+  static async purgeDueAccounts() {
+    const users = await UserRepository.findDueForPurge();
+    let purgedCount = 0;
+
+    for (const user of users) {
+      try {
+        await this.purgeUser(user.id);
+        purgedCount++;
+      } catch (error) {
+        // Keep going, failed user is retried on the next run
+        console.error(`⚠️ Purge failed for user ${user.id}, will retry:`, error.message);
+      }
+    }
+
+    return purgedCount;
+  }
+
+  /**
+   * Start periodic purge job
+   */
+  static startPurgeSchedule() {
+    if (purgeTimer) {
+      return;
+    }
+
+    const run = () => {
+      this.purgeDueAccounts().catch(error => {
+        console.error('⚠️ Scheduled account purge failed:', error.message);
+      });
+    };
+
+    run();
+    purgeTimer = setInterval(run, PURGE_INTERVAL_MS);
+    purgeTimer.unref();
+  }
+}
+
+module.exports = AccountDeletionService;
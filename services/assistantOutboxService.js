@@ -0,0 +1,256 @@
+/**
+ * Assistant Outbox Service
+ * Durable delivery of user messages to the assistant provider
+ *
+ * ChatService.sendMessage mesajı ve outbox kaydını aynı transaction'da yazar.
+ * Worker due kayıtları claim edip teslim eder, hata olursa exponential backoff ile tekrar dener.
+ * ASSISTANT_OUTBOX_MAX_ATTEMPTS denemeden sonra (veya kalıcı 4xx hatada) kayıt 'dead' olur,
+ * GET /admin/assistant-outbox veya scripts/assistant-outbox.js ile incelenip replay edilebilir.
+ * Teslim at-least-once'dır: provider cevap verdikten sonra crash olursa mesaj tekrar gönderilebilir.
+ * Payload kullanıcı mesajının messageId'sini taşır, aynı mesaja gelen ikinci cevap kaydedilmez.
+ */
+
+const AssistantOutboxRepository = require('../repositories/AssistantOutboxRepository');
+const ChatRepository = require('../repositories/ChatRepository');
+const AssistantService = require('./assistantService');
+const ChatEvents = require('../socket/chatEvents');
+const { getEnvNumber } = require('../utils/env');
+
+// Entries claimed per worker run
+const BATCH_SIZE = 20;
+
+// A claimed entry is retried by another run if it isn't finished within this time (crashed worker)
+const LOCK_MS = 5 * 60 * 1000;
+
+const STATUSES = ['pending', 'processing', 'delivered', 'dead', 'cancelled'];
+
+let workerTimer = null;
+let running = false;
+
+class AssistantOutboxService {
+  /**
+   * Get maximum number of delivery attempts
+   * @returns {number} Attempts
+   */
+  static getMaxAttempts() {
+    return getEnvNumber('ASSISTANT_OUTBOX_MAX_ATTEMPTS', 8);
+  }
+
+  /**
+   * Get delay before the next attempt (exponential backoff)
+   * @param {number} attempts - Number of attempts made so far
+   * @returns {number} Delay in ms
+   */
+  static getRetryDelayMs(attempts) {
+    const baseMs = getEnvNumber('ASSISTANT_OUTBOX_BACKOFF_SECONDS', 10) * 1000;
+    const maxMs = getEnvNumber('ASSISTANT_OUTBOX_MAX_BACKOFF_SECONDS', 3600) * 1000;
+    return Math.min(baseMs * Math.pow(2, Math.max(attempts - 1, 0)), maxMs);
+  }
+
+  /**
+   * Deliver due entries now (no-op if a run is already in progress)
+   * Called by the worker and right after a message is stored
+   */
+  static kick() {
+    this.processDue().catch(error => {
+      console.error('⚠️ Assistant outbox run failed:', error.message);
+    });
+  }
+
+  /**
+   * Claim and deliver every due entry
+   * @returns {Promise<number>} Number of processed entries
+   */
+  static async processDue() {
+    if (running) {
+      return 0;
+    }
+
+    running = true;
+    let processed = 0;
+
+    try {
+      for (;;) {
+        const ids = await AssistantOutboxRepository.findDueIds(BATCH_SIZE);
+
+        for (const id of ids) {
+          if (await AssistantOutboxRepository.claim(id, new Date(Date.now() + LOCK_MS))) {
+            await this.deliver(await AssistantOutboxRepository.findById(id));
+            processed++;
+          }
+        }
+
+        if (ids.length < BATCH_SIZE) {
+          return processed;
+        }
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  /**
+   * Deliver a claimed entry and record the result
+   * @param {OutboxEntry} entry - Claimed entry (attempts already includes this attempt)
+   */
+  static async deliver(entry) {
+    // Lazy require: ChatService enqueues into the outbox
+    const ChatService = require('./chatService');
+    const chat = await ChatRepository.findById(entry.chatId);
+    // Entries queued before threads existed belong to the default thread
+    const threadId = entry.payload.threadId || null;
+
+    if (chat) {
+      ChatEvents.publishAssistantTyping(chat, true, threadId);
+    }
+
+    try {
+      // messageId is echoed back with the reply, a repeated delivery doesn't store a second reply
+      const reply = await AssistantService.sendChatMessage(entry.consultantId, { ...entry.payload, messageId: entry.messageId });
+
+      // n8n posts the reply to POST /chats/webhook/reply, other providers return it
+      if (reply) {
+        await ChatService.saveAssistantReply(entry.chatId, { ...reply, threadId, replyTo: entry.messageId });
+      }
+
+      await AssistantOutboxRepository.markDelivered(entry.id);
+    } catch (error) {
+      if (chat) {
+        ChatEvents.publishAssistantTyping(chat, false, threadId);
+      }
+
+      if (isPermanentFailure(error) || entry.attempts >= this.getMaxAttempts()) {
+        await AssistantOutboxRepository.markDead(entry.id, error.message);
+        console.error(`❌ Assistant delivery ${entry.id} (message ${entry.messageId}) failed permanently after ${entry.attempts} attempt(s):`, error.message);
+        return;
+      }
+
+      const nextAttemptAt = new Date(Date.now() + this.getRetryDelayMs(entry.attempts));
+      await AssistantOutboxRepository.markRetry(entry.id, nextAttemptAt, error.message);
+      console.warn(`⚠️ Assistant delivery ${entry.id} failed (attempt ${entry.attempts}), retrying at ${nextAttemptAt.toISOString()}:`, error.message);
+    }
+  }
+
+  /**
+   * List entries by status
+   * @param {string} status - Status (default: 'dead')
+   * @param {number} limit - Limit
+   * @param {number} offset - Offset
+   * @returns {Promise<Array<OutboxEntry>>} Entries
+   */
+  static async listEntries(status = 'dead', limit = 50, offset = 0) {
+    if (!STATUSES.includes(status)) {
+      const error = new Error(`Invalid status. Allowed values: ${STATUSES.join(', ')}`);
+      error.name = 'ValidationError';
+      throw error;
+    }
+
+    return await AssistantOutboxRepository.findByStatus(status, limit, offset);
+  }
+
+  /**
+   * Get number of entries per status
+   * @returns {Promise<Object>} { pending, processing, delivered, dead, cancelled }
+   */
+  static async getStats() {
+    return await AssistantOutboxRepository.countByStatus();
+  }
+
+  /**
+   * Deliver a held message now (see MessageRepository.createWithOutbox holdUntil)
+   * No-op for the payload if the hold already expired and delivery was attempted
+   * @param {number} messageId - User message ID
+   * @param {Function} updatePayload - (payload) => updated payload (optional)
+   * @returns {Promise<boolean>} True if the entry was released with the updated payload
+   */
+  static async release(messageId, updatePayload = payload => payload) {
+    const entry = await AssistantOutboxRepository.findPendingByMessageId(messageId);
+    const released = entry ? await AssistantOutboxRepository.release(entry.id, updatePayload(entry.payload)) : false;
+
+    this.kick();
+
+    return released;
+  }
+
+  /**
+   * Update the payload of a message that was not sent to the assistant yet (message edited)
+   * @param {number} messageId - User message ID
+   * @param {Function} updatePayload - (payload) => updated payload
+   * @returns {Promise<boolean>} True if the entry was still pending and updated
+   */
+  static async updatePending(messageId, updatePayload) {
+    const entry = await AssistantOutboxRepository.findPendingByMessageId(messageId);
+    return entry ? await AssistantOutboxRepository.updatePendingPayload(entry.id, updatePayload(entry.payload)) : false;
+  }
+
+  /**
+   * Cancel delivery of a message that was not sent to the assistant yet (message deleted)
+   * @param {number} messageId - User message ID
+   * @returns {Promise<boolean>} True if a pending delivery was cancelled
+   */
+  static async cancel(messageId) {
+    return (await AssistantOutboxRepository.cancelPendingByMessageId(messageId)) > 0;
+  }
+
+  /**
+   * Queue a dead letter again
+   * @param {number} id - Entry ID
+   * @returns {Promise<OutboxEntry>} Queued entry
+   * @throws {Error} 404 if not found, 409 if entry is not dead
+   */
+  static async replay(id) {
+    const entry = await AssistantOutboxRepository.findById(id);
+    if (!entry) {
+      const error = new Error('Outbox entry not found');
+      error.status = 404;
+      throw error;
+    }
+
+    if (!(await AssistantOutboxRepository.replay(id))) {
+      const error = new Error(`Only dead entries can be replayed (status: ${entry.status})`);
+      error.status = 409;
+      throw error;
+    }
+
+    this.kick();
+
+    return await AssistantOutboxRepository.findById(id);
+  }
+
+  /**
+   * Queue every dead letter again
+   * @returns {Promise<number>} Number of queued entries
+   */
+  static async replayAllDead() {
+    const count = await AssistantOutboxRepository.replayAllDead();
+    if (count > 0) {
+      this.kick();
+    }
+    return count;
+  }
+
+  /**
+   * Start periodic delivery of due entries
+   */
+  static startWorker() {
+    if (workerTimer) {
+      return;
+    }
+
+    this.kick();
+    workerTimer = setInterval(() => this.kick(), getEnvNumber('ASSISTANT_OUTBOX_POLL_SECONDS', 5) * 1000);
+    workerTimer.unref();
+  }
+}
+
+/**
+ * Check if retrying cannot succeed (4xx from provider, except timeout and rate limit)
+ * @param {Error} error - Delivery error
+ * @returns {boolean} True if permanent
+ */
+function isPermanentFailure(error) {
+  const status = error.responseStatus;
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+module.exports = AssistantOutboxService;
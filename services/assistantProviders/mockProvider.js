@@ -0,0 +1,58 @@
+/**
+ * Mock Assistant Provider
+ * Deterministic local replies for development and tests (no network access)
+ */
+
+const { getText, getSafety } = require('./payload');
+
+const MAX_SUMMARY_LENGTH = 4000;
+
+class MockProvider {
+  /**
+   * Answer a chat message
+   * @param {Object} payload - Chat payload
+   * @returns {Promise<Object>} Reply ({ message })
+   */
+  static async chat(payload) {
+    return { message: buildReply(payload.id, getText(payload), getSafety(payload)) };
+  }
+
+  /**
+   * Answer a call
+   * @param {Object} payload - Call payload
+   * @returns {Promise<Object>} Response ({ audioContent, aiVoiceURL, userAudioContent, transcription })
+   */
+  static async call(payload) {
+    const consultantId = payload.id || (payload.consultantInfo && payload.consultantInfo.id);
+    return {
+      audioContent: buildReply(consultantId, getText(payload), getSafety(payload)),
+      aiVoiceURL: null,
+      userAudioContent: null,
+      transcription: null
+    };
+  }
+
+  /**
+   * Summarize older messages of a chat (previous summary + one line per message)
+   * @param {Object} request - Summary request (chatId, threadId, consultantId, nativeLang, previousSummary, messages)
+   * @returns {Promise<string>} Updated summary
+   */
+  static async summarize(request) {
+    const lines = request.messages.map(message => `${message.sender}: ${message.content}`);
+    return [request.previousSummary, ...lines].filter(Boolean).join('\n').slice(-MAX_SUMMARY_LENGTH);
+  }
+}
+
+/**
+ * Build reply text (same input -> same output)
+ * @param {number} consultantId - Consultant ID
+ * @param {string} text - User's text
+ * @param {Object|null} safety - Safety instructions (optional)
+ * @returns {string} Reply
+ */
+function buildReply(consultantId, text, safety = null) {
+  const protocol = safety && safety.crisisProtocol ? '[crisis protocol] ' : '';
+  return `[mock consultant ${consultantId}] ${protocol}${text ? `You said: "${text}"` : 'I am listening.'}`;
+}
+
+module.exports = MockProvider;
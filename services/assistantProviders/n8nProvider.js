@@ -0,0 +1,84 @@
+/**
+ * n8n Assistant Provider
+ * Sends the payload unchanged to the n8n webhooks
+ * Chat replies arrive asynchronously via POST /chats/webhook/reply
+ */
+
+const axios = require('axios');
+const { getN8nConfig } = require('../../config/assistant');
+
+class N8nProvider {
+  /**
+   * Send chat message to the chat webhook
+   * @param {Object} payload - Chat payload
+   * @returns {Promise<null>} Always null, reply is posted back by the workflow
+   */
+  static async chat(payload) {
+    const config = getN8nConfig();
+    await this.post(`${config.baseUrl}${config.chatPath}`, payload, config.timeout);
+    return null;
+  }
+
+  /**
+   * Send call audio to the stream-call webhook
+   * @param {Object} payload - Call payload
+   * @returns {Promise<Object>} Webhook response (audioContent, aiVoiceURL, userAudioContent, transcription)
+   */
+  static async call(payload) {
+    const config = getN8nConfig();
+    return await this.post(`${config.baseUrl}${config.callPath}`, payload, config.timeout);
+  }
+
+  /**
+   * Summarize older messages of a chat (synchronous summary webhook)
+   * Webhook must respond with { summary }
+   * @param {Object} request - Summary request (chatId, threadId, consultantId, nativeLang, previousSummary, messages)
+   * @returns {Promise<string>} Updated summary
+   */
+  static async summarize(request) {
+    const config = getN8nConfig();
+    const response = await this.post(`${config.baseUrl}${config.summaryPath}`, request, config.timeout);
+    const summary = typeof response === 'string' ? response : response && response.summary;
+
+    if (!summary) {
+      throw new Error('Summary webhook returned no summary');
+    }
+
+    return summary;
+  }
+
+  /**
+   * POST payload to a webhook
+   * @param {string} url - Webhook URL
+   * @param {Object} payload - Request body
+   * @param {number} timeout - Timeout in ms
+   * @returns {Promise<Object>} Response body
+   */
+  static async post(url, payload, timeout) {
+    try {
+      console.log(`[WEBHOOK] 📤 Sending to webhook: ${url}`);
+
+      const response = await axios.post(url, payload, {
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        timeout: timeout
+      });
+
+      console.log(`[WEBHOOK] ✅ Webhook response received:`, response.status);
+      return response.data;
+    } catch (error) {
+      console.error('[WEBHOOK] ❌ Error sending to webhook:', error.message);
+      if (error.response) {
+        console.error('[WEBHOOK] ❌ Response status:', error.response.status);
+        console.error('[WEBHOOK] ❌ Response data:', error.response.data);
+      }
+      const webhookError = new Error(`Webhook request failed: ${error.message}`);
+      // HTTP status of the webhook response (used by the outbox to detect permanent failures)
+      webhookError.responseStatus = error.response ? error.response.status : null;
+      throw webhookError;
+    }
+  }
+}
+
+module.exports = N8nProvider;
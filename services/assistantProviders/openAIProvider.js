@@ -0,0 +1,159 @@
+/**
+ * OpenAI-compatible Assistant Provider
+ * Calls a chat completions endpoint (OpenAI, Azure OpenAI, vLLM, Ollama, ...) directly
+ * The consultant's main prompt is used as system prompt
+ */
+
+const axios = require('axios');
+const ConsultantService = require('../consultantService');
+const { getOpenAIConfig } = require('../../config/assistant');
+const { getText, getLanguage, getUserInfo, getSafety, getHistory } = require('./payload');
+
+class OpenAIProvider {
+  /**
+   * Answer a chat message
+   * @param {Object} payload - Chat payload
+   * @returns {Promise<Object>} Reply ({ message })
+   */
+  static async chat(payload) {
+    const message = await this.complete(payload.id, payload);
+    return { message };
+  }
+
+  /**
+   * Answer a call (text only, no voice is generated)
+   * @param {Object} payload - Call payload
+   * @returns {Promise<Object>} Response ({ audioContent, aiVoiceURL, userAudioContent, transcription })
+   */
+  static async call(payload) {
+    const consultantId = payload.id || (payload.consultantInfo && payload.consultantInfo.id);
+    const audioContent = await this.complete(consultantId, payload);
+
+    return {
+      audioContent: audioContent,
+      aiVoiceURL: null,
+      userAudioContent: null,
+      transcription: null
+    };
+  }
+
+  /**
+   * Summarize older messages of a chat
+   * @param {Object} request - Summary request (chatId, threadId, consultantId, nativeLang, previousSummary, messages)
+   * @returns {Promise<string>} Updated summary
+   */
+  static async summarize(request) {
+    const transcript = request.messages
+      .map(message => `${message.sender}: ${message.content}`)
+      .join('\n');
+
+    return await this.createCompletion([
+      {
+        role: 'system',
+        content: 'You maintain the memory of a coaching conversation. Update the summary with the new messages. ' +
+          'Keep facts about the user, their goals, feelings, advice given and open topics. ' +
+          `Write at most 300 words in the user's language (${request.nativeLang}). Reply with the summary only.`
+      },
+      {
+        role: 'user',
+        content: `Current summary:\n${request.previousSummary || '(none)'}\n\nNew messages:\n${transcript}`
+      }
+    ]);
+  }
+
+  /**
+   * Create a chat completion for the payload
+   * @param {number} consultantId - Consultant ID
+   * @param {Object} payload - Assistant request payload
+   * @returns {Promise<string>} Assistant text
+   */
+  static async complete(consultantId, payload) {
+    const consultant = await ConsultantService.getConsultantById(consultantId);
+    if (!consultant) {
+      throw new Error('Consultant not found');
+    }
+
+    return await this.createCompletion(buildMessages(consultant, payload, getOpenAIConfig().maxHistory));
+  }
+
+  /**
+   * Call the chat completions endpoint
+   * @param {Array} messages - Chat messages
+   * @returns {Promise<string>} Assistant text
+   */
+  static async createCompletion(messages) {
+    const config = getOpenAIConfig();
+    if (!config.apiKey) {
+      throw new Error('OpenAI configuration is missing. Please set ASSISTANT_OPENAI_API_KEY.');
+    }
+
+    try {
+      const response = await axios.post(`${config.baseUrl}/chat/completions`, {
+        model: config.model,
+        messages: messages
+      }, {
+        headers: {
+          'Authorization': `Bearer ${config.apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: config.timeout
+      });
+
+      const choice = response.data.choices && response.data.choices[0];
+      const content = choice && choice.message && choice.message.content;
+      if (!content) {
+        throw new Error('Empty completion');
+      }
+
+      return content.trim();
+    } catch (error) {
+      console.error('[OPENAI] ❌ Chat completion error:', error.message);
+      if (error.response) {
+        console.error('[OPENAI] ❌ Response status:', error.response.status);
+      }
+      const completionError = new Error(`Chat completion failed: ${error.message}`);
+      completionError.responseStatus = error.response ? error.response.status : null;
+      throw completionError;
+    }
+  }
+}
+
+/**
+ * Build chat completion messages (system prompt + history + current message)
+ * @param {Consultant} consultant - Consultant
+ * @param {Object} payload - Assistant request payload
+ * @param {number} maxHistory - Maximum number of history messages
+ * @returns {Array} Messages
+ */
+function buildMessages(consultant, payload, maxHistory) {
+  const language = getLanguage(payload);
+  const userInfo = getUserInfo(payload);
+  const safety = getSafety(payload);
+
+  const system = [
+    consultant.mainPrompt,
+    `You are ${consultant.names[language] || consultant.names.en || consultant.names.tr || 'the consultant'}${consultant.job ? `, ${consultant.job}` : ''}.`,
+    `Always answer in the user's language (${language}).`,
+    userInfo.username ? `User name: ${userInfo.username}` : null,
+    userInfo.profile ? `User profile: ${typeof userInfo.profile === 'string' ? userInfo.profile : JSON.stringify(userInfo.profile)}` : null,
+    userInfo.notes.length > 0 ? `Notes about the user: ${JSON.stringify(userInfo.notes)}` : null,
+    userInfo.conversationSummary ? `Summary of the earlier conversation:\n${userInfo.conversationSummary}` : null,
+    safety ? safety.instructions : null
+  ].filter(Boolean).join('\n');
+
+  const history = getHistory(payload).slice(-maxHistory).map(entry => ({
+    role: entry.sender === 'assistant' ? 'assistant' : 'user',
+    content: entry.content
+  }));
+
+  // Chat history already contains the current message for chats, not for calls
+  const text = getText(payload);
+  const last = history[history.length - 1];
+  if (text && !(last && last.role === 'user' && last.content === text)) {
+    history.push({ role: 'user', content: text });
+  }
+
+  return [{ role: 'system', content: system }, ...history];
+}
+
+module.exports = OpenAIProvider;
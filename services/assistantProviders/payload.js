@@ -0,0 +1,74 @@
+/**
+ * Assistant Payload Helpers
+ * Read the n8n request contract (chat, stream-call and video-call payloads) for providers that are not n8n
+ */
+
+// History entry of a message the user deleted (see MessageRepository.getThreadHistory)
+const RETRACTED_TEXT = '[The user deleted this message]';
+
+/**
+ * Get user's text from payload
+ * @param {Object} payload - Assistant request payload
+ * @returns {string} Text
+ */
+function getText(payload) {
+  return payload.voiceText !== undefined ? payload.voiceText || '' : payload.message || '';
+}
+
+/**
+ * Get user's language
+ * @param {Object} payload - Assistant request payload
+ * @returns {string} Language code
+ */
+function getLanguage(payload) {
+  return payload.nativeLang || (payload.userInfo && payload.userInfo.nativeLang) || 'tr';
+}
+
+/**
+ * Get user info (username, profile, notes)
+ * @param {Object} payload - Assistant request payload
+ * @returns {Object} { username, profile, notes, conversationSummary }
+ */
+function getUserInfo(payload) {
+  const userInfo = payload.userInfo || {};
+  return {
+    username: userInfo.username || null,
+    profile: userInfo.phycoProfile || null,
+    notes: userInfo.aiComments || [],
+    conversationSummary: userInfo.conversationSummary || null
+  };
+}
+
+/**
+ * Get safety instructions (set when crisis or self-harm risk was detected in the user's input)
+ * @param {Object} payload - Assistant request payload
+ * @returns {Object|null} { riskLevel, categories, crisisProtocol, instructions, resources } or null
+ */
+function getSafety(payload) {
+  return payload.safety || null;
+}
+
+/**
+ * Get chat history as { sender, content } (oldest first)
+ * Messages deleted by the user are kept as a retraction note
+ * @param {Object} payload - Assistant request payload
+ * @returns {Array} History
+ */
+function getHistory(payload) {
+  const chatHistory = (payload.userInfo && payload.userInfo.chatHistory) || [];
+
+  return chatHistory
+    .map(entry => ({
+      sender: entry.sender,
+      content: entry.retracted ? RETRACTED_TEXT : entry.voiceContent || entry.imageContent || entry.message || ''
+    }))
+    .filter(entry => entry.content);
+}
+
+module.exports = {
+  getText,
+  getLanguage,
+  getUserInfo,
+  getSafety,
+  getHistory
+};
@@ -0,0 +1,72 @@
+/**
+ * Assistant Service
+ * Routes chat messages and calls to the configured conversational AI provider
+ * Provider is selected per consultant (ASSISTANT_CONSULTANT_PROVIDERS) or per environment (ASSISTANT_PROVIDER)
+ */
+
+const { PROVIDERS, getProviderForConsultant } = require('../config/assistant');
+const N8nProvider = require('./assistantProviders/n8nProvider');
+const OpenAIProvider = require('./assistantProviders/openAIProvider');
+const MockProvider = require('./assistantProviders/mockProvider');
+
+const ADAPTERS = {
+  n8n: N8nProvider,
+  openai: OpenAIProvider,
+  mock: MockProvider
+};
+
+class AssistantService {
+  /**
+   * Get provider adapter for a consultant
+   * @param {number} consultantId - Consultant ID
+   * @returns {Object} Adapter (chat, call, summarize)
+   * @throws {Error} If configured provider is unknown
+   */
+  static getProvider(consultantId) {
+    const name = getProviderForConsultant(consultantId);
+    const adapter = ADAPTERS[name];
+
+    if (!adapter) {
+      throw new Error(`Unknown assistant provider "${name}". Supported providers: ${PROVIDERS.join(', ')}`);
+    }
+
+    return adapter;
+  }
+
+  /**
+   * Send chat message to the consultant's assistant
+   * @param {number} consultantId - Consultant ID
+   * @param {Object} payload - Chat payload (n8n chat-assistant contract)
+   * @returns {Promise<Object|null>} Reply ({ message, voiceURL, voiceMessageContent }), or null if the
+   *   reply is delivered later via POST /chats/webhook/reply
+   */
+  static async sendChatMessage(consultantId, payload) {
+    return await this.getProvider(consultantId).chat(payload);
+  }
+
+  /**
+   * Send call audio to the consultant's assistant
+   * @param {number} consultantId - Consultant ID
+   * @param {Object} payload - Call payload (n8n stream-call contract)
+   * @returns {Promise<Object>} Response ({ audioContent, aiVoiceURL, userAudioContent, transcription })
+   */
+  static async sendCallAudio(consultantId, payload) {
+    return await this.getProvider(consultantId).call(payload);
+  }
+
+  /**
+   * Summarize older messages of a chat with the consultant's assistant provider
+   * @param {number} consultantId - Consultant ID
+   * @param {Object} request - Summary request
+   * @param {number} request.chatId - Chat ID
+   * @param {string} request.nativeLang - User's language
+   * @param {string|null} request.previousSummary - Summary so far
+   * @param {Array} request.messages - Messages to add ({ messageId, sender, content, sentTime }, oldest first)
+   * @returns {Promise<string>} Updated summary
+   */
+  static async summarizeConversation(consultantId, request) {
+    return await this.getProvider(consultantId).summarize({ consultantId, ...request });
+  }
+}
+
+module.exports = AssistantService;
@@ -201,6 +201,31 @@ class AuthService {
     throw new Error('Either identityToken or userIdentifier must be provided');
   }
 
+  /**
+   * Provider'a göre request body'deki token'ı verify eder
+   * @param {string} provider - 'google', 'facebook' veya 'apple'
+   * @param {Object} body - Request body (idToken, accessToken, identityToken, userIdentifier, fullName)
+   * @returns {Promise<Object>} Kullanıcı bilgileri
+   */
+  static async verifyProviderToken(provider, body) {
+    switch (provider) {
+      case 'google':
+        return await AuthService.verifyGoogleToken(body.idToken);
+      case 'facebook':
+        return await AuthService.verifyFacebookToken(body.accessToken);
+      case 'apple': {
+        const providerData = await AuthService.verifyAppleToken(body.identityToken, body.userIdentifier);
+        // Apple'dan gelen fullName'i providerData'ya ekle
+        if (body.fullName && body.fullName.length > 0) {
+          providerData.name = body.fullName;
+        }
+        return providerData;
+      }
+      default:
+        throw new Error(`Unsupported provider: ${provider}`);
+    }
+  }
+
   /**
    * Provider'dan gelen bilgileri UserModel formatına çevirir
    * @param {Object} providerData - Provider'dan gelen kullanıcı bilgileri
@@ -230,5 +255,6 @@ module.exports = AuthService;
 module.exports.verifyGoogleToken = AuthService.verifyGoogleToken;
 module.exports.verifyFacebookToken = AuthService.verifyFacebookToken;
 module.exports.verifyAppleToken = AuthService.verifyAppleToken;
+module.exports.verifyProviderToken = AuthService.verifyProviderToken;
 module.exports.mapProviderDataToUser = AuthService.mapProviderDataToUser;
 
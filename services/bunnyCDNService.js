@@ -1,6 +1,6 @@
 /**
  * Bunny CDN Service
- * Handles file uploads to Bunny CDN
+ * Handles file uploads to (and deletes from) Bunny CDN
  */
 
 const axios = require('axios');
@@ -8,6 +8,9 @@ const FormData = require('form-data');
 const fs = require('fs');
 const path = require('path');
 
+// Largest file downloaded from the CDN (same as the upload limit)
+const MAX_DOWNLOAD_BYTES = 50 * 1024 * 1024;
+
 class BunnyCDNService {
   /**
    * Upload file to Bunny CDN
@@ -62,6 +65,69 @@ class BunnyCDNService {
     }
   }
 
+  /**
+   * Delete file from Bunny CDN storage
+   * URLs that are not on our CDN (e.g. Google profile photos) are skipped
+   * @param {string} cdnUrl - CDN URL returned by uploadFile
+   * @returns {Promise<boolean>} True if deleted (or already gone), false if skipped
+   */
+  static async deleteFile(cdnUrl) {
+    try {
+      const storageZoneName = process.env.BUNNY_CDN_STORAGE_ZONE || '';
+      const storageZonePassword = process.env.BUNNY_CDN_STORAGE_PASSWORD || '';
+      const url = parseCdnUrl(cdnUrl);
+      if (!url) {
+        return false;
+      }
+
+      if (!storageZoneName || !storageZonePassword) {
+        throw new Error('Bunny CDN configuration is missing. Please check environment variables.');
+      }
+
+      const deleteUrl = `https://storage.bunnycdn.com/${storageZoneName}${url.pathname}`;
+
+      await axios.delete(deleteUrl, {
+        headers: { 'AccessKey': storageZonePassword },
+        timeout: 30000,
+        // 404: file already deleted
+        validateStatus: status => (status >= 200 && status < 300) || status === 404
+      });
+
+      return true;
+    } catch (error) {
+      console.error('Bunny CDN delete error:', error.message);
+      throw new Error(`Failed to delete file from Bunny CDN: ${error.message}`);
+    }
+  }
+
+  /**
+   * Download file from Bunny CDN
+   * URLs that are not on our CDN are not fetched
+   * @param {string} cdnUrl - CDN URL returned by uploadFile
+   * @param {number} maxBytes - Largest accepted file (default: 50MB)
+   * @returns {Promise<Buffer|null>} File content, null if the URL is not on our CDN
+   */
+  static async downloadFile(cdnUrl, maxBytes = MAX_DOWNLOAD_BYTES) {
+    const url = parseCdnUrl(cdnUrl);
+    if (!url) {
+      return null;
+    }
+
+    try {
+      const response = await axios.get(`https://${url.hostname}${url.pathname}`, {
+        responseType: 'arraybuffer',
+        maxContentLength: maxBytes,
+        maxRedirects: 0,
+        timeout: 30000
+      });
+
+      return Buffer.from(response.data);
+    } catch (error) {
+      console.error('Bunny CDN download error:', error.message);
+      throw new Error(`Failed to download file from Bunny CDN: ${error.message}`);
+    }
+  }
+
   /**
    * Get content type based on file name and type
    * @param {string} fileName - File name
@@ -112,5 +178,23 @@ class BunnyCDNService {
   }
 }
 
+/**
+ * Parse a URL of our CDN
+ * @param {string} cdnUrl - URL
+ * @returns {URL|null} Parsed URL, null if invalid or not on our CDN
+ */
+function parseCdnUrl(cdnUrl) {
+  const cdnHostnames = ['mindcoach.b-cdn.net', process.env.BUNNY_CDN_HOSTNAME].filter(Boolean);
+
+  let url;
+  try {
+    url = new URL(cdnUrl);
+  } catch (error) {
+    return null;
+  }
+
+  return cdnHostnames.includes(url.hostname) ? url : null;
+}
+
 module.exports = BunnyCDNService;
 
@@ -0,0 +1,326 @@
+/**
+ * Chat Export Service
+ * Conversation transcript of a chat as PDF, Markdown or JSON (for the user or their therapist)
+ *
+ * Consultant adı kullanıcının dilinde (nativeLang) yazılır, zamanlar kullanıcının timezone'unda gösterilir
+ * (users.timezone, uygulama cihazdan kaydeder; istekte timezone verilirse o, ikisi de yoksa UTC).
+ * Ses transkriptleri, görsel açıklamaları ve medya URL'leri dahildir. PDF sunucuda utils/pdf ile üretilir
+ * (harici servis kullanılmaz).
+ */
+
+const ChatRepository = require('../repositories/ChatRepository');
+const ChatThreadRepository = require('../repositories/ChatThreadRepository');
+const MessageRepository = require('../repositories/MessageRepository');
+const ChatThreadService = require('./chatThreadService');
+const UserService = require('./userService');
+const ConsultantService = require('./consultantService');
+const { createPdf } = require('../utils/pdf');
+const { isValidTimezone } = require('../utils/timezone');
+
+const FORMATS = {
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// Page size used while reading threads and messages
+const PAGE_SIZE = 500;
+
+class ChatExportService {
+  /**
+   * Export transcript of a chat
+   * @param {number} userId - User ID
+   * @param {number} chatId - Chat ID
+   * @param {Object} options - Export options
+   * @param {string} options.format - pdf, md or json (default: pdf)
+   * @param {number} options.threadId - Only this thread (optional, default: every thread of the chat)
+   * @param {string} options.timezone - IANA timezone of the timestamps (default: timezone of the user, or UTC)
+   * @returns {Promise<Object>} { fileName, contentType, content }
+   * @throws {Error} ValidationError for unknown format or timezone, 404 if chat or thread not found
+   */
+  static async exportChat(userId, chatId, options = {}) {
+    try {
+      const format = options.format || 'pdf';
+      if (!FORMATS[format]) {
+        throw createValidationError(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+      }
+
+      const transcript = await this.getTranscript(userId, chatId, options);
+      const fileName = `mindcoach-chat-${chatId}${options.threadId ? `-thread-${options.threadId}` : ''}.${FORMATS[format].extension}`;
+
+      let content;
+      if (format === 'json') {
+        content = JSON.stringify(transcript, null, 2);
+      } else if (format === 'md') {
+        content = formatMarkdown(transcript);
+      } else {
+        content = createPdf({
+          title: `MindCoach - ${transcript.consultant.name}`,
+          paragraphs: formatPdfParagraphs(transcript)
+        });
+      }
+
+      return { fileName, contentType: FORMATS[format].contentType, content };
+    } catch (error) {
+      console.error('Error exporting chat:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Collect transcript of a chat
+   * @param {number} userId - User ID
+   * @param {number} chatId - Chat ID
+   * @param {Object} options - { threadId, timezone } (see exportChat)
+   * @returns {Promise<Object>} Transcript (consultant, user, threads with messages, local times)
+   */
+  static async getTranscript(userId, chatId, options = {}) {
+    try {
+      if (options.timezone && !isValidTimezone(options.timezone)) {
+        throw createValidationError('Invalid timezone. Use an IANA timezone such as Europe/Istanbul');
+      }
+
+      const chat = await ChatRepository.findById(chatId);
+      if (!chat || chat.userId !== userId) {
+        const error = new Error('Chat not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const user = await UserService.getUserById(userId);
+      const consultant = await ConsultantService.getConsultantById(chat.consultantId);
+      const timezone = options.timezone || (user && isValidTimezone(user.timezone) ? user.timezone : 'UTC');
+      const language = (user && user.nativeLang) || 'tr';
+      const consultantName = getConsultantName(consultant, language);
+      const userName = (user && user.username) || 'User';
+      const formatTime = createTimeFormatter(language, timezone);
+
+      const threads = options.threadId
+        ? [await ChatThreadService.resolveThread(chat, options.threadId)]
+        : (await readAllPages((limit, offset) =>
+          ChatThreadRepository.findByChatId(chat.chatId, { includeArchived: true, limit, offset })
+        )).sort((a, b) => a.threadId - b.threadId);
+
+      const transcriptThreads = [];
+      for (const thread of threads) {
+        const messages = await readAllPages((limit, offset) =>
+          MessageRepository.findByThreadId(thread.threadId, { limit, offset })
+        );
+
+        transcriptThreads.push({
+          threadId: thread.threadId,
+          title: thread.title || (thread.isDefault ? 'Default thread' : 'Untitled'),
+          archived: thread.isArchived(),
+          messages: messages.map(message => ({
+            messageId: message.messageId,
+            sender: message.sender,
+            senderName: message.sender === 'assistant' ? consultantName : userName,
+            sentTime: message.sentTime,
+            localTime: formatTime(message.sentTime),
+            type: message.isVoiceMessage ? 'voice' : (message.isFile ? 'image' : 'text'),
+            message: message.message,
+            voiceURL: message.voiceURL,
+            voiceTranscript: message.voiceMessageContent,
+            image: message.isFile && message.fileURL ? { url: message.fileURL, description: message.imageContent } : null,
+            edited: !!message.editedAt,
+            deleted: message.isDeleted()
+          }))
+        });
+      }
+
+      const exportedAt = new Date().toISOString();
+
+      return {
+        exportedAt: exportedAt,
+        localExportedAt: formatTime(exportedAt),
+        timezone: timezone,
+        language: language,
+        chatId: chat.chatId,
+        consultant: {
+          id: chat.consultantId,
+          name: consultantName,
+          job: consultant ? consultant.job || null : null
+        },
+        user: {
+          username: userName
+        },
+        threads: transcriptThreads
+      };
+    } catch (error) {
+      console.error('Error collecting chat transcript:', error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Get consultant name in a language
+ * @param {Consultant|null} consultant - Consultant
+ * @param {string} language - Language code
+ * @returns {string} Name
+ */
+function getConsultantName(consultant, language) {
+  const names = (consultant && consultant.names) || {};
+  return names[language] || names.en || names.tr || Object.values(names)[0] || 'MindCoach';
+}
+
+/**
+ * Create a formatter for local date and time
+ * @param {string} language - Language code (falls back to en if unknown)
+ * @param {string} timezone - IANA timezone
+ * @returns {Function} (ISO date string) => local date time, or the input if it is not a date
+ */
+function createTimeFormatter(language, timezone) {
+  const options = {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  };
+
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat(language, options);
+  } catch (error) {
+    formatter = new Intl.DateTimeFormat('en', options);
+  }
+
+  return value => {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? String(value || '') : formatter.format(date);
+  };
+}
+
+/**
+ * Get content lines of a message (text, voice transcript, image)
+ * @param {Object} message - Transcript message
+ * @returns {Object} { text, details: [string] }
+ */
+function getMessageContent(message) {
+  if (message.deleted) {
+    return { text: '(message deleted)', details: [] };
+  }
+
+  const details = [];
+  if (message.type === 'voice') {
+    details.push(`Voice message${message.voiceURL ? `: ${message.voiceURL}` : ''}`);
+    if (message.voiceTranscript) {
+      details.push(`Transcript: ${message.voiceTranscript}`);
+    }
+  }
+  if (message.image) {
+    details.push(`Image: ${message.image.url}`);
+    if (message.image.description) {
+      details.push(`Image description: ${message.image.description}`);
+    }
+  }
+
+  return {
+    text: `${message.message || ''}${message.edited ? ' (edited)' : ''}`.trim(),
+    details: details
+  };
+}
+
+/**
+ * Format transcript as Markdown
+ * @param {Object} transcript - Transcript
+ * @returns {string} Markdown
+ */
+function formatMarkdown(transcript) {
+  const lines = [];
+
+  lines.push(`# Conversation with ${transcript.consultant.name}`, '');
+  if (transcript.consultant.job) {
+    lines.push(`_${transcript.consultant.job}_`, '');
+  }
+  lines.push(`User: ${transcript.user.username}  `);
+  lines.push(`Exported: ${transcript.localExportedAt} (${transcript.timezone})`, '');
+
+  for (const thread of transcript.threads) {
+    lines.push(`## ${thread.title}${thread.archived ? ' (archived)' : ''}`, '');
+
+    for (const message of thread.messages) {
+      const content = getMessageContent(message);
+      lines.push(`**${message.senderName}** - ${message.localTime}  `);
+      if (content.text) {
+        lines.push(...content.text.split(/\r?\n/).map(line => `${line}  `));
+      }
+      for (const detail of content.details) {
+        lines.push(`> ${detail.replace(/\r?\n/g, ' ')}  `);
+      }
+      lines.push('');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format transcript as PDF paragraphs (see utils/pdf)
+ * @param {Object} transcript - Transcript
+ * @returns {Array<Object>} Paragraphs
+ */
+function formatPdfParagraphs(transcript) {
+  const paragraphs = [];
+
+  paragraphs.push({ text: `Conversation with ${transcript.consultant.name}`, size: 18, bold: true });
+  if (transcript.consultant.job) {
+    paragraphs.push({ text: transcript.consultant.job, size: 11, gray: true, spaceBefore: 2 });
+  }
+  paragraphs.push({
+    text: `User: ${transcript.user.username}\nExported: ${transcript.localExportedAt} (${transcript.timezone})`,
+    size: 9,
+    gray: true,
+    spaceBefore: 8
+  });
+
+  for (const thread of transcript.threads) {
+    paragraphs.push({ text: `${thread.title}${thread.archived ? ' (archived)' : ''}`, size: 13, bold: true, spaceBefore: 18 });
+
+    for (const message of thread.messages) {
+      const content = getMessageContent(message);
+      paragraphs.push({ text: `${message.senderName}  ·  ${message.localTime}`, size: 9, bold: true, spaceBefore: 10 });
+      if (content.text) {
+        paragraphs.push({ text: content.text, spaceBefore: 2 });
+      }
+      for (const detail of content.details) {
+        paragraphs.push({ text: detail, size: 9, gray: true, indent: 12, spaceBefore: 2 });
+      }
+    }
+  }
+
+  return paragraphs;
+}
+
+/**
+ * Read every page of a paginated repository method
+ * @param {Function} fetchPage - (limit, offset) => Promise<Array>
+ * @returns {Promise<Array>} All rows
+ */
+async function readAllPages(fetchPage) {
+  const rows = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await fetchPage(PAGE_SIZE, offset);
+    rows.push(...page);
+
+    if (page.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+}
+
+/**
+ * Create validation error (400)
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function createValidationError(message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+}
+
+module.exports = ChatExportService;
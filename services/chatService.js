@@ -5,8 +5,20 @@
 
 const ChatRepository = require('../repositories/ChatRepository');
 const MessageRepository = require('../repositories/MessageRepository');
+const ChatThreadRepository = require('../repositories/ChatThreadRepository');
+const SyncRepository = require('../repositories/SyncRepository');
+const ChatThreadService = require('./chatThreadService');
 const UserService = require('./userService');
-const axios = require('axios');
+const ConsultantService = require('./consultantService');
+const OneSignalService = require('./oneSignalService');
+const AssistantOutboxService = require('./assistantOutboxService');
+const ConversationMemoryService = require('./conversationMemoryService');
+const SafetyService = require('./safetyService');
+const ImageAnalysisService = require('./imageAnalysisService');
+const BunnyCDNService = require('./bunnyCDNService');
+const ChatEvents = require('../socket/chatEvents');
+const { decodeMessageCursor } = require('../utils/cursor');
+const { getEnvInteger } = require('../utils/env');
 
 class ChatService {
   /**
@@ -33,37 +45,6 @@ class ChatService {
     }
   }
 
-  /**
-   * Send message to assistant via webhook
-   * @param {Object} webhookData - Webhook request data
-   * @returns {Promise<Object>} Webhook response
-   */
-  static async sendToWebhook(webhookData, webhookUrl = null) {
-    try {
-      // Use provided webhook URL or default
-      const url = webhookUrl || 'http://89.252.179.227:5678/webhook/chat-assistant';
-      
-      console.log(`[WEBHOOK] 📤 Sending to webhook: ${url}`);
-      
-      const response = await axios.post(url, webhookData, {
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000 // 30 seconds timeout
-      });
-
-      console.log(`[WEBHOOK] ✅ Webhook response received:`, response.status);
-      return response.data;
-    } catch (error) {
-      console.error('[WEBHOOK] ❌ Error sending to webhook:', error.message);
-      if (error.response) {
-        console.error('[WEBHOOK] ❌ Response status:', error.response.status);
-        console.error('[WEBHOOK] ❌ Response data:', error.response.data);
-      }
-      throw new Error(`Webhook request failed: ${error.message}`);
-    }
-  }
-
   /**
    * Send message from user
    * @param {number} userId - User ID
@@ -75,12 +56,22 @@ class ChatService {
    * @param {string} voiceURL - Voice message URL if message is a voice message (default: null)
    * @param {string} imageContent - AI-analyzed image content (default: null)
    * @param {string} voiceMessageContent - Transcribed voice message content (default: null)
-   * @returns {Promise<Object>} Response with chat and message
+   * @param {number} threadId - Thread ID (default: null = default thread of the chat)
+   * @param {Object} image - Uploaded image to analyze on the server ({ buffer, mimeType }, default: null).
+   *   When image analysis is enabled, imageContent is ignored and filled asynchronously ('message_updated')
+   * @returns {Promise<Object>} Response with chat, thread, message and safety (crisis resources on high risk, otherwise null)
    */
-  static async sendMessage(userId, consultantId, message, isFile = false, fileURL = null, isVoiceMessage = false, voiceURL = null, imageContent = null, voiceMessageContent = null) {
+  static async sendMessage(userId, consultantId, message, isFile = false, fileURL = null, isVoiceMessage = false, voiceURL = null, imageContent = null, voiceMessageContent = null, threadId = null, image = null) {
     try {
       // Get or create chat
       const chat = await this.getOrCreateChat(userId, consultantId);
+
+      const thread = await ChatThreadService.resolveThread(chat, threadId);
+      if (thread.isArchived()) {
+        const error = new Error('Thread is archived');
+        error.name = 'ValidationError';
+        throw error;
+      }
       
       // Get user info
       const user = await UserService.getUserById(userId);
@@ -88,34 +79,6 @@ class ChatService {
         throw new Error('User not found');
       }
 
-      // Create user message
-      const sentTime = new Date().toISOString();
-      const userMessage = await MessageRepository.create(
-        chat.chatId,
-        userId,
-        'user',
-        message,
-        sentTime,
-        isFile,
-        fileURL,
-        isVoiceMessage,
-        voiceURL,
-        imageContent,
-        voiceMessageContent
-      );
-
-      // Update chat last message (use appropriate indicator)
-      let lastMessageText = message;
-      if (isVoiceMessage) {
-        lastMessageText = message || '[Voice Message]';
-      } else if (isFile) {
-        lastMessageText = message || '[File]';
-      }
-      await ChatRepository.updateLastMessage(chat.chatId, lastMessageText, sentTime);
-
-      // Get chat history for webhook
-      const chatHistory = await MessageRepository.getChatHistory(chat.chatId, 50);
-
       // Determine message type
       let messageType = 'text';
       if (isVoiceMessage) {
@@ -124,6 +87,12 @@ class ChatService {
         messageType = 'image';
       }
 
+      // Uploaded photos are analyzed on the server, assistant delivery waits for the result
+      const analyzeImage = isFile && !!image && ImageAnalysisService.isEnabled();
+      if (analyzeImage) {
+        imageContent = null;
+      }
+
       // Prepare webhook message content
       // For image: use imageContent if available, otherwise use message
       // For voice: use voiceMessageContent if available, otherwise use message
@@ -135,35 +104,100 @@ class ChatService {
         webhookMessage = voiceMessageContent;
       }
 
-      // Prepare webhook data
-      const webhookData = {
-        id: consultantId,
+      // Screen user's own words (caption/text and voice transcript) for crisis and self-harm risk
+      const nativeLang = user.nativeLang || 'tr';
+      const assessment = await SafetyService.classify(
+        [message, voiceMessageContent].filter(Boolean).join('\n'),
+        nativeLang
+      );
+      const safety = SafetyService.getAssistantInstructions(assessment);
+
+      // Create user message and its assistant delivery in one transaction
+      // (conversation memory is read inside the transaction, so chat history includes this message)
+      const sentTime = new Date().toISOString();
+      const { message: userMessage } = await MessageRepository.createWithOutbox({
         chatId: chat.chatId,
-        nativeLang: user.nativeLang || 'tr',
-        message: webhookMessage,
-        messageType: messageType,
-        // Add URL if message is image or voice
-        ...(isFile && fileURL && { imageURL: fileURL }),
-        ...(isVoiceMessage && voiceURL && { voiceURL: voiceURL }),
-        userInfo: {
-          username: user.username,
-          phycoProfile: user.generalProfile || user.generalPsychologicalProfile || null,
-          chatHistory: chatHistory,
-          aiComments: user.userAgentNotes || []
-        }
-      };
+        threadId: thread.threadId,
+        senderId: userId,
+        sender: 'user',
+        message: message,
+        sentTime: sentTime,
+        isFile: isFile,
+        fileURL: fileURL,
+        isVoiceMessage: isVoiceMessage,
+        voiceURL: voiceURL,
+        imageContent: imageContent,
+        voiceMessageContent: voiceMessageContent
+      }, consultantId, async connection => {
+        // Assistant memory is per thread
+        const { conversationSummary, chatHistory } = await ConversationMemoryService.getContext(thread.threadId, connection);
+
+        return {
+          id: consultantId,
+          chatId: chat.chatId,
+          threadId: thread.threadId,
+          nativeLang: nativeLang,
+          message: webhookMessage,
+          messageType: messageType,
+          // Add URL if message is image or voice
+          ...(isFile && fileURL && { imageURL: fileURL }),
+          ...(isVoiceMessage && voiceURL && { voiceURL: voiceURL }),
+          userInfo: {
+            username: user.username,
+            phycoProfile: user.generalProfile || user.generalPsychologicalProfile || null,
+            // Summary of older messages + most recent messages verbatim
+            conversationSummary: conversationSummary,
+            chatHistory: chatHistory,
+            aiComments: user.userAgentNotes || []
+          },
+          // Crisis protocol / check-in instructions when risk language was detected
+          ...(safety && { safety: safety })
+        };
+      }, analyzeImage ? ImageAnalysisService.getHoldUntil() : null);
+
+      if (analyzeImage) {
+        ImageAnalysisService.analyzeMessage(chat, userMessage, image, nativeLang);
+      }
 
-      // Send to webhook asynchronously (fire-and-forget)
-      // Don't wait for webhook response, send it in background
-      this.sendToWebhook(webhookData).catch(error => {
-        console.error('Webhook error (background):', error.message);
-        // Log error but don't affect the response
+      await SafetyService.record(userId, assessment, {
+        source: isVoiceMessage ? 'voice' : 'chat',
+        consultantId: consultantId,
+        chatId: chat.chatId,
+        threadId: thread.threadId,
+        messageId: userMessage.messageId
       });
 
-      // Return immediately without waiting for webhook
+      // Update chat last message (use appropriate indicator)
+      let lastMessageText = message;
+      if (isVoiceMessage) {
+        lastMessageText = message || '[Voice Message]';
+      } else if (isFile) {
+        lastMessageText = message || '[File]';
+      }
+      await ChatRepository.updateLastMessage(chat.chatId, lastMessageText, sentTime);
+      await ChatThreadRepository.updateLastMessage(thread.threadId, lastMessageText, sentTime);
+      chat.lastMessage = lastMessageText;
+      chat.lastMessageDate = sentTime;
+      thread.lastMessage = lastMessageText;
+      thread.lastMessageDate = sentTime;
+
+      // Notify user's other devices
+      ChatEvents.publishMessage(chat, userMessage);
+
+      // Summarize messages that left the recent window (background)
+      ConversationMemoryService.scheduleRefresh(thread.threadId);
+
+      // Deliver to assistant provider in background (outbox retries if it fails)
+      // Assistant is "typing" until the reply is saved (n8n posts it to POST /chats/webhook/reply,
+      // other providers return it directly)
+      AssistantOutboxService.kick();
+
+      // Return immediately without waiting for the assistant
       return {
         chat: chat,
-        message: userMessage
+        thread: thread,
+        message: userMessage,
+        safety: SafetyService.getClientResources(assessment)
       };
     } catch (error) {
       console.error('Error sending message:', error);
@@ -171,6 +205,109 @@ class ChatService {
     }
   }
 
+  /**
+   * Save assistant reply received from the n8n workflow
+   * Online users get it over Socket.IO ('assistant_reply'), offline users get a push notification
+   * @param {number} chatId - Chat ID
+   * @param {Object} reply - Reply content
+   * @param {string} reply.message - Reply text
+   * @param {string} reply.voiceURL - Voice reply URL (optional)
+   * @param {string} reply.voiceMessageContent - Voice reply transcript (optional)
+   * @param {number} reply.threadId - Thread ID (optional, default: thread of the answered message)
+   * @param {number} reply.replyTo - Answered user message ID (optional, one reply is saved per user message)
+   * @returns {Promise<Object>} Chat, message, delivery channel ('socket' or 'push') and duplicate
+   *   (true if the user message was already answered: the saved reply is returned and nothing is delivered)
+   * @throws {Error} 404 if chat not found, ValidationError if replyTo is not a user message of the chat
+   */
+  static async saveAssistantReply(chatId, reply) {
+    try {
+      const chat = await ChatRepository.findById(chatId);
+      if (!chat) {
+        const error = new Error('Chat not found');
+        error.status = 404;
+        throw error;
+      }
+
+      let answered = null;
+      if (reply.replyTo) {
+        answered = await MessageRepository.findById(reply.replyTo);
+        if (!answered || answered.chatId !== chat.chatId || answered.sender !== 'user') {
+          const error = new Error('messageId must be a user message of the chat');
+          error.name = 'ValidationError';
+          throw error;
+        }
+
+        // Retried webhook / outbox delivery
+        const existing = await MessageRepository.findByReplyTo(answered.messageId);
+        if (existing) {
+          return { chat: chat, message: existing, deliveredVia: null, duplicate: true };
+        }
+      }
+
+      const thread = await ChatThreadService.resolveThread(chat, reply.threadId || (answered && answered.threadId) || null);
+      const isVoiceMessage = !!reply.voiceURL;
+      const sentTime = new Date().toISOString();
+
+      // Prompt version is recorded for feedback reports (FeedbackService)
+      const consultant = await ConsultantService.getConsultantById(chat.consultantId);
+
+      // Assistant messages carry consultant ID as sender_id
+      let assistantMessage;
+      try {
+        assistantMessage = await MessageRepository.create(
+          chat.chatId,
+          thread.threadId,
+          chat.consultantId,
+          'assistant',
+          reply.message || '',
+          sentTime,
+          false,
+          null,
+          isVoiceMessage,
+          reply.voiceURL || null,
+          null,
+          reply.voiceMessageContent || null,
+          consultant ? consultant.getPromptVersion() : null,
+          answered ? answered.messageId : null
+        );
+      } catch (error) {
+        // Concurrent retry saved the reply first (unique reply_to_message_id)
+        if (error.code === 'ER_DUP_ENTRY' && answered) {
+          const existing = await MessageRepository.findByReplyTo(answered.messageId);
+          return { chat: chat, message: existing, deliveredVia: null, duplicate: true };
+        }
+        throw error;
+      }
+
+      const lastMessageText = reply.message || (isVoiceMessage ? '[Voice Message]' : '');
+      await ChatRepository.updateLastMessage(chat.chatId, lastMessageText, sentTime);
+      await ChatThreadRepository.updateLastMessage(thread.threadId, lastMessageText, sentTime);
+
+      chat.lastMessage = lastMessageText;
+      chat.lastMessageDate = sentTime;
+      ConversationMemoryService.scheduleRefresh(thread.threadId);
+
+      const delivered = ChatEvents.publishMessage(chat, assistantMessage);
+
+      if (!delivered) {
+        // Push failure must not fail the webhook - message is already stored
+        sendReplyNotification(chat, assistantMessage, lastMessageText).catch(error => {
+          console.error('⚠️ Assistant reply push notification error:', error.message);
+        });
+      }
+
+      return {
+        chat: chat,
+        message: assistantMessage,
+        deliveredVia: delivered ? 'socket' : 'push',
+        duplicate: false
+      };
+    } catch (error) {
+      console.error('Error saving assistant reply:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get all chats for a user
    * @param {number} userId - User ID
@@ -216,7 +353,8 @@ class ChatService {
    * Get messages for a chat
    * @param {number} chatId - Chat ID
    * @param {number} userId - User ID (for authorization check)
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options (threadId: default thread if not set,
+   *   before/after: message cursor, see findThreadMessages)
    * @returns {Promise<Array>} Array of messages
    */
   static async getChatMessages(chatId, userId, options = {}) {
@@ -230,18 +368,73 @@ class ChatService {
         throw new Error('Unauthorized: Chat does not belong to user');
       }
 
-      return await MessageRepository.findByChatId(chatId, options);
+      const thread = await ChatThreadService.resolveThread(chat, options.threadId || null);
+      return await findThreadMessages(thread, options);
     } catch (error) {
       console.error('Error getting chat messages:', error);
       throw error;
     }
   }
 
+  /**
+   * Get messages a user missed since a message ID (across all of their chats)
+   * Used by Socket.IO catch-up on reconnect
+   * @param {number} userId - User ID
+   * @param {number} lastMessageId - Last message ID the client has seen
+   * @param {number} limit - Maximum number of messages
+   * @returns {Promise<Array>} Array of { chat, message }, oldest first
+   */
+  static async getMissedMessages(userId, lastMessageId, limit = 200) {
+    try {
+      const messages = await MessageRepository.findByUserIdAfterId(userId, lastMessageId, limit);
+      const chats = new Map();
+
+      const result = [];
+      for (const message of messages) {
+        if (!chats.has(message.chatId)) {
+          chats.set(message.chatId, await ChatRepository.findById(message.chatId));
+        }
+        result.push({ chat: chats.get(message.chatId), message });
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Error getting missed messages:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get chats deleted after the last deletion a client has seen (socket catch-up)
+   * @param {number} userId - User ID
+   * @param {number|null} lastDeletionId - Last deletion ID the client has seen (null = client has no cursor yet,
+   *   nothing is replayed and the current cursor is returned)
+   * @param {number} limit - Maximum number of deletions
+   * @returns {Promise<Object>} { deletions: Array of { deletionId, chatId }, oldest first, lastDeletionId }
+   */
+  static async getMissedChatDeletions(userId, lastDeletionId, limit = 200) {
+    try {
+      if (lastDeletionId === null) {
+        return { deletions: [], lastDeletionId: await SyncRepository.findLastDeletionId(userId, 'chat') };
+      }
+
+      const tombstones = await SyncRepository.findDeletionsAfterId(userId, 'chat', lastDeletionId, limit);
+      return {
+        deletions: tombstones.map(tombstone => ({ deletionId: tombstone.id, chatId: tombstone.entityId })),
+        lastDeletionId: tombstones.length > 0 ? tombstones[tombstones.length - 1].id : lastDeletionId
+      };
+    } catch (error) {
+      console.error('Error getting missed chat deletions:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get messages by consultant ID
    * @param {number} consultantId - Consultant ID
    * @param {number} userId - User ID (for authorization check)
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options (threadId: default thread if not set,
+   *   before/after: message cursor, see findThreadMessages)
    * @returns {Promise<Array>} Array of messages
    */
   static async getMessagesByConsultant(consultantId, userId, options = {}) {
@@ -254,14 +447,165 @@ class ChatService {
         return [];
       }
 
-      // Get messages for the chat
-      return await MessageRepository.findByChatId(chat.chatId, options);
+      // Get messages for the thread
+      const thread = await ChatThreadService.resolveThread(chat, options.threadId || null);
+      return await findThreadMessages(thread, options);
     } catch (error) {
       console.error('Error getting messages by consultant:', error);
       throw error;
     }
   }
 
+  /**
+   * Get how long after sending a user can edit or delete a message
+   * @returns {number} Minutes
+   */
+  static getEditWindowMinutes() {
+    return getEnvInteger('MESSAGE_EDIT_WINDOW_MINUTES', 15);
+  }
+
+  /**
+   * Edit text of the user's own recent message
+   * An undelivered assistant request gets the new text, a delivered one sees it in the next chat history
+   * @param {number} userId - User ID
+   * @param {number} messageId - Message ID
+   * @param {string} text - New message text (caption for images)
+   * @returns {Promise<Object>} { chat, message, safety } (safety: crisis resources on high risk, otherwise null)
+   * @throws {Error} 404 not found, 403 not the user's message, 409 deleted or edit window passed, ValidationError
+   */
+  static async editMessage(userId, messageId, text) {
+    try {
+      if (typeof text !== 'string') {
+        throw createValidationError('message must be a string');
+      }
+
+      const { chat, message } = await getChangeableMessage(userId, messageId, this.getEditWindowMinutes());
+
+      if (message.isVoiceMessage) {
+        throw createValidationError('Voice messages cannot be edited');
+      }
+      if (!message.isFile && text.trim().length === 0) {
+        throw createValidationError('message is required');
+      }
+
+      const updated = await MessageRepository.updateMessageText(message.messageId, text);
+      if (!updated) {
+        throw createConflictError('Message was deleted');
+      }
+
+      const user = await UserService.getUserById(userId);
+      const assessment = await SafetyService.screen(userId, text, (user && user.nativeLang) || 'tr', {
+        source: 'chat',
+        consultantId: chat.consultantId,
+        chatId: chat.chatId,
+        threadId: message.threadId,
+        messageId: message.messageId
+      });
+      const safety = SafetyService.getAssistantInstructions(assessment);
+
+      await AssistantOutboxService.updatePending(message.messageId, payload => ({
+        ...replaceMessageText(payload, message.message, text),
+        safety: safety || undefined
+      }));
+
+      await updateLastMessagePreview(chat, message, text || '[File]');
+      await ConversationMemoryService.forgetMessage(updated);
+      ChatEvents.publishMessageUpdated(chat, updated);
+
+      return {
+        chat: chat,
+        message: updated,
+        safety: SafetyService.getClientResources(assessment)
+      };
+    } catch (error) {
+      console.error('Error editing message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the user's own recent message
+   * A tombstone stays in history (the assistant sees it as retracted), content and media are removed
+   * and an undelivered assistant request is cancelled
+   * @param {number} userId - User ID
+   * @param {number} messageId - Message ID
+   * @returns {Promise<Object>} { chat, message } (message is the tombstone)
+   * @throws {Error} 404 not found, 403 not the user's message, 409 already deleted or edit window passed
+   */
+  static async deleteMessage(userId, messageId) {
+    try {
+      const { chat, message } = await getChangeableMessage(userId, messageId, this.getEditWindowMinutes());
+
+      const tombstone = await MessageRepository.markDeleted(message.messageId);
+      if (!tombstone) {
+        throw createConflictError('Message was deleted');
+      }
+
+      await AssistantOutboxService.cancel(message.messageId);
+      await updateLastMessagePreview(chat, message, '[Message deleted]');
+      await ConversationMemoryService.forgetMessage(tombstone);
+      ChatEvents.publishMessageUpdated(chat, tombstone);
+
+      // Uploaded image / voice file is removed in background
+      for (const url of [message.fileURL, message.voiceURL].filter(Boolean)) {
+        BunnyCDNService.deleteFile(url).catch(error => {
+          console.error(`⚠️ Failed to delete media of message ${message.messageId}:`, error.message);
+        });
+      }
+
+      return { chat: chat, message: tombstone };
+    } catch (error) {
+      console.error('Error deleting message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a chat as read up to a message (read marker only moves forward)
+   * @param {number} userId - User ID
+   * @param {number} chatId - Chat ID
+   * @param {number|null} messageId - Last read message ID (null = newest message of the chat)
+   * @returns {Promise<Object>} { chatId, lastReadMessageId }
+   * @throws {Error} 404 if chat or message not found
+   */
+  static async markChatRead(userId, chatId, messageId = null) {
+    try {
+      const chat = await ChatRepository.findById(chatId);
+      if (!chat || chat.userId !== userId) {
+        const error = new Error('Chat not found');
+        error.status = 404;
+        throw error;
+      }
+
+      if (messageId) {
+        const message = await MessageRepository.findById(messageId);
+        if (!message || message.chatId !== chat.chatId) {
+          const error = new Error('Message not found');
+          error.status = 404;
+          throw error;
+        }
+      } else {
+        messageId = await MessageRepository.findLastIdByChatId(chat.chatId);
+      }
+
+      if (messageId && await ChatRepository.updateLastRead(chat.chatId, messageId)) {
+        chat.lastReadMessageId = messageId;
+        ChatEvents.publishChatRead(chat, messageId);
+      }
+
+      // Marker may already be further (another device)
+      const updated = await ChatRepository.findById(chat.chatId);
+
+      return {
+        chatId: updated.chatId,
+        lastReadMessageId: updated.lastReadMessageId
+      };
+    } catch (error) {
+      console.error('Error marking chat as read:', error);
+      throw error;
+    }
+  }
+
   /**
    * Delete chat by user and consultant
    * @param {number} userId - User ID
@@ -278,7 +622,13 @@ class ChatService {
       }
 
       // Delete chat (messages will be deleted automatically via CASCADE)
-      return await ChatRepository.deleteByUserAndConsultant(userId, consultantId);
+      const deleted = await ChatRepository.deleteByUserAndConsultant(userId, consultantId);
+      if (deleted) {
+        // Offline clients learn about the deletion from GET /sync
+        await SyncRepository.recordDeletion(userId, 'chat', chat.chatId);
+        ChatEvents.publishChatDeleted(chat);
+      }
+      return deleted;
     } catch (error) {
       console.error('Error deleting chat:', error);
       throw error;
@@ -286,5 +636,166 @@ class ChatService {
   }
 }
 
+/**
+ * Find messages of a thread
+ * Cursor mode (options.before or options.after is set, '' = from the newest/oldest end) pages by
+ * message ID, otherwise legacy limit/offset on sent_time is used
+ * @param {ChatThread} thread - Thread
+ * @param {Object} options - Query options (before, after, limit, offset, orderBy)
+ * @returns {Promise<Array<Message>>} Messages
+ */
+async function findThreadMessages(thread, options) {
+  const hasBefore = options.before !== undefined;
+  const hasAfter = options.after !== undefined;
+
+  if (!hasBefore && !hasAfter) {
+    return await MessageRepository.findByThreadId(thread.threadId, options);
+  }
+
+  if (hasBefore && hasAfter) {
+    const error = new Error('before and after cannot be used together');
+    error.name = 'ValidationError';
+    throw error;
+  }
+
+  return await MessageRepository.findPageByThreadId(thread.threadId, {
+    beforeId: hasBefore ? decodeMessageCursor(options.before) : null,
+    // Empty after cursor = oldest page
+    afterId: hasAfter ? (decodeMessageCursor(options.after) || 0) : null,
+    limit: options.limit
+  });
+}
+
+/**
+ * Get a message the user may still edit or delete
+ * @param {number} userId - User ID
+ * @param {number} messageId - Message ID
+ * @param {number} windowMinutes - Edit window
+ * @returns {Promise<Object>} { chat, message }
+ * @throws {Error} 404 not found, 403 not the user's message, 409 deleted or edit window passed
+ */
+async function getChangeableMessage(userId, messageId, windowMinutes) {
+  const message = await MessageRepository.findById(messageId);
+  const chat = message ? await ChatRepository.findById(message.chatId) : null;
+
+  // Messages of other users are reported as not found
+  if (!chat || chat.userId !== userId) {
+    const error = new Error('Message not found');
+    error.status = 404;
+    throw error;
+  }
+
+  if (message.sender !== 'user') {
+    const error = new Error('Only your own messages can be changed');
+    error.status = 403;
+    throw error;
+  }
+
+  if (message.isDeleted()) {
+    throw createConflictError('Message was deleted');
+  }
+
+  const sentAt = new Date(message.sentTime).getTime();
+  if (isNaN(sentAt) || Date.now() - sentAt > windowMinutes * 60 * 1000) {
+    throw createConflictError(`Messages can only be changed within ${windowMinutes} minutes of sending`);
+  }
+
+  return { chat, message };
+}
+
+/**
+ * Replace the text of an edited message in an assistant request payload
+ * @param {Object} payload - Assistant request payload
+ * @param {string} oldText - Previous message text
+ * @param {string} newText - New message text
+ * @returns {Object} Updated payload
+ */
+function replaceMessageText(payload, oldText, newText) {
+  const chatHistory = ((payload.userInfo && payload.userInfo.chatHistory) || []).slice();
+
+  // The edited message is the newest user entry with the old text
+  for (let i = chatHistory.length - 1; i >= 0; i--) {
+    if (chatHistory[i].sender === 'user' && chatHistory[i].message === oldText) {
+      chatHistory[i] = { ...chatHistory[i], message: newText, edited: true };
+      break;
+    }
+  }
+
+  return {
+    ...payload,
+    // Image payloads carry the image content as message, only the caption changes
+    message: payload.message === oldText ? newText : payload.message,
+    userInfo: { ...payload.userInfo, chatHistory: chatHistory }
+  };
+}
+
+/**
+ * Update chat and thread last message preview if the changed message is the newest one
+ * @param {Chat} chat - Chat
+ * @param {Message} message - Changed message (before the change)
+ * @param {string} text - New preview text
+ */
+async function updateLastMessagePreview(chat, message, text) {
+  if (chat.lastMessageDate === message.sentTime) {
+    await ChatRepository.updateLastMessage(chat.chatId, text, message.sentTime);
+    chat.lastMessage = text;
+  }
+
+  const thread = message.threadId ? await ChatThreadRepository.findById(message.threadId) : null;
+  if (thread && thread.lastMessageDate === message.sentTime) {
+    await ChatThreadRepository.updateLastMessage(thread.threadId, text, message.sentTime);
+  }
+}
+
+/**
+ * Create validation error (400)
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function createValidationError(message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+}
+
+/**
+ * Create conflict error (409)
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function createConflictError(message) {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+}
+
+/**
+ * Send push notification for a new assistant reply
+ * @param {Chat} chat - Chat
+ * @param {Message} message - Assistant message
+ * @param {string} text - Notification text
+ */
+async function sendReplyNotification(chat, message, text) {
+  const user = await UserService.getUserById(chat.userId);
+  const consultant = await ConsultantService.getConsultantById(chat.consultantId);
+
+  const lang = user?.nativeLang || 'tr';
+  const title = consultant?.names?.[lang] || consultant?.names?.en || 'MindCoach';
+  const subtitle = text.length > 120 ? `${text.substring(0, 117)}...` : text;
+
+  await OneSignalService.sendNotification(
+    chat.userId,
+    title,
+    subtitle,
+    {
+      type: 'chat_message',
+      chatId: chat.chatId,
+      consultantId: chat.consultantId,
+      messageId: message.messageId
+    },
+    'system_notification'
+  );
+}
+
 module.exports = ChatService;
 
@@ -0,0 +1,173 @@
+/**
+ * Chat Thread Service
+ * Business logic for conversation threads under a user-consultant chat
+ *
+ * Her chat'in bir default thread'i vardır (threadId gönderilmeyen istekler ona düşer).
+ * Arşivlenmiş thread'ler listelerde görünmez ve yeni mesaj kabul etmez.
+ */
+
+const ChatRepository = require('../repositories/ChatRepository');
+const ChatThreadRepository = require('../repositories/ChatThreadRepository');
+
+// chat_threads.title column length
+const MAX_TITLE_LENGTH = 255;
+
+class ChatThreadService {
+  /**
+   * Resolve the thread a chat operation targets
+   * @param {Chat} chat - Chat
+   * @param {number|null} threadId - Thread ID (null = default thread of the chat)
+   * @returns {Promise<ChatThread>} Thread
+   */
+  static async resolveThread(chat, threadId = null) {
+    if (!threadId) {
+      return await ChatThreadRepository.findOrCreateDefault(chat.chatId);
+    }
+
+    const thread = await ChatThreadRepository.findById(threadId);
+    if (!thread || thread.chatId !== chat.chatId) {
+      throw createNotFoundError();
+    }
+
+    return thread;
+  }
+
+  /**
+   * Get a thread of the user
+   * @param {number} userId - User ID
+   * @param {number} threadId - Thread ID
+   * @returns {Promise<Object>} { chat, thread }
+   */
+  static async getUserThread(userId, threadId) {
+    const thread = await ChatThreadRepository.findById(threadId);
+    const chat = thread ? await ChatRepository.findById(thread.chatId) : null;
+
+    // Threads of other users are reported as not found
+    if (!chat || chat.userId !== userId) {
+      throw createNotFoundError();
+    }
+
+    return { chat, thread };
+  }
+
+  /**
+   * List threads of the user with a consultant
+   * @param {number} userId - User ID
+   * @param {number} consultantId - Consultant ID
+   * @param {Object} options - Query options (includeArchived, limit, offset)
+   * @returns {Promise<Array<ChatThread>>} Threads (most recently active first)
+   */
+  static async listThreads(userId, consultantId, options = {}) {
+    try {
+      const chat = await ChatRepository.findByUserAndConsultant(userId, consultantId);
+      if (!chat) {
+        return [];
+      }
+
+      // Chats created before threads existed get their default thread here
+      await ChatThreadRepository.findOrCreateDefault(chat.chatId);
+
+      return await ChatThreadRepository.findByChatId(chat.chatId, options);
+    } catch (error) {
+      console.error('Error listing chat threads:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a new thread with a consultant
+   * @param {number} userId - User ID
+   * @param {number} consultantId - Consultant ID
+   * @param {string|null} title - Thread title (optional)
+   * @returns {Promise<Object>} { chat, thread }
+   */
+  static async createThread(userId, consultantId, title = null) {
+    try {
+      const normalizedTitle = normalizeTitle(title);
+
+      // Lazy require: ChatService depends on this service
+      const ChatService = require('./chatService');
+      const chat = await ChatService.getOrCreateChat(userId, consultantId);
+
+      // Default thread stays the first thread of the chat
+      await ChatThreadRepository.findOrCreateDefault(chat.chatId);
+      const thread = await ChatThreadRepository.create(chat.chatId, normalizedTitle);
+
+      return { chat, thread };
+    } catch (error) {
+      console.error('Error creating chat thread:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename and/or archive a thread of the user
+   * @param {number} userId - User ID
+   * @param {number} threadId - Thread ID
+   * @param {Object} changes - Changes
+   * @param {string|null} changes.title - New title (null/empty = untitled, undefined = unchanged)
+   * @param {boolean} changes.archived - Archive (true) or restore (false) (undefined = unchanged)
+   * @returns {Promise<ChatThread>} Updated thread
+   */
+  static async updateThread(userId, threadId, changes = {}) {
+    try {
+      const { thread } = await this.getUserThread(userId, threadId);
+
+      if (changes.title !== undefined) {
+        await ChatThreadRepository.updateTitle(thread.threadId, normalizeTitle(changes.title));
+      }
+
+      if (changes.archived !== undefined) {
+        if (changes.archived && thread.isDefault) {
+          const error = new Error('Default thread cannot be archived');
+          error.name = 'ValidationError';
+          throw error;
+        }
+        await ChatThreadRepository.setArchived(thread.threadId, changes.archived);
+      }
+
+      return await ChatThreadRepository.findById(thread.threadId);
+    } catch (error) {
+      console.error('Error updating chat thread:', error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Normalize a thread title (trimmed, empty = untitled)
+ * @param {string|null} title - Title
+ * @returns {string|null} Title or null
+ */
+function normalizeTitle(title) {
+  if (title === null || title === undefined) {
+    return null;
+  }
+
+  if (typeof title !== 'string') {
+    const error = new Error('title must be a string');
+    error.name = 'ValidationError';
+    throw error;
+  }
+
+  const trimmed = title.trim();
+  if (trimmed.length > MAX_TITLE_LENGTH) {
+    const error = new Error(`title must be at most ${MAX_TITLE_LENGTH} characters`);
+    error.name = 'ValidationError';
+    throw error;
+  }
+
+  return trimmed || null;
+}
+
+/**
+ * Create 404 error for a missing (or foreign) thread
+ * @returns {Error} Not found error
+ */
+function createNotFoundError() {
+  const error = new Error('Thread not found');
+  error.status = 404;
+  return error;
+}
+
+module.exports = ChatThreadService;
@@ -0,0 +1,183 @@
+/**
+ * Conversation Memory Service
+ * Assistant context of a thread: rolling summary of older messages + most recent messages verbatim
+ *
+ * CHAT_MEMORY_RECENT_MESSAGES mesaj payload'da aynen gönderilir. Özetlenmemiş mesaj sayısı
+ * bu sayıyı CHAT_MEMORY_SUMMARY_BATCH kadar aşınca eski mesajlar background'da assistant provider
+ * ile özete eklenir (chat_summaries tablosu, thread başına bir özet).
+ */
+
+const ChatRepository = require('../repositories/ChatRepository');
+const ChatThreadRepository = require('../repositories/ChatThreadRepository');
+const ChatSummaryRepository = require('../repositories/ChatSummaryRepository');
+const MessageRepository = require('../repositories/MessageRepository');
+const UserService = require('./userService');
+const AssistantService = require('./assistantService');
+const { getEnvInteger } = require('../utils/env');
+
+// Maximum number of messages sent to the provider in one summary request
+const MAX_SUMMARY_CHUNK = 100;
+
+// Threads waiting for a summary refresh
+const pendingThreadIds = new Set();
+let running = false;
+
+class ConversationMemoryService {
+  /**
+   * Get number of most recent messages sent verbatim
+   * @returns {number} Number of messages
+   */
+  static getRecentMessageCount() {
+    return getEnvInteger('CHAT_MEMORY_RECENT_MESSAGES', 20);
+  }
+
+  /**
+   * Get number of messages that must be out of the recent window before the summary is refreshed
+   * @returns {number} Number of messages
+   */
+  static getSummaryBatchSize() {
+    return getEnvInteger('CHAT_MEMORY_SUMMARY_BATCH', 10);
+  }
+
+  /**
+   * Get assistant context of a thread
+   * Messages that are not summarized yet are all included (up to recent + batch),
+   * so nothing falls between the summary and the history
+   * @param {number} threadId - Thread ID
+   * @param {Object} db - Transaction connection (optional, default: pool)
+   * @returns {Promise<Object>} { conversationSummary, chatHistory }
+   */
+  static async getContext(threadId, db) {
+    const summary = await ChatSummaryRepository.findByThreadId(threadId, db);
+    const chatHistory = await MessageRepository.getThreadHistory(
+      threadId,
+      this.getRecentMessageCount() + this.getSummaryBatchSize(),
+      db,
+      summary ? summary.summarizedUntilMessageId : 0
+    );
+
+    return {
+      conversationSummary: summary ? summary.summary : null,
+      chatHistory: chatHistory
+    };
+  }
+
+  /**
+   * Forget the old content of a deleted or edited message
+   * A summary that already includes the message is rebuilt from the current messages
+   * @param {Message} message - Deleted or edited message
+   */
+  static async forgetMessage(message) {
+    const summary = await ChatSummaryRepository.findByThreadId(message.threadId);
+
+    if (summary && summary.summarizedUntilMessageId >= message.messageId) {
+      await ChatSummaryRepository.deleteByThreadId(message.threadId);
+      this.scheduleRefresh(message.threadId);
+    }
+  }
+
+  /**
+   * Queue a summary refresh for a thread (processed in background)
+   * @param {number} threadId - Thread ID
+   */
+  static scheduleRefresh(threadId) {
+    pendingThreadIds.add(threadId);
+
+    if (!running) {
+      setImmediate(() => {
+        this.processPending().catch(error => {
+          console.error('⚠️ Conversation summary run failed:', error.message);
+        });
+      });
+    }
+  }
+
+  /**
+   * Refresh summaries of every queued thread, one at a time
+   * @returns {Promise<number>} Number of updated summaries
+   */
+  static async processPending() {
+    if (running) {
+      return 0;
+    }
+
+    running = true;
+    let updated = 0;
+
+    try {
+      while (pendingThreadIds.size > 0) {
+        const threadId = pendingThreadIds.values().next().value;
+        pendingThreadIds.delete(threadId);
+
+        try {
+          if (await this.refreshSummary(threadId)) {
+            updated++;
+          }
+        } catch (error) {
+          // Next message of the thread queues it again
+          console.error(`⚠️ Failed to refresh summary of thread ${threadId}:`, error.message);
+        }
+      }
+
+      return updated;
+    } finally {
+      running = false;
+    }
+  }
+
+  /**
+   * Add messages that left the recent window to the thread summary
+   * @param {number} threadId - Thread ID
+   * @returns {Promise<boolean>} True if the summary was updated
+   */
+  static async refreshSummary(threadId) {
+    const thread = await ChatThreadRepository.findById(threadId);
+    const chat = thread ? await ChatRepository.findById(thread.chatId) : null;
+    if (!chat) {
+      return false;
+    }
+
+    const existing = await ChatSummaryRepository.findByThreadId(threadId);
+    let summary = existing ? existing.summary : null;
+    let summarizedUntil = existing ? existing.summarizedUntilMessageId : 0;
+    let summarizedCount = existing ? existing.summarizedMessageCount : 0;
+    let updated = false;
+
+    for (;;) {
+      const unsummarized = await MessageRepository.countByThreadIdAfterId(threadId, summarizedUntil);
+      const outOfWindow = unsummarized - this.getRecentMessageCount();
+
+      if (outOfWindow < this.getSummaryBatchSize()) {
+        return updated;
+      }
+
+      const messages = await MessageRepository.findByThreadIdAfterId(
+        threadId,
+        summarizedUntil,
+        Math.min(outOfWindow, MAX_SUMMARY_CHUNK)
+      );
+      const user = await UserService.getUserById(chat.userId);
+
+      summary = await AssistantService.summarizeConversation(chat.consultantId, {
+        chatId: chat.chatId,
+        threadId: threadId,
+        nativeLang: (user && user.nativeLang) || 'tr',
+        previousSummary: summary,
+        // Messages deleted by the user are left out of the summary
+        messages: messages.filter(message => !message.isDeleted()).map(message => ({
+          messageId: message.messageId,
+          sender: message.sender,
+          content: message.voiceMessageContent || message.imageContent || message.message || '',
+          sentTime: message.sentTime
+        }))
+      });
+
+      summarizedUntil = messages[messages.length - 1].messageId;
+      summarizedCount += messages.length;
+      await ChatSummaryRepository.upsert(threadId, summary, summarizedUntil, summarizedCount);
+      updated = true;
+    }
+  }
+}
+
+module.exports = ConversationMemoryService;
@@ -0,0 +1,441 @@
+/**
+ * Data Export Service
+ * Personal data export (GDPR/KVKK) - asynchronous archive generation
+ * Archive: data.json (machine-readable) + data.md (human-readable)
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const DataExportRepository = require('../repositories/DataExportRepository');
+const ChatRepository = require('../repositories/ChatRepository');
+const ChatThreadRepository = require('../repositories/ChatThreadRepository');
+const MessageRepository = require('../repositories/MessageRepository');
+const ChatSummaryRepository = require('../repositories/ChatSummaryRepository');
+const MoodRepository = require('../repositories/MoodRepository');
+const AppointmentRepository = require('../repositories/AppointmentRepository');
+const NotificationRepository = require('../repositories/NotificationRepository');
+const TokenRepository = require('../repositories/TokenRepository');
+const UserIdentityRepository = require('../repositories/UserIdentityRepository');
+const SafetyEventRepository = require('../repositories/SafetyEventRepository');
+const MessageFeedbackRepository = require('../repositories/MessageFeedbackRepository');
+const SubscriptionRepository = require('../repositories/SubscriptionRepository');
+const UsageRepository = require('../repositories/UsageRepository');
+const UserService = require('./userService');
+const { createZip } = require('../utils/zip');
+
+// Page size used while reading chats, threads, messages and notifications
+const PAGE_SIZE = 500;
+
+// An export stuck in pending/processing longer than this (e.g. server restart) can be restarted
+const STALE_EXPORT_MS = 60 * 60 * 1000;
+
+class DataExportService {
+  /**
+   * Get directory where archives are stored
+   * @returns {string} Directory path
+   */
+  static getExportDir() {
+    return process.env.DATA_EXPORT_DIR || path.join(os.tmpdir(), 'mindcoach-exports');
+  }
+
+  /**
+   * Get archive lifetime in days
+   * @returns {number} Lifetime in days
+   */
+  static getExportLifetimeDays() {
+    const days = parseInt(process.env.DATA_EXPORT_EXPIRES_DAYS);
+    return isNaN(days) || days <= 0 ? 7 : days;
+  }
+
+  /**
+   * Start a new export job (returns the running one if there is any)
+   * @param {number} userId - User ID
+   * @returns {Promise<DataExport>} Export job
+   */
+  static async requestExport(userId) {
+    try {
+      const inProgress = await DataExportRepository.findInProgressByUserId(userId);
+      if (inProgress && Date.now() - new Date(inProgress.createdAt).getTime() < STALE_EXPORT_MS) {
+        return inProgress;
+      }
+
+      if (inProgress) {
+        await DataExportRepository.markFailed(inProgress.id, 'Export did not finish');
+      }
+
+      const dataExport = await DataExportRepository.create(userId);
+
+      // Run in background, client polls GET /auth/account/export/:id
+      setImmediate(() => {
+        this.processExport(dataExport.id).catch(error => {
+          console.error(`❌ Data export ${dataExport.id} failed:`, error.message);
+        });
+      });
+
+      // Remove expired archives of previous exports (async, don't wait for it)
+      this.deleteExpiredArchives().catch(error => {
+        console.error('⚠️ Failed to delete expired data exports:', error.message);
+      });
+
+      return dataExport;
+    } catch (error) {
+      console.error('Error requesting data export:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get export job of a user
+   * @param {number} userId - User ID
+   * @param {number} exportId - Export ID
+   * @returns {Promise<DataExport>} Export job
+   * @throws {Error} 404 if the export doesn't exist or belongs to another user
+   */
+  static async getExport(userId, exportId) {
+    const dataExport = await DataExportRepository.findById(exportId);
+
+    if (!dataExport || dataExport.userId !== userId) {
+      const error = new Error('Export not found');
+      error.status = 404;
+      throw error;
+    }
+
+    return dataExport;
+  }
+
+  /**
+   * Check if export archive can be downloaded
+   * @param {DataExport} dataExport - Export job
+   * @returns {boolean} True if completed and not expired
+   */
+  static isDownloadable(dataExport) {
+    return dataExport.status === 'completed' &&
+      !!dataExport.filePath &&
+      new Date(dataExport.expiresAt) > new Date();
+  }
+
+  /**
+   * Build archive for an export job
+   * @param {number} exportId - Export ID
+   */
+  static async processExport(exportId) {
+    const started = await DataExportRepository.markProcessing(exportId);
+    if (!started) {
+      return;
+    }
+
+    const dataExport = await DataExportRepository.findById(exportId);
+
+    try {
+      const data = await this.collectUserData(dataExport.userId);
+
+      const archive = createZip([
+        { name: 'data.json', content: JSON.stringify(data, null, 2) },
+        { name: 'data.md', content: formatMarkdown(data) }
+      ]);
+
+      const exportDir = this.getExportDir();
+      await fs.mkdir(exportDir, { recursive: true, mode: 0o700 });
+
+      const filePath = path.join(exportDir, `export_${exportId}_${dataExport.userId}_${Date.now()}.zip`);
+      await fs.writeFile(filePath, archive, { mode: 0o600 });
+
+      const expiresAt = new Date(Date.now() + this.getExportLifetimeDays() * 24 * 60 * 60 * 1000);
+      await DataExportRepository.markCompleted(exportId, filePath, archive.length, expiresAt);
+
+      console.log(`✅ Data export ${exportId} completed for user ${dataExport.userId} (${archive.length} bytes)`);
+    } catch (error) {
+      await DataExportRepository.markFailed(exportId, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Collect every piece of personal data stored for a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} User data
+   */
+  static async collectUserData(userId) {
+    const user = await UserService.getUserById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const chats = await readAllPages((limit, offset) =>
+      ChatRepository.findByUserId(userId, { limit, offset, orderBy: 'created_at ASC' })
+    );
+
+    const chatsWithMessages = [];
+    for (const chat of chats) {
+      const threads = await readAllPages((limit, offset) =>
+        ChatThreadRepository.findByChatId(chat.chatId, { includeArchived: true, limit, offset })
+      );
+
+      const threadsWithMessages = [];
+      for (const thread of threads) {
+        const messages = await readAllPages((limit, offset) =>
+          MessageRepository.findByThreadId(thread.threadId, { limit, offset })
+        );
+
+        const summary = await ChatSummaryRepository.findByThreadId(thread.threadId);
+
+        threadsWithMessages.push({
+          ...thread.toJSON(),
+          summary: summary ? summary.summary : null,
+          messages: messages.map(message => message.toJSON())
+        });
+      }
+
+      chatsWithMessages.push({
+        ...chat.toJSON(),
+        threads: threadsWithMessages
+      });
+    }
+
+    const moods = await MoodRepository.findByUserId(userId);
+    const appointments = await AppointmentRepository.findByUserId(userId);
+    const notifications = await readAllPages((limit, offset) =>
+      NotificationRepository.findByUserId(userId, limit, offset)
+    );
+    const identities = await UserIdentityRepository.findByUserId(userId);
+    const tokens = await TokenRepository.findHistoryByUserId(userId);
+    const safetyEvents = await SafetyEventRepository.findByUserId(userId);
+    const feedback = await MessageFeedbackRepository.findByUserId(userId);
+    const subscription = await SubscriptionRepository.findByUserId(userId);
+    const usage = await UsageRepository.findByUserId(userId);
+
+    return {
+      exportedAt: new Date().toISOString(),
+      profile: user.toJSON(),
+      identities: identities.map(identity => identity.toJSON()),
+      chats: chatsWithMessages,
+      moods: moods.map(mood => mood.toJSON()),
+      appointments: appointments.map(appointment => appointment.toJSON()),
+      notifications: notifications,
+      safetyEvents: safetyEvents.map(event => ({
+        id: event.id,
+        source: event.source,
+        riskLevel: event.riskLevel,
+        categories: event.categories,
+        consultantId: event.consultantId,
+        chatId: event.chatId,
+        messageId: event.messageId,
+        createdAt: toISOString(event.createdAt)
+      })),
+      feedback: feedback.map(item => ({
+        id: item.id,
+        messageId: item.messageId,
+        consultantId: item.consultantId,
+        rating: item.rating,
+        reason: item.reason,
+        comment: item.comment,
+        createdAt: toISOString(item.createdAt),
+        updatedAt: toISOString(item.updatedAt)
+      })),
+      subscription: subscription ? {
+        plan: subscription.plan,
+        source: subscription.source,
+        productId: subscription.productId,
+        expiresAt: toISOString(subscription.expiresAt),
+        createdAt: toISOString(subscription.createdAt),
+        updatedAt: toISOString(subscription.updatedAt)
+      } : null,
+      usage: usage,
+      sessions: tokens.map(token => ({
+        id: token.id,
+        type: token.token_type,
+        sessionId: token.family_id,
+        deviceInfo: token.device_info,
+        ipAddress: token.ip_address,
+        createdAt: toISOString(token.created_at),
+        lastSeenAt: toISOString(token.last_seen_at),
+        expiresAt: toISOString(token.expires_at),
+        revoked: !!token.is_revoked,
+        revokedAt: toISOString(token.revoked_at)
+      }))
+    };
+  }
+
+  /**
+   * Delete expired archive files
+   * @returns {Promise<number>} Number of deleted archives
+   */
+  static async deleteExpiredArchives() {
+    const expired = await DataExportRepository.findExpired();
+
+    for (const dataExport of expired) {
+      await fs.rm(dataExport.filePath, { force: true });
+      await DataExportRepository.clearFile(dataExport.id);
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * Delete every archive file of a user (account deletion)
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} Number of deleted archives
+   */
+  static async deleteUserArchives(userId) {
+    const exports = await DataExportRepository.findByUserId(userId);
+    const withFile = exports.filter(dataExport => dataExport.filePath);
+
+    for (const dataExport of withFile) {
+      await fs.rm(dataExport.filePath, { force: true });
+      await DataExportRepository.clearFile(dataExport.id);
+    }
+
+    return withFile.length;
+  }
+}
+
+/**
+ * Read every page of a paginated repository method
+ * @param {Function} fetchPage - (limit, offset) => Promise<Array>
+ * @returns {Promise<Array>} All rows
+ */
+async function readAllPages(fetchPage) {
+  const rows = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await fetchPage(PAGE_SIZE, offset);
+    rows.push(...page);
+
+    if (page.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+}
+
+/**
+ * Convert database date value to ISO string
+ * @param {Date|string|null} value - Date value
+ * @returns {string|null} ISO 8601 string or null
+ */
+function toISOString(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+/**
+ * Format a value for Markdown output
+ * @param {*} value - Value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return '-';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    return '\n\n```json\n' + JSON.stringify(value, null, 2) + '\n```\n';
+  }
+  return String(value);
+}
+
+/**
+ * Format collected data as a human-readable Markdown document
+ * @param {Object} data - Collected user data
+ * @returns {string} Markdown
+ */
+function formatMarkdown(data) {
+  const lines = [];
+
+  lines.push('# MindCoach - Kişisel Veri Export / Personal Data Export', '');
+  lines.push(`Export date: ${data.exportedAt}`, '');
+
+  lines.push('## Profile', '');
+  for (const [key, value] of Object.entries(data.profile)) {
+    lines.push(`- **${key}**: ${formatValue(value)}`);
+  }
+  lines.push('');
+
+  lines.push('## Sign-in Providers', '');
+  for (const identity of data.identities) {
+    lines.push(`- ${identity.provider}${identity.email ? ` (${identity.email})` : ''} - linked ${identity.createdAt || '-'}`);
+  }
+  lines.push('');
+
+  lines.push('## Chats', '');
+  for (const chat of data.chats) {
+    lines.push(`### Chat ${chat.chatId} - consultant ${chat.consultantId}`, '');
+    lines.push(`Created: ${formatValue(chat.createdDate)}`, '');
+    for (const thread of chat.threads) {
+      const title = thread.title || (thread.isDefault ? 'Default thread' : 'Untitled');
+      lines.push(`#### Thread ${thread.threadId} - ${title}${thread.archived ? ' (archived)' : ''}`, '');
+      if (thread.summary) {
+        lines.push(`Conversation summary: ${thread.summary}`, '');
+      }
+      for (const message of thread.messages) {
+        const media = [message.fileURL, message.voiceURL].filter(Boolean);
+        if (message.deletedAt) {
+          lines.push(`- **${message.sender}** (${formatValue(message.sentTime)}): _deleted ${formatValue(message.deletedAt)}_`);
+          continue;
+        }
+        lines.push(`- **${message.sender}** (${formatValue(message.sentTime)}): ${message.message || ''}${message.editedAt ? ' _(edited)_' : ''}`);
+        if (media.length > 0) {
+          lines.push(`  - Media: ${media.join(', ')}`);
+        }
+        if (message.imageContent) {
+          lines.push(`  - Image content: ${message.imageContent}`);
+        }
+        if (message.voiceMessageContent) {
+          lines.push(`  - Voice transcript: ${message.voiceMessageContent}`);
+        }
+      }
+      lines.push('');
+    }
+    lines.push('');
+  }
+
+  lines.push('## Moods', '');
+  for (const mood of data.moods) {
+    lines.push(`- ${formatValue(mood.date)}: ${formatValue(mood.mood)}`);
+  }
+  lines.push('');
+
+  lines.push('## Appointments', '');
+  for (const appointment of data.appointments) {
+    lines.push(`- ${formatValue(appointment.appointmentDate)} - consultant ${appointment.consultantId} - ${appointment.status}`);
+  }
+  lines.push('');
+
+  lines.push('## Notifications', '');
+  for (const notification of data.notifications) {
+    lines.push(`- ${formatValue(notification.sentTime)} - **${notification.title}**: ${notification.subtitle || ''}`);
+  }
+  lines.push('');
+
+  lines.push('## Safety Events', '');
+  for (const event of data.safetyEvents) {
+    lines.push(`- ${event.createdAt} - ${event.source} - ${event.riskLevel} risk (${event.categories.join(', ')})${event.messageId ? ` - message ${event.messageId}` : ''}`);
+  }
+  lines.push('');
+
+  lines.push('## Message Feedback', '');
+  for (const item of data.feedback) {
+    lines.push(`- ${item.updatedAt} - message ${item.messageId} - ${item.rating === 'up' ? 'thumbs up' : 'thumbs down'}${item.reason ? ` (${item.reason})` : ''}${item.comment ? `: ${item.comment}` : ''}`);
+  }
+  lines.push('');
+
+  lines.push('## Subscription & Usage', '');
+  if (data.subscription) {
+    lines.push(`- Plan: ${data.subscription.plan} (${data.subscription.source}${data.subscription.expiresAt ? `, until ${data.subscription.expiresAt}` : ''})`);
+  }
+  for (const item of data.usage) {
+    lines.push(`- ${item.usageDate} - ${item.metric}: ${item.amount}`);
+  }
+  lines.push('');
+
+  lines.push('## Sessions', '');
+  for (const session of data.sessions) {
+    lines.push(`- ${session.createdAt} - ${session.type} - ${session.deviceInfo || 'unknown device'} - ${session.ipAddress || '-'}${session.revoked ? ' (revoked)' : ''}`);
+  }
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+module.exports = DataExportService;
@@ -0,0 +1,420 @@
+/**
+ * Entitlement Service
+ * Subscription plans, daily usage quotas and plan assignment
+ *
+ * Kullanıcının planı user_subscriptions kaydından gelir (yoksa veya süresi dolduysa varsayılan plan).
+ * Kotalar (günlük text mesaj, sesli mesaj dakikası, realtime call dakikası) ve erişilebilen consultant'lar
+ * config/entitlements.js içindedir. Kullanım usage_counters tablosunda UTC gün bazında sayılır (migration 030).
+ * Plan admin API'si veya RECEIPT_VERIFIER ile doğrulanan satın alma makbuzu ile atanır.
+ */
+
+const {
+  PLAN_NAMES,
+  DEFAULT_PLAN,
+  RECEIPT_VERIFIERS,
+  getPlan,
+  getReceiptVerifier,
+  getReceiptProducts
+} = require('../config/entitlements');
+const SubscriptionRepository = require('../repositories/SubscriptionRepository');
+const UsageRepository = require('../repositories/UsageRepository');
+const UserRepository = require('../repositories/UserRepository');
+const StubVerifier = require('./receiptVerifiers/stubVerifier');
+
+const ADAPTERS = {
+  stub: StubVerifier
+};
+
+// Counted resources: usage_counters.metric -> plan limit (text messages are counted, voice and realtime in seconds)
+const METRICS = {
+  text_messages: { name: 'textMessages', limit: plan => plan.dailyTextMessages, seconds: false },
+  voice_seconds: { name: 'voiceMinutes', limit: plan => plan.dailyVoiceMinutes, seconds: true },
+  realtime_seconds: { name: 'realtimeMinutes', limit: plan => plan.dailyRealtimeMinutes, seconds: true }
+};
+
+const MAX_RECEIPT_LENGTH = 65535;
+
+class EntitlementService {
+  /**
+   * Get active subscription of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} Subscription, null if there is none or it has expired
+   */
+  static async getSubscription(userId) {
+    const subscription = await SubscriptionRepository.findByUserId(userId);
+    if (!subscription || isExpired(subscription)) {
+      return null;
+    }
+    return subscription;
+  }
+
+  /**
+   * Get current plan of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} Plan settings (see config/entitlements.js getPlan)
+   */
+  static async getPlan(userId) {
+    const subscription = await this.getSubscription(userId);
+    return (subscription && getPlan(subscription.plan)) || getPlan(DEFAULT_PLAN);
+  }
+
+  /**
+   * Check that a consultant is available in the user's plan
+   * @param {number} userId - User ID
+   * @param {number} consultantId - Consultant ID
+   * @returns {Promise<void>}
+   * @throws {Error} 403 (code CONSULTANT_NOT_IN_PLAN) if the plan doesn't include the consultant
+   */
+  static async checkConsultant(userId, consultantId) {
+    const plan = await this.getPlan(userId);
+
+    if (plan.consultants !== 'all' && !plan.consultants.includes(consultantId)) {
+      const error = new Error(`This consultant is not available in the ${plan.name} plan`);
+      error.status = 403;
+      error.code = 'CONSULTANT_NOT_IN_PLAN';
+      error.plan = plan.name;
+      throw error;
+    }
+  }
+
+  /**
+   * Get remaining daily quota of a metric
+   * @param {number} userId - User ID
+   * @param {string} metric - text_messages, voice_seconds or realtime_seconds
+   * @returns {Promise<number|null>} Remaining messages or seconds, null if unlimited
+   */
+  static async getRemaining(userId, metric) {
+    const plan = await this.getPlan(userId);
+    const limit = getMetricLimit(plan, metric);
+    if (limit === null) {
+      return null;
+    }
+
+    const usage = await UsageRepository.findByUserAndDate(userId, getUsageDate());
+    return Math.max(0, limit - (usage[metric] || 0));
+  }
+
+  /**
+   * Check that a usage fits into the remaining daily quota
+   * @param {number} userId - User ID
+   * @param {string} metric - text_messages, voice_seconds or realtime_seconds
+   * @param {number} amount - Messages or seconds about to be used (default: 1)
+   * @returns {Promise<void>}
+   * @throws {Error} 429 (code QUOTA_EXCEEDED) if the quota is used up
+   */
+  static async checkQuota(userId, metric, amount = 1) {
+    const plan = await this.getPlan(userId);
+    const limit = getMetricLimit(plan, metric);
+    if (limit === null) {
+      return;
+    }
+
+    const usage = await UsageRepository.findByUserAndDate(userId, getUsageDate());
+    const used = usage[metric] || 0;
+
+    if (used >= limit || used + amount > limit) {
+      throw createQuotaError(plan, metric);
+    }
+  }
+
+  /**
+   * Reserve usage in today's counter before a request runs
+   * The quota check and the increment are one atomic update, so parallel requests can't exceed the quota.
+   * Unlimited plans are counted without a limit.
+   * @param {number} userId - User ID
+   * @param {string} metric - text_messages, voice_seconds or realtime_seconds
+   * @param {number} amount - Messages or seconds about to be used
+   * @returns {Promise<Object>} Reservation { metric, amount, usageDate } (pass to refundUsage if the request fails)
+   * @throws {Error} 429 (code QUOTA_EXCEEDED) if the quota is used up
+   */
+  static async reserveUsage(userId, metric, amount) {
+    const plan = await this.getPlan(userId);
+    const limit = getMetricLimit(plan, metric);
+    const usageDate = getUsageDate();
+    const reserved = Math.max(0, Math.ceil(amount));
+
+    if (reserved === 0) {
+      // Nothing to count, only reject if the quota is already used up
+      await this.checkQuota(userId, metric, 0);
+    } else if (limit === null) {
+      await UsageRepository.increment(userId, usageDate, metric, reserved);
+    } else if (!(await UsageRepository.reserve(userId, usageDate, metric, reserved, limit))) {
+      throw createQuotaError(plan, metric);
+    }
+
+    return { metric: metric, amount: reserved, usageDate: usageDate };
+  }
+
+  /**
+   * Give back a reservation of a failed request
+   * @param {number} userId - User ID
+   * @param {Object} reservation - Reservation from reserveUsage
+   * @returns {Promise<void>}
+   */
+  static async refundUsage(userId, reservation) {
+    if (reservation.amount > 0) {
+      await UsageRepository.decrement(userId, reservation.usageDate, reservation.metric, reservation.amount);
+    }
+  }
+
+  /**
+   * Add usage to today's counter
+   * @param {number} userId - User ID
+   * @param {string} metric - text_messages, voice_seconds or realtime_seconds
+   * @param {number} amount - Messages or seconds used
+   * @returns {Promise<void>}
+   */
+  static async recordUsage(userId, metric, amount) {
+    if (!METRICS[metric]) {
+      throw new Error(`Unknown usage metric "${metric}"`);
+    }
+    if (amount > 0) {
+      await UsageRepository.increment(userId, getUsageDate(), metric, Math.ceil(amount));
+    }
+  }
+
+  /**
+   * Get plan, subscription and today's usage of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} { plan, subscription, consultants, date, resetsAt, usage }
+   *   usage: { textMessages, voiceMinutes, realtimeMinutes } each { used, limit, remaining } (limit/remaining null = unlimited)
+   */
+  static async getUsage(userId) {
+    const subscription = await this.getSubscription(userId);
+    const plan = (subscription && getPlan(subscription.plan)) || getPlan(DEFAULT_PLAN);
+    const date = getUsageDate();
+    const counters = await UsageRepository.findByUserAndDate(userId, date);
+
+    const usage = {};
+    for (const [metric, definition] of Object.entries(METRICS)) {
+      const used = counters[metric] || 0;
+      const limit = getMetricLimit(plan, metric);
+      const toUnit = value => (definition.seconds ? Math.round((value / 60) * 10) / 10 : value);
+
+      usage[definition.name] = {
+        used: toUnit(used),
+        limit: definition.limit(plan),
+        remaining: limit === null ? null : toUnit(Math.max(0, limit - used))
+      };
+    }
+
+    return {
+      plan: plan.name,
+      subscription: subscription ? formatSubscription(subscription) : null,
+      consultants: plan.consultants,
+      date: date,
+      resetsAt: getResetTime(),
+      usage: usage
+    };
+  }
+
+  /**
+   * Assign a plan to a user (admin)
+   * @param {number} userId - User ID
+   * @param {string} planName - Plan name
+   * @param {Object} options - { expiresAt, grantedBy }
+   * @returns {Promise<Object>} Subscription
+   * @throws {Error} ValidationError for unknown plans or past expiration dates, 404 if user not found
+   */
+  static async assignPlan(userId, planName, options = {}) {
+    if (!PLAN_NAMES.includes(planName)) {
+      throw createValidationError(`plan must be one of: ${PLAN_NAMES.join(', ')}`);
+    }
+    if (options.expiresAt && options.expiresAt <= new Date()) {
+      throw createValidationError('expiresAt must be in the future');
+    }
+
+    const user = await UserRepository.findById(userId);
+    if (!user) {
+      const error = new Error('User not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const subscription = await SubscriptionRepository.upsert({
+      userId: userId,
+      plan: planName,
+      source: 'admin',
+      grantedBy: options.grantedBy || null,
+      expiresAt: options.expiresAt || null
+    });
+    console.log(`✅ Plan '${planName}' assigned to user ${userId}${options.grantedBy ? ` by user ${options.grantedBy}` : ''}`);
+
+    return formatSubscription(subscription);
+  }
+
+  /**
+   * Remove plan of a user (admin), the user falls back to the default plan
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>} True if the user had a subscription
+   */
+  static async removePlan(userId) {
+    return await SubscriptionRepository.deleteByUserId(userId);
+  }
+
+  /**
+   * Get receipt verifier adapter
+   * @returns {Object} Adapter (verify)
+   * @throws {Error} 503 if receipt verification is disabled, Error if configured verifier is unknown
+   */
+  static getVerifier() {
+    const name = getReceiptVerifier();
+
+    if (name === 'none') {
+      const error = new Error('Purchase verification is not available');
+      error.status = 503;
+      throw error;
+    }
+
+    const adapter = ADAPTERS[name];
+    if (!adapter) {
+      throw new Error(`Unknown receipt verifier "${name}". Supported verifiers: ${RECEIPT_VERIFIERS.join(', ')}`);
+    }
+
+    return adapter;
+  }
+
+  /**
+   * Verify a purchase receipt and assign the purchased plan
+   * @param {number} userId - User ID
+   * @param {Object} purchase - { receipt, productId }
+   * @returns {Promise<Object>} Subscription
+   * @throws {Error} ValidationError for invalid input, unknown products or rejected receipts,
+   *   409 if the receipt was already used by another user
+   */
+  static async verifyReceipt(userId, purchase) {
+    const receipt = typeof purchase.receipt === 'string' ? purchase.receipt.trim() : '';
+    const products = getReceiptProducts();
+
+    if (!receipt || receipt.length > MAX_RECEIPT_LENGTH) {
+      throw createValidationError(`receipt is required and must be at most ${MAX_RECEIPT_LENGTH} characters`);
+    }
+    if (!products[purchase.productId]) {
+      throw createValidationError(`productId must be one of: ${Object.keys(products).join(', ')}`);
+    }
+
+    const provider = getReceiptVerifier();
+    const result = await this.getVerifier().verify({ receipt, productId: purchase.productId });
+
+    if (!result.valid || result.productId !== purchase.productId) {
+      throw createValidationError('Receipt could not be verified');
+    }
+
+    const existing = await SubscriptionRepository.findByExternalId(provider, result.externalId);
+    if (existing && existing.userId !== userId) {
+      const error = new Error('This receipt was already used by another account');
+      error.status = 409;
+      throw error;
+    }
+
+    const product = products[result.productId];
+    const expiresAt = result.expiresAt
+      ? new Date(result.expiresAt)
+      : new Date(Date.now() + product.days * 24 * 60 * 60 * 1000);
+
+    if (expiresAt <= new Date()) {
+      throw createValidationError('Receipt has expired');
+    }
+
+    const subscription = await SubscriptionRepository.upsert({
+      userId: userId,
+      plan: product.plan,
+      source: 'receipt',
+      provider: provider,
+      productId: result.productId,
+      externalId: result.externalId,
+      expiresAt: expiresAt
+    });
+
+    return formatSubscription(subscription);
+  }
+}
+
+/**
+ * Check if a subscription has expired
+ * @param {Object} subscription - Subscription
+ * @returns {boolean} True if expired
+ */
+function isExpired(subscription) {
+  return !!subscription.expiresAt && new Date(subscription.expiresAt) <= new Date();
+}
+
+/**
+ * Get daily limit of a metric in a plan
+ * @param {Object} plan - Plan settings
+ * @param {string} metric - Metric
+ * @returns {number|null} Messages or seconds, null if unlimited
+ */
+function getMetricLimit(plan, metric) {
+  const definition = METRICS[metric];
+  if (!definition) {
+    throw new Error(`Unknown usage metric "${metric}"`);
+  }
+
+  const limit = definition.limit(plan);
+  if (limit === null) {
+    return null;
+  }
+  return definition.seconds ? limit * 60 : limit;
+}
+
+/**
+ * Create quota exceeded error (429)
+ * @param {Object} plan - Plan settings
+ * @param {string} metric - Metric
+ * @returns {Error} Error with code QUOTA_EXCEEDED, plan, metric and resetsAt
+ */
+function createQuotaError(plan, metric) {
+  const error = new Error(`Daily ${METRICS[metric].name} quota of the ${plan.name} plan exceeded`);
+  error.status = 429;
+  error.code = 'QUOTA_EXCEEDED';
+  error.plan = plan.name;
+  error.metric = METRICS[metric].name;
+  error.resetsAt = getResetTime();
+  return error;
+}
+
+/**
+ * Get current usage day
+ * @returns {string} UTC day (YYYY-MM-DD)
+ */
+function getUsageDate() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Get time when daily quotas reset
+ * @returns {string} Next UTC midnight (ISO 8601)
+ */
+function getResetTime() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)).toISOString();
+}
+
+/**
+ * Format subscription for API responses
+ * @param {Object} subscription - Subscription
+ * @returns {Object} { plan, source, productId, expiresAt, updatedAt }
+ */
+function formatSubscription(subscription) {
+  return {
+    plan: subscription.plan,
+    source: subscription.source,
+    productId: subscription.productId,
+    expiresAt: subscription.expiresAt,
+    updatedAt: subscription.updatedAt
+  };
+}
+
+/**
+ * Create validation error (400)
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function createValidationError(message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+}
+
+module.exports = EntitlementService;
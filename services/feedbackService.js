@@ -0,0 +1,174 @@
+/**
+ * Feedback Service
+ * Thumbs up/down ratings of assistant messages and aggregated reports
+ *
+ * Kullanıcı her asistan mesajına bir feedback verebilir (tekrar gönderince güncellenir).
+ * Feedback, mesajın kaydedildiği andaki consultant prompt versiyonuyla saklanır (messages.prompt_version,
+ * migration 028), böylece rapor prompt değişikliklerinin etkisini karşılaştırabilir.
+ */
+
+const MessageFeedbackRepository = require('../repositories/MessageFeedbackRepository');
+const MessageRepository = require('../repositories/MessageRepository');
+const ChatRepository = require('../repositories/ChatRepository');
+
+const RATINGS = ['up', 'down'];
+
+const REASONS = [
+  'not_helpful',
+  'incorrect',
+  'inappropriate',
+  'too_long',
+  'too_short',
+  'off_topic',
+  'wrong_language',
+  'other'
+];
+
+const MAX_COMMENT_LENGTH = 1000;
+
+class FeedbackService {
+  /**
+   * Submit or change feedback of an assistant message
+   * @param {number} userId - User ID
+   * @param {number} messageId - Message ID
+   * @param {Object} feedback - { rating, reason, comment }
+   * @returns {Promise<Object>} Stored feedback
+   * @throws {Error} ValidationError for invalid input or non-assistant messages, 404 if message not found
+   */
+  static async submitFeedback(userId, messageId, feedback) {
+    const rating = feedback.rating;
+    const reason = feedback.reason || null;
+    const comment = typeof feedback.comment === 'string' ? feedback.comment.trim() : null;
+
+    if (!RATINGS.includes(rating)) {
+      throw createValidationError(`rating must be one of: ${RATINGS.join(', ')}`);
+    }
+    if (reason && !REASONS.includes(reason)) {
+      throw createValidationError(`reason must be one of: ${REASONS.join(', ')}`);
+    }
+    if (feedback.comment !== undefined && feedback.comment !== null && typeof feedback.comment !== 'string') {
+      throw createValidationError('comment must be a string');
+    }
+    if (comment && comment.length > MAX_COMMENT_LENGTH) {
+      throw createValidationError(`comment must be at most ${MAX_COMMENT_LENGTH} characters`);
+    }
+
+    const { chat, message } = await getUserMessage(userId, messageId);
+
+    if (message.sender !== 'assistant') {
+      throw createValidationError('Feedback can only be given on assistant messages');
+    }
+
+    return await MessageFeedbackRepository.upsert({
+      messageId: message.messageId,
+      userId: userId,
+      consultantId: chat.consultantId,
+      promptVersion: message.promptVersion,
+      rating: rating,
+      reason: reason,
+      comment: comment || null
+    });
+  }
+
+  /**
+   * Remove feedback of a message
+   * @param {number} userId - User ID
+   * @param {number} messageId - Message ID
+   * @returns {Promise<boolean>} True if feedback existed
+   * @throws {Error} 404 if message not found
+   */
+  static async deleteFeedback(userId, messageId) {
+    await getUserMessage(userId, messageId);
+    return await MessageFeedbackRepository.deleteByMessageId(messageId);
+  }
+
+  /**
+   * Get aggregated ratings per consultant and prompt version
+   * @param {Object} filters - { consultantId, from, to } (all optional)
+   * @returns {Promise<Array>} Consultants with totals and per prompt version stats
+   */
+  static async getReport(filters = {}) {
+    const { rows, reasons } = await MessageFeedbackRepository.getReport(filters);
+    const consultants = new Map();
+
+    for (const row of rows) {
+      if (!consultants.has(row.consultantId)) {
+        consultants.set(row.consultantId, {
+          consultantId: row.consultantId,
+          ...summarize([]),
+          promptVersions: []
+        });
+      }
+
+      const reasonCounts = {};
+      for (const reason of reasons) {
+        if (reason.consultantId === row.consultantId && reason.promptVersion === row.promptVersion) {
+          reasonCounts[reason.reason] = reason.count;
+        }
+      }
+
+      const consultant = consultants.get(row.consultantId);
+      consultant.promptVersions.push({
+        promptVersion: row.promptVersion,
+        ...summarize([row]),
+        reasons: reasonCounts,
+        firstAt: row.firstAt,
+        lastAt: row.lastAt
+      });
+      Object.assign(consultant, summarize(consultant.promptVersions));
+    }
+
+    return Array.from(consultants.values());
+  }
+}
+
+/**
+ * Get a message of the user's chats
+ * @param {number} userId - User ID
+ * @param {number} messageId - Message ID
+ * @returns {Promise<Object>} { chat, message }
+ * @throws {Error} 404 if not found (messages of other users are reported as not found)
+ */
+async function getUserMessage(userId, messageId) {
+  const message = await MessageRepository.findById(messageId);
+  const chat = message ? await ChatRepository.findById(message.chatId) : null;
+
+  if (!chat || chat.userId !== userId) {
+    const error = new Error('Message not found');
+    error.status = 404;
+    throw error;
+  }
+
+  return { chat, message };
+}
+
+/**
+ * Sum rating counts
+ * @param {Array} rows - Rows with total, up and down
+ * @returns {Object} { total, up, down, satisfaction } (satisfaction = up / total, null without feedback)
+ */
+function summarize(rows) {
+  const total = rows.reduce((sum, row) => sum + row.total, 0);
+  const up = rows.reduce((sum, row) => sum + row.up, 0);
+  const down = rows.reduce((sum, row) => sum + row.down, 0);
+
+  return {
+    total,
+    up,
+    down,
+    satisfaction: total > 0 ? Math.round((up / total) * 1000) / 1000 : null
+  };
+}
+
+/**
+ * Create validation error (400)
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function createValidationError(message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+}
+
+module.exports = FeedbackService;
@@ -0,0 +1,118 @@
+/**
+ * Idempotency Service
+ * Stored responses for requests sent with an Idempotency-Key header (see middleware/idempotency)
+ *
+ * Key kullanıcı başınadır ve IDEMPOTENCY_KEY_TTL_HOURS boyunca saklanır. İşlem sürerken gelen
+ * tekrar 409 alır; IDEMPOTENCY_LOCK_SECONDS içinde tamamlanmayan (örn. server restart) istek
+ * aynı key ile tekrar çalıştırılabilir. 5xx response'lar saklanmaz, key serbest bırakılır.
+ */
+
+const IdempotencyKeyRepository = require('../repositories/IdempotencyKeyRepository');
+const { getEnvInteger } = require('../utils/env');
+
+// Expired keys are cleaned up hourly
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+let cleanupTimer = null;
+
+class IdempotencyService {
+  /**
+   * Get key lifetime
+   * @returns {number} Hours
+   */
+  static getTtlHours() {
+    return getEnvInteger('IDEMPOTENCY_KEY_TTL_HOURS', 24);
+  }
+
+  /**
+   * Get processing lock duration
+   * @returns {number} Seconds
+   */
+  static getLockSeconds() {
+    return getEnvInteger('IDEMPOTENCY_LOCK_SECONDS', 300);
+  }
+
+  /**
+   * Start an idempotent request
+   * @param {number} userId - User ID
+   * @param {string} key - Idempotency key
+   * @param {string} requestHash - Request fingerprint
+   * @returns {Promise<Object>} One of:
+   *   { state: 'started', id }               - execute the request, then complete/release
+   *   { state: 'completed', status, body }   - replay stored response
+   *   { state: 'processing' }                - same request is still running
+   *   { state: 'mismatch' }                  - key was used for a different request
+   */
+  static async begin(userId, key, requestHash) {
+    let existing = null;
+
+    // Second attempt only if the key was released between claim and read
+    for (let attempt = 0; attempt < 2 && !existing; attempt++) {
+      const id = await IdempotencyKeyRepository.claim(
+        userId,
+        key,
+        requestHash,
+        this.getLockSeconds(),
+        this.getTtlHours()
+      );
+      if (id) {
+        return { state: 'started', id };
+      }
+
+      existing = await IdempotencyKeyRepository.findByUserAndKey(userId, key);
+    }
+
+    if (!existing) {
+      return { state: 'processing' };
+    }
+
+    if (existing.requestHash !== requestHash) {
+      return { state: 'mismatch' };
+    }
+
+    if (existing.status !== 'completed') {
+      return { state: 'processing' };
+    }
+
+    return { state: 'completed', status: existing.responseStatus, body: existing.responseBody };
+  }
+
+  /**
+   * Store response of a started request
+   * @param {number} id - Key ID
+   * @param {number} status - HTTP status
+   * @param {Object} body - JSON response
+   */
+  static async complete(id, status, body) {
+    await IdempotencyKeyRepository.complete(id, status, body);
+  }
+
+  /**
+   * Release a started request (not stored, the key can be retried)
+   * @param {number} id - Key ID
+   */
+  static async release(id) {
+    await IdempotencyKeyRepository.deleteById(id);
+  }
+
+  /**
+   * Start periodic cleanup of expired keys
+   */
+  static startCleanupSchedule() {
+    if (cleanupTimer) {
+      return;
+    }
+
+    const run = () => {
+      IdempotencyKeyRepository.deleteExpired().catch(error => {
+        console.error('⚠️ Idempotency key cleanup failed:', error.message);
+      });
+    };
+
+    run();
+    cleanupTimer = setInterval(run, CLEANUP_INTERVAL_MS);
+    cleanupTimer.unref();
+  }
+}
+
+module.exports = IdempotencyService;
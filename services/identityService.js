@@ -0,0 +1,135 @@
+/**
+ * Identity Service
+ * Business logic for sign-in providers linked to a user
+ * (aynı kişi iPhone'da Apple, Android'de Google ile tek hesaba giriş yapabilsin diye)
+ */
+
+const UserIdentityRepository = require('../repositories/UserIdentityRepository');
+const UserRepository = require('../repositories/UserRepository');
+
+class IdentityService {
+  /**
+   * Get all identities linked to a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Array of identities
+   */
+  static async getIdentities(userId) {
+    try {
+      return await UserIdentityRepository.findByUserId(userId);
+    } catch (error) {
+      console.error('Error getting user identities:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Link a verified provider identity to an existing (non-guest) user
+   * @param {number} userId - User ID
+   * @param {Object} providerData - Verified provider data (id, email)
+   * @param {string} provider - Provider name
+   * @returns {Promise<Object>} { identity, created }
+   */
+  static async linkIdentity(userId, providerData, provider) {
+    try {
+      const user = await UserRepository.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (user.credential === 'guest') {
+        const error = new Error('Guest accounts must be upgraded with POST /auth/link/:provider');
+        error.status = 400;
+        throw error;
+      }
+
+      const existing = await UserIdentityRepository.findByProvider(provider, providerData.id);
+      if (existing) {
+        if (existing.userId === userId) {
+          // Already linked to this user - idempotent
+          return { identity: existing, created: false };
+        }
+        throw createConflictError(provider);
+      }
+
+      try {
+        const identity = await UserIdentityRepository.create(
+          userId,
+          provider,
+          providerData.id,
+          providerData.email
+        );
+        return { identity, created: true };
+      } catch (createError) {
+        // Linked by another request in the meantime
+        if (createError.code === 'ER_DUP_ENTRY') {
+          throw createConflictError(provider);
+        }
+        throw createError;
+      }
+    } catch (error) {
+      console.error('Error linking user identity:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unlink an identity from a user - the last identity can't be unlinked
+   * @param {number} userId - User ID
+   * @param {number} identityId - Identity ID
+   * @returns {Promise<boolean>} True if unlinked
+   */
+  static async unlinkIdentity(userId, identityId) {
+    try {
+      const identity = await UserIdentityRepository.findById(identityId);
+      const result = await UserIdentityRepository.deleteIfNotLast(identityId, userId);
+
+      if (result === 'not_found') {
+        const error = new Error('Identity not found');
+        error.status = 404;
+        throw error;
+      }
+
+      if (result === 'last_identity') {
+        const error = new Error('Cannot unlink the last sign-in method of an account');
+        error.status = 400;
+        throw error;
+      }
+
+      // If the primary credential was unlinked, promote the oldest remaining identity
+      const user = await UserRepository.findById(userId);
+      const userData = UserRepository.mapRowToUser(user);
+      if (
+        userData.credential === identity.provider &&
+        userData.credentialData?.id === identity.providerUserId
+      ) {
+        const [primary] = await UserIdentityRepository.findByUserId(userId);
+        await UserRepository.update(userId, {
+          credential: primary.provider,
+          credentialData: {
+            providerId: primary.provider,
+            email: primary.email,
+            id: primary.providerUserId
+          }
+        });
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Error unlinking user identity:', error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Create 409 error for an identity that belongs to another user
+ * @param {string} provider - Provider name
+ * @returns {Error} Conflict error
+ */
+function createConflictError(provider) {
+  const error = new Error(`This ${provider} account is already linked to another user`);
+  error.status = 409;
+  return error;
+}
+
+module.exports = IdentityService;
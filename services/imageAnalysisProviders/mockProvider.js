@@ -0,0 +1,20 @@
+/**
+ * Mock Image Analysis Provider
+ * Deterministic local descriptions for development and tests (no network access)
+ */
+
+class MockProvider {
+  /**
+   * Analyze an image
+   * @param {Object} image - Image ({ buffer, mimeType })
+   * @returns {Promise<Object>} { description, text }
+   */
+  static async analyze(image) {
+    return {
+      description: `[mock image analysis] ${image.mimeType || 'image'}, ${image.buffer ? image.buffer.length : 0} bytes`,
+      text: ''
+    };
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,84 @@
+/**
+ * OpenAI-compatible Image Analysis Provider
+ * Describes an image and reads its text with a vision model through the chat completions endpoint
+ */
+
+const axios = require('axios');
+const { getVisionConfig } = require('../../config/imageAnalysis');
+
+class OpenAIVisionProvider {
+  /**
+   * Analyze an image
+   * @param {Object} image - Image ({ buffer, mimeType })
+   * @param {string} language - Language of the description
+   * @returns {Promise<Object>} { description, text }
+   */
+  static async analyze(image, language) {
+    const config = getVisionConfig();
+    if (!config.apiKey) {
+      throw new Error('OpenAI configuration is missing. Please set ASSISTANT_OPENAI_API_KEY.');
+    }
+
+    try {
+      const response = await axios.post(`${config.baseUrl}/chat/completions`, {
+        model: config.model,
+        response_format: { type: 'json_object' },
+        messages: [
+          {
+            role: 'system',
+            content: 'You describe photos that a user sent to their coach. ' +
+              'Reply with a JSON object: {"description": "...", "text": "..."}. ' +
+              `"description" is 1-3 sentences in the user's language (${language}) about what the image shows, ` +
+              'including mood or emotions if visible. "text" is any readable text in the image, verbatim, or "".'
+          },
+          {
+            role: 'user',
+            content: [
+              { type: 'text', text: 'Analyze this image.' },
+              { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.buffer.toString('base64')}` } }
+            ]
+          }
+        ]
+      }, {
+        headers: {
+          'Authorization': `Bearer ${config.apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: config.timeout
+      });
+
+      const choice = response.data.choices && response.data.choices[0];
+      const content = choice && choice.message && choice.message.content;
+      if (!content) {
+        throw new Error('Empty completion');
+      }
+
+      return parseResult(content);
+    } catch (error) {
+      console.error('[VISION] ❌ Image analysis error:', error.message);
+      if (error.response) {
+        console.error('[VISION] ❌ Response status:', error.response.status);
+      }
+      throw new Error(`Image analysis failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Parse model output (JSON object, plain text is used as description)
+ * @param {string} content - Completion text
+ * @returns {Object} { description, text }
+ */
+function parseResult(content) {
+  try {
+    const result = JSON.parse(content);
+    return {
+      description: String(result.description || '').trim(),
+      text: String(result.text || '').trim()
+    };
+  } catch (error) {
+    return { description: content.trim(), text: '' };
+  }
+}
+
+module.exports = OpenAIVisionProvider;
@@ -0,0 +1,110 @@
+/**
+ * Image Analysis Service
+ * Server-side description and text detection of photos sent in chats (messages.image_content)
+ *
+ * Fotoğraf CDN'e yüklendikten sonra mesaj hemen kaydedilir, analiz arka planda IMAGE_ANALYSIS_PROVIDER
+ * ile yapılır. Asistan teslimi (outbox) analiz bitene kadar bekletilir (en fazla analiz timeout'u kadar),
+ * sonuç image_content'e yazılır ve 'message_updated' event'i gönderilir. Analiz başarısız olursa mesaj
+ * image_content olmadan asistana gider.
+ */
+
+const { PROVIDERS, getImageAnalysisProvider, getVisionConfig } = require('../config/imageAnalysis');
+const MessageRepository = require('../repositories/MessageRepository');
+const AssistantOutboxService = require('./assistantOutboxService');
+const ChatEvents = require('../socket/chatEvents');
+const OpenAIVisionProvider = require('./imageAnalysisProviders/openAIVisionProvider');
+const MockProvider = require('./imageAnalysisProviders/mockProvider');
+
+const ADAPTERS = {
+  openai: OpenAIVisionProvider,
+  mock: MockProvider
+};
+
+// Extra time for the worker to store the result before a held delivery is released anyway
+const HOLD_MARGIN_MS = 5000;
+
+class ImageAnalysisService {
+  /**
+   * Whether photos are analyzed on the server
+   * @returns {boolean} False if IMAGE_ANALYSIS_PROVIDER is none (client-provided imageContent is used)
+   */
+  static isEnabled() {
+    return getImageAnalysisProvider() !== 'none';
+  }
+
+  /**
+   * Get provider adapter
+   * @returns {Object} Adapter (analyze)
+   * @throws {Error} If configured provider is unknown
+   */
+  static getProvider() {
+    const name = getImageAnalysisProvider();
+    const adapter = ADAPTERS[name];
+
+    if (!adapter) {
+      throw new Error(`Unknown image analysis provider "${name}". Supported providers: ${PROVIDERS.join(', ')}`);
+    }
+
+    return adapter;
+  }
+
+  /**
+   * Get time until which the assistant delivery of an analyzed photo is held
+   * @returns {Date} Hold expiration
+   */
+  static getHoldUntil() {
+    return new Date(Date.now() + getVisionConfig().timeout + HOLD_MARGIN_MS);
+  }
+
+  /**
+   * Analyze an image
+   * @param {Object} image - Image ({ buffer, mimeType })
+   * @param {string} language - Language of the description
+   * @returns {Promise<string>} Image content (description and detected text)
+   */
+  static async analyze(image, language) {
+    const result = await this.getProvider().analyze(image, language);
+    return formatContent(result);
+  }
+
+  /**
+   * Analyze the photo of a stored message in background
+   * Stores image_content, publishes 'message_updated' and releases the held assistant delivery
+   * @param {Chat} chat - Chat
+   * @param {Message} message - User message
+   * @param {Object} image - Uploaded image ({ buffer, mimeType })
+   * @param {string} language - User's language
+   */
+  static analyzeMessage(chat, message, image, language) {
+    this.analyze(image, language)
+      .then(async imageContent => {
+        const updated = await MessageRepository.updateImageContent(message.messageId, imageContent);
+        if (updated) {
+          ChatEvents.publishMessageUpdated(chat, updated);
+        }
+
+        // Assistant gets the analysis as the message content (same as client-provided imageContent)
+        await AssistantOutboxService.release(message.messageId, payload => ({ ...payload, message: imageContent }));
+      })
+      .catch(error => {
+        console.error(`⚠️ Image analysis of message ${message.messageId} failed:`, error.message);
+        return AssistantOutboxService.release(message.messageId);
+      })
+      .catch(error => {
+        console.error(`⚠️ Failed to release assistant delivery of message ${message.messageId}:`, error.message);
+      });
+  }
+}
+
+/**
+ * Format analysis result for messages.image_content
+ * @param {Object} result - { description, text }
+ * @returns {string} Image content
+ */
+function formatContent(result) {
+  const description = (result.description || '').trim();
+  const text = (result.text || '').trim();
+  return [description, text ? `Text in image: ${text}` : null].filter(Boolean).join('\n\n');
+}
+
+module.exports = ImageAnalysisService;
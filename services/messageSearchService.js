@@ -0,0 +1,173 @@
+/**
+ * Message Search Service
+ * Full-text search in a user's conversation history (GET /chats/search)
+ *
+ * Arama MySQL FULLTEXT index'i (migration 025) üzerinde boolean mode ile yapılır: her kelime
+ * zorunlu ve prefix eşleşir ("uyku" -> "uykusuzluk"). Sonuçlar en yeni mesajdan eskiye sıralanır,
+ * sayfalama mesaj ID cursor'ı ile yapılır. Snippet ve highlight aralıkları burada üretilir.
+ */
+
+const ChatRepository = require('../repositories/ChatRepository');
+const MessageRepository = require('../repositories/MessageRepository');
+const ConsultantService = require('./consultantService');
+const { encodeMessageCursor, decodeMessageCursor } = require('../utils/cursor');
+
+// InnoDB does not index shorter words (innodb_ft_min_token_size)
+const MIN_TERM_LENGTH = 3;
+const MAX_TERMS = 8;
+const MAX_LIMIT = 50;
+
+// Snippet length and context kept before the first match
+const SNIPPET_LENGTH = 160;
+const SNIPPET_CONTEXT = 40;
+
+// Searched fields, in snippet priority order
+const FIELDS = ['message', 'voiceMessageContent', 'imageContent'];
+
+class MessageSearchService {
+  /**
+   * Search messages of all chats of a user
+   * @param {number} userId - User ID
+   * @param {string} query - Search text
+   * @param {Object} options - Options
+   * @param {string} options.before - Cursor from the previous page (data.paging.before)
+   * @param {number} options.limit - Page size (default: 20, max: 50)
+   * @returns {Promise<Object>} { results, paging: { before, hasMore } }
+   */
+  static async search(userId, query, options = {}) {
+    try {
+      const terms = parseTerms(query);
+      const limit = Math.min(Math.max(parseInt(options.limit) || 20, 1), MAX_LIMIT);
+      const beforeId = decodeMessageCursor(options.before);
+
+      const booleanQuery = terms.map(term => `+${term}*`).join(' ');
+      const messages = await MessageRepository.searchByUserId(userId, booleanQuery, beforeId, limit + 1);
+      const page = messages.slice(0, limit);
+
+      const chats = new Map();
+      const consultants = new Map();
+      const highlighter = createHighlighter(terms);
+
+      const results = [];
+      for (const message of page) {
+        if (!chats.has(message.chatId)) {
+          chats.set(message.chatId, await ChatRepository.findById(message.chatId));
+        }
+        const chat = chats.get(message.chatId);
+
+        if (!consultants.has(chat.consultantId)) {
+          consultants.set(chat.consultantId, await ConsultantService.getConsultantById(chat.consultantId));
+        }
+        const consultant = consultants.get(chat.consultantId);
+
+        results.push({
+          message: message,
+          chat: chat,
+          consultant: consultant,
+          ...buildSnippet(message, highlighter)
+        });
+      }
+
+      const last = page[page.length - 1];
+      return {
+        results: results,
+        paging: {
+          before: last ? encodeMessageCursor(last.messageId) : null,
+          hasMore: messages.length > limit
+        }
+      };
+    } catch (error) {
+      console.error('Error searching messages:', error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Split search text into index terms (boolean mode operators are dropped)
+ * @param {string} query - Search text
+ * @returns {Array<string>} Terms (unique)
+ * @throws {Error} ValidationError if no searchable term is left
+ */
+function parseTerms(query) {
+  // Case is left to the collation (and the case-insensitive highlighter)
+  const terms = String(query || '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term.length >= MIN_TERM_LENGTH);
+
+  const unique = Array.from(new Set(terms)).slice(0, MAX_TERMS);
+  if (unique.length === 0) {
+    const error = new Error(`q must contain at least one word of ${MIN_TERM_LENGTH} or more characters`);
+    error.name = 'ValidationError';
+    throw error;
+  }
+
+  return unique;
+}
+
+/**
+ * Create a regular expression that matches words starting with one of the terms
+ * @param {Array<string>} terms - Terms
+ * @returns {RegExp} Global, case-insensitive expression
+ */
+function createHighlighter(terms) {
+  const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${escaped.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+}
+
+/**
+ * Build snippet of the first matching field
+ * @param {Message} message - Message
+ * @param {RegExp} highlighter - Term expression (see createHighlighter)
+ * @returns {Object} { field, snippet, highlights: [{ start, length }] } (offsets in snippet)
+ */
+function buildSnippet(message, highlighter) {
+  let field = null;
+  let text = '';
+  let matchIndex = -1;
+
+  for (const name of FIELDS) {
+    const value = message[name];
+    if (!value) {
+      continue;
+    }
+
+    highlighter.lastIndex = 0;
+    const match = highlighter.exec(value);
+    if (match) {
+      field = name;
+      text = value;
+      matchIndex = match.index;
+      break;
+    }
+
+    // Matched by collation only (e.g. accents) - fall back to the first non-empty field
+    if (field === null) {
+      field = name;
+      text = value;
+    }
+  }
+
+  let start = Math.max(0, matchIndex - SNIPPET_CONTEXT);
+  if (start > 0) {
+    // Start at a word boundary
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < matchIndex) {
+      start = space + 1;
+    }
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  const snippet = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+
+  const highlights = [];
+  highlighter.lastIndex = 0;
+  let match;
+  while ((match = highlighter.exec(snippet)) !== null) {
+    highlights.push({ start: match.index, length: match[0].length });
+  }
+
+  return { field, snippet, highlights };
+}
+
+module.exports = MessageSearchService;
@@ -4,6 +4,7 @@
  */
 
 const MoodRepository = require('../repositories/MoodRepository');
+const SyncRepository = require('../repositories/SyncRepository');
 const UserService = require('./userService');
 
 class MoodService {
@@ -119,7 +120,12 @@ class MoodService {
         throw new Error('You can only delete your own moods');
       }
 
-      return await MoodRepository.deleteById(id);
+      const deleted = await MoodRepository.deleteById(id);
+      if (deleted) {
+        // Offline clients learn about the deletion from GET /sync
+        await SyncRepository.recordDeletion(userId, 'mood', mood.id);
+      }
+      return deleted;
     } catch (error) {
       console.error('Error deleting mood:', error);
       throw error;
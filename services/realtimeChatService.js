@@ -78,7 +78,11 @@ class RealtimeChatService {
       // Note: In production, you would get the actual response from the webhook
       // For now, we'll use a placeholder response
       // The webhook should return the consultant's response text
-      const consultantResponse = `Mesajınızı anladım: "${transcribedText}". Size nasıl yardımcı olabilirim?`;
+      // On high crisis risk the localized crisis message is spoken instead (see SafetyService)
+      const safety = chatResult?.safety || null;
+      const consultantResponse = safety
+        ? safety.resources.message
+        : `Mesajınızı anladım: "${transcribedText}". Size nasıl yardımcı olabilirim?`;
 
       // Step 4: Generate audio using ElevenLabs
       let audioBuffer = null;
@@ -102,7 +106,8 @@ class RealtimeChatService {
         consultantName: consultant.names?.tr || consultant.names?.en || 'Consultant',
         trigger3DAnimation: true, // Trigger 3D animation when consultant speaks
         chatId: chatResult?.chat?.chatId || null,
-        messageId: chatResult?.message?.messageId || null
+        messageId: chatResult?.message?.messageId || null,
+        safety: safety // Crisis hotline resources (high risk only, otherwise null)
       };
     } catch (error) {
       console.error('Error processing audio message:', error);
@@ -0,0 +1,31 @@
+/**
+ * Stub Receipt Verifier
+ * Local purchase receipt verification for development and tests (no store access)
+ *
+ * Boş olmayan her makbuz geçerlidir, "invalid" ile başlayan makbuzlar reddedilir.
+ * Transaction ID makbuzun hash'idir, böylece aynı makbuz tekrar kullanılamaz.
+ */
+
+const crypto = require('crypto');
+
+class StubVerifier {
+  /**
+   * Verify a purchase receipt
+   * @param {Object} purchase - { receipt, productId }
+   * @returns {Promise<Object>} { valid, externalId, productId, expiresAt } (expiresAt null = product duration)
+   */
+  static async verify(purchase) {
+    if (purchase.receipt.startsWith('invalid')) {
+      return { valid: false };
+    }
+
+    return {
+      valid: true,
+      externalId: `stub_${crypto.createHash('sha256').update(purchase.receipt).digest('hex').slice(0, 32)}`,
+      productId: purchase.productId,
+      expiresAt: null
+    };
+  }
+}
+
+module.exports = StubVerifier;
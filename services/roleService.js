@@ -0,0 +1,121 @@
+/**
+ * Role Service
+ * Business logic for role-based access control
+ */
+
+const UserRoleRepository = require('../repositories/UserRoleRepository');
+const UserRepository = require('../repositories/UserRepository');
+const { ROLES, getPermissionsForRoles } = require('../config/roles');
+const { getCached, setCached } = require('../utils/cache');
+
+class RoleService {
+  /**
+   * Get roles of a user, including the implicit 'user' role
+   * @param {number} userId - User ID
+   * @returns {Promise<string[]>} Role names
+   */
+  static async getUserRoles(userId) {
+    try {
+      // Short-lived cache (checked on every authenticated request), invalidated by UserRoleRepository on grant/revoke
+      const cacheKey = UserRoleRepository.getCacheKey(userId);
+      const cachedRoles = await getCached(cacheKey);
+      if (cachedRoles) {
+        return cachedRoles;
+      }
+
+      const roles = await UserRoleRepository.findRolesByUserId(userId);
+      const userRoles = ['user', ...roles.filter(role => role !== 'user')];
+      await setCached(cacheKey, userRoles);
+      return userRoles;
+    } catch (error) {
+      console.error('Error getting user roles:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get permissions of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<string[]>} Permission names
+   */
+  static async getUserPermissions(userId) {
+    const roles = await this.getUserRoles(userId);
+    return getPermissionsForRoles(roles);
+  }
+
+  /**
+   * Grant role to user
+   * @param {number} userId - Target user ID
+   * @param {string} role - Role name
+   * @param {number|null} grantedBy - Admin user ID
+   * @returns {Promise<string[]>} Updated role names
+   */
+  static async grantRole(userId, role, grantedBy = null) {
+    try {
+      validateAssignableRole(role);
+
+      const user = await UserRepository.findById(userId);
+      if (!user) {
+        const error = new Error('User not found');
+        error.status = 404;
+        throw error;
+      }
+
+      await UserRoleRepository.grant(userId, role, grantedBy);
+      console.log(`✅ Role '${role}' granted to user ${userId}${grantedBy ? ` by user ${grantedBy}` : ''}`);
+
+      return await this.getUserRoles(userId);
+    } catch (error) {
+      console.error('Error granting role:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke role from user
+   * An admin can't revoke their own admin role (prevents locking everyone out)
+   * @param {number} userId - Target user ID
+   * @param {string} role - Role name
+   * @param {number|null} revokedBy - Admin user ID
+   * @returns {Promise<string[]>} Updated role names
+   */
+  static async revokeRole(userId, role, revokedBy = null) {
+    try {
+      validateAssignableRole(role);
+
+      if (role === 'admin' && userId === revokedBy) {
+        const error = new Error('You cannot revoke your own admin role');
+        error.status = 400;
+        throw error;
+      }
+
+      const revoked = await UserRoleRepository.revoke(userId, role);
+      if (!revoked) {
+        const error = new Error(`User does not have role '${role}'`);
+        error.status = 404;
+        throw error;
+      }
+
+      console.log(`✅ Role '${role}' revoked from user ${userId}${revokedBy ? ` by user ${revokedBy}` : ''}`);
+
+      return await this.getUserRoles(userId);
+    } catch (error) {
+      console.error('Error revoking role:', error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Validate that role exists and can be stored ('user' is implicit)
+ * @param {string} role - Role name
+ */
+function validateAssignableRole(role) {
+  if (!ROLES.includes(role) || role === 'user') {
+    const error = new Error(`Invalid role. Must be one of: ${ROLES.filter(r => r !== 'user').join(', ')}`);
+    error.name = 'ValidationError';
+    throw error;
+  }
+}
+
+module.exports = RoleService;
@@ -0,0 +1,63 @@
+/**
+ * Keyword Safety Classifier
+ * Local regex ruleset per language (see keywordRules.js), no network access
+ */
+
+const RULES = require('./keywordRules');
+const { RISK_LEVELS } = require('../../config/safety');
+
+// Rules are compiled once: match at a word start, case is handled by lowercasing
+const COMPILED = Object.fromEntries(Object.entries(RULES).map(([language, rules]) => [
+  language,
+  rules.map(rule => ({ ...rule, regex: new RegExp(`(?<![\\p{L}\\p{N}])${rule.pattern}`, 'u') }))
+]));
+
+class KeywordClassifier {
+  /**
+   * Classify text with the rules of the user's language and English
+   * @param {string} text - User input
+   * @param {string} language - Language code
+   * @returns {Promise<Object>} { riskLevel, categories, matches } (matches: rule IDs, e.g. 'tr.kendimi_oldur')
+   */
+  static async classify(text, language) {
+    const code = String(language || '').toLowerCase().split(/[-_]/)[0];
+    const languages = Array.from(new Set([code, 'en'])).filter(name => COMPILED[name]);
+
+    let riskLevel = 'none';
+    const categories = new Set();
+    const matches = [];
+
+    for (const name of languages) {
+      const normalized = normalize(text, name);
+
+      for (const rule of COMPILED[name]) {
+        if (!rule.regex.test(normalized)) {
+          continue;
+        }
+
+        matches.push(`${name}.${rule.id}`);
+        categories.add(rule.category);
+        if (RISK_LEVELS.indexOf(rule.riskLevel) > RISK_LEVELS.indexOf(riskLevel)) {
+          riskLevel = rule.riskLevel;
+        }
+      }
+    }
+
+    return { riskLevel, categories: Array.from(categories), matches };
+  }
+}
+
+/**
+ * Lowercase text with the language's casing rules (Turkish İ/I) and normalize apostrophes and spaces
+ * @param {string} text - Text
+ * @param {string} language - Language code
+ * @returns {string} Normalized text
+ */
+function normalize(text, language) {
+  return String(text || '')
+    .toLocaleLowerCase(language)
+    .replace(/[’‘`´]/g, '\'')
+    .replace(/\s+/g, ' ');
+}
+
+module.exports = KeywordClassifier;
@@ -0,0 +1,71 @@
+/**
+ * Safety Keyword Rules
+ * Crisis / self-harm expressions per language for the keyword classifier
+ *
+ * Pattern'ler küçük harfe çevrilmiş metinde (dilin locale'i ile) aranır ve kelime başında eşleşir;
+ * sonu açık bırakılır ki Türkçe ekler de yakalansın ("kendimi öldür" -> "kendimi öldüreceğim").
+ * high: birinci şahıs niyet/ifade (kriz protokolü), medium: niyet belirtmeyen bahis (örn. sadece "intihar").
+ * İngilizce kurallar her dilde ayrıca uygulanır.
+ */
+
+const RULES = {
+  en: [
+    { id: 'kill_myself', category: 'suicide', riskLevel: 'high', pattern: '(kill|killing|end|ending) myself' },
+    { id: 'end_my_life', category: 'suicide', riskLevel: 'high', pattern: '(end|ending|take|taking) my (own )?life' },
+    { id: 'want_to_die', category: 'suicide', riskLevel: 'high', pattern: '(want(ed)? to|wanna) die' },
+    { id: 'wish_dead', category: 'suicide', riskLevel: 'high', pattern: 'wish i (was|were) dead' },
+    { id: 'commit_suicide', category: 'suicide', riskLevel: 'high', pattern: '(commit|committing) suicide' },
+    { id: 'suicidal', category: 'suicide', riskLevel: 'high', pattern: 'suicidal' },
+    { id: 'better_off_dead', category: 'suicide', riskLevel: 'high', pattern: 'better off dead' },
+    { id: 'not_want_to_live', category: 'suicide', riskLevel: 'high', pattern: '(don\'t|do not|dont) want to (live|be alive|wake up)' },
+    { id: 'no_reason_to_live', category: 'suicide', riskLevel: 'high', pattern: 'no reason to (live|go on)' },
+    { id: 'hurt_myself', category: 'self_harm', riskLevel: 'high', pattern: '(hurt|hurting|cut|cutting|harm|harming) myself' },
+    { id: 'suicide', category: 'suicide', riskLevel: 'medium', pattern: 'suicide' },
+    { id: 'self_harm', category: 'self_harm', riskLevel: 'medium', pattern: 'self[- ]?harm' },
+    { id: 'overdose', category: 'self_harm', riskLevel: 'medium', pattern: 'overdos' }
+  ],
+  tr: [
+    { id: 'kendimi_oldur', category: 'suicide', riskLevel: 'high', pattern: 'kendimi öldür' },
+    { id: 'intihar_niyet', category: 'suicide', riskLevel: 'high', pattern: 'intihar (etmek|edece|etmeyi|ediyorum|etsem|edesim|planı)' },
+    { id: 'canima_kiy', category: 'suicide', riskLevel: 'high', pattern: 'canıma kıy' },
+    { id: 'hayatima_son', category: 'suicide', riskLevel: 'high', pattern: 'hayatıma son ver' },
+    { id: 'yasamak_istemiyorum', category: 'suicide', riskLevel: 'high', pattern: 'yaşamak istemiyorum' },
+    { id: 'olmek_istiyorum', category: 'suicide', riskLevel: 'high', pattern: 'ölmek istiyorum' },
+    { id: 'olsem_iyi', category: 'suicide', riskLevel: 'high', pattern: 'ölsem (daha )?iyi' },
+    { id: 'keske_olsem', category: 'suicide', riskLevel: 'high', pattern: 'keşke (hiç )?(doğmasaydım|ölsem)' },
+    { id: 'yasamanin_anlami', category: 'suicide', riskLevel: 'high', pattern: 'yaşamamın (bir )?anlamı (yok|kalmadı)' },
+    { id: 'kendimi_as', category: 'suicide', riskLevel: 'high', pattern: 'kendimi as(acağım|mak|arım)' },
+    { id: 'bileklerimi_kes', category: 'self_harm', riskLevel: 'high', pattern: 'bileklerimi kes' },
+    { id: 'kendime_zarar', category: 'self_harm', riskLevel: 'high', pattern: 'kendime zarar ver' },
+    { id: 'kendimi_kes', category: 'self_harm', riskLevel: 'high', pattern: 'kendimi kes(iyorum|eceğim|tim|mek)' },
+    { id: 'intihar', category: 'suicide', riskLevel: 'medium', pattern: 'intihar' },
+    { id: 'kendine_zarar', category: 'self_harm', riskLevel: 'medium', pattern: 'kendine zarar' }
+  ],
+  de: [
+    { id: 'mich_umbringen', category: 'suicide', riskLevel: 'high', pattern: 'mich (umbringen|töten)' },
+    { id: 'leben_nehmen', category: 'suicide', riskLevel: 'high', pattern: 'mir das leben (nehmen|zu nehmen)' },
+    { id: 'selbstmord_begehen', category: 'suicide', riskLevel: 'high', pattern: 'selbstmord (begehen|machen)' },
+    { id: 'suizidal', category: 'suicide', riskLevel: 'high', pattern: 'suizidal' },
+    { id: 'will_sterben', category: 'suicide', riskLevel: 'high', pattern: '(will|möchte) (nicht mehr leben|sterben)' },
+    { id: 'mich_verletzen', category: 'self_harm', riskLevel: 'high', pattern: 'mich (selbst )?(ritzen|verletzen)' },
+    { id: 'selbstmord', category: 'suicide', riskLevel: 'medium', pattern: '(selbstmord|suizid)' }
+  ],
+  fr: [
+    { id: 'me_suicider', category: 'suicide', riskLevel: 'high', pattern: 'me (suicider|tuer)' },
+    { id: 'en_finir', category: 'suicide', riskLevel: 'high', pattern: 'en finir avec (la|ma) vie' },
+    { id: 'envie_de_mourir', category: 'suicide', riskLevel: 'high', pattern: '(envie de|veux) mourir' },
+    { id: 'envie_de_vivre', category: 'suicide', riskLevel: 'high', pattern: '(plus|pas) envie de vivre' },
+    { id: 'me_faire_du_mal', category: 'self_harm', riskLevel: 'high', pattern: 'me (faire du mal|scarifier|couper)' },
+    { id: 'suicide', category: 'suicide', riskLevel: 'medium', pattern: 'suicid' }
+  ],
+  es: [
+    { id: 'suicidarme', category: 'suicide', riskLevel: 'high', pattern: '(suicidarme|matarme)' },
+    { id: 'quitarme_la_vida', category: 'suicide', riskLevel: 'high', pattern: 'quitarme la vida' },
+    { id: 'quiero_morir', category: 'suicide', riskLevel: 'high', pattern: '(quiero|ganas de) morir' },
+    { id: 'no_quiero_vivir', category: 'suicide', riskLevel: 'high', pattern: 'no quiero (vivir|seguir viviendo)' },
+    { id: 'hacerme_dano', category: 'self_harm', riskLevel: 'high', pattern: '(hacerme daño|cortarme|autolesionarme)' },
+    { id: 'suicidio', category: 'suicide', riskLevel: 'medium', pattern: 'suicid' }
+  ]
+};
+
+module.exports = RULES;
@@ -0,0 +1,65 @@
+/**
+ * OpenAI Moderation Safety Classifier
+ * Calls an OpenAI-compatible moderations endpoint (self-harm categories)
+ * Endpoint and API key are shared with the OpenAI assistant provider (config/assistant.js)
+ */
+
+const axios = require('axios');
+const { getOpenAIConfig } = require('../../config/assistant');
+const { getModelConfig } = require('../../config/safety');
+
+// Moderation category -> safety category and risk level
+const CATEGORIES = {
+  'self-harm/intent': { category: 'suicide', riskLevel: 'high' },
+  'self-harm/instructions': { category: 'self_harm', riskLevel: 'high' },
+  'self-harm': { category: 'self_harm', riskLevel: 'medium' }
+};
+
+class OpenAIModerationClassifier {
+  /**
+   * Classify text with the moderation model
+   * @param {string} text - User input
+   * @returns {Promise<Object>} { riskLevel, categories, matches } (matches: flagged moderation categories)
+   */
+  static async classify(text) {
+    const { baseUrl, apiKey } = getOpenAIConfig();
+    const { model, timeout } = getModelConfig();
+    if (!apiKey) {
+      throw new Error('OpenAI configuration is missing. Please set ASSISTANT_OPENAI_API_KEY.');
+    }
+
+    const response = await axios.post(`${baseUrl}/moderations`, {
+      model: model,
+      input: text
+    }, {
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: timeout
+    });
+
+    const result = (response.data.results && response.data.results[0]) || {};
+    const flagged = result.categories || {};
+
+    let riskLevel = 'none';
+    const categories = new Set();
+    const matches = [];
+
+    for (const [name, mapping] of Object.entries(CATEGORIES)) {
+      if (!flagged[name]) {
+        continue;
+      }
+
+      matches.push(name);
+      categories.add(mapping.category);
+      if (riskLevel !== 'high') {
+        riskLevel = mapping.riskLevel;
+      }
+    }
+
+    return { riskLevel, categories: Array.from(categories), matches };
+  }
+}
+
+module.exports = OpenAIModerationClassifier;
@@ -0,0 +1,187 @@
+/**
+ * Safety Service
+ * Crisis and self-harm risk screening of user input (chat messages, voice transcripts, calls)
+ *
+ * Her metin SAFETY_CLASSIFIERS ile sınıflandırılır (keyword her zaman çalışır, model adapter'ı opsiyonel),
+ * en yüksek risk seviyesi geçerlidir. medium/high risk safety_events'e kaydedilir (migration 027).
+ * high risk'te asistana kriz protokolü talimatı eklenir ve client'a kullanıcının diline göre
+ * (nativeLang) kriz hattı bilgileri döner. Sınıflandırma veya kayıt hatası mesajı engellemez.
+ */
+
+const SafetyEventRepository = require('../repositories/SafetyEventRepository');
+const KeywordClassifier = require('./safetyClassifiers/keywordClassifier');
+const OpenAIModerationClassifier = require('./safetyClassifiers/openAIModerationClassifier');
+const {
+  CLASSIFIERS,
+  RISK_LEVELS,
+  CRISIS_PROTOCOL,
+  CHECK_IN_PROTOCOL,
+  getClassifiers,
+  getCrisisResources
+} = require('../config/safety');
+
+const ADAPTERS = {
+  keyword: KeywordClassifier,
+  openai: OpenAIModerationClassifier
+};
+
+class SafetyService {
+  /**
+   * Classify user input with the enabled classifiers
+   * @param {string} text - User input (message or transcript)
+   * @param {string} language - User's language (nativeLang)
+   * @returns {Promise<Object>} Assessment { riskLevel, categories, classifiers, language }
+   */
+  static async classify(text, language) {
+    const assessment = { riskLevel: 'none', categories: [], classifiers: [], language: language || null };
+    if (!text || !String(text).trim()) {
+      return assessment;
+    }
+
+    const categories = new Set();
+
+    for (const name of getClassifiers()) {
+      const adapter = ADAPTERS[name];
+      if (!adapter) {
+        console.warn(`⚠️ Unknown safety classifier "${name}". Supported classifiers: ${CLASSIFIERS.join(', ')}`);
+        continue;
+      }
+
+      let result;
+      try {
+        result = await adapter.classify(text, language);
+      } catch (error) {
+        // Model classifiers are optional, the remaining results are used
+        console.error(`⚠️ Safety classifier "${name}" failed:`, error.message);
+        continue;
+      }
+
+      assessment.classifiers.push({ name, riskLevel: result.riskLevel, matches: result.matches });
+      result.categories.forEach(category => categories.add(category));
+      if (RISK_LEVELS.indexOf(result.riskLevel) > RISK_LEVELS.indexOf(assessment.riskLevel)) {
+        assessment.riskLevel = result.riskLevel;
+      }
+    }
+
+    assessment.categories = Array.from(categories);
+    return assessment;
+  }
+
+  /**
+   * Store a safety event for a flagged assessment (medium or high)
+   * @param {number} userId - User ID
+   * @param {Object} assessment - Assessment from classify()
+   * @param {Object} context - Where the input came from
+   * @param {string} context.source - 'chat', 'voice', 'stream_call', 'video_call' or 'realtime'
+   * @param {number} context.consultantId - Consultant ID (optional)
+   * @param {number} context.chatId - Chat ID (optional)
+   * @param {number} context.threadId - Thread ID (optional)
+   * @param {number} context.messageId - Stored message ID (optional)
+   * @returns {Promise<number|null>} Event ID, or null if nothing was flagged or storing failed
+   */
+  static async record(userId, assessment, context) {
+    if (assessment.riskLevel === 'none') {
+      return null;
+    }
+
+    try {
+      const eventId = await SafetyEventRepository.create({
+        userId: userId,
+        consultantId: context.consultantId,
+        chatId: context.chatId,
+        threadId: context.threadId,
+        messageId: context.messageId,
+        source: context.source,
+        riskLevel: assessment.riskLevel,
+        categories: assessment.categories,
+        classifiers: assessment.classifiers,
+        language: assessment.language
+      });
+
+      console.warn(`🚨 Safety event ${eventId}: ${assessment.riskLevel} risk (${assessment.categories.join(', ')}) - user ${userId}, source ${context.source}`);
+      return eventId;
+    } catch (error) {
+      console.error('⚠️ Failed to record safety event:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Classify user input and store a safety event if it is flagged
+   * @param {number} userId - User ID
+   * @param {string} text - User input
+   * @param {string} language - User's language (nativeLang)
+   * @param {Object} context - See record()
+   * @returns {Promise<Object>} Assessment
+   */
+  static async screen(userId, text, language, context) {
+    const assessment = await this.classify(text, language);
+    await this.record(userId, assessment, context);
+    return assessment;
+  }
+
+  /**
+   * Build safety instructions for the assistant request payload
+   * @param {Object} assessment - Assessment
+   * @returns {Object|null} { riskLevel, categories, crisisProtocol, instructions, resources }, or null if
+   *   nothing was flagged (instructions include the crisis resources on high risk)
+   */
+  static getAssistantInstructions(assessment) {
+    if (assessment.riskLevel === 'none') {
+      return null;
+    }
+
+    if (assessment.riskLevel !== 'high') {
+      return {
+        riskLevel: assessment.riskLevel,
+        categories: assessment.categories,
+        crisisProtocol: false,
+        instructions: CHECK_IN_PROTOCOL,
+        resources: null
+      };
+    }
+
+    const resources = getCrisisResources(assessment.language);
+    const contacts = resources.contacts
+      .map(contact => `- ${contact.name}${contact.phone ? `: ${contact.phone}` : ''}${contact.url ? ` (${contact.url})` : ''}`)
+      .join('\n');
+
+    return {
+      riskLevel: assessment.riskLevel,
+      categories: assessment.categories,
+      crisisProtocol: true,
+      instructions: `${CRISIS_PROTOCOL}\nCrisis resources:\n${contacts}`,
+      resources: resources
+    };
+  }
+
+  /**
+   * Build safety info for the client response (hotline resources on high risk)
+   * @param {Object} assessment - Assessment
+   * @returns {Object|null} { riskLevel, crisisProtocol, resources }, or null below high risk
+   */
+  static getClientResources(assessment) {
+    if (assessment.riskLevel !== 'high') {
+      return null;
+    }
+
+    return {
+      riskLevel: assessment.riskLevel,
+      crisisProtocol: true,
+      resources: getCrisisResources(assessment.language)
+    };
+  }
+
+  /**
+   * List safety events for review
+   * @param {Object} filters - { userId, riskLevel }
+   * @param {number} limit - Limit
+   * @param {number} offset - Offset
+   * @returns {Promise<Array>} Safety events
+   */
+  static async listEvents(filters, limit, offset) {
+    return await SafetyEventRepository.findAll(filters, limit, offset);
+  }
+}
+
+module.exports = SafetyService;
@@ -0,0 +1,376 @@
+/**
+ * Signing Key Service
+ * Asymmetric JWT signing keys (RS256/ES256) with rotation and JWKS publishing
+ *
+ * JWT_ALGORITHM=HS256 (varsayılan) iken key tablosu kullanılmaz, JWT_SECRET ile imzalanır.
+ * Rotation: yeni key JWT_KEY_PUBLISH_HOURS önce JWKS'te yayınlanır, sonra imzalamaya başlar.
+ * Eski key JWT_KEY_RETENTION_DAYS boyunca verification için tutulur.
+ * Private key'ler veritabanında JWT_KEY_ENCRYPTION_SECRET ile AES-256-GCM şifreli saklanır (eski düz PEM
+ * kayıtlar okunmaya devam eder). Birden fazla instance aynı anda key oluşturmaz (GET_LOCK).
+ */
+
+const crypto = require('crypto');
+const SigningKeyRepository = require('../repositories/SigningKeyRepository');
+const { getEnvNumber } = require('../utils/env');
+
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'ES256'];
+
+// Stored private key format: enc:v1:<iv hex>:<auth tag hex>:<ciphertext base64>
+const ENCRYPTED_KEY_PREFIX = 'enc:v1:';
+
+// Unknown kid -> reload keys from database at most this often
+const UNKNOWN_KID_RELOAD_INTERVAL_MS = 30 * 1000;
+
+// In-memory key set, shared by every request of this instance
+let keys = [];
+let loadedAt = 0;
+let loadingPromise = null;
+let lastUnknownKidReloadAt = 0;
+let rotationTimer = null;
+
+class SigningKeyService {
+  /**
+   * Get configured signing algorithm
+   * @returns {string} 'HS256', 'RS256' or 'ES256'
+   */
+  static getAlgorithm() {
+    return (process.env.JWT_ALGORITHM || 'HS256').toUpperCase();
+  }
+
+  /**
+   * Check if tokens are signed with asymmetric keys
+   * @returns {boolean} True for RS256/ES256
+   */
+  static isAsymmetric() {
+    return ASYMMETRIC_ALGORITHMS.includes(this.getAlgorithm());
+  }
+
+  /**
+   * Load usable keys from database into memory
+   * Concurrent callers share the same query
+   * @returns {Promise<Array>} Loaded keys
+   */
+  static async loadKeys() {
+    if (!loadingPromise) {
+      loadingPromise = SigningKeyRepository.findUsable()
+        .then(rows => {
+          keys = rows.map(mapRowToKey);
+          loadedAt = Date.now();
+          return keys;
+        })
+        .finally(() => {
+          loadingPromise = null;
+        });
+    }
+
+    return loadingPromise;
+  }
+
+  /**
+   * Reload keys if the in-memory copy is older than the refresh interval
+   */
+  static async ensureFresh() {
+    if (Date.now() - loadedAt > getEnvNumber('JWT_KEY_REFRESH_MINUTES', 5) * 60 * 1000) {
+      await this.loadKeys();
+    }
+  }
+
+  /**
+   * Get the key to sign new tokens with (newest active key of the configured algorithm)
+   * Creates the first key if none exists yet
+   * @returns {Promise<Object>} Key (kid, algorithm, privateKey, publicKey), privateKey decrypted
+   */
+  static async getSigningKey() {
+    const algorithm = this.getAlgorithm();
+    await this.ensureFresh();
+
+    let key = findSigningKey(algorithm);
+    if (!key) {
+      assertAsymmetric(algorithm);
+
+      // Another instance may be creating the first key right now, check again under the lock
+      await SigningKeyRepository.withRotationLock(async () => {
+        await this.loadKeys();
+        if (!findSigningKey(algorithm)) {
+          await createKey(algorithm, { immediate: true });
+        }
+      });
+      key = findSigningKey(algorithm);
+    }
+
+    return key && { ...key, privateKey: decryptPrivateKey(key.privateKey) };
+  }
+
+  /**
+   * Get key to verify a token signed with the given kid
+   * @param {string} kid - Key ID from token header
+   * @returns {Promise<Object|null>} Key or null if unknown/expired
+   */
+  static async getVerificationKey(kid) {
+    await this.ensureFresh();
+
+    let key = findUsableKey(kid);
+
+    // Key may have been created by another instance since the last load
+    if (!key && Date.now() - lastUnknownKidReloadAt > UNKNOWN_KID_RELOAD_INTERVAL_MS) {
+      lastUnknownKidReloadAt = Date.now();
+      await this.loadKeys();
+      key = findUsableKey(kid);
+    }
+
+    return key;
+  }
+
+  /**
+   * Get public keys as JSON Web Key Set
+   * Includes keys that are published but not yet used for signing
+   * @returns {Promise<Object>} JWKS ({ keys: [...] })
+   */
+  static async getJwks() {
+    if (!this.isAsymmetric()) {
+      return { keys: [] };
+    }
+
+    await this.ensureFresh();
+
+    return {
+      keys: keys
+        .filter(key => !key.expiresAt || key.expiresAt > new Date())
+        .map(key => ({
+          ...crypto.createPublicKey(key.publicKey).export({ format: 'jwk' }),
+          kid: key.kid,
+          alg: key.algorithm,
+          use: 'sig'
+        }))
+    };
+  }
+
+  /**
+   * Generate a new signing key and schedule expiry of the older ones
+   * @param {Object} options - Options
+   * @param {boolean} options.immediate - Start signing with the key right away (no publish delay)
+   * @returns {Promise<Object>} New key info (kid, algorithm, activatesAt)
+   */
+  static async rotateKeys(options = {}) {
+    const algorithm = this.getAlgorithm();
+    assertAsymmetric(algorithm);
+
+    try {
+      return await SigningKeyRepository.withRotationLock(() => createKey(algorithm, options));
+    } catch (error) {
+      console.error('Error rotating signing keys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rotate keys if the newest key is older than JWT_KEY_ROTATION_DAYS
+   * @returns {Promise<boolean>} True if a new key was created
+   */
+  static async rotateIfDue() {
+    if (!this.isAsymmetric()) {
+      return false;
+    }
+
+    const algorithm = this.getAlgorithm();
+    await this.loadKeys();
+    if (!isRotationDue(algorithm)) {
+      return false;
+    }
+
+    // Other instances run the same schedule, check again under the lock
+    return await SigningKeyRepository.withRotationLock(async () => {
+      await this.loadKeys();
+      if (!isRotationDue(algorithm)) {
+        return false;
+      }
+
+      const hasKey = keys.some(key => key.algorithm === algorithm);
+      await createKey(algorithm, { immediate: !hasKey });
+      return true;
+    });
+  }
+
+  /**
+   * Start periodic key refresh and scheduled rotation (no-op for HS256)
+   */
+  static startRotationSchedule() {
+    if (!this.isAsymmetric() || rotationTimer) {
+      return;
+    }
+
+    const run = () => {
+      this.rotateIfDue().catch(error => {
+        console.error('⚠️ Scheduled signing key rotation failed:', error.message);
+      });
+    };
+
+    run();
+    rotationTimer = setInterval(run, getEnvNumber('JWT_KEY_REFRESH_MINUTES', 5) * 60 * 1000);
+    rotationTimer.unref();
+  }
+}
+
+/**
+ * Generate and save a new key, schedule expiry of the older ones and reload keys
+ * Must be called while holding the rotation lock
+ * @param {string} algorithm - 'RS256' or 'ES256'
+ * @param {Object} options - { immediate }
+ * @returns {Promise<Object>} New key info (kid, algorithm, activatesAt)
+ */
+async function createKey(algorithm, options = {}) {
+  const { publicKey, privateKey } = generateKeyPair(algorithm);
+  const kid = crypto.randomUUID();
+  const publishDelayMs = options.immediate ? 0 : getEnvNumber('JWT_KEY_PUBLISH_HOURS', 1) * 60 * 60 * 1000;
+  const activatesAt = new Date(Date.now() + publishDelayMs);
+
+  await SigningKeyRepository.create({
+    kid,
+    algorithm,
+    publicKey,
+    privateKey: encryptPrivateKey(privateKey),
+    activatesAt
+  });
+
+  // Old keys keep verifying tokens they signed until those tokens have expired
+  const expiresAt = new Date(
+    activatesAt.getTime() + getEnvNumber('JWT_KEY_RETENTION_DAYS', 8) * 24 * 60 * 60 * 1000
+  );
+  await SigningKeyRepository.expireOlderThan(kid, activatesAt, expiresAt);
+
+  await SigningKeyService.loadKeys();
+
+  console.log(`🔑 New ${algorithm} signing key ${kid} created, active from ${activatesAt.toISOString()}`);
+
+  return { kid, algorithm, activatesAt: activatesAt.toISOString() };
+}
+
+/**
+ * Check that keys can be created for the algorithm
+ * @param {string} algorithm - Signing algorithm
+ * @throws {Error} 400 if the algorithm is not RS256/ES256
+ */
+function assertAsymmetric(algorithm) {
+  if (!ASYMMETRIC_ALGORITHMS.includes(algorithm)) {
+    const error = new Error(`Key rotation requires JWT_ALGORITHM to be one of: ${ASYMMETRIC_ALGORITHMS.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+}
+
+/**
+ * Check if a new key is needed (no key yet, or the newest one is older than JWT_KEY_ROTATION_DAYS)
+ * @param {string} algorithm - Signing algorithm
+ * @returns {boolean} True if a key should be created
+ */
+function isRotationDue(algorithm) {
+  const newestKey = keys.find(key => key.algorithm === algorithm);
+  if (!newestKey) {
+    return true;
+  }
+
+  const rotationMs = getEnvNumber('JWT_KEY_ROTATION_DAYS', 30) * 24 * 60 * 60 * 1000;
+  return Date.now() - newestKey.activatesAt.getTime() >= rotationMs;
+}
+
+/**
+ * Get encryption key for stored private keys (SHA-256 of JWT_KEY_ENCRYPTION_SECRET)
+ * @returns {Buffer} 32-byte key
+ * @throws {Error} If JWT_KEY_ENCRYPTION_SECRET is not set
+ */
+function getEncryptionKey() {
+  const secret = process.env.JWT_KEY_ENCRYPTION_SECRET;
+  if (!secret) {
+    throw new Error('JWT_KEY_ENCRYPTION_SECRET must be set to use RS256/ES256 signing keys');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Encrypt a private key for storage (AES-256-GCM)
+ * @param {string} privateKey - Private key (PEM)
+ * @returns {string} Encrypted key (ENCRYPTED_KEY_PREFIX format)
+ */
+function encryptPrivateKey(privateKey) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(privateKey, 'utf8'), cipher.final()]);
+
+  return `${ENCRYPTED_KEY_PREFIX}${iv.toString('hex')}:${cipher.getAuthTag().toString('hex')}:${encrypted.toString('base64')}`;
+}
+
+/**
+ * Decrypt a stored private key
+ * Keys stored before encryption (plain PEM) are returned as they are
+ * @param {string} storedKey - Stored private key
+ * @returns {string} Private key (PEM)
+ * @throws {Error} If the key can't be decrypted (e.g. wrong JWT_KEY_ENCRYPTION_SECRET)
+ */
+function decryptPrivateKey(storedKey) {
+  if (!storedKey.startsWith(ENCRYPTED_KEY_PREFIX)) {
+    return storedKey;
+  }
+
+  const [iv, authTag, encrypted] = storedKey.slice(ENCRYPTED_KEY_PREFIX.length).split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+
+  return Buffer.concat([decipher.update(encrypted, 'base64'), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Map database row to in-memory key
+ * @param {Object} row - Database row
+ * @returns {Object} Key
+ */
+function mapRowToKey(row) {
+  return {
+    kid: row.kid,
+    algorithm: row.algorithm,
+    publicKey: row.public_key,
+    // Stays encrypted in memory, decrypted by getSigningKey
+    privateKey: row.private_key,
+    activatesAt: new Date(row.activates_at),
+    expiresAt: row.expires_at ? new Date(row.expires_at) : null
+  };
+}
+
+/**
+ * Find newest key that is active for signing
+ * @param {string} algorithm - Signing algorithm
+ * @returns {Object|null} Key or null
+ */
+function findSigningKey(algorithm) {
+  const now = new Date();
+  return keys.find(key => key.algorithm === algorithm && key.activatesAt <= now) || null;
+}
+
+/**
+ * Find non-expired key by kid
+ * @param {string} kid - Key ID
+ * @returns {Object|null} Key or null
+ */
+function findUsableKey(kid) {
+  const now = new Date();
+  return keys.find(key => key.kid === kid && (!key.expiresAt || key.expiresAt > now)) || null;
+}
+
+/**
+ * Generate PEM key pair for the algorithm
+ * @param {string} algorithm - 'RS256' or 'ES256'
+ * @returns {Object} { publicKey, privateKey } in PEM format
+ */
+function generateKeyPair(algorithm) {
+  const encoding = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  };
+
+  if (algorithm === 'ES256') {
+    return crypto.generateKeyPairSync('ec', { namedCurve: 'P-256', ...encoding });
+  }
+
+  return crypto.generateKeyPairSync('rsa', { modulusLength: 2048, ...encoding });
+}
+
+module.exports = SigningKeyService;
@@ -0,0 +1,137 @@
+/**
+ * Sync Service
+ * Incremental offline-first sync: everything of a user that changed since a cursor
+ *
+ * Her entity (chats, threads, messages, moods, appointments, notifications, deletions) kendi
+ * pozisyonundan (change time, id) okunur. Sayfa dolarsa pozisyon son satırda kalır ve
+ * hasMore true döner; client aynı cursor ile tekrar ister. Sayfa dolmazsa pozisyon
+ * SYNC_OVERLAP_SECONDS geri çekilir (geç commit edilen transaction'lar kaçmasın), bu yüzden
+ * client kayıtları id ile upsert etmelidir (aynı kayıt tekrar gelebilir).
+ */
+
+const SyncRepository = require('../repositories/SyncRepository');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { getEnvInteger } = require('../utils/env');
+
+// Cursor format version (older cursors are rejected)
+const CURSOR_VERSION = 1;
+
+// Re-read window for transactions that committed after the previous sync
+const SYNC_OVERLAP_SECONDS = 5;
+
+class SyncService {
+  /**
+   * Get maximum number of rows per entity in one response
+   * @returns {number} Page size
+   */
+  static getPageSize() {
+    return getEnvInteger('SYNC_PAGE_SIZE', 500);
+  }
+
+  /**
+   * Get changes of a user since a cursor
+   * @param {number} userId - User ID
+   * @param {string|null} since - Cursor of the previous response (null/empty = full sync)
+   * @returns {Promise<Object>} { chats, threads, messages, moods, appointments, notifications,
+   *   deletions, cursor, hasMore, serverTime }
+   */
+  static async getChanges(userId, since = null) {
+    try {
+      const positions = since ? decodeSyncCursor(since) : {};
+      const serverTime = await SyncRepository.getServerTime();
+      const caughtUp = { time: new Date(serverTime.getTime() - SYNC_OVERLAP_SECONDS * 1000), id: 0 };
+      const pageSize = this.getPageSize();
+
+      const result = {};
+      const nextPositions = {};
+      let hasMore = false;
+
+      for (const entity of SyncRepository.getEntityNames()) {
+        const position = positions[entity] || null;
+        const rows = await SyncRepository.findChanges(entity, userId, position, pageSize + 1);
+        const page = rows.slice(0, pageSize);
+
+        result[entity] = page.map(row => row.item);
+
+        if (rows.length > pageSize) {
+          const last = page[page.length - 1];
+          nextPositions[entity] = { time: last.time, id: last.id };
+          hasMore = true;
+        } else {
+          // Never move a position backwards beyond the overlap window
+          nextPositions[entity] = position && comparePositions(position, caughtUp) > 0 ? position : caughtUp;
+        }
+      }
+
+      return {
+        ...result,
+        cursor: encodeSyncCursor(nextPositions),
+        hasMore: hasMore,
+        serverTime: serverTime.toISOString()
+      };
+    } catch (error) {
+      console.error('Error getting sync changes:', error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Compare two positions by (time, id)
+ * @param {Object} a - Position
+ * @param {Object} b - Position
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+function comparePositions(a, b) {
+  return (a.time.getTime() - b.time.getTime()) || (a.id - b.id);
+}
+
+/**
+ * Encode entity positions as an opaque cursor
+ * @param {Object} positions - Entity name -> { time: Date, id }
+ * @returns {string} Cursor
+ */
+function encodeSyncCursor(positions) {
+  const p = {};
+  for (const [entity, position] of Object.entries(positions)) {
+    p[entity] = [position.time.toISOString(), position.id];
+  }
+  return encodeCursor({ v: CURSOR_VERSION, p });
+}
+
+/**
+ * Decode a sync cursor
+ * @param {string} cursor - Cursor
+ * @returns {Object} Entity name -> { time: Date, id }
+ * @throws {Error} ValidationError if the cursor is malformed or from another version
+ */
+function decodeSyncCursor(cursor) {
+  const data = decodeCursor(cursor);
+  const invalid = () => {
+    const error = new Error('Invalid sync cursor');
+    error.name = 'ValidationError';
+    return error;
+  };
+
+  if (data.v !== CURSOR_VERSION || !data.p || typeof data.p !== 'object') {
+    throw invalid();
+  }
+
+  const positions = {};
+  for (const entity of SyncRepository.getEntityNames()) {
+    const entry = data.p[entity];
+    if (entry === undefined) {
+      continue;
+    }
+
+    const time = Array.isArray(entry) ? new Date(entry[0]) : null;
+    if (!time || isNaN(time.getTime()) || !Number.isInteger(entry[1])) {
+      throw invalid();
+    }
+    positions[entity] = { time, id: entry[1] };
+  }
+
+  return positions;
+}
+
+module.exports = SyncService;
@@ -0,0 +1,110 @@
+/**
+ * Token Auth Service
+ * Single authentication core for every transport (HTTP, Socket.IO, realtime ws)
+ * JWT signature + issuer/audience/expiry check, then Stateful JWT check (user_tokens)
+ * Transport'lar sadece token'ı çıkarıp hatayı kendi formatına çevirir
+ */
+
+const { verifyToken } = require('../utils/jwt');
+const TokenRepository = require('../repositories/TokenRepository');
+const UserService = require('./userService');
+const RoleService = require('./roleService');
+const { getPermissionsForRoles } = require('../config/roles');
+
+// Error codes returned to clients alongside the error message
+const AUTH_ERROR_CODES = {
+  TOKEN_MISSING: 'TOKEN_MISSING',
+  TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+  TOKEN_INVALID: 'TOKEN_INVALID',
+  TOKEN_REVOKED: 'TOKEN_REVOKED',
+  USER_NOT_FOUND: 'USER_NOT_FOUND'
+};
+
+class TokenAuthService {
+  /**
+   * Extract token from an Authorization header value
+   * @param {string} authHeader - Authorization header ("Bearer <token>")
+   * @returns {string|null} Token or null
+   */
+  static extractBearerToken(authHeader) {
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return null;
+    }
+
+    return authHeader.slice('Bearer '.length).trim() || null;
+  }
+
+  /**
+   * Authenticate an access token
+   * @param {string} token - JWT access token
+   * @returns {Promise<Object>} Auth context (user, userId, token, familyId, roles, permissions)
+   * @throws {Error} AuthenticationError with code (see AUTH_ERROR_CODES)
+   */
+  static async authenticate(token) {
+    if (!token) {
+      throw createAuthError('No token provided', AUTH_ERROR_CODES.TOKEN_MISSING);
+    }
+
+    // Verify signature, expiry, issuer and audience
+    let decoded;
+    try {
+      decoded = await verifyToken(token);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw createAuthError('Token has expired', AUTH_ERROR_CODES.TOKEN_EXPIRED);
+      }
+      if (error.name === 'JsonWebTokenError' || error.name === 'NotBeforeError') {
+        throw createAuthError('Invalid token', AUTH_ERROR_CODES.TOKEN_INVALID);
+      }
+      throw error;
+    }
+
+    if (!decoded.userId) {
+      throw createAuthError('Invalid token', AUTH_ERROR_CODES.TOKEN_INVALID);
+    }
+
+    // Check if token exists in database and is not revoked (Stateful JWT)
+    const tokenValid = await TokenRepository.isValid(token);
+    if (!tokenValid) {
+      throw createAuthError('Token has been revoked or does not exist in database', AUTH_ERROR_CODES.TOKEN_REVOKED);
+    }
+
+    const user = await UserService.getUserById(decoded.userId);
+    if (!user || user.isPendingDeletion()) {
+      throw createAuthError('User not found', AUTH_ERROR_CODES.USER_NOT_FOUND);
+    }
+
+    const roles = await RoleService.getUserRoles(user.id);
+
+    // Update session last seen time (async, don't wait for it)
+    TokenRepository.touch(token).catch(err => {
+      console.error('⚠️ Failed to update token last seen:', err.message);
+    });
+
+    return {
+      user,
+      userId: decoded.userId,
+      token,
+      familyId: decoded.sid || null,
+      roles,
+      permissions: getPermissionsForRoles(roles)
+    };
+  }
+}
+
+/**
+ * Create an error handled as 401 by errorHandler middleware
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Authentication error
+ */
+function createAuthError(message, code) {
+  const error = new Error(message);
+  error.name = 'AuthenticationError';
+  error.code = code;
+  return error;
+}
+
+TokenAuthService.AUTH_ERROR_CODES = AUTH_ERROR_CODES;
+
+module.exports = TokenAuthService;
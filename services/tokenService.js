@@ -0,0 +1,237 @@
+/**
+ * Token Service
+ * Issues access/refresh token pairs and rotates refresh tokens
+ * Refresh token reuse detection: kullanılmış bir refresh token tekrar gelirse
+ * o oturumun (family) tüm token'ları revoke edilir
+ */
+
+const crypto = require('crypto');
+const { generateToken, generateRefreshToken, decodeToken } = require('../utils/jwt');
+const TokenRepository = require('../repositories/TokenRepository');
+
+class TokenService {
+  /**
+   * Get refresh token lifetime in days
+   * @returns {number} Lifetime in days
+   */
+  static getRefreshTokenLifetimeDays() {
+    const days = parseInt(process.env.JWT_REFRESH_EXPIRES_DAYS);
+    return isNaN(days) || days <= 0 ? 30 : days;
+  }
+
+  /**
+   * Issue a new access token + refresh token pair
+   * @param {number} userId - User ID
+   * @param {Object} options - Options (familyId, deviceInfo, ipAddress)
+   * @returns {Promise<Object>} Token pair with expiration dates
+   */
+  static async issueTokenPair(userId, options = {}) {
+    try {
+      // New login -> new family, rotation -> same family
+      const familyId = options.familyId || crypto.randomUUID();
+
+      // Generate short-lived access token
+      const token = await generateToken(userId, {
+        expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
+        familyId: familyId
+      });
+
+      // Decode token to get expiration date
+      const decoded = decodeToken(token);
+      const tokenExpiresAt = new Date(decoded.exp * 1000);
+
+      // Save access token to database (Stateful JWT)
+      await TokenRepository.create(userId, token, tokenExpiresAt, {
+        familyId: familyId,
+        deviceInfo: options.deviceInfo,
+        ipAddress: options.ipAddress
+      });
+
+      // Generate long-lived refresh token
+      const refreshToken = generateRefreshToken();
+      const refreshTokenExpiresAt = new Date(
+        Date.now() + this.getRefreshTokenLifetimeDays() * 24 * 60 * 60 * 1000
+      );
+
+      await TokenRepository.createRefreshToken(userId, refreshToken, refreshTokenExpiresAt, {
+        familyId: familyId,
+        deviceInfo: options.deviceInfo,
+        ipAddress: options.ipAddress
+      });
+
+      return {
+        token,
+        tokenExpiresAt: tokenExpiresAt.toISOString(),
+        refreshToken,
+        refreshTokenExpiresAt: refreshTokenExpiresAt.toISOString()
+      };
+    } catch (error) {
+      console.error('Error issuing token pair:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rotate refresh token - old one is invalidated, a new pair is issued in the same family
+   * @param {string} refreshToken - Refresh token sent by client
+   * @param {Object} options - Options (deviceInfo, ipAddress)
+   * @returns {Promise<Object>} New token pair and user ID
+   */
+  static async rotateRefreshToken(refreshToken, options = {}) {
+    try {
+      const record = await TokenRepository.findRefreshToken(refreshToken);
+
+      if (!record) {
+        throw createAuthError('Invalid refresh token');
+      }
+
+      // Reuse detection: token already rotated or revoked -> revoke whole family
+      if (record.used_at || record.is_revoked) {
+        const revokedCount = await TokenRepository.revokeFamily(record.family_id);
+        console.warn(`⚠️ Refresh token reuse detected for user ${record.user_id}, family ${record.family_id} revoked (${revokedCount} token(s))`);
+        throw createAuthError('Refresh token reuse detected. Please sign in again.');
+      }
+
+      if (new Date(record.expires_at) <= new Date()) {
+        throw createAuthError('Refresh token has expired');
+      }
+
+      // Mark as used - if another request rotated it first, treat it as reuse
+      const marked = await TokenRepository.markRefreshTokenUsed(record.id);
+      if (!marked) {
+        await TokenRepository.revokeFamily(record.family_id);
+        console.warn(`⚠️ Concurrent refresh token use for user ${record.user_id}, family ${record.family_id} revoked`);
+        throw createAuthError('Refresh token reuse detected. Please sign in again.');
+      }
+
+      const tokens = await this.issueTokenPair(record.user_id, {
+        familyId: record.family_id,
+        deviceInfo: options.deviceInfo,
+        ipAddress: options.ipAddress
+      });
+
+      return {
+        userId: record.user_id,
+        ...tokens
+      };
+    } catch (error) {
+      console.error('Error rotating refresh token:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke the session (token family) the given access token belongs to
+   * Falls back to revoking only the token itself for tokens issued before refresh support
+   * @param {string} token - Access token
+   * @returns {Promise<number>} Number of revoked tokens
+   */
+  static async revokeSession(token) {
+    try {
+      const decoded = decodeToken(token);
+
+      if (decoded && decoded.sid) {
+        return await TokenRepository.revokeFamily(decoded.sid);
+      }
+
+      return (await TokenRepository.revoke(token)) ? 1 : 0;
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get active sessions (devices) of a user
+   * A session is the set of active tokens sharing a family ID
+   * @param {number} userId - User ID
+   * @param {string} currentFamilyId - Family ID of the token making the request (optional)
+   * @returns {Promise<Array>} Array of sessions, most recently seen first
+   */
+  static async getSessions(userId, currentFamilyId = null) {
+    try {
+      const tokens = await TokenRepository.findByUserId(userId);
+      const sessions = new Map();
+
+      // Tokens are ordered by created_at DESC, so the first row of a family is the latest one
+      for (const row of tokens) {
+        const familyId = row.family_id;
+        const lastSeenAt = row.last_seen_at || row.created_at;
+
+        if (!sessions.has(familyId)) {
+          sessions.set(familyId, {
+            id: familyId,
+            deviceInfo: row.device_info,
+            ipAddress: row.ip_address,
+            createdAt: row.created_at,
+            lastSeenAt: lastSeenAt,
+            expiresAt: row.expires_at,
+            current: familyId === currentFamilyId
+          });
+          continue;
+        }
+
+        const session = sessions.get(familyId);
+        if (new Date(row.created_at) < new Date(session.createdAt)) {
+          session.createdAt = row.created_at;
+        }
+        if (new Date(lastSeenAt) > new Date(session.lastSeenAt)) {
+          session.lastSeenAt = lastSeenAt;
+        }
+        if (new Date(row.expires_at) > new Date(session.expiresAt)) {
+          session.expiresAt = row.expires_at;
+        }
+      }
+
+      return Array.from(sessions.values())
+        .map(session => ({
+          ...session,
+          createdAt: toISOString(session.createdAt),
+          lastSeenAt: toISOString(session.lastSeenAt),
+          expiresAt: toISOString(session.expiresAt)
+        }))
+        .sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+    } catch (error) {
+      console.error('Error getting sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a single session (device) of a user
+   * @param {number} userId - User ID
+   * @param {string} sessionId - Session (token family) ID
+   * @returns {Promise<boolean>} True if a session was revoked
+   */
+  static async revokeSessionById(userId, sessionId) {
+    try {
+      const revokedCount = await TokenRepository.revokeFamilyForUser(userId, sessionId);
+      return revokedCount > 0;
+    } catch (error) {
+      console.error('Error revoking session by ID:', error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Convert database date value to ISO string
+ * @param {Date|string|null} value - Date value
+ * @returns {string|null} ISO 8601 string or null
+ */
+function toISOString(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+/**
+ * Create an error handled as 401 by errorHandler middleware
+ * @param {string} message - Error message
+ * @returns {Error} Authentication error
+ */
+function createAuthError(message) {
+  const error = new Error(message);
+  error.name = 'AuthenticationError';
+  return error;
+}
+
+module.exports = TokenService;
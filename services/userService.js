@@ -5,6 +5,7 @@
 
 const UserRepository = require('../repositories/UserRepository');
 const User = require('../models/User');
+const { getCached, setCached } = require('../utils/cache');
 
 class UserService {
   /**
@@ -21,6 +22,20 @@ class UserService {
         providerData.id
       );
 
+      // Account pending deletion: restore within grace period, otherwise purge it and sign up again
+      if (existingUser && existingUser.deletion_requested_at) {
+        const AccountDeletionService = require('./accountDeletionService');
+        const restored = await AccountDeletionService.restore(existingUser.id);
+
+        if (restored) {
+          existingUser.deletion_requested_at = null;
+          existingUser.deletion_scheduled_at = null;
+        } else {
+          await AccountDeletionService.purgeUser(existingUser.id);
+          return await this.findOrCreateUser(providerData, credential);
+        }
+      }
+
       if (existingUser) {
         // User exists, update profile photo if provided
         const userData = UserRepository.mapRowToUser(existingUser);
@@ -140,11 +155,21 @@ class UserService {
    */
   static async getUserById(userId) {
     try {
+      // Short-lived cache, invalidated by UserRepository on update/delete
+      const cacheKey = UserRepository.getCacheKey(userId);
+      const cachedUser = await getCached(cacheKey);
+      if (cachedUser) {
+        return new User(cachedUser);
+      }
+
       const user = await UserRepository.findById(userId);
       if (!user) {
         return null;
       }
-      return new User(UserRepository.mapRowToUser(user));
+
+      const userData = UserRepository.mapRowToUser(user);
+      await setCached(cacheKey, userData);
+      return new User(userData);
     } catch (error) {
       console.error('Error getting user by ID:', error);
       throw error;
@@ -189,6 +214,110 @@ class UserService {
     }
   }
 
+  /**
+   * Upgrade a guest account to a provider (Google/Apple/Facebook) account
+   * - Provider identity has no user yet: guest user is converted in place
+   * - Provider identity already has a user: guest data is merged into that user
+   *   (an account pending deletion is restored first, or purged if its grace period has ended)
+   * @param {number} guestUserId - Current (guest) user ID
+   * @param {Object} providerData - Verified provider data
+   * @param {string} credential - Provider name
+   * @returns {Promise<Object>} { user, merged, mergedCounts }
+   * @throws {Error} 400 if the user is not a guest, 409 if the provider account was linked to another user meanwhile
+   */
+  static async upgradeGuestUser(guestUserId, providerData, credential) {
+    try {
+      const guestRow = await UserRepository.findById(guestUserId);
+      if (!guestRow) {
+        throw new Error('User not found');
+      }
+
+      if (guestRow.credential !== 'guest') {
+        const error = new Error('Only guest accounts can be linked to a provider');
+        error.status = 400;
+        throw error;
+      }
+
+      let existingUser = await UserRepository.findByCredential(credential, providerData.id);
+
+      // Linking signs in to the provider account: restore it like a re-login, or purge it if it can't be restored
+      if (existingUser && existingUser.deletion_requested_at) {
+        const AccountDeletionService = require('./accountDeletionService');
+        if (!(await AccountDeletionService.restore(existingUser.id))) {
+          await AccountDeletionService.purgeUser(existingUser.id);
+          existingUser = null;
+        }
+      }
+
+      if (existingUser) {
+        // Provider account already exists - move guest data into it
+        const mergedCounts = await UserRepository.mergeInto(guestUserId, existingUser.id);
+        console.log(`✅ Guest user ${guestUserId} merged into user ${existingUser.id} (${credential})`, mergedCounts);
+
+        const mergedUser = await UserRepository.findById(existingUser.id);
+        return {
+          user: new User(UserRepository.mapRowToUser(mergedUser)),
+          merged: true,
+          mergedCounts
+        };
+      }
+
+      // Convert guest user in place - same user ID, existing tokens stay valid
+      const guestData = UserRepository.mapRowToUser(guestRow);
+      const updateData = {
+        credential: credential,
+        credentialData: {
+          providerId: providerData.providerId,
+          email: providerData.email,
+          id: providerData.id
+        }
+      };
+
+      if (guestData.username === 'Guest user') {
+        updateData.username = providerData.name && providerData.name.length > 0
+          ? providerData.name
+          : 'MindCoach User';
+      }
+      if (providerData.picture && !guestData.profilePhotoUrl) {
+        updateData.profilePhotoUrl = providerData.picture;
+      }
+
+      // Replace guest identity with provider identity (one transaction with the user update)
+      let updatedUser;
+      try {
+        updatedUser = await UserRepository.upgradeGuest(guestUserId, updateData, {
+          provider: credential,
+          providerUserId: providerData.id,
+          email: providerData.email
+        });
+      } catch (upgradeError) {
+        if (upgradeError.code === 'ER_DUP_ENTRY') {
+          const error = new Error('This provider account is already linked to another user');
+          error.status = 409;
+          throw error;
+        }
+        throw upgradeError;
+      }
+
+      if (!updatedUser) {
+        const error = new Error('Only guest accounts can be linked to a provider');
+        error.status = 400;
+        throw error;
+      }
+
+      console.log(`✅ Guest user ${guestUserId} upgraded to ${credential} account`);
+
+      return {
+        user: new User(UserRepository.mapRowToUser(updatedUser)),
+        merged: false,
+        mergedCounts: null
+      };
+    } catch (error) {
+      console.error('Error upgrading guest user:', error);
+      throw error;
+    }
+  }
+
   /**
    * Check if user profile is complete
    * @param {Object} user - User object
@@ -205,45 +334,17 @@ class UserService {
   }
 
   /**
-   * Delete user account and all associated data
+   * Delete user account (soft delete)
+   * Account is marked as pending deletion and all tokens are revoked.
+   * Re-login within the grace period restores it, afterwards the purge job erases all data
+   * (see AccountDeletionService)
    * @param {number} userId - User ID
-   * @returns {Promise<boolean>} Success status
+   * @returns {Promise<string>} Scheduled purge date (ISO 8601)
    */
   static async deleteUserAccount(userId) {
     try {
-      // Delete all user-related data
-      // Note: Foreign key constraints may require specific order
-      
-      // 1. Delete messages (cascades to chat updates)
-      const MessageRepository = require('../repositories/MessageRepository');
-      // Get all chats for user first
-      const ChatRepository = require('../repositories/ChatRepository');
-      const chats = await ChatRepository.findByUserId(userId);
-      
-      for (const chat of chats) {
-        // Delete all messages in chat
-        await MessageRepository.deleteByChatId(chat.chatId);
-      }
-      
-      // 2. Delete chats
-      await ChatRepository.deleteByUserId(userId);
-      
-      // 3. Delete appointments
-      const AppointmentRepository = require('../repositories/AppointmentRepository');
-      await AppointmentRepository.deleteByUserId(userId);
-      
-      // 4. Delete moods
-      const MoodRepository = require('../repositories/MoodRepository');
-      await MoodRepository.deleteByUserId(userId);
-      
-      // 5. Delete user tokens (already handled in auth route, but safe to do here too)
-      const TokenRepository = require('../repositories/TokenRepository');
-      await TokenRepository.revokeAll(userId);
-      
-      // 6. Finally, delete the user
-      await UserRepository.delete(userId);
-      
-      return true;
+      const AccountDeletionService = require('./accountDeletionService');
+      return await AccountDeletionService.requestDeletion(userId);
     } catch (error) {
       console.error('Error deleting user account:', error);
       throw error;
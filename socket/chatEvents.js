@@ -0,0 +1,108 @@
+/**
+ * Chat Events
+ * Publishes chat events to the user's Socket.IO room (user:<id>)
+ *
+ * Events:
+ *   message_created  - { chat, message }          user message saved (other devices of the user)
+ *   message_updated  - { chat, message }          message changed (image analysis finished, edited or deleted)
+ *   assistant_typing - { chatId, threadId, consultantId, isTyping }
+ *   assistant_reply  - { chat, message }          assistant reply saved
+ *   chat_deleted     - { chatId, consultantId }  (consultantId is null when replayed by catch-up)
+ *   chat_read        - { chatId, consultantId, lastReadMessageId }  read marker moved (other devices)
+ *   sync_complete    - { lastMessageId, lastDeletionId, hasMore } end of catch-up (see SocketHandler)
+ */
+
+const Presence = require('./presence');
+
+const CHAT_EVENTS = {
+  MESSAGE_CREATED: 'message_created',
+  MESSAGE_UPDATED: 'message_updated',
+  ASSISTANT_TYPING: 'assistant_typing',
+  ASSISTANT_REPLY: 'assistant_reply',
+  CHAT_DELETED: 'chat_deleted',
+  CHAT_READ: 'chat_read',
+  SYNC_COMPLETE: 'sync_complete'
+};
+
+class ChatEvents {
+  /**
+   * Get event name for a stored message
+   * @param {Message} message - Message
+   * @returns {string} 'message_created' or 'assistant_reply'
+   */
+  static getMessageEvent(message) {
+    return message.sender === 'assistant' ? CHAT_EVENTS.ASSISTANT_REPLY : CHAT_EVENTS.MESSAGE_CREATED;
+  }
+
+  /**
+   * Publish a stored message (user message or assistant reply)
+   * @param {Chat} chat - Chat
+   * @param {Message} message - Message
+   * @returns {boolean} True if the user is online and the event was emitted
+   */
+  static publishMessage(chat, message) {
+    return Presence.emitToUser(chat.userId, this.getMessageEvent(message), {
+      chat: chat.toFlutterFormat(),
+      message: message.toFlutterFormat()
+    });
+  }
+
+  /**
+   * Publish an updated message
+   * @param {Chat} chat - Chat
+   * @param {Message} message - Updated message
+   * @returns {boolean} True if emitted
+   */
+  static publishMessageUpdated(chat, message) {
+    return Presence.emitToUser(chat.userId, CHAT_EVENTS.MESSAGE_UPDATED, {
+      chat: chat.toFlutterFormat(),
+      message: message.toFlutterFormat()
+    });
+  }
+
+  /**
+   * Publish assistant typing state
+   * @param {Chat} chat - Chat
+   * @param {boolean} isTyping - Whether assistant is preparing a reply
+   * @param {number|null} threadId - Thread ID (null = default thread)
+   * @returns {boolean} True if emitted
+   */
+  static publishAssistantTyping(chat, isTyping, threadId = null) {
+    return Presence.emitToUser(chat.userId, CHAT_EVENTS.ASSISTANT_TYPING, {
+      chatId: chat.chatId,
+      threadId: threadId,
+      consultantId: chat.consultantId,
+      isTyping: isTyping
+    });
+  }
+
+  /**
+   * Publish chat deletion
+   * @param {Chat} chat - Deleted chat
+   * @returns {boolean} True if emitted
+   */
+  static publishChatDeleted(chat) {
+    return Presence.emitToUser(chat.userId, CHAT_EVENTS.CHAT_DELETED, {
+      chatId: chat.chatId,
+      consultantId: chat.consultantId
+    });
+  }
+
+  /**
+   * Publish a moved read marker
+   * @param {Chat} chat - Chat
+   * @param {number} lastReadMessageId - Last read message ID
+   * @returns {boolean} True if emitted
+   */
+  static publishChatRead(chat, lastReadMessageId) {
+    return Presence.emitToUser(chat.userId, CHAT_EVENTS.CHAT_READ, {
+      chatId: chat.chatId,
+      consultantId: chat.consultantId,
+      lastReadMessageId: lastReadMessageId
+    });
+  }
+}
+
+ChatEvents.CHAT_EVENTS = CHAT_EVENTS;
+
+module.exports = ChatEvents;
@@ -0,0 +1,70 @@
+/**
+ * Presence
+ * Tracks which users have an open Socket.IO connection
+ * Used to decide between realtime delivery and push notification
+ */
+
+class Presence {
+  constructor() {
+    // userId -> number of open sockets (a user can be connected from several devices)
+    this.connections = new Map();
+    this.io = null;
+  }
+
+  /**
+   * Attach Socket.IO server (called by SocketHandler)
+   * @param {Server} io - Socket.IO server
+   */
+  setServer(io) {
+    this.io = io;
+  }
+
+  /**
+   * Register a new socket of a user
+   * @param {number} userId - User ID
+   */
+  connect(userId) {
+    this.connections.set(userId, (this.connections.get(userId) || 0) + 1);
+  }
+
+  /**
+   * Unregister a socket of a user
+   * @param {number} userId - User ID
+   */
+  disconnect(userId) {
+    const count = (this.connections.get(userId) || 0) - 1;
+    if (count > 0) {
+      this.connections.set(userId, count);
+    } else {
+      this.connections.delete(userId);
+    }
+  }
+
+  /**
+   * Check if user has at least one open socket
+   * @param {number} userId - User ID
+   * @returns {boolean} True if online
+   */
+  isOnline(userId) {
+    return this.connections.has(userId);
+  }
+
+  /**
+   * Emit event to every socket of a user
+   * @param {number} userId - User ID
+   * @param {string} event - Event name
+   * @param {Object} data - Data to send
+   * @returns {boolean} True if the user is online and the event was emitted
+   */
+  emitToUser(userId, event, data) {
+    if (!this.io || !this.isOnline(userId)) {
+      return false;
+    }
+
+    this.io.to(`user:${userId}`).emit(event, data);
+    return true;
+  }
+}
+
+// Singleton instance
+module.exports = new Presence();
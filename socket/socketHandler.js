@@ -3,16 +3,21 @@
  * Handles realtime chat connections using Socket.IO
  */
 
-const jwt = require('jsonwebtoken');
-const UserService = require('../services/userService');
-const TokenRepository = require('../repositories/TokenRepository');
+const TokenAuthService = require('../services/tokenAuthService');
 const RealtimeChatService = require('../services/realtimeChatService');
+const ChatService = require('../services/chatService');
+const Presence = require('./presence');
+const ChatEvents = require('./chatEvents');
+
+// Maximum number of missed messages replayed per sync
+const SYNC_BATCH_SIZE = 500;
 
 class SocketHandler {
   constructor(io) {
     this.io = io;
     // Store audio chunks for each conversation (shared across all connections)
     this.audioChunks = new Map();
+    Presence.setServer(io);
     this.setupMiddleware();
     this.setupEventHandlers();
   }
@@ -23,40 +28,31 @@ class SocketHandler {
   setupMiddleware() {
     this.io.use(async (socket, next) => {
       try {
-        const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
-
-        if (!token) {
-          return next(new Error('Authentication error: No token provided'));
-        }
-
-        // Verify JWT token
-        let decoded;
-        try {
-          decoded = jwt.verify(token, process.env.JWT_SECRET);
-        } catch (error) {
-          return next(new Error('Authentication error: Invalid token'));
-        }
+        const token = socket.handshake.auth.token ||
+          TokenAuthService.extractBearerToken(socket.handshake.headers.authorization);
 
-        // Check if token exists in database (Stateful JWT)
-        const tokenValid = await TokenRepository.isValid(token);
-        if (!tokenValid) {
-          return next(new Error('Authentication error: Token has been revoked'));
-        }
-
-        // Get user from database
-        const user = await UserService.getUserById(decoded.userId);
-        if (!user) {
-          return next(new Error('Authentication error: User not found'));
-        }
+        const auth = await TokenAuthService.authenticate(token);
 
         // Attach user info to socket
-        socket.userId = decoded.userId;
-        socket.user = user;
+        socket.userId = auth.userId;
+        socket.user = auth.user;
+        socket.roles = auth.roles;
+        socket.tokenFamilyId = auth.familyId;
 
         next();
       } catch (error) {
-        console.error('Socket authentication error:', error);
-        next(new Error('Authentication error'));
+        const authError = new Error(
+          error.name === 'AuthenticationError'
+            ? `Authentication error: ${error.message}`
+            : 'Authentication error'
+        );
+        // Error code is delivered to the client in connect_error (err.data.code)
+        authError.data = { code: error.code || null };
+
+        if (error.name !== 'AuthenticationError') {
+          console.error('Socket authentication error:', error);
+        }
+        next(authError);
       }
     });
   }
@@ -70,6 +66,25 @@ class SocketHandler {
 
       // Join user's personal room
       socket.join(`user:${socket.userId}`);
+      Presence.connect(socket.userId);
+
+      // Catch-up: client passes the last message and chat deletion IDs it has seen in handshake auth
+      if (socket.handshake.auth.lastMessageId !== undefined) {
+        this.syncMessages(socket, socket.handshake.auth.lastMessageId, socket.handshake.auth.lastDeletionId);
+      }
+
+      /**
+       * Handle sync request - Replay chat events missed since the last seen message and chat deletion
+       * Ends with 'sync_complete'. If hasMore is true, client requests again with the returned cursors
+       * @event sync_messages
+       * @param {Object} data - Sync data
+       * @param {number} data.lastMessageId - Last message ID the client has seen
+       * @param {number} data.lastDeletionId - Last chat deletion ID the client has seen (optional, first sync
+       *   without it only returns the current lastDeletionId)
+       */
+      socket.on('sync_messages', (data) => {
+        this.syncMessages(socket, data && data.lastMessageId, data && data.lastDeletionId);
+      });
 
       /**
        * Handle audio stream start - Initialize audio buffer for a conversation
@@ -224,6 +239,7 @@ class SocketHandler {
        */
       socket.on('disconnect', () => {
         console.log(`User disconnected: ${socket.userId}`);
+        Presence.disconnect(socket.userId);
         // Clean up all audio chunks for this user
         for (const [streamId, streamData] of this.audioChunks.entries()) {
           if (streamId.startsWith(`${socket.userId}_`)) {
@@ -241,6 +257,57 @@ class SocketHandler {
     });
   }
 
+  /**
+   * Emit missed messages to a socket as message_created / assistant_reply events,
+   * then chats deleted in the meantime as chat_deleted events (consultantId is null, the chat row is gone)
+   * @param {Socket} socket - Client socket
+   * @param {number} lastMessageId - Last message ID the client has seen
+   * @param {number} lastDeletionId - Last chat deletion ID the client has seen (undefined = no cursor yet)
+   */
+  async syncMessages(socket, lastMessageId, lastDeletionId) {
+    try {
+      const afterId = parseInt(lastMessageId);
+      const afterDeletionId = lastDeletionId === undefined || lastDeletionId === null ? null : parseInt(lastDeletionId);
+      if (isNaN(afterId) || afterId < 0 || Number.isNaN(afterDeletionId) || afterDeletionId < 0) {
+        socket.emit('error', {
+          success: false,
+          error: isNaN(afterId) || afterId < 0 ? 'Invalid lastMessageId' : 'Invalid lastDeletionId'
+        });
+        return;
+      }
+
+      const missed = await ChatService.getMissedMessages(socket.userId, afterId, SYNC_BATCH_SIZE);
+      const { deletions, lastDeletionId: deletionCursor } =
+        await ChatService.getMissedChatDeletions(socket.userId, afterDeletionId, SYNC_BATCH_SIZE);
+
+      for (const { chat, message } of missed) {
+        socket.emit(ChatEvents.getMessageEvent(message), {
+          chat: chat.toFlutterFormat(),
+          message: message.toFlutterFormat()
+        });
+      }
+
+      for (const { chatId } of deletions) {
+        socket.emit(ChatEvents.CHAT_EVENTS.CHAT_DELETED, {
+          chatId: chatId,
+          consultantId: null
+        });
+      }
+
+      socket.emit(ChatEvents.CHAT_EVENTS.SYNC_COMPLETE, {
+        lastMessageId: missed.length > 0 ? missed[missed.length - 1].message.messageId : afterId,
+        lastDeletionId: deletionCursor,
+        hasMore: missed.length === SYNC_BATCH_SIZE || deletions.length === SYNC_BATCH_SIZE
+      });
+    } catch (error) {
+      console.error('Error syncing messages:', error);
+      socket.emit('error', {
+        success: false,
+        error: error.message || 'Internal server error'
+      });
+    }
+  }
+
   /**
    * Send message to specific user
    * @param {number} userId - User ID
@@ -0,0 +1,247 @@
+/**
+ * Audio Duration Utility
+ * Reads the playback length of voice files from their headers / frames (mp3, aac, wav, ogg, m4a)
+ */
+
+const MPEG_BITRATES = {
+  // kbps by bitrate index: MPEG-1 layer I, II, III and MPEG-2/2.5 layer I, II/III
+  v1l1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  v1l2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  v1l3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  v2l1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  v2l23: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+const MPEG_SAMPLE_RATES = {
+  3: [44100, 48000, 32000], // MPEG-1
+  2: [22050, 24000, 16000], // MPEG-2
+  0: [11025, 12000, 8000] // MPEG-2.5
+};
+
+const ADTS_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+/**
+ * Get duration of an audio file
+ * @param {Buffer} buffer - Audio file
+ * @returns {number|null} Seconds, null if the format is unknown or the file is damaged
+ */
+function getAudioDuration(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    return null;
+  }
+
+  try {
+    let duration = null;
+    if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WAVE') {
+      duration = getWavDuration(buffer);
+    } else if (buffer.toString('latin1', 0, 4) === 'OggS') {
+      duration = getOggDuration(buffer);
+    } else if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+      duration = getMp4Duration(buffer);
+    } else {
+      duration = getFrameDuration(buffer);
+    }
+
+    return duration !== null && isFinite(duration) && duration > 0 ? duration : null;
+  } catch (error) {
+    // Truncated or malformed headers
+    return null;
+  }
+}
+
+/**
+ * WAV: data chunk size / byte rate of the fmt chunk
+ * @param {Buffer} buffer - WAV file
+ * @returns {number|null} Seconds
+ */
+function getWavDuration(buffer) {
+  let byteRate = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const start = offset + 8;
+
+    if (id === 'fmt ') {
+      byteRate = buffer.readUInt32LE(start + 8);
+    } else if (id === 'data') {
+      // Streamed files may have no (or a too large) data size
+      const dataSize = Math.min(size, buffer.length - start);
+      return byteRate ? dataSize / byteRate : null;
+    }
+
+    offset = start + size + (size % 2);
+  }
+
+  return null;
+}
+
+/**
+ * Ogg (Opus / Vorbis): granule position of the last page / sample rate
+ * @param {Buffer} buffer - Ogg file
+ * @returns {number|null} Seconds
+ */
+function getOggDuration(buffer) {
+  // First packet (identification header) starts after the first page's segment table
+  const packet = 27 + buffer[26];
+  let sampleRate;
+  let preSkip = 0;
+
+  if (buffer.toString('latin1', packet, packet + 8) === 'OpusHead') {
+    sampleRate = 48000; // Opus granule positions are always 48 kHz
+    preSkip = buffer.readUInt16LE(packet + 10);
+  } else if (buffer.toString('latin1', packet + 1, packet + 7) === 'vorbis') {
+    sampleRate = buffer.readUInt32LE(packet + 12);
+  } else {
+    return null;
+  }
+
+  // Last page with a granule position (-1 = no packet ends on the page)
+  let page = buffer.lastIndexOf('OggS');
+  while (page > 0) {
+    if (page + 14 <= buffer.length) {
+      const granule = buffer.readBigInt64LE(page + 6);
+      if (granule >= 0n) {
+        return (Number(granule) - preSkip) / sampleRate;
+      }
+    }
+    page = buffer.lastIndexOf('OggS', page - 1);
+  }
+
+  return null;
+}
+
+/**
+ * MP4 / M4A: duration / timescale of the movie header (moov > mvhd)
+ * @param {Buffer} buffer - MP4 file
+ * @returns {number|null} Seconds
+ */
+function getMp4Duration(buffer) {
+  const moov = findBox(buffer, 0, buffer.length, 'moov');
+  const mvhd = moov && findBox(buffer, moov.start, moov.end, 'mvhd');
+  if (!mvhd) {
+    return null;
+  }
+
+  const version = buffer[mvhd.start];
+  if (version === 1) {
+    const timescale = buffer.readUInt32BE(mvhd.start + 20);
+    return timescale ? Number(buffer.readBigUInt64BE(mvhd.start + 24)) / timescale : null;
+  }
+
+  const timescale = buffer.readUInt32BE(mvhd.start + 12);
+  return timescale ? buffer.readUInt32BE(mvhd.start + 16) / timescale : null;
+}
+
+/**
+ * Find a child box of an MP4 box
+ * @param {Buffer} buffer - MP4 file
+ * @param {number} start - First byte of the parent's content
+ * @param {number} end - End of the parent's content
+ * @param {string} type - Box type
+ * @returns {Object|null} { start, end } of the box content
+ */
+function findBox(buffer, start, end, type) {
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    let header = 8;
+
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset; // Box extends to the end of the file
+    }
+
+    if (size < header) {
+      return null;
+    }
+    if (buffer.toString('latin1', offset + 4, offset + 8) === type) {
+      return { start: offset + header, end: Math.min(offset + size, end) };
+    }
+
+    offset += size;
+  }
+
+  return null;
+}
+
+/**
+ * MP3 / raw AAC (ADTS): sum of the samples of every frame (works for CBR and VBR)
+ * @param {Buffer} buffer - MP3 or AAC file
+ * @returns {number|null} Seconds
+ */
+function getFrameDuration(buffer) {
+  let offset = 0;
+  let seconds = 0;
+  let frames = 0;
+
+  // ID3v2 tag (10 byte header, syncsafe size, optional 10 byte footer)
+  if (buffer.toString('latin1', 0, 3) === 'ID3') {
+    const size = ((buffer[6] & 0x7f) << 21) | ((buffer[7] & 0x7f) << 14) | ((buffer[8] & 0x7f) << 7) | (buffer[9] & 0x7f);
+    offset = 10 + size + (buffer[5] & 0x10 ? 10 : 0);
+  }
+
+  while (offset + 7 <= buffer.length) {
+    const frame = buffer[offset] === 0xff && (buffer[offset + 1] & 0xe0) === 0xe0
+      ? readFrame(buffer, offset)
+      : null;
+
+    if (!frame) {
+      // Not a frame header: resync on the next byte
+      offset++;
+      continue;
+    }
+
+    seconds += frame.samples / frame.sampleRate;
+    frames++;
+    offset += frame.length;
+  }
+
+  return frames > 0 ? seconds : null;
+}
+
+/**
+ * Read an MPEG audio or ADTS frame header
+ * @param {Buffer} buffer - File
+ * @param {number} offset - Frame start (sync word)
+ * @returns {Object|null} { length, samples, sampleRate }, null if the header is invalid
+ */
+function readFrame(buffer, offset) {
+  const b1 = buffer[offset + 1];
+  const b2 = buffer[offset + 2];
+
+  // ADTS: 12 bit sync word and layer 00
+  if ((b1 & 0xf6) === 0xf0) {
+    const sampleRate = ADTS_SAMPLE_RATES[(b2 >> 2) & 0x0f];
+    const length = ((buffer[offset + 3] & 0x03) << 11) | (buffer[offset + 4] << 3) | (buffer[offset + 5] >> 5);
+    const blocks = (buffer[offset + 6] & 0x03) + 1;
+    return sampleRate && length >= 7 ? { length, samples: blocks * 1024, sampleRate } : null;
+  }
+
+  const version = (b1 >> 3) & 0x03; // 3 = MPEG-1, 2 = MPEG-2, 0 = MPEG-2.5
+  const layer = 4 - ((b1 >> 1) & 0x03); // 1, 2 or 3 (4 = reserved)
+  const bitrateIndex = b2 >> 4;
+  const sampleRates = MPEG_SAMPLE_RATES[version];
+  const sampleRate = sampleRates && sampleRates[(b2 >> 2) & 0x03];
+
+  if (!sampleRate || layer === 4 || bitrateIndex === 0 || bitrateIndex === 15) {
+    return null;
+  }
+
+  const table = version === 3 ? `v1l${layer}` : (layer === 1 ? 'v2l1' : 'v2l23');
+  const bitrate = MPEG_BITRATES[table][bitrateIndex] * 1000;
+  const padding = (b2 >> 1) & 0x01;
+
+  if (layer === 1) {
+    return { length: (Math.floor((12 * bitrate) / sampleRate) + padding) * 4, samples: 384, sampleRate };
+  }
+
+  const samples = layer === 3 && version !== 3 ? 576 : 1152;
+  return { length: Math.floor(((samples / 8) * bitrate) / sampleRate) + padding, samples, sampleRate };
+}
+
+module.exports = { getAudioDuration };
@@ -0,0 +1,145 @@
+/**
+ * Cache Utility
+ * Short-lived cache for stateful token validation, user loading and user roles
+ *
+ * Varsayılan adapter in-process LRU'dur. Birden fazla instance çalışıyorsa
+ * (örn. Redis gibi) shared bir store setCacheAdapter ile takılabilir.
+ *
+ * Adapter interface (tüm metodlar Promise döner):
+ *   get(key)              -> value | undefined
+ *   set(key, value, ttlMs)
+ *   del(keys)             -> keys: string | string[]
+ * Value'lar JSON-serializable olmalıdır.
+ */
+
+/**
+ * In-process LRU cache with per-entry TTL
+ */
+class MemoryCacheAdapter {
+  /**
+   * @param {Object} options - Options
+   * @param {number} options.maxEntries - Maximum number of entries
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 10000;
+    // Map keeps insertion order: first key is the least recently used one
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Move to the end (most recently used)
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    // Copy so callers can't mutate the cached value (same semantics as a shared store)
+    return structuredClone(entry.value);
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async del(keys) {
+    for (const key of [].concat(keys)) {
+      this.entries.delete(key);
+    }
+  }
+}
+
+let adapter = new MemoryCacheAdapter({
+  maxEntries: parseInt(process.env.AUTH_CACHE_MAX_ENTRIES) || 10000
+});
+
+/**
+ * Get cache TTL in milliseconds (AUTH_CACHE_TTL_SECONDS, 0 disables the cache)
+ * @returns {number} TTL in milliseconds
+ */
+function getCacheTtlMs() {
+  const seconds = parseInt(process.env.AUTH_CACHE_TTL_SECONDS);
+  return (isNaN(seconds) || seconds < 0 ? 30 : seconds) * 1000;
+}
+
+/**
+ * Replace the cache adapter (e.g. with a shared store)
+ * @param {Object} newAdapter - Adapter implementing get/set/del
+ */
+function setCacheAdapter(newAdapter) {
+  adapter = newAdapter;
+}
+
+/**
+ * Get cached value
+ * Cache errors never fail the request - they are treated as a miss
+ * @param {string} key - Cache key
+ * @returns {Promise<*>} Cached value or undefined
+ */
+async function getCached(key) {
+  if (getCacheTtlMs() === 0) {
+    return undefined;
+  }
+
+  try {
+    return await adapter.get(key);
+  } catch (error) {
+    console.error('⚠️ Cache get error:', error.message);
+    return undefined;
+  }
+}
+
+/**
+ * Set cached value
+ * @param {string} key - Cache key
+ * @param {*} value - JSON-serializable value
+ * @param {number} maxTtlMs - Upper bound for TTL (optional, e.g. time until token expiry)
+ */
+async function setCached(key, value, maxTtlMs = Infinity) {
+  const ttlMs = Math.min(getCacheTtlMs(), maxTtlMs);
+  if (ttlMs <= 0) {
+    return;
+  }
+
+  try {
+    await adapter.set(key, value, ttlMs);
+  } catch (error) {
+    console.error('⚠️ Cache set error:', error.message);
+  }
+}
+
+/**
+ * Invalidate cached values
+ * @param {string|string[]} keys - Cache key(s)
+ */
+async function invalidate(keys) {
+  if ([].concat(keys).length === 0) {
+    return;
+  }
+
+  try {
+    await adapter.del(keys);
+  } catch (error) {
+    console.error('⚠️ Cache invalidate error:', error.message);
+  }
+}
+
+module.exports = {
+  MemoryCacheAdapter,
+  setCacheAdapter,
+  getCached,
+  setCached,
+  invalidate
+};
@@ -0,0 +1,72 @@
+/**
+ * Cursor Utility
+ * Opaque pagination/sync cursors (base64url encoded JSON)
+ *
+ * Client cursor'ı olduğu gibi geri gönderir, içeriğine güvenmemelidir.
+ * Format değişirse eski cursor'lar ValidationError ile reddedilir.
+ */
+
+/**
+ * Encode cursor data
+ * @param {Object} data - Cursor data (JSON-serializable)
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(data) {
+  return Buffer.from(JSON.stringify(data)).toString('base64url');
+}
+
+/**
+ * Decode a cursor created by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {Object} Cursor data
+ * @throws {Error} ValidationError if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Cursor is not an object');
+    }
+    return data;
+  } catch (error) {
+    const validationError = new Error('Invalid cursor');
+    validationError.name = 'ValidationError';
+    throw validationError;
+  }
+}
+
+/**
+ * Encode a message ID cursor
+ * @param {number} messageId - Message ID
+ * @returns {string} Opaque cursor
+ */
+function encodeMessageCursor(messageId) {
+  return encodeCursor({ m: messageId });
+}
+
+/**
+ * Decode a message ID cursor
+ * @param {string} cursor - Opaque cursor (empty = no position)
+ * @returns {number|null} Message ID or null for an empty cursor
+ * @throws {Error} ValidationError if the cursor is malformed
+ */
+function decodeMessageCursor(cursor) {
+  if (cursor === undefined || cursor === null || cursor === '') {
+    return null;
+  }
+
+  const data = decodeCursor(cursor);
+  if (!Number.isInteger(data.m) || data.m < 0) {
+    const error = new Error('Invalid cursor');
+    error.name = 'ValidationError';
+    throw error;
+  }
+  return data.m;
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  encodeMessageCursor,
+  decodeMessageCursor
+};
@@ -0,0 +1,33 @@
+/**
+ * Environment Utility
+ * Reads numeric settings from environment variables
+ *
+ * Boş, sayı olmayan, sıfır veya negatif değerlerde varsayılan değer kullanılır.
+ */
+
+/**
+ * Read a positive number from environment
+ * @param {string} name - Variable name
+ * @param {number} defaultValue - Default value
+ * @returns {number} Value
+ */
+function getEnvNumber(name, defaultValue) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) || value <= 0 ? defaultValue : value;
+}
+
+/**
+ * Read a positive integer from environment
+ * @param {string} name - Variable name
+ * @param {number} defaultValue - Default value
+ * @returns {number} Value
+ */
+function getEnvInteger(name, defaultValue) {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) || value <= 0 ? defaultValue : value;
+}
+
+module.exports = {
+  getEnvNumber,
+  getEnvInteger
+};
@@ -3,38 +3,88 @@
  */
 
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const SigningKeyService = require('../services/signingKeyService');
 
 /**
  * Generate JWT token
+ * Signed with the current RS256/ES256 key (kid header) or JWT_SECRET when JWT_ALGORITHM=HS256
  * @param {number} userId - User ID
  * @param {Object} options - Additional options
- * @returns {string} JWT token
+ * @returns {Promise<string>} JWT token
  */
-function generateToken(userId, options = {}) {
+async function generateToken(userId, options = {}) {
   const payload = {
     userId: userId,
     iat: Math.floor(Date.now() / 1000)
   };
 
+  // Token family (login session) ID - refresh token rotation için
+  if (options.familyId) {
+    payload.sid = options.familyId;
+  }
+
   const tokenOptions = {
     expiresIn: options.expiresIn || process.env.JWT_EXPIRES_IN || '7d',
     issuer: process.env.JWT_ISSUER || 'mindcoach-api',
     audience: process.env.JWT_AUDIENCE || 'mindcoach-app'
   };
 
-  return jwt.sign(payload, process.env.JWT_SECRET, tokenOptions);
+  if (!SigningKeyService.isAsymmetric()) {
+    return jwt.sign(payload, process.env.JWT_SECRET, tokenOptions);
+  }
+
+  const key = await SigningKeyService.getSigningKey();
+  return jwt.sign(payload, key.privateKey, {
+    ...tokenOptions,
+    algorithm: key.algorithm,
+    keyid: key.kid
+  });
+}
+
+/**
+ * Generate opaque refresh token
+ * Refresh token'lar JWT değildir, sadece hash'leri database'de saklanır
+ * @returns {string} Refresh token
+ */
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
 }
 
 /**
- * Verify JWT token
+ * Verify JWT token (signature, expiry, issuer, audience)
+ * HS256 tokens are still accepted while JWT_SECRET is set, so switching to
+ * RS256/ES256 doesn't log out existing sessions
  * @param {string} token - JWT token
- * @returns {Object} Decoded token payload
+ * @returns {Promise<Object>} Decoded token payload
  */
-function verifyToken(token) {
-  return jwt.verify(token, process.env.JWT_SECRET, {
+async function verifyToken(token) {
+  const verifyOptions = {
     issuer: process.env.JWT_ISSUER || 'mindcoach-api',
     audience: process.env.JWT_AUDIENCE || 'mindcoach-app'
-  });
+  };
+
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.header) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  if (decoded.header.alg === 'HS256') {
+    if (!process.env.JWT_SECRET) {
+      throw new jwt.JsonWebTokenError('HS256 tokens are not accepted');
+    }
+    return jwt.verify(token, process.env.JWT_SECRET, { ...verifyOptions, algorithms: ['HS256'] });
+  }
+
+  const key = decoded.header.kid
+    ? await SigningKeyService.getVerificationKey(decoded.header.kid)
+    : null;
+  if (!key) {
+    throw new jwt.JsonWebTokenError('Unknown signing key');
+  }
+
+  // Only the algorithm stored with the key is allowed (prevents algorithm confusion)
+  return jwt.verify(token, key.publicKey, { ...verifyOptions, algorithms: [key.algorithm] });
 }
 
 /**
@@ -48,6 +98,7 @@ function decodeToken(token) {
 
 module.exports = {
   generateToken,
+  generateRefreshToken,
   verifyToken,
   decodeToken
 };
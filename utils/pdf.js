@@ -0,0 +1,303 @@
+/**
+ * PDF Utility
+ * Minimal PDF writer (A4, wrapped text paragraphs, page numbers) for generated documents
+ *
+ * Standart Helvetica fontları kullanılır (font gömülmez). WinAnsiEncoding'e Türkçe harfler
+ * (ğ Ğ ı İ ş Ş) eklenmiştir; encoding dışındaki karakterler aksansız haline, o da yoksa '?' karakterine çevrilir.
+ */
+
+const zlib = require('zlib');
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 56;
+const FOOTER_SIZE = 8;
+
+// WinAnsiEncoding 0x80-0x9F (Unicode code point per byte), unused codes carry the Turkish letters
+const HIGH_CODES = {
+  0x80: 0x20AC, 0x81: 0x011E, 0x82: 0x201A, 0x83: 0x0192, 0x84: 0x201E, 0x85: 0x2026, 0x86: 0x2020, 0x87: 0x2021,
+  0x88: 0x0131, 0x89: 0x2030, 0x8A: 0x0160, 0x8B: 0x2039, 0x8C: 0x0152, 0x8D: 0x011F, 0x8E: 0x017D, 0x8F: 0x0130,
+  0x90: 0x015E, 0x91: 0x2018, 0x92: 0x2019, 0x93: 0x201C, 0x94: 0x201D, 0x95: 0x2022, 0x96: 0x2013, 0x97: 0x2014,
+  0x98: 0x02DC, 0x99: 0x2122, 0x9A: 0x0161, 0x9B: 0x203A, 0x9C: 0x0153, 0x9D: 0x015F, 0x9E: 0x017E, 0x9F: 0x0178
+};
+
+// Glyph names of the codes that differ from WinAnsiEncoding
+const DIFFERENCES = '[129 /Gbreve 136 /dotlessi 141 /gbreve 143 /Idotaccent 144 /Scedilla 157 /scedilla]';
+
+// Helvetica advance widths (1/1000 em) of printable ASCII (32-126)
+const ASCII_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Widths of characters above ASCII that are not an accented ASCII letter
+const EXTRA_WIDTHS = {
+  0x0131: 278, 0x00DF: 611, 0x00C6: 1000, 0x00E6: 889, 0x00D8: 778, 0x00F8: 611, 0x0152: 1000, 0x0153: 944,
+  0x2026: 1000, 0x2014: 1000, 0x2122: 1000, 0x2030: 1000, 0x2022: 350, 0x2018: 222, 0x2019: 222, 0x201A: 222,
+  0x00B0: 400, 0x00A0: 278, 0x00B7: 278
+};
+
+const UNICODE_TO_CODE = new Map();
+const CODE_WIDTHS = new Array(256).fill(556);
+
+for (let code = 32; code <= 255; code++) {
+  if (code === 127 || (code >= 0x80 && code <= 0x9F && !HIGH_CODES[code])) {
+    continue;
+  }
+
+  const unicode = HIGH_CODES[code] || code;
+  UNICODE_TO_CODE.set(unicode, code);
+
+  if (code <= 126) {
+    CODE_WIDTHS[code] = ASCII_WIDTHS[code - 32];
+  } else if (EXTRA_WIDTHS[unicode]) {
+    CODE_WIDTHS[code] = EXTRA_WIDTHS[unicode];
+  } else {
+    // Accented letters are as wide as their base letter
+    const base = String.fromCodePoint(unicode).normalize('NFD').codePointAt(0);
+    CODE_WIDTHS[code] = base >= 32 && base <= 126 ? ASCII_WIDTHS[base - 32] : 556;
+  }
+}
+
+/**
+ * Encode text in the document font encoding
+ * @param {string} text - Text
+ * @returns {Array<number>} Byte codes
+ */
+function encodeText(text) {
+  const codes = [];
+
+  for (const char of text.replace(/\t/g, '    ')) {
+    const unicode = char.codePointAt(0);
+
+    if (UNICODE_TO_CODE.has(unicode)) {
+      codes.push(UNICODE_TO_CODE.get(unicode));
+      continue;
+    }
+    if (unicode < 32) {
+      continue;
+    }
+
+    const base = char.normalize('NFD').codePointAt(0);
+    codes.push(base !== unicode && UNICODE_TO_CODE.has(base) ? UNICODE_TO_CODE.get(base) : 0x3F);
+  }
+
+  return codes;
+}
+
+/**
+ * Get width of encoded text
+ * @param {Array<number>} codes - Byte codes
+ * @param {number} size - Font size
+ * @returns {number} Width in points
+ */
+function measure(codes, size) {
+  return codes.reduce((width, code) => width + CODE_WIDTHS[code], 0) * size / 1000;
+}
+
+/**
+ * Wrap a line of text to a maximum width (words longer than a line are broken)
+ * @param {string} text - Line without line breaks
+ * @param {number} size - Font size
+ * @param {number} maxWidth - Maximum width in points
+ * @returns {Array<Array<number>>} Encoded lines
+ */
+function wrapLine(text, size, maxWidth) {
+  const lines = [];
+  const space = encodeText(' ');
+  let current = [];
+
+  for (const word of text.split(/ +/)) {
+    let codes = encodeText(word);
+    const candidate = current.length > 0 ? [...current, ...space, ...codes] : codes;
+
+    if (measure(candidate, size) <= maxWidth) {
+      current = candidate;
+      continue;
+    }
+
+    if (current.length > 0) {
+      lines.push(current);
+    }
+
+    while (measure(codes, size) > maxWidth) {
+      let count = 1;
+      while (count < codes.length && measure(codes.slice(0, count + 1), size) <= maxWidth) {
+        count++;
+      }
+      lines.push(codes.slice(0, count));
+      codes = codes.slice(count);
+    }
+    current = codes;
+  }
+
+  lines.push(current);
+  return lines;
+}
+
+/**
+ * Convert encoded text to a PDF string literal
+ * @param {Array<number>} codes - Byte codes
+ * @returns {Buffer} (text) with (, ) and \ escaped
+ */
+function toPdfString(codes) {
+  const bytes = [0x28];
+  for (const code of codes) {
+    if (code === 0x28 || code === 0x29 || code === 0x5C) {
+      bytes.push(0x5C);
+    }
+    bytes.push(code);
+  }
+  bytes.push(0x29);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Convert text to a PDF text string (UTF-16BE, for document info)
+ * @param {string} text - Text
+ * @returns {string} Hex string
+ */
+function toPdfTextString(text) {
+  const utf16 = Buffer.from(text, 'utf16le').swap16();
+  return `<FEFF${utf16.toString('hex').toUpperCase()}>`;
+}
+
+/**
+ * Lay out paragraphs on pages
+ * @param {Array<Object>} paragraphs - Paragraphs
+ * @returns {Array<Array<Object>>} Pages of { codes, x, y, size, bold, gray }
+ */
+function layout(paragraphs) {
+  const pages = [[]];
+  const top = PAGE_HEIGHT - MARGIN;
+  const bottom = MARGIN + FOOTER_SIZE * 3;
+  let y = top;
+
+  for (const paragraph of paragraphs) {
+    const size = paragraph.size || 10;
+    const leading = size * 1.4;
+    const indent = paragraph.indent || 0;
+    const maxWidth = PAGE_WIDTH - MARGIN * 2 - indent;
+
+    if (y < top) {
+      y -= paragraph.spaceBefore || 0;
+    }
+
+    for (const line of String(paragraph.text || '').split(/\r?\n/)) {
+      for (const codes of wrapLine(line, size, maxWidth)) {
+        if (y - leading < bottom) {
+          pages.push([]);
+          y = top;
+        }
+
+        y -= leading;
+        pages[pages.length - 1].push({
+          codes,
+          x: MARGIN + indent,
+          y: y + (leading - size),
+          size,
+          bold: !!paragraph.bold,
+          gray: !!paragraph.gray
+        });
+      }
+    }
+  }
+
+  return pages;
+}
+
+/**
+ * Render content stream of a page
+ * @param {Array<Object>} lines - Laid out lines
+ * @param {string} footer - Footer text
+ * @returns {Buffer} Content stream (uncompressed)
+ */
+function renderPage(lines, footer) {
+  const parts = [];
+  const footerCodes = encodeText(footer);
+
+  for (const line of [...lines, {
+    codes: footerCodes,
+    x: PAGE_WIDTH - MARGIN - measure(footerCodes, FOOTER_SIZE),
+    y: MARGIN,
+    size: FOOTER_SIZE,
+    bold: false,
+    gray: true
+  }]) {
+    parts.push(Buffer.from(
+      `BT ${line.gray ? '0.45' : '0'} g /${line.bold ? 'F2' : 'F1'} ${line.size} Tf ` +
+      `${line.x.toFixed(2)} ${line.y.toFixed(2)} Td `, 'latin1'));
+    parts.push(toPdfString(line.codes));
+    parts.push(Buffer.from(' Tj ET\n', 'latin1'));
+  }
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Create PDF document
+ * @param {Object} document - Document
+ * @param {string} document.title - Title (document info and footer)
+ * @param {Array<Object>} document.paragraphs - Paragraphs ({ text, size, bold, gray, indent, spaceBefore }),
+ *   text may contain line breaks
+ * @returns {Buffer} PDF file
+ */
+function createPdf({ title, paragraphs }) {
+  const pages = layout(paragraphs);
+  const objects = [];
+
+  // 1: catalog, 2: page tree, 3-4: fonts, 5: info, then page + content stream per page
+  const pageIds = pages.map((page, index) => 6 + index * 2);
+  const font = name => `<< /Type /Font /Subtype /Type1 /BaseFont /${name} ` +
+    `/Encoding << /Type /Encoding /BaseEncoding /WinAnsiEncoding /Differences ${DIFFERENCES} >> >>`;
+  const now = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+
+  objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+  objects.push(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+  objects.push(font('Helvetica'));
+  objects.push(font('Helvetica-Bold'));
+  objects.push(`<< /Title ${toPdfTextString(title || '')} /Producer (MindCoach) /CreationDate (D:${now}Z) >>`);
+
+  pages.forEach((lines, index) => {
+    const content = zlib.deflateSync(renderPage(lines, `${title ? `${title} - ` : ''}${index + 1} / ${pages.length}`));
+
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`);
+    objects.push(Buffer.concat([
+      Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+      content,
+      Buffer.from('\nendstream', 'latin1')
+    ]));
+  });
+
+  const parts = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+  const offsets = [];
+  let length = parts[0].length;
+
+  objects.forEach((object, index) => {
+    const body = Buffer.isBuffer(object) ? object : Buffer.from(object, 'latin1');
+    const part = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+    offsets.push(length);
+    parts.push(part);
+    length += part.length;
+  });
+
+  const xref = ['xref', `0 ${objects.length + 1}`, '0000000000 65535 f ']
+    .concat(offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `))
+    .join('\n');
+
+  parts.push(Buffer.from(
+    `${xref}\ntrailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${length}\n%%EOF\n`,
+    'latin1'
+  ));
+
+  return Buffer.concat(parts);
+}
+
+module.exports = {
+  createPdf
+};
@@ -0,0 +1,26 @@
+/**
+ * Timezone Utility
+ * IANA timezone checks (e.g. Europe/Istanbul)
+ */
+
+/**
+ * Check if a timezone is a valid IANA timezone
+ * @param {string} timezone - Timezone
+ * @returns {boolean} True if valid
+ */
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone || timezone.length > 64) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  isValidTimezone
+};